@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "StockMovementType" AS ENUM ('INITIAL', 'ADJUSTMENT');
+
+-- CreateTable
+CREATE TABLE "StockMovement" (
+    "id" TEXT NOT NULL,
+    "type" "StockMovementType" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "StockMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockMovement_shopId_idx" ON "StockMovement"("shopId");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_productId_createdAt_idx" ON "StockMovement"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_shopId_type_createdAt_idx" ON "StockMovement"("shopId", "type", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: record existing stock levels as opening balances so the ledger reconciles
+INSERT INTO "StockMovement" ("id", "type", "quantity", "balanceAfter", "note", "createdAt", "productId", "shopId")
+SELECT gen_random_uuid()::text, 'INITIAL', p."stock", p."stock", 'Opening balance', p."createdAt", p."id", p."shopId"
+FROM "Product" p
+WHERE p."stock" <> 0;
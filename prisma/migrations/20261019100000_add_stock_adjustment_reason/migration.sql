@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "StockAdjustmentReason" AS ENUM ('DAMAGE', 'SHRINKAGE', 'COUNT_CORRECTION', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN     "reason" "StockAdjustmentReason",
+ADD COLUMN     "unitCost" INTEGER;
+
+-- Backfill: snapshot the current purchase price on existing movements
+UPDATE "StockMovement" sm
+SET "unitCost" = p."purchasePrice"
+FROM "Product" p
+WHERE sm."productId" = p."id";
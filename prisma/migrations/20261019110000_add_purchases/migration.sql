@@ -0,0 +1,66 @@
+-- CreateEnum
+CREATE TYPE "CostingMethod" AS ENUM ('LAST_PURCHASE_PRICE', 'WEIGHTED_AVERAGE');
+
+-- CreateEnum
+CREATE TYPE "PurchasePaymentStatus" AS ENUM ('PAID', 'ON_CREDIT');
+
+-- AlterEnum
+ALTER TYPE "StockMovementType" ADD VALUE 'PURCHASE';
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "costingMethod" "CostingMethod" NOT NULL DEFAULT 'WEIGHTED_AVERAGE';
+
+-- CreateTable
+CREATE TABLE "Purchase" (
+    "id" TEXT NOT NULL,
+    "reference" TEXT,
+    "paymentStatus" "PurchasePaymentStatus" NOT NULL,
+    "totalAmount" INTEGER NOT NULL,
+    "note" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shopId" TEXT NOT NULL,
+    "supplierId" TEXT,
+    "userId" TEXT,
+
+    CONSTRAINT "Purchase_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PurchaseItem" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitCost" INTEGER NOT NULL,
+    "lineTotal" INTEGER NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "PurchaseItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Purchase_shopId_receivedAt_idx" ON "Purchase"("shopId", "receivedAt");
+
+-- CreateIndex
+CREATE INDEX "Purchase_supplierId_idx" ON "Purchase"("supplierId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseItem_purchaseId_idx" ON "PurchaseItem"("purchaseId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseItem_productId_idx" ON "PurchaseItem"("productId");
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseItem" ADD CONSTRAINT "PurchaseItem_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PurchaseItem" ADD CONSTRAINT "PurchaseItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
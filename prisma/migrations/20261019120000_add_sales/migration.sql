@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "SalePaymentType" AS ENUM ('CASH');
+
+-- AlterEnum
+ALTER TYPE "StockMovementType" ADD VALUE 'SALE';
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "saleCounter" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Sale" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "paymentType" "SalePaymentType" NOT NULL DEFAULT 'CASH',
+    "totalAmount" INTEGER NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shopId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "Sale_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SaleItem" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" INTEGER NOT NULL,
+    "lineTotal" INTEGER NOT NULL,
+    "unitCost" INTEGER NOT NULL,
+    "saleId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "SaleItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Sale_shopId_createdAt_idx" ON "Sale"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Sale_shopId_number_key" ON "Sale"("shopId", "number");
+
+-- CreateIndex
+CREATE INDEX "SaleItem_saleId_idx" ON "SaleItem"("saleId");
+
+-- CreateIndex
+CREATE INDEX "SaleItem_productId_idx" ON "SaleItem"("productId");
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItem" ADD CONSTRAINT "SaleItem_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItem" ADD CONSTRAINT "SaleItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "CustomerLedgerEntryType" AS ENUM ('CHARGE');
+
+-- AlterEnum
+ALTER TYPE "SalePaymentType" ADD VALUE 'ON_ACCOUNT';
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ALTER COLUMN "outstandingBalance" SET DEFAULT 0,
+ALTER COLUMN "outstandingBalance" SET DATA TYPE INTEGER;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "customerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "CustomerLedgerEntry" (
+    "id" TEXT NOT NULL,
+    "type" "CustomerLedgerEntryType" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "customerId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "CustomerLedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerLedgerEntry_customerId_createdAt_idx" ON "CustomerLedgerEntry"("customerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerLedgerEntry_shopId_createdAt_idx" ON "CustomerLedgerEntry"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Sale_customerId_idx" ON "Sale"("customerId");
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerLedgerEntry" ADD CONSTRAINT "CustomerLedgerEntry_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerLedgerEntry" ADD CONSTRAINT "CustomerLedgerEntry_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerLedgerEntry" ADD CONSTRAINT "CustomerLedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
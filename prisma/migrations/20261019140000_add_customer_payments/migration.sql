@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('CASH', 'CARD', 'TRANSFER');
+
+-- AlterEnum
+ALTER TYPE "CustomerLedgerEntryType" ADD VALUE 'PAYMENT';
+
+-- CreateTable
+CREATE TABLE "CustomerPayment" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "method" "PaymentMethod" NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "customerId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "CustomerPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerPayment_customerId_createdAt_idx" ON "CustomerPayment"("customerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CustomerPayment_shopId_createdAt_idx" ON "CustomerPayment"("shopId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "CustomerPayment" ADD CONSTRAINT "CustomerPayment_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPayment" ADD CONSTRAINT "CustomerPayment_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerPayment" ADD CONSTRAINT "CustomerPayment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,94 @@
+-- CreateEnum
+CREATE TYPE "SupplierLedgerEntryType" AS ENUM ('PURCHASE', 'PAYMENT');
+
+-- AlterTable
+ALTER TABLE "Supplier" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "outstandingDebt" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "SupplierLedgerEntry" (
+    "id" TEXT NOT NULL,
+    "type" "SupplierLedgerEntryType" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "supplierId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "SupplierLedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SupplierPayment" (
+    "id" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "method" "PaymentMethod" NOT NULL,
+    "reference" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "supplierId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "SupplierPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SupplierLedgerEntry_supplierId_createdAt_idx" ON "SupplierLedgerEntry"("supplierId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SupplierLedgerEntry_shopId_createdAt_idx" ON "SupplierLedgerEntry"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SupplierPayment_supplierId_createdAt_idx" ON "SupplierPayment"("supplierId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SupplierPayment_shopId_createdAt_idx" ON "SupplierPayment"("shopId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SupplierLedgerEntry" ADD CONSTRAINT "SupplierLedgerEntry_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierLedgerEntry" ADD CONSTRAINT "SupplierLedgerEntry_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierLedgerEntry" ADD CONSTRAINT "SupplierLedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierPayment" ADD CONSTRAINT "SupplierPayment_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierPayment" ADD CONSTRAINT "SupplierPayment_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupplierPayment" ADD CONSTRAINT "SupplierPayment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: purchases received on credit before the payables ledger existed
+INSERT INTO "SupplierLedgerEntry" ("id", "type", "amount", "balanceAfter", "referenceType", "referenceId", "note", "createdAt", "supplierId", "shopId", "userId")
+SELECT
+    gen_random_uuid()::text,
+    'PURCHASE',
+    p."totalAmount",
+    SUM(p."totalAmount") OVER (PARTITION BY p."supplierId" ORDER BY p."receivedAt", p."id"),
+    'Purchase',
+    p."id",
+    p."reference",
+    p."receivedAt",
+    p."supplierId",
+    p."shopId",
+    p."userId"
+FROM "Purchase" p
+WHERE p."paymentStatus" = 'ON_CREDIT' AND p."supplierId" IS NOT NULL AND p."totalAmount" > 0;
+
+UPDATE "Supplier" s
+SET "outstandingDebt" = totals."debt"
+FROM (
+    SELECT "supplierId", SUM("amount")::int AS "debt"
+    FROM "SupplierLedgerEntry"
+    GROUP BY "supplierId"
+) totals
+WHERE s."id" = totals."supplierId";
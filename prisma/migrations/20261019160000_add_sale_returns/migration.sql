@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "SaleType" AS ENUM ('SALE', 'RETURN');
+
+-- AlterEnum
+ALTER TYPE "StockMovementType" ADD VALUE 'RETURN';
+
+-- AlterEnum
+ALTER TYPE "CustomerLedgerEntryType" ADD VALUE 'RETURN';
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN     "originalSaleId" TEXT,
+ADD COLUMN     "type" "SaleType" NOT NULL DEFAULT 'SALE';
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN     "originalItemId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Sale_originalSaleId_idx" ON "Sale"("originalSaleId");
+
+-- CreateIndex
+CREATE INDEX "SaleItem_originalItemId_idx" ON "SaleItem"("originalItemId");
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_originalSaleId_fkey" FOREIGN KEY ("originalSaleId") REFERENCES "Sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleItem" ADD CONSTRAINT "SaleItem_originalItemId_fkey" FOREIGN KEY ("originalItemId") REFERENCES "SaleItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "StocktakeStatus" AS ENUM ('IN_PROGRESS', 'APPROVED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "stocktakeCounter" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Stocktake" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "status" "StocktakeStatus" NOT NULL DEFAULT 'IN_PROGRESS',
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "approvedAt" TIMESTAMP(3),
+    "shopId" TEXT NOT NULL,
+    "categoryId" TEXT,
+    "userId" TEXT,
+    "approvedById" TEXT,
+
+    CONSTRAINT "Stocktake_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StocktakeItem" (
+    "id" TEXT NOT NULL,
+    "expectedStock" INTEGER NOT NULL,
+    "unitCost" INTEGER NOT NULL,
+    "countedQuantity" INTEGER,
+    "countedAt" TIMESTAMP(3),
+    "stocktakeId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "countedById" TEXT,
+
+    CONSTRAINT "StocktakeItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Stocktake_shopId_status_createdAt_idx" ON "Stocktake"("shopId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Stocktake_categoryId_idx" ON "Stocktake"("categoryId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Stocktake_shopId_number_key" ON "Stocktake"("shopId", "number");
+
+-- CreateIndex
+CREATE INDEX "StocktakeItem_productId_idx" ON "StocktakeItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StocktakeItem_stocktakeId_productId_key" ON "StocktakeItem"("stocktakeId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeItem" ADD CONSTRAINT "StocktakeItem_stocktakeId_fkey" FOREIGN KEY ("stocktakeId") REFERENCES "Stocktake"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeItem" ADD CONSTRAINT "StocktakeItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeItem" ADD CONSTRAINT "StocktakeItem_countedById_fkey" FOREIGN KEY ("countedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "receiptFooter" TEXT,
+ADD COLUMN     "receiptHeader" TEXT;
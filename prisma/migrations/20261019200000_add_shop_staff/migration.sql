@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "staffShopId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "User_staffShopId_idx" ON "User"("staffShopId");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_staffShopId_fkey" FOREIGN KEY ("staffShopId") REFERENCES "Shop"("id") ON DELETE SET NULL ON UPDATE CASCADE;
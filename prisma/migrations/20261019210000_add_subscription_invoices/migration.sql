@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "BillingCycle" AS ENUM ('MONTHLY', 'ANNUAL');
+
+-- AlterTable
+ALTER TABLE "Subscription" ADD COLUMN     "billingCycle" "BillingCycle";
+
+-- CreateTable
+CREATE TABLE "SubscriptionInvoice" (
+    "id" TEXT NOT NULL,
+    "plan" "SubscriptionPlan" NOT NULL,
+    "billingCycle" "BillingCycle" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "subscriptionId" TEXT NOT NULL,
+
+    CONSTRAINT "SubscriptionInvoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SubscriptionInvoice_subscriptionId_createdAt_idx" ON "SubscriptionInvoice"("subscriptionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SubscriptionInvoice" ADD CONSTRAINT "SubscriptionInvoice_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE CASCADE ON UPDATE CASCADE;
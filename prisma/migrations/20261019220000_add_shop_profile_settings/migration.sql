@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "CurrencyFormat" AS ENUM ('SPACE_SOM', 'COMMA_SOM', 'SPACE_UZS');
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "address" TEXT,
+ADD COLUMN     "currencyFormat" "CurrencyFormat" NOT NULL DEFAULT 'SPACE_SOM',
+ADD COLUMN     "defaultReorderPoint" INTEGER,
+ADD COLUMN     "defaultUnits" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "phone" TEXT,
+ADD COLUMN     "taxId" TEXT;
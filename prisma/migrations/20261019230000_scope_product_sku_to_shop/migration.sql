@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "Product_sku_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_shopId_sku_key" ON "Product"("shopId", "sku");
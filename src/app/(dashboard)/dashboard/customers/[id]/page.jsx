@@ -0,0 +1,54 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import CustomerDetail from "@/components/features/customers/customer-detail";
+import { getCustomerById } from "@/lib/data/customers";
+
+/**
+ * Server component for the customer detail page.
+ * Verifies the customer belongs to the user's shop before rendering.
+ * @param {{ params: Promise<{ id: string }> }} props
+ */
+export default async function CustomerDetailPage({ params }) {
+  const { id } = await params;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const customer = await getCustomerById(id, session.user.shopId);
+  if (!customer) {
+    notFound();
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">{customer.name}</h2>
+          <p className="text-muted-foreground">
+            Account balance and history.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/dashboard/customers">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            All customers
+          </Link>
+        </Button>
+      </div>
+
+      <CustomerDetail customerId={id} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Customer",
+  description: "Customer account balance and history.",
+};
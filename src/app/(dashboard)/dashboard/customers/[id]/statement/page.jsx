@@ -0,0 +1,53 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import CustomerStatement from "@/components/features/customers/customer-statement";
+import { getCustomerById } from "@/lib/data/customers";
+
+/**
+ * Server component for a customer's printable account statement.
+ * @param {{ params: Promise<{ id: string }> }} props
+ */
+export default async function CustomerStatementPage({ params }) {
+  const { id } = await params;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const customer = await getCustomerById(id, session.user.shopId);
+  if (!customer) {
+    notFound();
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8 print:p-0">
+      <div className="flex items-center justify-between space-y-2 print:hidden">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Statement</h2>
+          <p className="text-muted-foreground">
+            Account activity for {customer.name}.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href={`/dashboard/customers/${id}`}>
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            Back to customer
+          </Link>
+        </Button>
+      </div>
+
+      <CustomerStatement customerId={id} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Customer Statement",
+  description: "Printable customer account statement.",
+};
@@ -0,0 +1,36 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import CustomerList from "@/components/features/customers/customer-list";
+
+/**
+ * Server component for the customers page.
+ */
+export default async function CustomersPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Customers</h2>
+          <p className="text-muted-foreground">
+            Customers and what they owe on account.
+          </p>
+        </div>
+      </div>
+
+      <CustomerList />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Customers",
+  description: "Customers and what they owe on account.",
+};
@@ -1,19 +1,29 @@
 import { auth } from "@/auth";
-import OnboardingComponent from "@/components/features/dashboard/onboarding-component";
+import { hasPermission } from "@/lib/config/permissions-config";
+import DashboardOverview from "@/components/features/dashboard/dashboard-overview";
 
 /**
  * Dashboard Home Page (The Orchestrator)
  *
  * This Server Component handles data fetching and orchestrates the layout.
- * It fetches the user session and passes required data to the OnboardingComponent.
+ * It fetches the user session and passes the user's name and role to the
+ * DashboardOverview, which shows financial KPIs to the shop owner and an
+ * operational view to staff.
  * Follows the "Defense in Depth" security pattern with server-side auth verification.
  *
- * @returns {JSX.Element} Dashboard home page with onboarding flow
+ * @returns {JSX.Element} Dashboard home page
  */
 export default async function DashboardPage() {
   // Fetch session data on the server to determine authentication status
   // This provides the user's information for personalization
   const session = await auth();
 
-  return <OnboardingComponent userName={session?.user?.name} />;
+  return (
+    <div className="space-y-8">
+      <DashboardOverview
+        userName={session?.user?.name}
+        showFinancials={hasPermission(session?.user?.role, "reports:view")}
+      />
+    </div>
+  );
 }
@@ -0,0 +1,48 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { hasPermission } from "@/lib/config/permissions-config";
+import InventoryValuationReport from "@/components/features/reports/inventory-valuation-report";
+
+/**
+ * Server component for the inventory valuation report page.
+ * Shows the stock value to the shop owner; staff see a notice instead.
+ */
+export default async function InventoryValuationPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const canViewReports = hasPermission(session.user.role, "reports:view");
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">
+            Inventory Valuation
+          </h2>
+          <p className="text-muted-foreground">
+            What the stock on your shelves is worth at cost and at retail.
+          </p>
+        </div>
+      </div>
+
+      {canViewReports ? (
+        <InventoryValuationReport />
+      ) : (
+        <p className="text-muted-foreground">
+          Only the shop owner can view reports.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Inventory Valuation",
+  description: "What the stock on your shelves is worth at cost and at retail.",
+};
@@ -0,0 +1,46 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { hasPermission } from "@/lib/config/permissions-config";
+import ProfitAndLossReport from "@/components/features/reports/profit-and-loss-report";
+
+/**
+ * Server component for the reports page.
+ * Shows the profit and loss report to the shop owner; staff see a notice instead.
+ */
+export default async function ReportsPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const canViewReports = hasPermission(session.user.role, "reports:view");
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Profit & Loss</h2>
+          <p className="text-muted-foreground">
+            Sales, returns, cost of goods sold and gross margin for a period.
+          </p>
+        </div>
+      </div>
+
+      {canViewReports ? (
+        <ProfitAndLossReport />
+      ) : (
+        <p className="text-muted-foreground">
+          Only the shop owner can view reports.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Reports",
+  description: "Sales, returns, cost of goods sold and gross margin for a period.",
+};
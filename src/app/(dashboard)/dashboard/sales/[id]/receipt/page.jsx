@@ -0,0 +1,54 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import SaleReceipt from "@/components/features/sales/sale-receipt";
+import { getSaleById } from "@/lib/data/sales";
+
+/**
+ * Server component for a sale's printable receipt.
+ * @param {{ params: Promise<{ id: string }> }} props
+ */
+export default async function SaleReceiptPage({ params }) {
+  const { id } = await params;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const sale = await getSaleById(id, session.user.shopId);
+  if (!sale) {
+    notFound();
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8 print:p-0">
+      <div className="flex items-center justify-between space-y-2 print:hidden">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Receipt</h2>
+          <p className="text-muted-foreground">
+            Reprint the receipt of {sale.type === "RETURN" ? "return" : "sale"} #
+            {sale.number}.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/dashboard/sales">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            Back to sales
+          </Link>
+        </Button>
+      </div>
+
+      <SaleReceipt saleId={id} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Receipt",
+  description: "Printable sale receipt.",
+};
@@ -0,0 +1,36 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import PosScreen from "@/components/features/sales/pos-screen";
+
+/**
+ * Server component for the New Sale (point of sale) page.
+ */
+export default async function NewSalePage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">New Sale</h2>
+          <p className="text-muted-foreground">
+            Search, press Enter to add, and complete the sale without leaving the keyboard.
+          </p>
+        </div>
+      </div>
+
+      <PosScreen />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "New Sale",
+  description: "Ring up a sale at the point of sale.",
+};
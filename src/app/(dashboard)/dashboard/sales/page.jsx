@@ -0,0 +1,37 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import SaleLedger from "@/components/features/sales/sale-ledger";
+
+/**
+ * Server component for the sales ledger page.
+ * Lists every sale and return with filters and a detail view.
+ */
+export default async function SalesPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Sales</h2>
+          <p className="text-muted-foreground">
+            Every sale and return, with customer, staff and payment details.
+          </p>
+        </div>
+      </div>
+
+      <SaleLedger />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Sales",
+  description: "Every sale and return, with customer, staff and payment details.",
+};
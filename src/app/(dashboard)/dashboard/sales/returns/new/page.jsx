@@ -0,0 +1,42 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import SaleReturnForm from "@/components/features/sales/sale-return-form";
+
+/**
+ * Server component for the Return/Exchange page.
+ * An optional `?sale=<number>` query parameter pre-loads that sale.
+ */
+export default async function NewSaleReturnPage({ searchParams }) {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const resolvedSearchParams = await searchParams;
+  const saleNumber = parseInt(resolvedSearchParams?.sale || "", 10);
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Return / Exchange</h2>
+          <p className="text-muted-foreground">
+            Find the original sale, choose what comes back and settle the difference.
+          </p>
+        </div>
+      </div>
+
+      <SaleReturnForm
+        initialSaleNumber={saleNumber > 0 ? saleNumber : undefined}
+      />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Return / Exchange",
+  description: "Process returns and exchanges against past sales.",
+};
@@ -0,0 +1,68 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { CreditCard, UserCog } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { hasPermission } from "@/lib/config/permissions-config";
+import ShopSettingsForm from "@/components/features/settings/shop-settings-form";
+
+/**
+ * Server component for the shop settings page.
+ * Only the shop owner can change the settings; staff see a notice instead.
+ */
+export default async function SettingsPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const role = session.user.role;
+  const canManageShop = hasPermission(role, "shop:manage");
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Settings</h2>
+          <p className="text-muted-foreground">
+            Your business profile, receipts and defaults for new products.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {hasPermission(role, "staff:manage") && (
+            <Button variant="outline" asChild>
+              <Link href="/dashboard/settings/staff">
+                <UserCog className="mr-2 h-4 w-4" />
+                Staff
+              </Link>
+            </Button>
+          )}
+          {hasPermission(role, "subscription:manage") && (
+            <Button variant="outline" asChild>
+              <Link href="/dashboard/settings/subscription">
+                <CreditCard className="mr-2 h-4 w-4" />
+                Subscription
+              </Link>
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {canManageShop ? (
+        <ShopSettingsForm />
+      ) : (
+        <p className="text-muted-foreground">
+          Only the shop owner can change the shop settings.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Settings",
+  description: "Your business profile, receipts and defaults for new products.",
+};
@@ -0,0 +1,46 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { hasPermission } from "@/lib/config/permissions-config";
+import StaffManagement from "@/components/features/staff/staff-management";
+
+/**
+ * Server component for the staff management page.
+ * Only the shop owner can invite and remove staff; staff see a notice instead.
+ */
+export default async function StaffPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const canManageStaff = hasPermission(session.user.role, "staff:manage");
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Staff</h2>
+          <p className="text-muted-foreground">
+            Invite people to work in your shop and manage who has access.
+          </p>
+        </div>
+      </div>
+
+      {canManageStaff ? (
+        <StaffManagement />
+      ) : (
+        <p className="text-muted-foreground">
+          Only the shop owner can manage staff.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Staff",
+  description: "Invite people to work in your shop and manage who has access.",
+};
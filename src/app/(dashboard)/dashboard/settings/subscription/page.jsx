@@ -0,0 +1,49 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { hasPermission } from "@/lib/config/permissions-config";
+import SubscriptionSettings from "@/components/features/subscription/subscription-settings";
+
+/**
+ * Server component for the subscription settings page.
+ * Only the shop owner can change the plan; staff see a notice instead.
+ */
+export default async function SubscriptionPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const canManageSubscription = hasPermission(
+    session.user.role,
+    "subscription:manage"
+  );
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Subscription</h2>
+          <p className="text-muted-foreground">
+            Your plan, its limits and your billing history.
+          </p>
+        </div>
+      </div>
+
+      {canManageSubscription ? (
+        <SubscriptionSettings />
+      ) : (
+        <p className="text-muted-foreground">
+          Only the shop owner can manage the subscription.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Subscription",
+  description: "Your plan, its limits and your billing history.",
+};
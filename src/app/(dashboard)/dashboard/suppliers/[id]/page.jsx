@@ -0,0 +1,54 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import SupplierDetail from "@/components/features/suppliers/supplier-detail";
+import { getSupplierById } from "@/lib/data/suppliers";
+
+/**
+ * Server component for the supplier detail page.
+ * Verifies the supplier belongs to the user's shop before rendering.
+ * @param {{ params: Promise<{ id: string }> }} props
+ */
+export default async function SupplierDetailPage({ params }) {
+  const { id } = await params;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const supplier = await getSupplierById(id, session.user.shopId);
+  if (!supplier) {
+    notFound();
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">{supplier.name}</h2>
+          <p className="text-muted-foreground">
+            What you owe this supplier and why.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/dashboard/suppliers">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            All suppliers
+          </Link>
+        </Button>
+      </div>
+
+      <SupplierDetail supplierId={id} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Supplier",
+  description: "Supplier contact details and payables ledger.",
+};
@@ -0,0 +1,42 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import SupplierTable from "@/components/features/suppliers/supplier-table";
+import SupplierPayablesCard from "@/components/features/suppliers/supplier-payables-card";
+
+/**
+ * Server component for the suppliers page.
+ */
+export default async function SuppliersPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Suppliers</h2>
+          <p className="text-muted-foreground">
+            Suppliers you buy from and what you owe them.
+          </p>
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-[1fr_300px]">
+        <SupplierTable />
+        <div>
+          <SupplierPayablesCard />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Suppliers",
+  description: "Suppliers you buy from and what you owe them.",
+};
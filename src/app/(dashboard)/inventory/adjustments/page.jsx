@@ -0,0 +1,39 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import StockAdjustmentReport from "@/components/features/inventory/stock-adjustment-report";
+
+/**
+ * Server component for the stock adjustments report page.
+ * Shows adjustment totals by reason and the adjustment history for a date range.
+ */
+export default async function StockAdjustmentsPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">
+            Stock Adjustments
+          </h2>
+          <p className="text-muted-foreground">
+            Review stock written off or corrected, grouped by reason.
+          </p>
+        </div>
+      </div>
+
+      <StockAdjustmentReport />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Stock Adjustments",
+  description: "Review stock written off or corrected, grouped by reason.",
+};
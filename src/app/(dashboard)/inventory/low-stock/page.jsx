@@ -0,0 +1,37 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import LowStockReport from "@/components/features/inventory/low-stock-report";
+
+/**
+ * Server component for the low stock report page.
+ * Lists products at or below their reorder point.
+ */
+export default async function LowStockPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Low Stock</h2>
+          <p className="text-muted-foreground">
+            Products at or below their reorder point.
+          </p>
+        </div>
+      </div>
+
+      <LowStockReport />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Low Stock",
+  description: "Products at or below their reorder point.",
+};
@@ -0,0 +1,49 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { hasPermission } from "@/lib/config/permissions-config";
+import ProductImportWizard from "@/components/features/products/import/product-import-wizard";
+import PlanUsageNotice from "@/components/features/subscription/plan-usage-notice";
+
+/**
+ * Server component for the product import page.
+ * Only the shop owner can import products; staff see a notice instead.
+ */
+export default async function ProductImportPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const canImport = hasPermission(session.user.role, "products:import");
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Import Products</h2>
+          <p className="text-muted-foreground">
+            Add or update many products at once from a CSV or Excel file.
+          </p>
+        </div>
+      </div>
+
+      <PlanUsageNotice resource="products" />
+
+      {canImport ? (
+        <ProductImportWizard />
+      ) : (
+        <p className="text-muted-foreground">
+          Only the shop owner can import products.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Import Products",
+  description: "Add or update many products at once from a CSV or Excel file.",
+};
@@ -1,6 +1,7 @@
 // src/app/(dashboard)/inventory/products/new/page.jsx
 
 import ProductCreationCockpit from "@/components/features/products/creation/product-creation-cockpit";
+import PlanUsageNotice from "@/components/features/subscription/plan-usage-notice";
 
 /**
  * Server Component page for bulk-adding products.
@@ -20,6 +21,8 @@ export default function ProductCockpitPage() {
         </p>
       </div>
 
+      <PlanUsageNotice resource="products" />
+
       {/* The interactive part of the page is now isolated in this Client Component */}
       <ProductCreationCockpit />
     </div>
@@ -1,7 +1,12 @@
+import Link from "next/link";
 import { auth } from "@/auth";
 import { redirect } from "next/navigation";
+import { FileUp } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { hasPermission } from "@/lib/config/permissions-config";
 import { cachedProductQueries } from "@/lib/cache/react-cache";
 import ProductDisplayList from "@/components/features/products/display/product-display-list";
+import PlanUsageNotice from "@/components/features/subscription/plan-usage-notice";
 
 /**
  * Server component for the products listing page.
@@ -75,8 +80,18 @@ export default async function ProductsPage({ searchParams }) {
             Manage your product inventory and pricing.
           </p>
         </div>
+        {hasPermission(session.user.role, "products:import") && (
+          <Button variant="outline" asChild>
+            <Link href="/inventory/products/import">
+              <FileUp className="mr-2 h-4 w-4" />
+              Import
+            </Link>
+          </Button>
+        )}
       </div>
 
+      <PlanUsageNotice resource="products" />
+
       {error ? (
         <div className="flex h-[450px] items-center justify-center">
           <div className="text-center">
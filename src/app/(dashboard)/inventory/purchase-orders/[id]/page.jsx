@@ -0,0 +1,56 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import PurchaseOrderDetail from "@/components/features/purchases/purchase-order-detail";
+import { getPurchaseOrderById } from "@/lib/data/purchase-orders";
+
+/**
+ * Server component for the purchase order detail page.
+ * Verifies the order belongs to the user's shop before rendering.
+ * @param {{ params: Promise<{ id: string }> }} props
+ */
+export default async function PurchaseOrderDetailPage({ params }) {
+  const { id } = await params;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const purchaseOrder = await getPurchaseOrderById(id, session.user.shopId);
+  if (!purchaseOrder) {
+    notFound();
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">
+            Purchase Order #{purchaseOrder.number}
+          </h2>
+          <p className="text-muted-foreground">
+            Order for {purchaseOrder.supplier.name}.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/inventory/purchase-orders">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            All purchase orders
+          </Link>
+        </Button>
+      </div>
+
+      <PurchaseOrderDetail purchaseOrderId={id} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Purchase Order",
+  description: "Purchase order lines and delivery status.",
+};
@@ -0,0 +1,37 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import PurchaseOrderList from "@/components/features/purchases/purchase-order-list";
+
+/**
+ * Server component for the purchase orders page.
+ * Lists draft, ordered, received and cancelled purchase orders.
+ */
+export default async function PurchaseOrdersPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Purchase Orders</h2>
+          <p className="text-muted-foreground">
+            Orders placed with suppliers and what was actually delivered.
+          </p>
+        </div>
+      </div>
+
+      <PurchaseOrderList />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Purchase Orders",
+  description: "Orders placed with suppliers and what was actually delivered.",
+};
@@ -0,0 +1,45 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { PackagePlus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import PurchaseLedger from "@/components/features/purchases/purchase-ledger";
+
+/**
+ * Server component for the purchase ledger page.
+ */
+export default async function PurchasesPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Purchases</h2>
+          <p className="text-muted-foreground">
+            Every stock receipt, with supplier and payment status.
+          </p>
+        </div>
+        <Button asChild>
+          <Link href="/inventory/receive">
+            <PackagePlus className="mr-2 h-4 w-4" />
+            Receive Stock
+          </Link>
+        </Button>
+      </div>
+
+      <PurchaseLedger />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Purchases",
+  description: "Every stock receipt, with supplier and payment status.",
+};
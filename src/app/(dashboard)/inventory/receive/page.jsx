@@ -0,0 +1,40 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import ReceiveStockForm from "@/components/features/purchases/receive-stock-form";
+
+/**
+ * Server component for the Receive Stock page.
+ * Records goods arriving from a supplier as a purchase.
+ * An `order` search parameter receives that purchase order.
+ * @param {{ searchParams: Promise<{ order?: string }> }} props
+ */
+export default async function ReceiveStockPage({ searchParams }) {
+  const { order } = await searchParams;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Receive Stock</h2>
+          <p className="text-muted-foreground">
+            Record goods arriving from a supplier and update stock levels.
+          </p>
+        </div>
+      </div>
+
+      <ReceiveStockForm purchaseOrderId={order} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Receive Stock",
+  description: "Record goods arriving from a supplier and update stock levels.",
+};
@@ -0,0 +1,46 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { ScrollText } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import ReorderSuggestions from "@/components/features/purchases/reorder-suggestions";
+
+/**
+ * Server component for the reorder suggestions page.
+ * Proposes what to order from each supplier and turns it into draft purchase orders.
+ */
+export default async function ReorderPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Reorder</h2>
+          <p className="text-muted-foreground">
+            Suggested quantities to order from each supplier.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/inventory/purchase-orders">
+            <ScrollText className="mr-2 h-4 w-4" />
+            Purchase orders
+          </Link>
+        </Button>
+      </div>
+
+      <ReorderSuggestions />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Reorder",
+  description: "Suggested quantities to order from each supplier.",
+};
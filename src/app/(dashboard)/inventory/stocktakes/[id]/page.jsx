@@ -0,0 +1,56 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import StocktakeSession from "@/components/features/inventory/stocktake-session";
+import { getStocktakeById } from "@/lib/data/stocktakes";
+
+/**
+ * Server component for a stocktake session.
+ * Verifies the stocktake belongs to the user's shop before rendering.
+ * @param {{ params: Promise<{ id: string }> }} props
+ */
+export default async function StocktakePage({ params }) {
+  const { id } = await params;
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  const stocktake = await getStocktakeById(id, session.user.shopId);
+  if (!stocktake) {
+    notFound();
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-6 p-4 md:space-y-8 md:p-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">
+            Stocktake #{stocktake.number}
+          </h2>
+          <p className="text-muted-foreground">
+            Enter what you count; every count is saved as you go.
+          </p>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/inventory/stocktakes">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            All stocktakes
+          </Link>
+        </Button>
+      </div>
+
+      <StocktakeSession stocktakeId={id} />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Stocktake",
+  description: "Count stock and review variances.",
+};
@@ -0,0 +1,37 @@
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import StocktakeList from "@/components/features/inventory/stocktake-list";
+
+/**
+ * Server component for the stocktakes page.
+ * Lists physical count sessions and starts new ones.
+ */
+export default async function StocktakesPage() {
+  const session = await auth();
+  if (!session?.user?.id) {
+    redirect("/auth/login");
+  }
+
+  return (
+    <div className="flex flex-1 flex-col space-y-8 p-8">
+      <div className="flex items-center justify-between space-y-2">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tight">Stocktakes</h2>
+          <p className="text-muted-foreground">
+            Count what is on the shelf and correct stock levels.
+          </p>
+        </div>
+      </div>
+
+      <StocktakeList />
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Stocktakes",
+  description: "Count what is on the shelf and correct stock levels.",
+};
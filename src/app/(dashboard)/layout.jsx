@@ -4,6 +4,10 @@ import { cookies } from "next/headers";
 import { SidebarProvider, SidebarInset } from "@/components/ui/sidebar";
 import { AppSidebar } from "@/components/layout/app-sidebar";
 import { TopBar } from "@/components/layout/topbar";
+import NoShopAccess from "@/components/features/auth/no-shop-access";
+import ReadOnlyBanner from "@/components/features/subscription/read-only-banner";
+import { hasPermission } from "@/lib/config/permissions-config";
+import { isSubscriptionReadOnly } from "@/lib/config/subscription-config";
 
 /**
  * Dashboard Layout Component for Authenticated Routes
@@ -26,6 +30,11 @@ export default async function DashboardLayout({ children }) {
     redirect("/");
   }
 
+  // Staff removed from their shop are still signed in but have no shop
+  if (!session.user.shopId) {
+    return <NoShopAccess />;
+  }
+
   // Read sidebar state from cookies for persistence
   const cookieStore = await cookies();
   const defaultOpen = cookieStore.get("sidebar_state")?.value === "true";
@@ -39,7 +48,18 @@ export default async function DashboardLayout({ children }) {
 
         {/* Page content with proper spacing */}
         <main className="flex-1 overflow-auto">
-          <div className="p-6">{children}</div>
+          <div className="p-6">
+            {/* Expired subscriptions leave the shop read-only */}
+            {isSubscriptionReadOnly(session.user.subscriptionStatus) && (
+              <ReadOnlyBanner
+                canManageSubscription={hasPermission(
+                  session.user.role,
+                  "subscription:manage"
+                )}
+              />
+            )}
+            {children}
+          </div>
         </main>
       </SidebarInset>
     </SidebarProvider>
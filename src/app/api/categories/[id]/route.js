@@ -1,7 +1,7 @@
 // src/app/api/categories/[id]/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { categoryCreateSchema } from "@/lib/zod-schemas";
 import { updateCategory, deleteCategory } from "@/lib/data/categories";
 import prisma from "@/lib/prisma";
@@ -15,21 +15,10 @@ import prisma from "@/lib/prisma";
  */
 export async function PUT(request, { params }) {
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
+    const { session, response } = await authorize("categories:manage");
+    if (response) return response;
 
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
     const { id: categoryId } = await params; // <-- Await params here
     if (!categoryId) {
@@ -43,7 +32,7 @@ export async function PUT(request, { params }) {
     const existingCategory = await prisma.category.findFirst({
       where: {
         id: categoryId,
-        shopId: shop.id,
+        shopId: shopId,
       },
     });
 
@@ -60,7 +49,7 @@ export async function PUT(request, { params }) {
     const updatedCategory = await updateCategory(
       categoryId,
       validatedData,
-      shop.id
+      shopId
     );
 
     return NextResponse.json(updatedCategory);
@@ -107,21 +96,10 @@ export async function PUT(request, { params }) {
  */
 export async function DELETE(request, { params }) {
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
+    const { session, response } = await authorize("categories:manage");
+    if (response) return response;
 
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
     const { id: categoryId } = await params; // <-- Await params here
     if (!categoryId) {
@@ -135,7 +113,7 @@ export async function DELETE(request, { params }) {
     const existingCategory = await prisma.category.findFirst({
       where: {
         id: categoryId,
-        shopId: shop.id,
+        shopId: shopId,
       },
     });
 
@@ -150,7 +128,7 @@ export async function DELETE(request, { params }) {
     const productsUsingCategory = await prisma.product.count({
       where: {
         categoryId: categoryId,
-        shopId: shop.id,
+        shopId: shopId,
       },
     });
 
@@ -167,7 +145,7 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    const deletedCategory = await deleteCategory(categoryId, shop.id);
+    const deletedCategory = await deleteCategory(categoryId, shopId);
 
     return NextResponse.json(
       { message: "Category deleted successfully", category: deletedCategory },
@@ -1,7 +1,7 @@
 // src/app/api/categories/[id]/usage/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { checkCategoryUsage } from "@/lib/data/categories";
 import prisma from "@/lib/prisma";
 
@@ -15,21 +15,10 @@ import prisma from "@/lib/prisma";
  */
 export async function GET(request, { params }) {
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
+    const { session, response } = await authorize("categories:view");
+    if (response) return response;
 
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
     const categoryId = params.id;
     if (!categoryId) {
@@ -43,7 +32,7 @@ export async function GET(request, { params }) {
     const existingCategory = await prisma.category.findFirst({
       where: {
         id: categoryId,
-        shopId: shop.id,
+        shopId: shopId,
       },
     });
 
@@ -55,7 +44,7 @@ export async function GET(request, { params }) {
     }
 
     // Get usage information
-    const usageInfo = await checkCategoryUsage(categoryId, shop.id);
+    const usageInfo = await checkCategoryUsage(categoryId, shopId);
 
     return NextResponse.json(usageInfo);
   } catch (error) {
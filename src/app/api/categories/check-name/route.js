@@ -1,7 +1,7 @@
 // src/app/api/categories/check-name/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { isCategoryNameTaken } from "@/lib/data/categories";
 
 /**
@@ -11,11 +11,8 @@ import { isCategoryNameTaken } from "@/lib/data/categories";
  */
 export async function GET(request) {
   try {
-    const session = await auth();
-
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("categories:view");
+    if (response) return response;
 
     const { searchParams } = new URL(request.url);
     const rawName = searchParams.get("name");
@@ -25,24 +22,12 @@ export async function GET(request) {
       return NextResponse.json({ exists: false });
     }
 
-    // Find the shop for the user
-    const shopId = await (async () => {
-      const prisma = (await import("@/lib/prisma")).default;
-      const shop = await prisma.shop.findUnique({
-        where: { ownerId: session.user.id },
-      });
-      return shop?.id || null;
-    })();
-
-    if (!shopId) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
-
     // Pass excludeId to data layer
-    const exists = await isCategoryNameTaken(shopId, rawName, excludeId);
+    const exists = await isCategoryNameTaken(
+      session.user.shopId,
+      rawName,
+      excludeId
+    );
 
     return NextResponse.json({ exists });
   } catch (error) {
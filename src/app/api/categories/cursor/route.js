@@ -1,10 +1,9 @@
 // src/app/api/categories/cursor/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { getCategoriesByShopIdCursor } from "@/lib/data/categories";
 import { fuzzySearchCategories } from "@/lib/data/categories-search";
-import prisma from "@/lib/prisma";
 
 /**
  * Handles GET requests to fetch categories with cursor-based pagination for the authenticated user's shop.
@@ -13,22 +12,10 @@ import prisma from "@/lib/prisma";
  */
 export async function GET(request) {
   try {
-    const session = await auth();
+    const { session, response } = await authorize("categories:view");
+    if (response) return response;
 
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
-
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
     const { searchParams } = new URL(request.url);
     
@@ -52,7 +39,7 @@ export async function GET(request) {
 
     if (search) {
       // Use fuzzy search for categories when search is provided
-      const results = await fuzzySearchCategories(search, shop.id, limit);
+      const results = await fuzzySearchCategories(search, shopId, limit);
       paginatedData = {
         categories: results,
         nextCursor: null,
@@ -62,7 +49,7 @@ export async function GET(request) {
         totalCategories: results.length
       };
     } else {
-      paginatedData = await getCategoriesByShopIdCursor(shop.id, {
+      paginatedData = await getCategoriesByShopIdCursor(shopId, {
         cursor,
         direction,
         limit,
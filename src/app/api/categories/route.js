@@ -1,13 +1,12 @@
 // src/app/api/categories/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { categoryCreateSchema } from "@/lib/zod-schemas";
 import {
   getAllCategoriesByShopId,
   createCategory,
 } from "@/lib/data/categories";
-import prisma from "@/lib/prisma";
 
 /**
  * Handles GET requests to fetch all categories for the authenticated user's shop.
@@ -16,25 +15,11 @@ import prisma from "@/lib/prisma";
  */
 export async function GET(request) {
   try {
-    const session = await auth();
-
-    if (!session?.user?.shopId) {
-      return NextResponse.json({ error: "User has no shop" }, { status: 403 });
-    }
-
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("categories:view");
+    if (response) return response;
 
     const shopId = session.user.shopId;
 
-    if (!shopId) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
-
     const categories = await getAllCategoriesByShopId(shopId);
 
     return NextResponse.json(categories);
@@ -54,26 +39,15 @@ export async function GET(request) {
  */
 export async function POST(request) {
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("categories:manage");
+    if (response) return response;
 
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
-
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
     const requestBody = await request.json();
     const validatedData = categoryCreateSchema.parse(requestBody);
 
-    const newCategory = await createCategory(validatedData, shop.id);
+    const newCategory = await createCategory(validatedData, shopId);
 
     // Return the newly created category object to support optimistic UI updates on the client.
     return NextResponse.json(newCategory, { status: 201 });
@@ -0,0 +1,62 @@
+// src/app/api/customers/[id]/ledger/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getCustomerById } from "@/lib/data/customers";
+import { getCustomerLedgerCursor } from "@/lib/data/customer-ledger";
+
+/**
+ * Handles GET requests to fetch the receivables ledger of a customer.
+ * Entries are returned newest first using cursor-based pagination.
+ *
+ * Query Parameters:
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("customers:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    // Verify the customer exists and belongs to the user's shop
+    const customer = await getCustomerById(id, session.user.shopId);
+    if (!customer) {
+      return NextResponse.json({ error: "Customer not found" }, { status: 404 });
+    }
+
+    const ledger = await getCustomerLedgerCursor(id, session.user.shopId, {
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(ledger);
+  } catch (error) {
+    console.error("GET /api/customers/[id]/ledger Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
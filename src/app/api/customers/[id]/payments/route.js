@@ -0,0 +1,55 @@
+// src/app/api/customers/[id]/payments/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { customerPaymentSchema } from "@/lib/zod-schemas";
+import { recordCustomerPayment } from "@/lib/services/customer-ledger-service";
+
+/**
+ * Handles POST requests to record a payment against a customer's balance.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("customers:recordPayment");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = customerPaymentSchema.parse(requestBody);
+
+    const payment = await recordCustomerPayment(
+      validatedData,
+      id,
+      session.user.shopId,
+      session.user.id
+    );
+
+    return NextResponse.json(payment, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message?.includes("Invalid customer")) {
+      return NextResponse.json({ error: "Customer not found" }, { status: 404 });
+    }
+
+    // Handle payments larger than what the customer owes
+    if (error.message?.includes("exceeds outstanding balance")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("POST /api/customers/[id]/payments Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
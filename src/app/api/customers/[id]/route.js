@@ -0,0 +1,32 @@
+// src/app/api/customers/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getCustomerById } from "@/lib/data/customers";
+
+/**
+ * Handles GET requests to fetch a single customer with their current balance.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("customers:view");
+    if (response) return response;
+
+    const customer = await getCustomerById(id, session.user.shopId);
+    if (!customer) {
+      return NextResponse.json({ error: "Customer not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(customer);
+  } catch (error) {
+    console.error("GET /api/customers/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
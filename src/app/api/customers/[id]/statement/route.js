@@ -0,0 +1,59 @@
+// src/app/api/customers/[id]/statement/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { dateRangeQuerySchema } from "@/lib/zod-schemas";
+import { getCustomerById } from "@/lib/data/customers";
+import { getCustomerStatement } from "@/lib/services/customer-ledger-service";
+
+/**
+ * Handles GET requests to build a customer's account statement.
+ *
+ * Query Parameters:
+ * - from: string (optional) - Inclusive start date (YYYY-MM-DD)
+ * - to: string (optional) - Inclusive end date (YYYY-MM-DD)
+ *
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("customers:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const dateRange = dateRangeQuerySchema.parse({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    // Verify the customer exists and belongs to the user's shop
+    const customer = await getCustomerById(id, session.user.shopId);
+    if (!customer) {
+      return NextResponse.json({ error: "Customer not found" }, { status: 404 });
+    }
+
+    const statement = await getCustomerStatement(
+      id,
+      session.user.shopId,
+      dateRange
+    );
+
+    return NextResponse.json({ customer, ...statement });
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/customers/[id]/statement Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,82 @@
+// src/app/api/customers/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { customerCreateSchema } from "@/lib/zod-schemas";
+import { createCustomer, searchCustomers } from "@/lib/data/customers";
+
+/**
+ * Handles GET requests to search the authenticated user's customers.
+ *
+ * Query Parameters:
+ * - search: string (optional) - Matches name or phone
+ * - withBalance: 'true' (optional) - Only customers with a non-zero balance
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("customers:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const search = searchParams.get("search") || "";
+    const withBalance = searchParams.get("withBalance") === "true";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+
+    const customers = await searchCustomers(session.user.shopId, {
+      search,
+      withBalance,
+      limit,
+    });
+
+    return NextResponse.json({ customers });
+  } catch (error) {
+    console.error("GET /api/customers Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a new customer for the authenticated user's shop.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("customers:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = customerCreateSchema.parse(requestBody);
+
+    const newCustomer = await createCustomer(
+      validatedData,
+      session.user.shopId
+    );
+
+    return NextResponse.json(newCustomer, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("POST /api/customers Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
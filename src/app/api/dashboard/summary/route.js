@@ -0,0 +1,31 @@
+// src/app/api/dashboard/summary/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { hasPermission } from "@/lib/config/permissions-config";
+import { getDashboardSummary } from "@/lib/services/dashboard-service";
+
+/**
+ * Handles GET requests for the dashboard figures. Users who can view reports
+ * get the financial KPIs; others get today's activity and the onboarding
+ * progress only.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("dashboard:view");
+    if (response) return response;
+
+    const summary = await getDashboardSummary(session.user.shopId, {
+      includeFinancials: hasPermission(session.user.role, "reports:view"),
+    });
+
+    return NextResponse.json(summary);
+  } catch (error) {
+    console.error("GET /api/dashboard/summary Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
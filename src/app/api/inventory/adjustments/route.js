@@ -0,0 +1,141 @@
+// src/app/api/inventory/adjustments/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import {
+  dateRangeQuerySchema,
+  stockAdjustmentSchema,
+} from "@/lib/zod-schemas";
+import { getStockAdjustmentsCursor } from "@/lib/data/stock-movements";
+import { adjustStock } from "@/lib/services/stock-service";
+import { stockAdjustmentReasons } from "@/lib/config/inventory-config";
+import { toDateRangeFilter } from "@/lib/utils";
+
+const ADJUSTMENT_REASONS = stockAdjustmentReasons.map((option) => option.value);
+
+/**
+ * Handles GET requests to list manual stock adjustments for the authenticated user's shop.
+ *
+ * Query Parameters:
+ * - from: string (optional) - Inclusive start date (YYYY-MM-DD)
+ * - to: string (optional) - Inclusive end date (YYYY-MM-DD)
+ * - reason: StockAdjustmentReason (optional)
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("stock:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+    const reason = searchParams.get("reason") || undefined;
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    if (reason && !ADJUSTMENT_REASONS.includes(reason)) {
+      return NextResponse.json(
+        {
+          error: `Invalid reason. Must be one of: ${ADJUSTMENT_REASONS.join(
+            ", "
+          )}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const dateRange = dateRangeQuerySchema.parse({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    const paginatedData = await getStockAdjustmentsCursor(
+      session.user.shopId,
+      {
+        createdAt: toDateRangeFilter(dateRange),
+        reason,
+        cursor,
+        direction,
+        limit,
+      }
+    );
+
+    return NextResponse.json(paginatedData);
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/inventory/adjustments Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to record a manual stock adjustment.
+ * Only shop owners may adjust stock; every adjustment requires a reason.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("stock:adjust");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = stockAdjustmentSchema.parse(requestBody);
+
+    const movement = await adjustStock({
+      ...validatedData,
+      shopId: session.user.shopId,
+      userId: session.user.id,
+    });
+
+    return NextResponse.json(movement, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    // Handle adjustments that would take stock below zero
+    if (error.message?.includes("Insufficient stock")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    // Handle Prisma "Record not found" errors (product not in this shop)
+    if (error.code === "P2025") {
+      return NextResponse.json({ error: "Product not found" }, { status: 404 });
+    }
+
+    console.error("POST /api/inventory/adjustments Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,50 @@
+// src/app/api/inventory/adjustments/summary/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { dateRangeQuerySchema } from "@/lib/zod-schemas";
+import { getStockAdjustmentSummary } from "@/lib/data/stock-movements";
+import { toDateRangeFilter } from "@/lib/utils";
+
+/**
+ * Handles GET requests to summarize manual stock adjustments by reason.
+ *
+ * Query Parameters:
+ * - from: string (optional) - Inclusive start date (YYYY-MM-DD)
+ * - to: string (optional) - Inclusive end date (YYYY-MM-DD)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("stock:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const dateRange = dateRangeQuerySchema.parse({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    const reasons = await getStockAdjustmentSummary(
+      session.user.shopId,
+      toDateRangeFilter(dateRange)
+    );
+
+    return NextResponse.json({ reasons });
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/inventory/adjustments/summary Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
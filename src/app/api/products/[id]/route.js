@@ -1,13 +1,13 @@
 // src/app/api/products/[id]/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { productCreateSchema, productUpdateSchema } from "@/lib/zod-schemas";
-import { updateProduct } from "@/lib/data/products";
-import prisma from "@/lib/prisma";
+import { deleteProduct, updateProduct } from "@/lib/data/products";
 
 /**
  * Handles DELETE requests to remove a product for the authenticated user's shop.
+ * Products with sales, purchases or stock adjustments cannot be deleted.
  * @param {Request} request
  * @param {{ params: { id: string } }} context
  * @returns {Promise<NextResponse>}
@@ -15,34 +15,35 @@ import prisma from "@/lib/prisma";
 export async function DELETE(request, { params }) {
   const { id } = await params;
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
+    const { session, response } = await authorize("products:delete");
+    if (response) return response;
 
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
-    const deletedProduct = await prisma.product.delete({
-      where: { id },
-    });
+    const deletedProduct = await deleteProduct(id, shopId);
 
     return NextResponse.json(deletedProduct, { status: 200 });
   } catch (error) {
+    // Handle products with transaction history
+    if (error.message?.includes("Cannot delete product")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
     // Handle Prisma record not found (P2025)
     if (error.code === "P2025") {
       return NextResponse.json({ error: "Product not found" }, { status: 404 });
     }
 
-    // TODO: Handle foreign key constraints, if applicable
+    // Handle foreign key constraint violations (P2003), e.g. a sale recorded concurrently
+    if (error.code === "P2003") {
+      return NextResponse.json(
+        {
+          error:
+            "Cannot delete product with transaction history. Deactivate it instead.",
+        },
+        { status: 409 }
+      );
+    }
 
     console.error("DELETE /api/products/[id] Error:", error);
     return NextResponse.json(
@@ -61,26 +62,15 @@ export async function DELETE(request, { params }) {
 export async function PUT(request, { params }) {
   const { id } = await params;
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const shop = await prisma.shop.findUnique({
-      where: { ownerId: session.user.id },
-    });
+    const { session, response } = await authorize("products:update");
+    if (response) return response;
 
-    if (!shop) {
-      return NextResponse.json(
-        { error: "Shop not found for user" },
-        { status: 404 }
-      );
-    }
+    const shopId = session.user.shopId;
 
     const requestBody = await request.json();
     const validatedData = productUpdateSchema.parse(requestBody);
 
-    const updatedProduct = await updateProduct(id, validatedData, shop.id);
+    const updatedProduct = await updateProduct(id, validatedData, shopId);
 
     return NextResponse.json(updatedProduct, { status: 200 });
   } catch (error) {
@@ -99,6 +89,12 @@ export async function PUT(request, { params }) {
         { status: 409 }
       );
     }
+    if (error.code === "P2002" && error.meta?.target?.includes("sku")) {
+      return NextResponse.json(
+        { error: "A product with this SKU already exists." },
+        { status: 409 }
+      );
+    }
 
     // Handle Prisma record not found (P2025)
     if (error.code === "P2025") {
@@ -0,0 +1,70 @@
+// src/app/api/products/[id]/stock-movements/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getProductById } from "@/lib/data/products";
+import { getStockMovementsByProductIdCursor } from "@/lib/data/stock-movements";
+
+/**
+ * Handles GET requests to fetch the stock movement history of a product.
+ * Movements are returned newest first using cursor-based pagination.
+ *
+ * Query Parameters:
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("stock:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    // Verify the product exists and belongs to the user's shop
+    const product = await getProductById(id, session.user.shopId);
+    if (!product) {
+      return NextResponse.json({ error: "Product not found" }, { status: 404 });
+    }
+
+    const history = await getStockMovementsByProductIdCursor(
+      id,
+      session.user.shopId,
+      { cursor, direction, limit }
+    );
+
+    return NextResponse.json({
+      product: {
+        id: product.id,
+        name: product.name,
+        stock: product.stock,
+        unit: product.unit,
+      },
+      ...history,
+    });
+  } catch (error) {
+    console.error("GET /api/products/[id]/stock-movements Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
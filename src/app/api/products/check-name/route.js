@@ -1,5 +1,5 @@
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { isProductNameTaken } from "@/lib/data/products";
 
 /**
@@ -9,11 +9,8 @@ import { isProductNameTaken } from "@/lib/data/products";
  */
 export async function GET(request) {
   try {
-    const session = await auth();
-
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("products:view");
+    if (response) return response;
 
     const { searchParams } = new URL(request.url);
     const rawName = searchParams.get("name");
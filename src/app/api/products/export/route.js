@@ -0,0 +1,65 @@
+// src/app/api/products/export/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { productExportQuerySchema } from "@/lib/zod-schemas";
+import { exportProducts } from "@/lib/services/product-export-service";
+
+/**
+ * Handles GET requests to download the product catalog. The file is
+ * streamed while products are read, so large catalogs do not time out.
+ * Exports include cost prices, so only roles that may export products can
+ * download them.
+ *
+ * Query Parameters:
+ * - format: "csv" | "xlsx" | "json" (default: "csv")
+ * - columns: string (optional) - Comma-separated product table column IDs, in order; all when omitted
+ * - ids: string (optional) - Comma-separated IDs of the selected products; exports every matching product when omitted
+ * - sortBy: string (optional)
+ * - sortOrder: 'asc' | 'desc' (optional)
+ * - nameFilter: string (optional)
+ * - categoryFilter: string (optional)
+ * - unitFilter: string (optional)
+ * - dateRangeFilter: string (optional)
+ * - statusFilter: 'active' | 'inactive' (optional, all products when omitted)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("products:export");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const query = productExportQuerySchema.parse(
+      Object.fromEntries(searchParams.entries())
+    );
+
+    const { body, contentType, fileName } = exportProducts(
+      session.user.shopId,
+      query
+    );
+
+    return new NextResponse(body, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/products/export Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
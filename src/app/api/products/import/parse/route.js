@@ -0,0 +1,60 @@
+// src/app/api/products/import/parse/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import {
+  INVALID_IMPORT_FILE,
+  readProductImportFile,
+} from "@/lib/services/product-import-service";
+import { MAX_IMPORT_FILE_SIZE } from "@/lib/config/product-import-config";
+
+/**
+ * Handles POST requests to read an uploaded CSV or XLSX file for the product
+ * import. Nothing is saved; the rows are returned for column mapping.
+ *
+ * Form Data:
+ * - file: File - The .csv or .xlsx file
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { response } = await authorize("products:import");
+    if (response) return response;
+
+    const formData = await request.formData();
+    const file = formData.get("file");
+    if (!file || typeof file === "string") {
+      return NextResponse.json(
+        { error: "Choose a file to import." },
+        { status: 400 }
+      );
+    }
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      return NextResponse.json(
+        {
+          error: `The file is too large. The limit is ${
+            MAX_IMPORT_FILE_SIZE / 1024 / 1024
+          } MB.`,
+        },
+        { status: 413 }
+      );
+    }
+
+    const buffer = Buffer.from(await file.arrayBuffer());
+    const parsed = await readProductImportFile(file.name, buffer);
+
+    return NextResponse.json({ fileName: file.name, ...parsed });
+  } catch (error) {
+    if (error.code === INVALID_IMPORT_FILE) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error("POST /api/products/import/parse Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
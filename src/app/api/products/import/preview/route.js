@@ -0,0 +1,50 @@
+// src/app/api/products/import/preview/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { productImportSchema } from "@/lib/zod-schemas";
+import { prepareProductImport } from "@/lib/services/product-import-service";
+
+/**
+ * Handles POST requests to validate a product import without saving it.
+ * Returns the outcome of every row and a summary.
+ *
+ * Request Body:
+ * - mode: "CREATE_ONLY" | "UPSERT"
+ * - mapping: Record<string, number> - Column index per product field
+ * - rows: string[][] - The data rows of the file
+ * - firstRowNumber: number (optional) - Spreadsheet row number of the first data row
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("products:import");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = productImportSchema.parse(requestBody);
+
+    const preview = await prepareProductImport(
+      session.user.shopId,
+      validatedData
+    );
+
+    return NextResponse.json(preview);
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("POST /api/products/import/preview Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
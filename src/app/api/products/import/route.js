@@ -0,0 +1,65 @@
+// src/app/api/products/import/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { productImportSchema } from "@/lib/zod-schemas";
+import { importProducts } from "@/lib/services/product-import-service";
+import { UPGRADE_REQUIRED } from "@/lib/services/plan-limits-service";
+
+/**
+ * Handles POST requests to import products from a mapped CSV or XLSX file.
+ * Valid rows are saved in batches; rows with errors are skipped. Missing
+ * categories are created.
+ *
+ * Request Body: as for POST /api/products/import/preview
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("products:import");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = productImportSchema.parse(requestBody);
+
+    const result = await importProducts(
+      session.user.shopId,
+      session.user.id,
+      validatedData
+    );
+
+    return NextResponse.json(result);
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    // Handle plan limit errors
+    if (error.code === UPGRADE_REQUIRED) {
+      return NextResponse.json(
+        { error: error.message, code: error.code, ...error.details },
+        { status: 402 }
+      );
+    }
+
+    // Handle a category created by someone else during the import
+    if (error.code === "P2002") {
+      return NextResponse.json(
+        { error: "A category was added during the import. Please try again." },
+        { status: 409 }
+      );
+    }
+
+    console.error("POST /api/products/import Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
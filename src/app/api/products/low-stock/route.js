@@ -0,0 +1,44 @@
+// src/app/api/products/low-stock/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getLowStockProducts } from "@/lib/data/products";
+
+/**
+ * Handles GET requests to list active products at or below their reorder point.
+ *
+ * Query Parameters:
+ * - limit: number (optional) - Maximum number of products to return, largest shortfall first
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("products:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const limitParam = searchParams.get("limit");
+    const limit = limitParam ? parseInt(limitParam, 10) : undefined;
+
+    if (limit !== undefined && (Number.isNaN(limit) || limit < 1)) {
+      return NextResponse.json(
+        { error: "Invalid limit. Must be a positive number" },
+        { status: 400 }
+      );
+    }
+
+    const lowStock = await getLowStockProducts(session.user.shopId, {
+      limit: limit && Math.min(limit, 100),
+    });
+
+    return NextResponse.json(lowStock);
+  } catch (error) {
+    console.error("GET /api/products/low-stock Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
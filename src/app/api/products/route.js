@@ -1,10 +1,11 @@
 // src/app/api/products/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import { productCreateSchema } from "@/lib/zod-schemas";
-import { createProduct, getProductsByShopIdCursor } from "@/lib/data/products";
-import prisma from "@/lib/prisma";
+import { getProductsByShopIdCursor } from "@/lib/data/products";
+import { createProductWithInitialStock } from "@/lib/services/stock-service";
+import { UPGRADE_REQUIRED } from "@/lib/services/plan-limits-service";
 
 /**
  * Handles GET requests to fetch a paginated list of products for the authenticated user's shop.
@@ -18,6 +19,9 @@ import prisma from "@/lib/prisma";
  * - sortOrder: 'asc' | 'desc' (optional)
  * - nameFilter: string (optional)
  * - categoryFilter: string (optional)
+ * - unitFilter: string (optional)
+ * - dateRangeFilter: string (optional)
+ * - statusFilter: 'active' | 'inactive' (optional, all products when omitted)
  * - enableFuzzySearch: boolean (default: true)
  *
  * @param {Request} request
@@ -25,11 +29,8 @@ import prisma from "@/lib/prisma";
  */
 export async function GET(request) {
   try {
-    const session = await auth();
-
-    if (!session?.user?.shopId) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("products:view");
+    if (response) return response;
 
     const { searchParams } = new URL(request.url);
 
@@ -48,6 +49,7 @@ export async function GET(request) {
     const categoryFilter = searchParams.get("categoryFilter") || "";
     const unitFilter = searchParams.get("unitFilter") || "";
     const dateRangeFilter = searchParams.get("dateRangeFilter") || "";
+    const statusFilter = searchParams.get("statusFilter") || "";
     const enableFuzzySearch = searchParams.get("enableFuzzySearch") !== "false";
 
     // Validate direction parameter
@@ -85,6 +87,13 @@ export async function GET(request) {
       );
     }
 
+    if (statusFilter && !["active", "inactive"].includes(statusFilter)) {
+      return NextResponse.json(
+        { error: "Invalid statusFilter. Must be 'active' or 'inactive'" },
+        { status: 400 }
+      );
+    }
+
     const paginatedData = await getProductsByShopIdCursor(session.user.shopId, {
       cursor,
       direction,
@@ -95,6 +104,7 @@ export async function GET(request) {
       categoryFilter,
       unitFilter,
       dateRangeFilter,
+      statusFilter,
       enableFuzzySearch,
     });
 
@@ -110,20 +120,23 @@ export async function GET(request) {
 
 /**
  * Handles POST requests to create a new product for the authenticated user's shop.
+ * Any initial stock is recorded as an opening entry in the stock movement ledger.
  * @param {Request} request
  * @returns {Promise<NextResponse>}
  */
 export async function POST(request) {
   try {
-    const session = await auth();
-    if (!session?.user?.shopId) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("products:create");
+    if (response) return response;
 
     const requestBody = await request.json();
     const validatedData = productCreateSchema.parse(requestBody);
 
-    const newProduct = await createProduct(validatedData, session.user.shopId);
+    const newProduct = await createProductWithInitialStock(
+      validatedData,
+      session.user.shopId,
+      session.user.id
+    );
 
     // Return the newly created product object to support optimistic UI updates on the client.
     return NextResponse.json(newProduct, { status: 201 });
@@ -136,6 +149,14 @@ export async function POST(request) {
       );
     }
 
+    // Handle plan limit errors
+    if (error.code === UPGRADE_REQUIRED) {
+      return NextResponse.json(
+        { error: error.message, code: error.code, ...error.details },
+        { status: 402 }
+      );
+    }
+
     // Handle category authorization error
     if (error.message?.includes("Invalid category")) {
       return NextResponse.json({ error: error.message }, { status: 403 });
@@ -148,6 +169,12 @@ export async function POST(request) {
         { status: 409 }
       );
     }
+    if (error.code === "P2002" && error.meta?.target?.includes("sku")) {
+      return NextResponse.json(
+        { error: "A product with this SKU already exists." },
+        { status: 409 }
+      );
+    }
 
     console.error("POST /api/products Error:", error);
     return NextResponse.json(
@@ -0,0 +1,48 @@
+// src/app/api/products/search/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { searchProductsForLookup } from "@/lib/data/products";
+
+/**
+ * Handles GET requests to look up products by name or SKU for pickers
+ * (receiving, point of sale). Inactive products are never returned.
+ *
+ * Query Parameters:
+ * - q: string - Search query
+ * - limit: number (default: 10, max: 50)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("products:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const query = searchParams.get("q") || "";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "10", 10),
+      50
+    );
+
+    if (!query.trim()) {
+      return NextResponse.json({ products: [] });
+    }
+
+    const products = await searchProductsForLookup(
+      session.user.shopId,
+      query,
+      limit
+    );
+
+    return NextResponse.json({ products });
+  } catch (error) {
+    console.error("GET /api/products/search Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
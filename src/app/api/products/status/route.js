@@ -0,0 +1,49 @@
+// src/app/api/products/status/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { productStatusSchema } from "@/lib/zod-schemas";
+import { setProductsActive } from "@/lib/data/products";
+
+/**
+ * Handles PATCH requests to deactivate or reactivate one or more products.
+ * Inactive products are hidden from sales and purchasing lookups but keep
+ * their history. Only shop owners may change product status.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function PATCH(request) {
+  try {
+    const { session, response } = await authorize("products:changeStatus");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const { productIds, isActive } = productStatusSchema.parse(requestBody);
+
+    const updatedCount = await setProductsActive(
+      productIds,
+      session.user.shopId,
+      isActive
+    );
+
+    if (updatedCount === 0) {
+      return NextResponse.json({ error: "Product not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ updatedCount, isActive }, { status: 200 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("PATCH /api/products/status Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
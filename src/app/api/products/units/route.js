@@ -1,7 +1,7 @@
 // src/app/api/products/units/route.js
 
 import { NextResponse } from "next/server";
-import { auth } from "@/auth";
+import { authorize } from "@/lib/authorize";
 import prisma from "@/lib/prisma";
 
 /**
@@ -13,11 +13,8 @@ import prisma from "@/lib/prisma";
  */
 export async function GET(request) {
   try {
-    const session = await auth();
-
-    if (!session?.user?.shopId) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
+    const { session, response } = await authorize("products:view");
+    if (response) return response;
 
     // Get unique units with product counts using Prisma aggregation
     const unitStats = await prisma.product.groupBy({
@@ -0,0 +1,137 @@
+// src/app/api/purchase-orders/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import {
+  purchaseOrderStatusSchema,
+  purchaseOrderUpdateSchema,
+} from "@/lib/zod-schemas";
+import { getPurchaseOrderById } from "@/lib/data/purchase-orders";
+import {
+  changePurchaseOrderStatus,
+  updatePurchaseOrder,
+} from "@/lib/services/purchase-order-service";
+
+/**
+ * Maps purchase order service errors to responses.
+ * @param {Error} error - The error thrown by the service.
+ * @returns {NextResponse|null} The response, or null for unexpected errors.
+ */
+function purchaseOrderErrorResponse(error) {
+  if (error.name === "ZodError") {
+    return NextResponse.json(
+      { error: "Invalid input data", details: error.errors },
+      { status: 400 }
+    );
+  }
+  if (error.message === "Purchase order not found") {
+    return NextResponse.json({ error: error.message }, { status: 404 });
+  }
+  if (error.message?.startsWith("Only ")) {
+    return NextResponse.json({ error: error.message }, { status: 409 });
+  }
+  if (error.message?.includes("Invalid product")) {
+    return NextResponse.json({ error: error.message }, { status: 403 });
+  }
+  return null;
+}
+
+/**
+ * Handles GET requests to fetch a single purchase order with its lines.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("purchaseOrders:view");
+    if (response) return response;
+
+    const purchaseOrder = await getPurchaseOrderById(id, session.user.shopId);
+    if (!purchaseOrder) {
+      return NextResponse.json(
+        { error: "Purchase order not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(purchaseOrder);
+  } catch (error) {
+    console.error("GET /api/purchase-orders/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to edit the note and lines of a draft purchase order.
+ * Only the shop owner can edit purchase orders.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function PUT(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("purchaseOrders:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = purchaseOrderUpdateSchema.parse(requestBody);
+
+    const purchaseOrder = await updatePurchaseOrder(
+      id,
+      validatedData,
+      session.user.shopId
+    );
+
+    return NextResponse.json(purchaseOrder);
+  } catch (error) {
+    const response = purchaseOrderErrorResponse(error);
+    if (response) return response;
+
+    console.error("PUT /api/purchase-orders/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PATCH requests to mark a draft purchase order as ordered or to cancel an open one.
+ * Only the shop owner can change the status of purchase orders.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("purchaseOrders:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const { status } = purchaseOrderStatusSchema.parse(requestBody);
+
+    const purchaseOrder = await changePurchaseOrderStatus(
+      id,
+      status,
+      session.user.shopId
+    );
+
+    return NextResponse.json(purchaseOrder);
+  } catch (error) {
+    const response = purchaseOrderErrorResponse(error);
+    if (response) return response;
+
+    console.error("PATCH /api/purchase-orders/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,119 @@
+// src/app/api/purchase-orders/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { purchaseOrderCreateSchema } from "@/lib/zod-schemas";
+import { getPurchaseOrdersCursor } from "@/lib/data/purchase-orders";
+import { createPurchaseOrder } from "@/lib/services/purchase-order-service";
+
+const PURCHASE_ORDER_STATUSES = ["DRAFT", "ORDERED", "RECEIVED", "CANCELLED"];
+
+/**
+ * Handles GET requests to list the purchase orders of the authenticated user's shop.
+ *
+ * Query Parameters:
+ * - status: 'DRAFT' | 'ORDERED' | 'RECEIVED' | 'CANCELLED' (optional)
+ * - supplierId: string (optional)
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("purchaseOrders:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+    const status = searchParams.get("status") || undefined;
+    const supplierId = searchParams.get("supplierId") || undefined;
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+      return NextResponse.json(
+        {
+          error: `Invalid status. Must be one of: ${PURCHASE_ORDER_STATUSES.join(
+            ", "
+          )}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const paginatedData = await getPurchaseOrdersCursor(session.user.shopId, {
+      status,
+      supplierId,
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(paginatedData);
+  } catch (error) {
+    console.error("GET /api/purchase-orders Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a draft purchase order.
+ * Only the shop owner can create purchase orders.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("purchaseOrders:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = purchaseOrderCreateSchema.parse(requestBody);
+
+    const purchaseOrder = await createPurchaseOrder(
+      validatedData,
+      session.user.shopId,
+      session.user.id
+    );
+
+    return NextResponse.json(purchaseOrder, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    // Handle supplier/product authorization errors
+    if (
+      error.message?.includes("Invalid supplier") ||
+      error.message?.includes("Invalid product")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 403 });
+    }
+
+    console.error("POST /api/purchase-orders Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,28 @@
+// src/app/api/purchase-orders/suggestions/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getReorderSuggestions } from "@/lib/services/purchase-order-service";
+
+/**
+ * Handles GET requests for reorder suggestions, grouped by supplier.
+ * Quantities are based on recent sales velocity, supplier lead time,
+ * reorder points and quantities already on open purchase orders.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("purchaseOrders:view");
+    if (response) return response;
+
+    const suggestions = await getReorderSuggestions(session.user.shopId);
+
+    return NextResponse.json(suggestions);
+  } catch (error) {
+    console.error("GET /api/purchase-orders/suggestions Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,32 @@
+// src/app/api/purchases/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getPurchaseById } from "@/lib/data/purchases";
+
+/**
+ * Handles GET requests to fetch a single purchase with its lines.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("stock:view");
+    if (response) return response;
+
+    const purchase = await getPurchaseById(id, session.user.shopId);
+    if (!purchase) {
+      return NextResponse.json({ error: "Purchase not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(purchase);
+  } catch (error) {
+    console.error("GET /api/purchases/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
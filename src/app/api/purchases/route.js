@@ -0,0 +1,155 @@
+// src/app/api/purchases/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import {
+  dateRangeQuerySchema,
+  purchaseCreateSchema,
+} from "@/lib/zod-schemas";
+import { getPurchasesCursor } from "@/lib/data/purchases";
+import { receivePurchase } from "@/lib/services/purchase-service";
+import { toDateRangeFilter } from "@/lib/utils";
+
+const PAYMENT_STATUSES = ["PAID", "ON_CREDIT"];
+
+/**
+ * Handles GET requests to fetch the purchase ledger of the authenticated user's shop.
+ *
+ * Query Parameters:
+ * - from: string (optional) - Inclusive start date (YYYY-MM-DD)
+ * - to: string (optional) - Inclusive end date (YYYY-MM-DD)
+ * - supplierId: string (optional)
+ * - paymentStatus: 'PAID' | 'ON_CREDIT' (optional)
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("stock:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+    const supplierId = searchParams.get("supplierId") || undefined;
+    const paymentStatus = searchParams.get("paymentStatus") || undefined;
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    if (paymentStatus && !PAYMENT_STATUSES.includes(paymentStatus)) {
+      return NextResponse.json(
+        {
+          error: `Invalid paymentStatus. Must be one of: ${PAYMENT_STATUSES.join(
+            ", "
+          )}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const dateRange = dateRangeQuerySchema.parse({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    const paginatedData = await getPurchasesCursor(session.user.shopId, {
+      receivedAt: toDateRangeFilter(dateRange),
+      supplierId,
+      paymentStatus,
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(paginatedData);
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/purchases Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to finalize a purchase receipt.
+ * Stock, purchase prices and the purchase record are updated atomically.
+ * A `purchaseOrderId` closes the purchase order being received.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("stock:receive");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = purchaseCreateSchema.parse(requestBody);
+
+    const purchase = await receivePurchase(
+      validatedData,
+      session.user.shopId,
+      session.user.id
+    );
+
+    return NextResponse.json(purchase, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    // Handle supplier/product authorization errors
+    if (
+      error.message?.includes("Invalid supplier") ||
+      error.message?.includes("Invalid product")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 403 });
+    }
+
+    // Handle deactivated products
+    if (error.message?.includes("is inactive")) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    // Handle purchase order errors
+    if (error.message === "Purchase order not found") {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    if (
+      error.message?.includes("Only open purchase orders") ||
+      error.message?.includes("supplier of the purchase order")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("POST /api/purchases Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,95 @@
+// src/app/api/reports/inventory-valuation/route.js
+
+import { NextResponse } from "next/server";
+import { format } from "date-fns";
+import { authorize } from "@/lib/authorize";
+import { inventoryValuationQuerySchema } from "@/lib/zod-schemas";
+import { getInventoryValuation } from "@/lib/data/reports";
+import { toCsv, toDateRangeFilter } from "@/lib/utils";
+
+/**
+ * CSV columns of the product rows. A past valuation uses today's selling
+ * prices, so its retail columns say so.
+ * @param {boolean} isPast - Whether the valuation is as of a past date.
+ * @returns {Array<{header: string, value: (row: object) => *}>} The columns.
+ */
+function valuationCsvColumns(isPast) {
+  const current = isPast ? " (current prices)" : "";
+
+  return [
+    { header: "Product", value: (row) => row.name },
+    { header: "SKU", value: (row) => row.sku },
+    { header: "Category", value: (row) => row.categoryName },
+    { header: "Active", value: (row) => (row.isActive ? "Yes" : "No") },
+    { header: "Stock", value: (row) => row.stock },
+    { header: "Unit", value: (row) => row.unit },
+    { header: "Purchase Price", value: (row) => row.purchasePrice },
+    { header: `Selling Price${current}`, value: (row) => row.sellingPrice },
+    { header: "Value at Cost", value: (row) => row.costValue },
+    { header: `Value at Retail${current}`, value: (row) => row.retailValue },
+    {
+      header: `Potential Margin${current}`,
+      value: (row) => row.potentialMargin,
+    },
+  ];
+}
+
+/**
+ * Handles GET requests for the inventory valuation report: stock valued at
+ * purchase price and at selling price, per product, per category and in
+ * total. Only the shop owner can view it.
+ *
+ * Query Parameters:
+ * - asOf: string (optional) - Value the stock at the end of this date (YYYY-MM-DD)
+ * - format: "json" | "csv" (optional) - "csv" downloads the product rows
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("reports:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const { asOf, format: outputFormat } = inventoryValuationQuerySchema.parse(
+      {
+        asOf: searchParams.get("asOf") || undefined,
+        format: searchParams.get("format") || undefined,
+      }
+    );
+
+    const valuation = await getInventoryValuation(
+      session.user.shopId,
+      asOf ? toDateRangeFilter({ to: asOf }).lt : undefined
+    );
+
+    if (outputFormat === "csv") {
+      const fileDate = asOf || format(new Date(), "yyyy-MM-dd");
+      return new NextResponse(
+        toCsv(valuationCsvColumns(Boolean(asOf)), valuation.products),
+        {
+          headers: {
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="inventory-valuation-${fileDate}.csv"`,
+          },
+        }
+      );
+    }
+
+    return NextResponse.json({ asOf: asOf || null, ...valuation });
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/reports/inventory-valuation Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
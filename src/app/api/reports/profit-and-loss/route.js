@@ -0,0 +1,52 @@
+// src/app/api/reports/profit-and-loss/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { dateRangeQuerySchema } from "@/lib/zod-schemas";
+import { getProfitAndLoss } from "@/lib/data/reports";
+import { toDateRangeFilter } from "@/lib/utils";
+
+/**
+ * Handles GET requests for the profit and loss report: sales, returns, cost
+ * of goods sold and gross margin, in total and by day, category and product.
+ * Only the shop owner can view it.
+ *
+ * Query Parameters:
+ * - from: string (optional) - Inclusive start date (YYYY-MM-DD)
+ * - to: string (optional) - Inclusive end date (YYYY-MM-DD)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("reports:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const dateRange = dateRangeQuerySchema.parse({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    const report = await getProfitAndLoss(
+      session.user.shopId,
+      toDateRangeFilter(dateRange)
+    );
+
+    return NextResponse.json(report);
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/reports/profit-and-loss Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+// src/app/api/sales/[id]/receipt/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { receiptQuerySchema } from "@/lib/zod-schemas";
+import { getSaleReceipt } from "@/lib/services/receipt-service";
+import {
+  renderReceiptEscPos,
+  renderReceiptHtml,
+  renderReceiptText,
+} from "@/lib/receipt-renderers";
+
+/**
+ * Handles GET requests for the receipt of a sale or return.
+ *
+ * Query Parameters:
+ * - format: string (optional) - One of:
+ *   - "html" (default): printable A4 page
+ *   - "text-58" | "text-80": fixed-width plain text for 58mm or 80mm paper
+ *   - "escpos-58" | "escpos-80": ESC/POS byte stream for a thermal printer
+ *
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("sales:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const { format } = receiptQuerySchema.parse({
+      format: searchParams.get("format") || undefined,
+    });
+
+    const receipt = await getSaleReceipt(id, session.user.shopId);
+    if (!receipt) {
+      return NextResponse.json({ error: "Sale not found" }, { status: 404 });
+    }
+
+    const [kind, paperWidth] = format.split("-");
+
+    if (kind === "text") {
+      return new NextResponse(renderReceiptText(receipt, Number(paperWidth)), {
+        headers: { "Content-Type": "text/plain; charset=utf-8" },
+      });
+    }
+
+    if (kind === "escpos") {
+      return new NextResponse(
+        renderReceiptEscPos(receipt, Number(paperWidth)),
+        {
+          headers: {
+            "Content-Type": "application/octet-stream",
+            "Content-Disposition": `attachment; filename="receipt-${receipt.number}-${paperWidth}mm.bin"`,
+          },
+        }
+      );
+    }
+
+    return new NextResponse(renderReceiptHtml(receipt), {
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+    });
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/sales/[id]/receipt Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,71 @@
+// src/app/api/sales/[id]/returns/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { saleReturnSchema } from "@/lib/zod-schemas";
+import { processSaleReturn } from "@/lib/services/sale-service";
+
+/**
+ * Handles POST requests to process a return/exchange against a sale.
+ * A new RETURN sale linked to the original is recorded; the original is never edited.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("sales:return");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = saleReturnSchema.parse(requestBody);
+
+    const result = await processSaleReturn(
+      validatedData,
+      id,
+      session.user.shopId,
+      {
+        id: session.user.id,
+        role: session.user.role,
+      }
+    );
+
+    return NextResponse.json(result, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message?.includes("Invalid sale specified")) {
+      return NextResponse.json({ error: "Sale not found" }, { status: 404 });
+    }
+
+    // Handle line/product authorization and price override errors
+    if (
+      error.message?.includes("Invalid sale item") ||
+      error.message?.includes("Invalid product") ||
+      error.message?.includes("Price override not allowed")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 403 });
+    }
+
+    // Handle over-returns and exchange stock that ran out
+    if (
+      error.message?.includes("exceeds what was sold") ||
+      error.message?.includes("Insufficient stock")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("POST /api/sales/[id]/returns Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
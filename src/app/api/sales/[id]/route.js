@@ -0,0 +1,32 @@
+// src/app/api/sales/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getSaleById } from "@/lib/data/sales";
+
+/**
+ * Handles GET requests to fetch a single sale with its lines.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("sales:view");
+    if (response) return response;
+
+    const sale = await getSaleById(id, session.user.shopId);
+    if (!sale) {
+      return NextResponse.json({ error: "Sale not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(sale);
+  } catch (error) {
+    console.error("GET /api/sales/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+// src/app/api/sales/lookup/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getSaleByNumber } from "@/lib/data/sales";
+
+/**
+ * Handles GET requests to find a sale by its receipt number, e.g. when a
+ * customer brings goods back with their receipt.
+ *
+ * Query Parameters:
+ * - number: number (required) - The sale number printed on the receipt
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("sales:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const number = Number(searchParams.get("number"));
+
+    if (!Number.isInteger(number) || number <= 0) {
+      return NextResponse.json(
+        { error: "A valid sale number is required" },
+        { status: 400 }
+      );
+    }
+
+    const sale = await getSaleByNumber(number, session.user.shopId);
+    if (!sale) {
+      return NextResponse.json({ error: "Sale not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(sale);
+  } catch (error) {
+    console.error("GET /api/sales/lookup Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
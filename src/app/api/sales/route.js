@@ -0,0 +1,173 @@
+// src/app/api/sales/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { dateRangeQuerySchema, saleCreateSchema } from "@/lib/zod-schemas";
+import { getSalesCursor } from "@/lib/data/sales";
+import { completeSale } from "@/lib/services/sale-service";
+import { toDateRangeFilter } from "@/lib/utils";
+
+const SALE_TYPES = ["SALE", "RETURN"];
+const PAYMENT_TYPES = ["CASH", "ON_ACCOUNT"];
+
+/**
+ * Handles GET requests to fetch the sales ledger of the authenticated user's
+ * shop, newest first. Returns are listed alongside the sales they reverse.
+ *
+ * Query Parameters:
+ * - from: string (optional) - Inclusive start date (YYYY-MM-DD)
+ * - to: string (optional) - Inclusive end date (YYYY-MM-DD)
+ * - number: number (optional) - Exact sale number
+ * - type: 'SALE' | 'RETURN' (optional)
+ * - paymentType: 'CASH' | 'ON_ACCOUNT' (optional)
+ * - customerId: string (optional)
+ * - userId: string (optional) - The staff member who recorded the sale
+ * - productId: string (optional) - Only sales with a line for this product
+ * - sortOrder: 'asc' | 'desc' (default: 'desc')
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("sales:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const sortOrder = searchParams.get("sortOrder") || "desc";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+    const number = parseInt(searchParams.get("number") || "", 10) || undefined;
+    const type = searchParams.get("type") || undefined;
+    const paymentType = searchParams.get("paymentType") || undefined;
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    if (!["asc", "desc"].includes(sortOrder)) {
+      return NextResponse.json(
+        { error: "Invalid sortOrder. Must be 'asc' or 'desc'" },
+        { status: 400 }
+      );
+    }
+
+    if (type && !SALE_TYPES.includes(type)) {
+      return NextResponse.json(
+        { error: `Invalid type. Must be one of: ${SALE_TYPES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    if (paymentType && !PAYMENT_TYPES.includes(paymentType)) {
+      return NextResponse.json(
+        {
+          error: `Invalid paymentType. Must be one of: ${PAYMENT_TYPES.join(
+            ", "
+          )}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const dateRange = dateRangeQuerySchema.parse({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+
+    const paginatedData = await getSalesCursor(session.user.shopId, {
+      createdAt: toDateRangeFilter(dateRange),
+      number,
+      type,
+      paymentType,
+      customerId: searchParams.get("customerId") || undefined,
+      userId: searchParams.get("userId") || undefined,
+      productId: searchParams.get("productId") || undefined,
+      sortOrder,
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(paginatedData);
+  } catch (error) {
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid query parameters", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("GET /api/sales Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to complete a sale from the point of sale.
+ * The sale record and the stock decrease are committed atomically.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("sales:create");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = saleCreateSchema.parse(requestBody);
+
+    const sale = await completeSale(validatedData, session.user.shopId, {
+      id: session.user.id,
+      role: session.user.role,
+    });
+
+    return NextResponse.json(sale, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    // Handle product/customer authorization and price override errors
+    if (
+      error.message?.includes("Invalid product") ||
+      error.message?.includes("Invalid customer") ||
+      error.message?.includes("Price override not allowed")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 403 });
+    }
+
+    // Handle products deactivated after they were added to the cart
+    if (error.message?.includes("is inactive")) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    // Handle stock that ran out while the sale was being rung up
+    if (error.message?.includes("Insufficient stock")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("POST /api/sales Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
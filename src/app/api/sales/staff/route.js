@@ -0,0 +1,27 @@
+// src/app/api/sales/staff/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getSalesStaff } from "@/lib/data/sales";
+
+/**
+ * Handles GET requests to list the users who have recorded sales in the
+ * authenticated user's shop, for filtering the sales ledger by staff member.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("sales:view");
+    if (response) return response;
+
+    const staff = await getSalesStaff(session.user.shopId);
+
+    return NextResponse.json({ staff });
+  } catch (error) {
+    console.error("GET /api/sales/staff Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,63 @@
+// src/app/api/shop/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { shopSettingsSchema } from "@/lib/zod-schemas";
+import { getShopById, updateShop } from "@/lib/data/shops";
+
+/**
+ * Handles GET requests to fetch the authenticated user's shop settings.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("shop:view");
+    if (response) return response;
+
+    const shop = await getShopById(session.user.shopId);
+    if (!shop) {
+      return NextResponse.json({ error: "Shop not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(shop);
+  } catch (error) {
+    console.error("GET /api/shop Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PATCH requests to update the shop settings. Shop owners only.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function PATCH(request) {
+  try {
+    const { session, response } = await authorize("shop:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = shopSettingsSchema.parse(requestBody);
+
+    const shop = await updateShop(session.user.shopId, validatedData);
+
+    return NextResponse.json(shop);
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("PATCH /api/shop Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+// src/app/api/staff/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { removeStaffMember } from "@/lib/services/staff-service";
+
+/**
+ * Handles DELETE requests to remove a staff member from the shop.
+ * Only the shop owner can manage staff.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("staff:manage");
+    if (response) return response;
+
+    await removeStaffMember(session.user.shopId, id);
+
+    return NextResponse.json({ message: "Staff member removed successfully" });
+  } catch (error) {
+    if (error.message === "Staff member not found") {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+
+    console.error("DELETE /api/staff/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+// src/app/api/staff/invitations/[token]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { revokeStaffInvitation } from "@/lib/services/staff-service";
+
+/**
+ * Handles DELETE requests to revoke a pending staff invitation.
+ * Only the shop owner can manage staff.
+ * @param {Request} request
+ * @param {{ params: { token: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function DELETE(request, { params }) {
+  const { token } = await params;
+  try {
+    const { session, response } = await authorize("staff:manage");
+    if (response) return response;
+
+    await revokeStaffInvitation(session.user.shopId, token);
+
+    return NextResponse.json({ message: "Invitation revoked successfully" });
+  } catch (error) {
+    if (error.message === "Invitation not found") {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+
+    console.error("DELETE /api/staff/invitations/[token] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+// src/app/api/staff/invitations/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { staffInvitationSchema } from "@/lib/zod-schemas";
+import { inviteStaffMember } from "@/lib/services/staff-service";
+import { UPGRADE_REQUIRED } from "@/lib/services/plan-limits-service";
+
+/**
+ * Handles POST requests to invite someone to the shop as staff.
+ * Only the shop owner can manage staff, within the plan's user account limit.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("staff:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const { email } = staffInvitationSchema.parse(requestBody);
+
+    const invitation = await inviteStaffMember(session.user.shopId, email);
+
+    return NextResponse.json(invitation, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.code === UPGRADE_REQUIRED) {
+      return NextResponse.json(
+        { error: error.message, code: error.code, ...error.details },
+        { status: 402 }
+      );
+    }
+
+    if (error.message?.includes("already belongs to a shop")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("POST /api/staff/invitations Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
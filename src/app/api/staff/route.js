@@ -0,0 +1,27 @@
+// src/app/api/staff/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getShopTeam } from "@/lib/services/staff-service";
+
+/**
+ * Handles GET requests to list the shop's staff members and pending
+ * invitations. Only the shop owner can manage staff.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("staff:manage");
+    if (response) return response;
+
+    const team = await getShopTeam(session.user.shopId);
+
+    return NextResponse.json(team);
+  } catch (error) {
+    console.error("GET /api/staff Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,59 @@
+// src/app/api/stocktakes/[id]/counts/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { stocktakeCountsSchema } from "@/lib/zod-schemas";
+import { recordStocktakeCounts } from "@/lib/services/stocktake-service";
+
+/**
+ * Handles PUT requests to save counted quantities of a stocktake in progress.
+ * Any shop member can count; the counting user is recorded on each line.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function PUT(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("stocktakes:count");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const { counts } = stocktakeCountsSchema.parse(requestBody);
+
+    const stocktake = await recordStocktakeCounts(
+      id,
+      counts,
+      session.user.shopId,
+      session.user.id
+    );
+
+    return NextResponse.json(stocktake);
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message === "Stocktake not found") {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+
+    if (error.message?.startsWith("Only stocktakes")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    if (error.message?.includes("Invalid product")) {
+      return NextResponse.json({ error: error.message }, { status: 403 });
+    }
+
+    console.error("PUT /api/stocktakes/[id]/counts Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
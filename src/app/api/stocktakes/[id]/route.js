@@ -0,0 +1,90 @@
+// src/app/api/stocktakes/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { stocktakeStatusSchema } from "@/lib/zod-schemas";
+import {
+  approveStocktake,
+  cancelStocktake,
+  getStocktakeWithVariances,
+} from "@/lib/services/stocktake-service";
+
+/**
+ * Handles GET requests to fetch a stocktake with its lines, variances and totals.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("stocktakes:count");
+    if (response) return response;
+
+    const stocktake = await getStocktakeWithVariances(id, session.user.shopId);
+    if (!stocktake) {
+      return NextResponse.json({ error: "Stocktake not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(stocktake);
+  } catch (error) {
+    console.error("GET /api/stocktakes/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PATCH requests to approve or cancel a stocktake in progress.
+ * Approving posts a count correction for every variance.
+ * Only the shop owner can approve or cancel stocktakes.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("stocktakes:approve");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const { status } = stocktakeStatusSchema.parse(requestBody);
+
+    const stocktake =
+      status === "APPROVED"
+        ? await approveStocktake(id, session.user.shopId, session.user.id)
+        : await cancelStocktake(id, session.user.shopId);
+
+    return NextResponse.json(stocktake);
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message === "Stocktake not found") {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+
+    // Handle stocktakes that are no longer in progress, and corrections
+    // that would take stock below zero
+    if (
+      error.message?.startsWith("Only stocktakes") ||
+      error.message?.includes("Insufficient stock")
+    ) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("PATCH /api/stocktakes/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,116 @@
+// src/app/api/stocktakes/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { stocktakeCreateSchema } from "@/lib/zod-schemas";
+import { getStocktakesCursor } from "@/lib/data/stocktakes";
+import { startStocktake } from "@/lib/services/stocktake-service";
+
+const STOCKTAKE_STATUSES = ["IN_PROGRESS", "APPROVED", "CANCELLED"];
+
+/**
+ * Handles GET requests to list the stocktakes of the authenticated user's shop.
+ *
+ * Query Parameters:
+ * - status: 'IN_PROGRESS' | 'APPROVED' | 'CANCELLED' (optional)
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("stocktakes:count");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+    const status = searchParams.get("status") || undefined;
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    if (status && !STOCKTAKE_STATUSES.includes(status)) {
+      return NextResponse.json(
+        {
+          error: `Invalid status. Must be one of: ${STOCKTAKE_STATUSES.join(
+            ", "
+          )}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const paginatedData = await getStocktakesCursor(session.user.shopId, {
+      status,
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(paginatedData);
+  } catch (error) {
+    console.error("GET /api/stocktakes Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to start a stocktake session for a category or the whole shop.
+ * Expected stock is snapshotted when the session starts.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("stocktakes:count");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = stocktakeCreateSchema.parse(requestBody);
+
+    const stocktake = await startStocktake(
+      validatedData,
+      session.user.shopId,
+      session.user.id
+    );
+
+    return NextResponse.json(stocktake, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message?.includes("Invalid category")) {
+      return NextResponse.json({ error: error.message }, { status: 403 });
+    }
+
+    if (error.message?.includes("no active products")) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error("POST /api/stocktakes Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
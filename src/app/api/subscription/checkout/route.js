@@ -0,0 +1,52 @@
+// src/app/api/subscription/checkout/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { subscriptionCheckoutSchema } from "@/lib/zod-schemas";
+import { subscribeToPlan } from "@/lib/services/subscription-service";
+
+/**
+ * Handles POST requests for the simulated checkout: switches the shop to the
+ * chosen plan and billing cycle and records an invoice. No payment is taken.
+ * Allowed while the shop is read-only, so an expired trial can be upgraded.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("subscription:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = subscriptionCheckoutSchema.parse(requestBody);
+
+    const result = await subscribeToPlan(session.user.shopId, validatedData);
+
+    return NextResponse.json(result, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message?.includes("before switching plans")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    if (error.code === "P2025") {
+      return NextResponse.json(
+        { error: "Subscription not found" },
+        { status: 404 }
+      );
+    }
+
+    console.error("POST /api/subscription/checkout Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,33 @@
+// src/app/api/subscription/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getSubscriptionOverview } from "@/lib/services/subscription-service";
+
+/**
+ * Handles GET requests for the shop's subscription and its invoices.
+ * Only the shop owner can manage the subscription.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("subscription:manage");
+    if (response) return response;
+
+    const subscription = await getSubscriptionOverview(session.user.shopId);
+    if (!subscription) {
+      return NextResponse.json(
+        { error: "Subscription not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(subscription);
+  } catch (error) {
+    console.error("GET /api/subscription Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+// src/app/api/subscription/usage/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getPlanUsage } from "@/lib/services/plan-limits-service";
+
+/**
+ * Handles GET requests for the shop's plan and its usage against the plan
+ * limits (products, user accounts).
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("shop:view");
+    if (response) return response;
+
+    const usage = await getPlanUsage(session.user.shopId);
+
+    return NextResponse.json(usage);
+  } catch (error) {
+    console.error("GET /api/subscription/usage Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,62 @@
+// src/app/api/suppliers/[id]/ledger/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getSupplierById } from "@/lib/data/suppliers";
+import { getSupplierLedgerCursor } from "@/lib/data/supplier-ledger";
+
+/**
+ * Handles GET requests to fetch the payables ledger of a supplier.
+ * Entries are returned newest first using cursor-based pagination.
+ *
+ * Query Parameters:
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("suppliers:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    // Verify the supplier exists and belongs to the user's shop
+    const supplier = await getSupplierById(id, session.user.shopId);
+    if (!supplier) {
+      return NextResponse.json({ error: "Supplier not found" }, { status: 404 });
+    }
+
+    const ledger = await getSupplierLedgerCursor(id, session.user.shopId, {
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(ledger);
+  } catch (error) {
+    console.error("GET /api/suppliers/[id]/ledger Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
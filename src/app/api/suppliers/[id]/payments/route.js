@@ -0,0 +1,55 @@
+// src/app/api/suppliers/[id]/payments/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { supplierPaymentSchema } from "@/lib/zod-schemas";
+import { recordSupplierPayment } from "@/lib/services/supplier-ledger-service";
+
+/**
+ * Handles POST requests to record a payment made to a supplier.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("suppliers:recordPayment");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = supplierPaymentSchema.parse(requestBody);
+
+    const payment = await recordSupplierPayment(
+      validatedData,
+      id,
+      session.user.shopId,
+      session.user.id
+    );
+
+    return NextResponse.json(payment, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message?.includes("Invalid supplier")) {
+      return NextResponse.json({ error: "Supplier not found" }, { status: 404 });
+    }
+
+    // Handle payments larger than what the shop owes
+    if (error.message?.includes("exceeds outstanding balance")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    console.error("POST /api/suppliers/[id]/payments Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
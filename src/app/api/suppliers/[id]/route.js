@@ -0,0 +1,131 @@
+// src/app/api/suppliers/[id]/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { supplierUpdateSchema } from "@/lib/zod-schemas";
+import {
+  deleteSupplier,
+  getSupplierById,
+  updateSupplier,
+} from "@/lib/data/suppliers";
+
+/**
+ * Handles GET requests to fetch a single supplier with the amount currently owed to them.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("suppliers:view");
+    if (response) return response;
+
+    const supplier = await getSupplierById(id, session.user.shopId);
+    if (!supplier) {
+      return NextResponse.json({ error: "Supplier not found" }, { status: 404 });
+    }
+
+    return NextResponse.json(supplier);
+  } catch (error) {
+    console.error("GET /api/suppliers/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to update a supplier's contact details.
+ * The outstanding debt is not editable here; it only changes through the ledger.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function PUT(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("suppliers:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = supplierUpdateSchema.parse(requestBody);
+
+    const updatedSupplier = await updateSupplier(
+      id,
+      validatedData,
+      session.user.shopId
+    );
+
+    return NextResponse.json(updatedSupplier);
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    // Handle record not found errors (P2025)
+    if (error.code === "P2025") {
+      return NextResponse.json({ error: "Supplier not found" }, { status: 404 });
+    }
+
+    console.error("PUT /api/suppliers/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles DELETE requests to delete a supplier.
+ * Suppliers with recorded purchases or purchase orders cannot be deleted.
+ * @param {Request} request
+ * @param {{ params: { id: string } }} context
+ * @returns {Promise<NextResponse>}
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  try {
+    const { session, response } = await authorize("suppliers:manage");
+    if (response) return response;
+
+    const deletedSupplier = await deleteSupplier(id, session.user.shopId);
+
+    return NextResponse.json(
+      { message: "Supplier deleted successfully", supplier: deletedSupplier },
+      { status: 200 }
+    );
+  } catch (error) {
+    // Handle suppliers with purchase or purchase order history
+    if (error.message?.includes("Cannot delete supplier")) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+
+    // Handle record not found errors (P2025)
+    if (error.code === "P2025") {
+      return NextResponse.json({ error: "Supplier not found" }, { status: 404 });
+    }
+
+    // Handle foreign key constraint violations (P2003)
+    if (error.code === "P2003") {
+      return NextResponse.json(
+        {
+          error:
+            "Cannot delete supplier with recorded purchases, purchase orders or payments.",
+        },
+        { status: 409 }
+      );
+    }
+
+    console.error("DELETE /api/suppliers/[id] Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+// src/app/api/suppliers/payables/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { getSupplierPayables } from "@/lib/data/suppliers";
+
+/**
+ * Handles GET requests to list the suppliers the shop currently owes money to,
+ * largest debt first, together with the total owed.
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET() {
+  try {
+    const { session, response } = await authorize("suppliers:view");
+    if (response) return response;
+
+    const payables = await getSupplierPayables(session.user.shopId);
+
+    return NextResponse.json(payables);
+  } catch (error) {
+    console.error("GET /api/suppliers/payables Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
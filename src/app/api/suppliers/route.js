@@ -0,0 +1,116 @@
+// src/app/api/suppliers/route.js
+
+import { NextResponse } from "next/server";
+import { authorize } from "@/lib/authorize";
+import { supplierCreateSchema } from "@/lib/zod-schemas";
+import { createSupplier, getSuppliersCursor } from "@/lib/data/suppliers";
+
+/**
+ * Handles GET requests to list the authenticated user's suppliers using
+ * cursor-based pagination.
+ *
+ * Query Parameters:
+ * - search: string (optional) - Matches name, contact person or phone
+ * - owedOnly: 'true' (optional) - Only suppliers the shop owes money to
+ * - sortBy: 'name' | 'createdAt' (default: 'name')
+ * - sortOrder: 'asc' | 'desc' (default: 'asc')
+ * - cursor: string (optional) - Base64 encoded cursor for pagination
+ * - direction: 'forward' | 'backward' (default: 'forward')
+ * - limit: number (default: 20, max: 100)
+ *
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function GET(request) {
+  try {
+    const { session, response } = await authorize("suppliers:view");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const search = searchParams.get("search") || "";
+    const owedOnly = searchParams.get("owedOnly") === "true";
+    const sortBy = searchParams.get("sortBy") || "name";
+    const sortOrder = searchParams.get("sortOrder") || "asc";
+    const cursor = searchParams.get("cursor") || null;
+    const direction = searchParams.get("direction") || "forward";
+    const limit = Math.min(
+      parseInt(searchParams.get("limit") || "20", 10),
+      100
+    );
+
+    if (!["forward", "backward"].includes(direction)) {
+      return NextResponse.json(
+        { error: "Invalid direction. Must be 'forward' or 'backward'" },
+        { status: 400 }
+      );
+    }
+
+    if (!["name", "createdAt"].includes(sortBy)) {
+      return NextResponse.json(
+        { error: "Invalid sortBy. Must be 'name' or 'createdAt'" },
+        { status: 400 }
+      );
+    }
+
+    if (!["asc", "desc"].includes(sortOrder)) {
+      return NextResponse.json(
+        { error: "Invalid sortOrder. Must be 'asc' or 'desc'" },
+        { status: 400 }
+      );
+    }
+
+    const result = await getSuppliersCursor(session.user.shopId, {
+      search,
+      owedOnly,
+      sortBy,
+      sortOrder,
+      cursor,
+      direction,
+      limit,
+    });
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error("GET /api/suppliers Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a new supplier for the authenticated user's shop.
+ * @param {Request} request
+ * @returns {Promise<NextResponse>}
+ */
+export async function POST(request) {
+  try {
+    const { session, response } = await authorize("suppliers:manage");
+    if (response) return response;
+
+    const requestBody = await request.json();
+    const validatedData = supplierCreateSchema.parse(requestBody);
+
+    const newSupplier = await createSupplier(
+      validatedData,
+      session.user.shopId
+    );
+
+    return NextResponse.json(newSupplier, { status: 201 });
+  } catch (error) {
+    // Handle Zod validation errors
+    if (error.name === "ZodError") {
+      return NextResponse.json(
+        { error: "Invalid input data", details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error("POST /api/suppliers Error:", error);
+    return NextResponse.json(
+      { error: "Internal Server Error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+import Link from "next/link";
+import { auth } from "@/auth";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import LoginButton from "@/components/features/auth/login-button";
+import { getStaffInvitationByToken } from "@/lib/data/staff-invitations";
+import { getShopById } from "@/lib/data/shops";
+
+/**
+ * Landing page of a staff invitation link. Explains which shop sent the
+ * invitation and asks the invited person to sign in with Google using the
+ * invited email address, which adds them to the shop as staff.
+ * @param {{ params: Promise<{ token: string }> }} props
+ */
+export default async function InvitationPage({ params }) {
+  const { token } = await params;
+  const [session, invitation] = await Promise.all([
+    auth(),
+    getStaffInvitationByToken(token),
+  ]);
+  const shop = invitation ? await getShopById(invitation.shopId) : null;
+
+  return (
+    <div className="flex min-h-screen items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        {!invitation || !shop ? (
+          <CardHeader>
+            <CardTitle>Invitation not found</CardTitle>
+            <CardDescription>
+              This invitation has expired, was revoked or has already been
+              used. Ask the shop owner to invite you again.
+            </CardDescription>
+          </CardHeader>
+        ) : (
+          <>
+            <CardHeader>
+              <CardTitle>Join {shop.name}</CardTitle>
+              <CardDescription>
+                You have been invited to work in {shop.name}. Sign in with the
+                Google account for <strong>{invitation.email}</strong> to
+                accept.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {session?.user ? (
+                <div className="space-y-4 text-sm text-muted-foreground">
+                  <p>
+                    You are already signed in as {session.user.email}. Sign out
+                    and sign in again with {invitation.email} to accept the
+                    invitation.
+                  </p>
+                  <Button variant="outline" className="w-full" asChild>
+                    <Link href="/dashboard">Go to dashboard</Link>
+                  </Button>
+                </div>
+              ) : (
+                <LoginButton />
+              )}
+            </CardContent>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+/**
+ * Page metadata
+ */
+export const metadata = {
+  title: "Staff Invitation",
+  description: "Accept an invitation to work in a shop.",
+};
@@ -0,0 +1,45 @@
+"use client";
+
+import { signOut } from "next-auth/react";
+import { LogOut } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+
+/**
+ * Shown in place of the dashboard to a signed-in user who no longer belongs
+ * to a shop, e.g. a staff member the owner has removed.
+ *
+ * @returns {JSX.Element} Access notice with a sign-out button
+ */
+export default function NoShopAccess() {
+  return (
+    <div className="flex min-h-screen items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>No shop access</CardTitle>
+          <CardDescription>
+            You are no longer a member of a shop. Ask the shop owner to invite
+            you again, or sign out and sign in again to start a shop of your
+            own.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Button
+            variant="outline"
+            className="w-full"
+            onClick={() => signOut({ callbackUrl: "/" })}
+          >
+            <LogOut className="mr-2 h-4 w-4" />
+            Sign out
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
 import CategoryCreateEditModal from "./category-create-edit-modal";
 import { useDeleteCategory } from "@/hooks/use-category-queries";
+import { usePermissions } from "@/hooks/use-permissions";
 import { toast } from "sonner";
 
 /**
@@ -26,6 +27,8 @@ export default function CategoryItem({
   onDeleteSuccess,
 }) {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const { can } = usePermissions();
+  const canManage = can("categories:manage");
 
   const { mutate: deleteCategory } = useDeleteCategory();
 
@@ -147,34 +150,36 @@ export default function CategoryItem({
         </div>
       </div>
 
-      <div className="flex items-center gap-1">
-        <CategoryCreateEditModal
-          category={category}
-          onSuccess={handleEditSuccess}
-          trigger={
+      {canManage && (
+        <div className="flex items-center gap-1">
+          <CategoryCreateEditModal
+            category={category}
+            onSuccess={handleEditSuccess}
+            trigger={
+              <Button
+                type="button"
+                size="sm"
+                variant="ghost"
+                className="h-8 w-8 p-0"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <Edit className="w-3 h-3" />
+              </Button>
+            }
+          />
+          {(category.productCount ?? 0) === 0 && (
             <Button
               type="button"
               size="sm"
               variant="ghost"
-              className="h-8 w-8 p-0"
-              onClick={(e) => e.stopPropagation()}
+              onClick={handleDelete}
+              className="h-8 w-8 p-0 text-destructive hover:text-destructive"
             >
-              <Edit className="w-3 h-3" />
+              <Trash2 className="w-3 h-3" />
             </Button>
-          }
-        />
-        {(category.productCount ?? 0) === 0 && (
-          <Button
-            type="button"
-            size="sm"
-            variant="ghost"
-            onClick={handleDelete}
-            className="h-8 w-8 p-0 text-destructive hover:text-destructive"
-          >
-            <Trash2 className="w-3 h-3" />
-          </Button>
-        )}
-      </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
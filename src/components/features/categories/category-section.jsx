@@ -4,6 +4,7 @@ import { useState } from "react";
 import CategorySearchFilter from "./category-search-filter";
 import CategoryCreateEditModal from "./category-create-edit-modal";
 import CategoryList from "./category-list";
+import { usePermissions } from "@/hooks/use-permissions";
 
 /**
  * Category section component without card wrapper for use within forms
@@ -27,6 +28,7 @@ export default function CategorySection({
   pageSize = 5,
 }) {
   const [searchQuery, setSearchQuery] = useState("");
+  const { can } = usePermissions();
 
   const handleSearchChange = (query) => {
     setSearchQuery(query);
@@ -55,7 +57,7 @@ export default function CategorySection({
       )}
 
       {/* Create Category Modal */}
-      {showCreateForm && (
+      {showCreateForm && can("categories:manage") && (
         <CategoryCreateEditModal onSuccess={handleCategoryCreated} />
       )}
 
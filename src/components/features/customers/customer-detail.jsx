@@ -0,0 +1,221 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import {
+  AlertCircle,
+  FileText,
+  HandCoins,
+  Mail,
+  MapPin,
+  Phone,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { Money } from "@/components/ui/money";
+import RecordPaymentDialog from "./record-payment-dialog";
+import {
+  useGetCustomer,
+  useGetCustomerLedger,
+} from "@/hooks/use-customer-queries";
+import { customerLedgerEntryTypeLabels } from "@/lib/config/sales-config";
+import { cn } from "@/lib/utils";
+
+/**
+ * Customer detail: contact details, current balance and the running
+ * receivables ledger that explains it, newest entries first. Payments are
+ * recorded from here and statements printed from the linked page.
+ *
+ * @param {Object} props
+ * @param {string} props.customerId - The ID of the customer to show
+ */
+export default function CustomerDetail({ customerId }) {
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+  const [showPaymentDialog, setShowPaymentDialog] = React.useState(false);
+
+  const { data: customer, error: customerError } = useGetCustomer(customerId);
+  const {
+    data: ledger,
+    isLoading,
+    isFetching,
+    error: ledgerError,
+  } = useGetCustomerLedger(customerId, page);
+
+  const entries = ledger?.entries || [];
+  const error = customerError || ledgerError;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-[1fr_280px]">
+        <Card>
+          <CardHeader>
+            <CardTitle>{customer?.name || <Skeleton className="h-6 w-40" />}</CardTitle>
+            <CardDescription>Contact details</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2 text-sm">
+            <div className="flex items-center gap-2">
+              <Phone className="h-4 w-4 text-muted-foreground" />
+              {customer?.phone || "—"}
+            </div>
+            <div className="flex items-center gap-2">
+              <Mail className="h-4 w-4 text-muted-foreground" />
+              {customer?.email || "—"}
+            </div>
+            <div className="flex items-center gap-2">
+              <MapPin className="h-4 w-4 text-muted-foreground" />
+              {customer?.address || "—"}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardDescription>Outstanding balance</CardDescription>
+            <CardTitle
+              className={cn(
+                "text-2xl",
+                customer?.outstandingBalance > 0 && "text-destructive"
+              )}
+            >
+              <Money value={customer?.outstandingBalance ?? 0} />
+            </CardTitle>
+          </CardHeader>
+          <CardFooter className="flex flex-col gap-2">
+            <Button
+              className="w-full"
+              onClick={() => setShowPaymentDialog(true)}
+              disabled={!customer || customer.outstandingBalance <= 0}
+            >
+              <HandCoins className="mr-2 h-4 w-4" />
+              Record Payment
+            </Button>
+            <Button variant="outline" className="w-full" asChild>
+              <Link href={`/dashboard/customers/${customerId}/statement`}>
+                <FileText className="mr-2 h-4 w-4" />
+                Statement
+              </Link>
+            </Button>
+          </CardFooter>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Account Ledger</CardTitle>
+          <CardDescription>
+            Every charge and payment on this customer&apos;s account.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Details</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+                <TableHead>By</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading &&
+                Array.from({ length: 5 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={6}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+
+              {!isLoading && entries.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={6}
+                    className="h-24 text-center text-muted-foreground"
+                  >
+                    No account activity yet.
+                  </TableCell>
+                </TableRow>
+              )}
+
+              {entries.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                    {format(new Date(entry.createdAt), "MMM d, yyyy HH:mm")}
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="outline">
+                      {customerLedgerEntryTypeLabels[entry.type] || entry.type}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {entry.note || "—"}
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      entry.amount > 0 ? "text-destructive" : "text-green-600"
+                    )}
+                  >
+                    <Money
+                      value={entry.amount}
+                      prefix={entry.amount > 0 ? "+" : ""}
+                    />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={entry.balanceAfter} />
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {entry.user?.name || "—"}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <CursorPager
+            pagination={ledger}
+            isLoading={isFetching}
+            onCursorChange={(cursor, direction) => setPage({ cursor, direction })}
+          />
+        </CardContent>
+      </Card>
+
+      {customer && (
+        <RecordPaymentDialog
+          open={showPaymentDialog}
+          onOpenChange={setShowPaymentDialog}
+          customer={customer}
+        />
+      )}
+    </div>
+  );
+}
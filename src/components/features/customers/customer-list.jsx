@@ -0,0 +1,131 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { useDebounce } from "use-debounce";
+import { AlertCircle, Search } from "lucide-react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import { useGetCustomers } from "@/hooks/use-customer-queries";
+import { cn } from "@/lib/utils";
+
+/**
+ * Customer list with search and an "owes money" filter.
+ * Each customer links to their detail page with the receivables ledger.
+ */
+export default function CustomerList() {
+  const [search, setSearch] = React.useState("");
+  const [withBalance, setWithBalance] = React.useState(false);
+  const [debouncedSearch] = useDebounce(search, 300);
+
+  const { data, isLoading, error } = useGetCustomers(debouncedSearch, {
+    withBalance,
+    limit: 100,
+  });
+
+  const customers = data?.customers || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="relative w-full max-w-sm">
+          <Search className="absolute left-2.5 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+          <Input
+            placeholder="Search by name or phone..."
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+            className="h-8 pl-8"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <Checkbox
+            id="customers-with-balance"
+            checked={withBalance}
+            onCheckedChange={(value) => setWithBalance(Boolean(value))}
+          />
+          <Label htmlFor="customers-with-balance" className="font-normal">
+            Only customers with a balance
+          </Label>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Name</TableHead>
+              <TableHead>Phone</TableHead>
+              <TableHead className="text-right">Balance</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading &&
+              Array.from({ length: 5 }, (_, i) => (
+                <TableRow key={`skeleton-${i}`}>
+                  <TableCell colSpan={3}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              ))}
+
+            {!isLoading && customers.length === 0 && (
+              <TableRow>
+                <TableCell
+                  colSpan={3}
+                  className="h-24 text-center text-muted-foreground"
+                >
+                  No customers found.
+                </TableCell>
+              </TableRow>
+            )}
+
+            {customers.map((customer) => (
+              <TableRow key={customer.id}>
+                <TableCell>
+                  <Link
+                    href={`/dashboard/customers/${customer.id}`}
+                    className="font-medium text-primary hover:underline"
+                  >
+                    {customer.name}
+                  </Link>
+                </TableCell>
+                <TableCell className="text-muted-foreground">
+                  {customer.phone || "—"}
+                </TableCell>
+                <TableCell
+                  className={cn(
+                    "text-right",
+                    customer.outstandingBalance > 0
+                      ? "font-medium text-destructive"
+                      : "text-muted-foreground"
+                  )}
+                >
+                  <Money value={customer.outstandingBalance} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
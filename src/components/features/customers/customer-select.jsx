@@ -0,0 +1,185 @@
+"use client";
+
+import * as React from "react";
+import { Check, ChevronsUpDown, Loader2, Plus } from "lucide-react";
+import { useDebounce } from "use-debounce";
+import { Button } from "@/components/ui/button";
+import { Money } from "@/components/ui/money";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+} from "@/components/ui/command";
+import {
+  useGetCustomers,
+  useCreateCustomer,
+} from "@/hooks/use-customer-queries";
+import { normalizeCustomerName, cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Customer picker with inline creation: typing a name that does not exist
+ * offers to create the customer on the spot. Results show the customer's
+ * phone and current balance to tell namesakes apart.
+ *
+ * @param {Object} props
+ * @param {{id: string, name: string}|null} props.value - The selected customer
+ * @param {Function} props.onChange - Called with the selected customer (or null)
+ * @param {boolean} [props.disabled] - Whether the picker is disabled
+ * @param {boolean} [props.allowCreate=true] - Whether unknown names can be created (off for filters)
+ * @param {string} [props.placeholder] - Trigger text when no customer is selected
+ * @param {string} [props.className] - Additional CSS classes for the trigger
+ */
+export function CustomerSelect({
+  value,
+  onChange,
+  disabled = false,
+  allowCreate = true,
+  placeholder = "Select customer",
+  className,
+}) {
+  const [open, setOpen] = React.useState(false);
+  const [search, setSearch] = React.useState("");
+  const [debouncedSearch] = useDebounce(search, 300);
+
+  const { data, isFetching } = useGetCustomers(debouncedSearch, {
+    enabled: open,
+  });
+  const { mutateAsync: createCustomerAsync, isPending: isCreating } =
+    useCreateCustomer();
+
+  const customers = data?.customers || [];
+  const normalizedSearch = normalizeCustomerName(search);
+  const hasExactMatch = customers.some(
+    (customer) =>
+      customer.name.toLowerCase() === normalizedSearch.toLowerCase()
+  );
+
+  const handleSelect = (customer) => {
+    onChange(customer);
+    setSearch("");
+    setOpen(false);
+  };
+
+  const handleCreate = async () => {
+    try {
+      const customer = await createCustomerAsync({ name: normalizedSearch });
+      toast.success(`Customer "${customer.name}" created.`);
+      handleSelect(customer);
+    } catch (error) {
+      toast.error(error?.message || "Failed to create customer");
+    }
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          disabled={disabled}
+          className={cn("w-full justify-between font-normal", className)}
+        >
+          <span className={cn(!value && "text-muted-foreground")}>
+            {value?.name || placeholder}
+          </span>
+          <ChevronsUpDown className="ml-2 h-4 w-4 shrink-0 opacity-50" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[--radix-popover-trigger-width] p-0" align="start">
+        <Command shouldFilter={false}>
+          <CommandInput
+            placeholder={
+              allowCreate ? "Search or create customer..." : "Search customers..."
+            }
+            value={search}
+            onValueChange={setSearch}
+          />
+          <CommandList>
+            {isFetching ? (
+              <div className="flex items-center justify-center p-4">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                <span className="text-sm text-muted-foreground">Loading customers...</span>
+              </div>
+            ) : (
+              <CommandEmpty>No customers found.</CommandEmpty>
+            )}
+            {customers.length > 0 && (
+              <CommandGroup>
+                {customers.map((customer) => (
+                  <CommandItem
+                    key={customer.id}
+                    value={customer.id}
+                    onSelect={() => handleSelect(customer)}
+                  >
+                    <Check
+                      className={cn(
+                        "mr-2 h-4 w-4",
+                        value?.id === customer.id ? "opacity-100" : "opacity-0"
+                      )}
+                    />
+                    <div className="flex flex-1 items-center justify-between gap-2">
+                      <span>
+                        {customer.name}
+                        {customer.phone && (
+                          <span className="ml-2 text-xs text-muted-foreground">
+                            {customer.phone}
+                          </span>
+                        )}
+                      </span>
+                      {customer.outstandingBalance > 0 && (
+                        <Money
+                          value={customer.outstandingBalance}
+                          className="text-xs text-muted-foreground"
+                        />
+                      )}
+                    </div>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+            {allowCreate && normalizedSearch && !hasExactMatch && (
+              <>
+                <CommandSeparator />
+                <CommandGroup>
+                  <CommandItem
+                    value={`create-${normalizedSearch}`}
+                    onSelect={handleCreate}
+                    disabled={isCreating}
+                  >
+                    <Plus className="mr-2 h-4 w-4" />
+                    Create &quot;{normalizedSearch}&quot;
+                  </CommandItem>
+                </CommandGroup>
+              </>
+            )}
+            {value && (
+              <>
+                <CommandSeparator />
+                <CommandGroup>
+                  <CommandItem
+                    value="clear-customer"
+                    onSelect={() => handleSelect(null)}
+                    className="justify-center text-center"
+                  >
+                    Clear selection
+                  </CommandItem>
+                </CommandGroup>
+              </>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,181 @@
+"use client";
+
+import * as React from "react";
+import { format, parseISO, startOfMonth } from "date-fns";
+import { AlertCircle, Printer } from "lucide-react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import { DateRangePicker } from "@/components/ui/date-range-picker";
+import { Money } from "@/components/ui/money";
+import { useGetCustomerStatement } from "@/hooks/use-customer-queries";
+import { useGetShop } from "@/hooks/use-shop-queries";
+import { customerLedgerEntryTypeLabels } from "@/lib/config/sales-config";
+
+/**
+ * Formats an amount for the statement, leaving zero amounts blank.
+ * @param {number} value - The amount.
+ * @returns {JSX.Element|null}
+ */
+function Amount({ value }) {
+  if (!value) return null;
+  return <Money value={value} withSuffix={false} />;
+}
+
+/**
+ * Printable account statement for a customer: opening balance, every charge
+ * and payment in the period with a running balance, and the closing balance.
+ * Controls are hidden when printing.
+ *
+ * @param {Object} props
+ * @param {string} props.customerId - The ID of the customer
+ */
+export default function CustomerStatement({ customerId }) {
+  const [range, setRange] = React.useState(() => ({
+    from: format(startOfMonth(new Date()), "yyyy-MM-dd"),
+    to: format(new Date(), "yyyy-MM-dd"),
+  }));
+
+  const { data: shop } = useGetShop();
+  const { data: statement, isLoading, error } = useGetCustomerStatement(
+    customerId,
+    range
+  );
+
+  const customer = statement?.customer;
+  const entries = statement?.entries || [];
+
+  const periodLabel = [
+    range.from ? format(parseISO(range.from), "MMM d, yyyy") : "Beginning",
+    range.to ? format(parseISO(range.to), "MMM d, yyyy") : "Today",
+  ].join(" – ");
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+        <DateRangePicker value={range} onChange={setRange} />
+        <Button onClick={() => window.print()} disabled={isLoading}>
+          <Printer className="mr-2 h-4 w-4" />
+          Print
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="destructive" className="print:hidden">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border p-8 print:border-0 print:p-0">
+        <div className="mb-8 flex flex-wrap justify-between gap-4">
+          <div>
+            <h3 className="text-xl font-bold">{shop?.name}</h3>
+            <p className="text-sm text-muted-foreground">Account Statement</p>
+          </div>
+          <div className="text-right text-sm">
+            <div className="font-medium">{customer?.name}</div>
+            {customer?.phone && <div>{customer.phone}</div>}
+            {customer?.address && <div>{customer.address}</div>}
+            <div className="mt-2 text-muted-foreground">{periodLabel}</div>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-2">
+            {Array.from({ length: 5 }, (_, i) => (
+              <Skeleton key={`skeleton-${i}`} className="h-6 w-full" />
+            ))}
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Description</TableHead>
+                <TableHead className="text-right">Charges</TableHead>
+                <TableHead className="text-right">Payments &amp; Credits</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              <TableRow>
+                <TableCell />
+                <TableCell className="font-medium">Opening balance</TableCell>
+                <TableCell />
+                <TableCell />
+                <TableCell className="text-right font-medium">
+                  <Money
+                    value={statement?.openingBalance ?? 0}
+                    withSuffix={false}
+                  />
+                </TableCell>
+              </TableRow>
+
+              {entries.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={5}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No activity in this period.
+                  </TableCell>
+                </TableRow>
+              )}
+
+              {entries.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell className="whitespace-nowrap">
+                    {format(new Date(entry.createdAt), "MMM d, yyyy")}
+                  </TableCell>
+                  <TableCell>
+                    {customerLedgerEntryTypeLabels[entry.type] || entry.type}
+                    {entry.note && (
+                      <span className="text-muted-foreground">
+                        {" "}
+                        — {entry.note}
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Amount value={entry.amount > 0 ? entry.amount : 0} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Amount value={entry.amount < 0 ? -entry.amount : 0} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={entry.balanceAfter} withSuffix={false} />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+            <TableFooter>
+              <TableRow>
+                <TableCell />
+                <TableCell className="font-medium">Closing balance</TableCell>
+                <TableCell className="text-right">
+                  <Amount value={statement?.totalCharges} />
+                </TableCell>
+                <TableCell className="text-right">
+                  <Amount value={statement?.totalPayments} />
+                </TableCell>
+                <TableCell className="text-right font-bold">
+                  <Money value={statement?.closingBalance ?? 0} />
+                </TableCell>
+              </TableRow>
+            </TableFooter>
+          </Table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+"use client";
+
+import * as React from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Form,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormControl,
+  FormMessage,
+} from "@/components/ui/form";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Money } from "@/components/ui/money";
+import NumberField from "@/components/features/products/number-field";
+import { customerPaymentSchema } from "@/lib/zod-schemas";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import { paymentMethods } from "@/lib/config/sales-config";
+import { useRecordCustomerPayment } from "@/hooks/use-customer-queries";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Dialog for recording a payment against a customer's outstanding balance.
+ * Any amount up to the balance can be paid.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {Object} props.customer - The paying customer ({id, name, outstandingBalance})
+ * @returns {JSX.Element}
+ */
+export default function RecordPaymentDialog({ open, onOpenChange, customer }) {
+  const { mutateAsync: recordPaymentAsync, isPending } =
+    useRecordCustomerPayment(customer?.id);
+  const { thousandSeparator, suffix } = useCurrencyFormat();
+
+  const form = useForm({
+    resolver: zodResolver(customerPaymentSchema),
+    defaultValues: {
+      amount: "",
+      method: "CASH",
+      note: "",
+    },
+  });
+
+  const { control, handleSubmit, reset, watch, setValue } = form;
+
+  // Reset the form whenever the dialog is reopened
+  React.useEffect(() => {
+    if (open) {
+      reset({ amount: "", method: "CASH", note: "" });
+    }
+  }, [open, reset]);
+
+  const balance = customer?.outstandingBalance ?? 0;
+  const amount = Number(watch("amount")) || 0;
+  const remainingBalance = balance - amount;
+
+  const onSubmit = (data) => {
+    onOpenChange(false);
+
+    const paymentPromise = recordPaymentAsync(data);
+
+    toast.promise(paymentPromise, {
+      loading: "Recording payment...",
+      success: `Payment from ${customer.name} recorded.`,
+      error: (err) => err?.message || "Failed to record payment",
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[440px]">
+        <DialogHeader>
+          <DialogTitle>Record Payment</DialogTitle>
+          <DialogDescription>
+            {customer?.name} owes{" "}
+            <Money value={balance} />
+            .
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <NumberField
+                control={control}
+                name="amount"
+                label="Amount"
+                thousandSeparator={thousandSeparator}
+                suffix={suffix}
+                required
+              />
+              <Button
+                type="button"
+                variant="link"
+                className="h-auto p-0 text-xs"
+                onClick={() =>
+                  setValue("amount", String(balance), { shouldValidate: true })
+                }
+              >
+                Pay full balance
+              </Button>
+            </div>
+
+            <FormField
+              control={control}
+              name="method"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Method *</FormLabel>
+                  <div className="grid grid-cols-3 gap-2">
+                    {paymentMethods.map((option) => (
+                      <Button
+                        key={option.value}
+                        type="button"
+                        variant={field.value === option.value ? "default" : "outline"}
+                        onClick={() => field.onChange(option.value)}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </div>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={control}
+              name="note"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Note</FormLabel>
+                  <FormControl>
+                    <Input placeholder="Optional" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <p
+              className={cn(
+                "text-sm text-muted-foreground",
+                remainingBalance < 0 && "text-destructive"
+              )}
+            >
+              {remainingBalance < 0
+                ? "The payment is larger than the outstanding balance."
+                : "Remaining balance: "}
+              {remainingBalance >= 0 && (
+                <Money value={remainingBalance} />
+              )}
+            </p>
+
+            <DialogFooter className="flex flex-row justify-end gap-2 sm:justify-end">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isPending}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isPending || amount <= 0 || remainingBalance < 0}
+              >
+                {isPending ? "Saving..." : "Record Payment"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+}
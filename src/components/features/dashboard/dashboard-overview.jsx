@@ -0,0 +1,176 @@
+"use client";
+
+import Link from "next/link";
+import { FileText, PackagePlus, Undo2 } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import { useGetDashboardSummary } from "@/hooks/use-dashboard-queries";
+import LowStockWidget from "./low-stock-widget";
+import OnboardingComponent from "./onboarding-component";
+import RevenueTrendChart from "./revenue-trend-chart";
+
+const QUICK_ACTIONS = [
+  { title: "New Sale", url: "/dashboard/sales/new", icon: FileText },
+  { title: "Return", url: "/dashboard/sales/returns/new", icon: Undo2 },
+  { title: "Receive Stock", url: "/inventory/receive", icon: PackagePlus },
+];
+
+/**
+ * A single KPI card, optionally linking to the page with the details.
+ * @param {{title: string, isLoading: boolean, children: React.ReactNode, footer?: React.ReactNode, href?: string}} props
+ */
+function KpiCard({ title, isLoading, children, footer, href }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardDescription>{title}</CardDescription>
+        <CardTitle className="text-2xl">
+          {isLoading ? <Skeleton className="h-7 w-28" /> : children}
+        </CardTitle>
+      </CardHeader>
+      {(footer || href) && (
+        <CardContent className="text-sm text-muted-foreground">
+          {footer}
+          {href && (
+            <Link href={href} className="block pt-1 text-primary hover:underline">
+              View details
+            </Link>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Dashboard body. The shop owner sees today's revenue, profit, sales and
+ * average basket, outstanding balances, low stock and the 30-day revenue
+ * trend; staff see today's activity, low stock and quick actions. The
+ * onboarding checklist stays on top until the shop has products and a sale.
+ *
+ * @param {Object} props
+ * @param {string} props.userName - The signed-in user's display name
+ * @param {boolean} props.showFinancials - Whether to show the financial KPIs
+ */
+export default function DashboardOverview({ userName, showFinancials }) {
+  const { data, isLoading, error } = useGetDashboardSummary();
+
+  const setup = data?.setup;
+  const today = data?.today;
+  const financials = data?.financials;
+  const showOnboarding = setup && (!setup.hasProducts || !setup.hasSales);
+
+  return (
+    <div className="space-y-8">
+      {error && <p className="text-destructive">{error.message}</p>}
+
+      {showOnboarding && (
+        <OnboardingComponent
+          userName={userName}
+          hasProducts={setup.hasProducts}
+          hasSales={setup.hasSales}
+        />
+      )}
+
+      {showFinancials ? (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <KpiCard
+              title="Today's revenue"
+              isLoading={isLoading}
+              footer={
+                financials &&
+                `${today.returnCount} return${today.returnCount === 1 ? "" : "s"} today`
+              }
+            >
+              <Money value={financials?.revenue ?? 0} />
+            </KpiCard>
+            <KpiCard
+              title="Today's gross profit"
+              isLoading={isLoading}
+              footer={
+                typeof financials?.grossMarginPercent === "number" &&
+                `Gross margin ${financials.grossMarginPercent}%`
+              }
+              href="/dashboard/reports"
+            >
+              <Money value={financials?.grossProfit ?? 0} />
+            </KpiCard>
+            <KpiCard title="Sales today" isLoading={isLoading}>
+              {today?.saleCount ?? 0}
+            </KpiCard>
+            <KpiCard title="Average basket" isLoading={isLoading}>
+              <Money value={financials?.averageBasket ?? 0} />
+            </KpiCard>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-3">
+            <KpiCard
+              title="Receivables"
+              isLoading={isLoading}
+              footer="Owed to you by customers"
+              href="/dashboard/customers"
+            >
+              <Money value={financials?.receivables ?? 0} />
+            </KpiCard>
+            <KpiCard
+              title="Payables"
+              isLoading={isLoading}
+              footer="Owed by you to suppliers"
+              href="/dashboard/suppliers"
+            >
+              <Money value={financials?.payables ?? 0} />
+            </KpiCard>
+            <LowStockWidget />
+          </div>
+
+          <RevenueTrendChart
+            points={financials?.revenueTrend}
+            isLoading={isLoading}
+          />
+        </>
+      ) : (
+        <>
+          <div className="grid gap-4 sm:grid-cols-3">
+            <KpiCard title="Sales today" isLoading={isLoading}>
+              {today?.saleCount ?? 0}
+            </KpiCard>
+            <KpiCard title="Returns today" isLoading={isLoading}>
+              {today?.returnCount ?? 0}
+            </KpiCard>
+            <KpiCard title="Units sold today" isLoading={isLoading}>
+              {today?.unitsSold ?? 0}
+            </KpiCard>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <LowStockWidget />
+            <Card>
+              <CardHeader>
+                <CardTitle>Quick actions</CardTitle>
+              </CardHeader>
+              <CardContent className="flex flex-wrap gap-2">
+                {QUICK_ACTIONS.map((action) => (
+                  <Button key={action.url} variant="outline" asChild>
+                    <Link href={action.url}>
+                      <action.icon className="mr-2 h-4 w-4" />
+                      {action.title}
+                    </Link>
+                  </Button>
+                ))}
+              </CardContent>
+            </Card>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+"use client";
+
+import Link from "next/link";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import { useGetLowStockProducts } from "@/hooks/use-product-queries";
+
+const WIDGET_LIMIT = 5;
+
+/**
+ * Dashboard card with the number of products at or below their reorder
+ * point and the ones with the largest shortfall.
+ */
+export default function LowStockWidget() {
+  const { data, isLoading, error } = useGetLowStockProducts({
+    limit: WIDGET_LIMIT,
+  });
+  const products = data?.products || [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardDescription>Low stock</CardDescription>
+        <CardTitle className="text-2xl">
+          {isLoading ? (
+            <Skeleton className="h-7 w-24" />
+          ) : (
+            `${data?.count ?? 0} product${data?.count === 1 ? "" : "s"}`
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {error && <p className="text-destructive">{error.message}</p>}
+
+        {!isLoading && !error && products.length === 0 && (
+          <p className="text-muted-foreground">
+            All products are above their reorder point.
+          </p>
+        )}
+
+        {products.map((product) => (
+          <div
+            key={product.id}
+            className="flex items-center justify-between gap-2 px-2 py-1"
+          >
+            <span className="truncate">{product.name}</span>
+            <span className="shrink-0 font-medium text-destructive">
+              {product.stock} / {product.reorderPoint} {product.unit}
+            </span>
+          </div>
+        ))}
+
+        {data?.count > 0 && (
+          <Link
+            href="/inventory/low-stock"
+            className="block px-2 pt-2 text-primary hover:underline"
+          >
+            View low stock report
+          </Link>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,16 +1,24 @@
 import Link from "next/link";
+import { CheckCircle2 } from "lucide-react";
 import PrimaryButton from "@/components/ui/primary-button";
 import SecondaryButton from "@/components/ui/secondary-button";
 
 /**
  * Onboarding checklist component for new users.
  * Renders a visual guide with step-by-step setup instructions and navigation links.
+ * The dashboard shows it until the shop has its first products and sale.
  *
  * @param {Object} props
  * @param {string} props.userName - The authenticated user's display name
+ * @param {boolean} [props.hasProducts] - Whether the shop already has products
+ * @param {boolean} [props.hasSales] - Whether the shop already made a sale
  * @returns {JSX.Element} Onboarding checklist component
  */
-export default function OnboardingComponent({ userName }) {
+export default function OnboardingComponent({
+  userName,
+  hasProducts = false,
+  hasSales = false,
+}) {
   return (
     <div className="max-w-4xl mx-auto">
       {/* Welcome Header */}
@@ -43,7 +51,7 @@ export default function OnboardingComponent({ userName }) {
                 Organize your products by creating categories. This will help
                 you manage and find items quickly.
               </p>
-              <Link href="/inventory/categories/new">
+              <Link href="/inventory/categories">
                 <PrimaryButton>Create Categories</PrimaryButton>
               </Link>
             </div>
@@ -63,10 +71,10 @@ export default function OnboardingComponent({ userName }) {
                 management and customers for sales tracking.
               </p>
               <div className="flex flex-wrap gap-3">
-                <Link href="/purchases/suppliers/new">
+                <Link href="/dashboard/suppliers">
                   <PrimaryButton>Add Suppliers</PrimaryButton>
                 </Link>
-                <Link href="/customers/new">
+                <Link href="/dashboard/customers">
                   <SecondaryButton>Add Customers</SecondaryButton>
                 </Link>
               </div>
@@ -86,9 +94,42 @@ export default function OnboardingComponent({ userName }) {
                 The main event! Add your inventory items with details like
                 pricing, stock levels, and categories.
               </p>
-              <Link href="/inventory/products/new">
-                <PrimaryButton>Add Products</PrimaryButton>
-              </Link>
+              {hasProducts ? (
+                <p className="flex items-center gap-2 text-sm font-medium text-green-600">
+                  <CheckCircle2 className="h-4 w-4" />
+                  Products added
+                </p>
+              ) : (
+                <Link href="/inventory/products/new">
+                  <PrimaryButton>Add Products</PrimaryButton>
+                </Link>
+              )}
+            </div>
+          </div>
+
+          {/* Step 4: Make Your First Sale */}
+          <div className="flex items-start space-x-4 p-6 bg-muted/30 rounded-lg">
+            <div className="flex-shrink-0 w-8 h-8 bg-primary text-primary-foreground rounded-full flex items-center justify-center font-semibold text-sm">
+              4
+            </div>
+            <div className="flex-grow">
+              <h3 className="text-lg font-medium text-foreground mb-2">
+                Make Your First Sale
+              </h3>
+              <p className="text-muted-foreground mb-4">
+                Ring up a sale to start tracking revenue and profit. Your
+                dashboard fills in from there.
+              </p>
+              {hasSales ? (
+                <p className="flex items-center gap-2 text-sm font-medium text-green-600">
+                  <CheckCircle2 className="h-4 w-4" />
+                  First sale recorded
+                </p>
+              ) : (
+                <Link href="/dashboard/sales/new">
+                  <PrimaryButton>New Sale</PrimaryButton>
+                </Link>
+              )}
             </div>
           </div>
         </div>
@@ -104,7 +145,8 @@ export default function OnboardingComponent({ userName }) {
               retail management system.
             </p>
             <p className="text-sm text-muted-foreground">
-              You can always come back to this checklist from your dashboard.
+              This checklist disappears once you have products and your first
+              sale.
             </p>
           </div>
         </div>
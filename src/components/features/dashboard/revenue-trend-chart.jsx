@@ -0,0 +1,76 @@
+"use client";
+
+import { format, parseISO } from "date-fns";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import { cn } from "@/lib/utils";
+
+/**
+ * Bar chart of net sales per day. Each bar's height is relative to the
+ * busiest day in the range; hovering a bar shows the exact amount.
+ *
+ * @param {Object} props
+ * @param {Array<{date: string, revenue: number}>} [props.points] - One point per day, oldest first
+ * @param {boolean} props.isLoading - Whether the data is still loading
+ */
+export default function RevenueTrendChart({ points = [], isLoading }) {
+  const { formatCurrency } = useCurrencyFormat();
+  const maxRevenue = Math.max(0, ...points.map((point) => point.revenue));
+  const total = points.reduce((sum, point) => sum + point.revenue, 0);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Revenue, last {points.length || 30} days</CardTitle>
+        <CardDescription>
+          {isLoading ? (
+            <Skeleton className="h-4 w-40" />
+          ) : (
+            `${formatCurrency(total)} in net sales`
+          )}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <Skeleton className="h-40 w-full" />
+        ) : (
+          <>
+            <div className="flex h-40 items-end gap-1">
+              {points.map((point) => (
+                <div
+                  key={point.date}
+                  title={`${format(parseISO(point.date), "MMM d")}: ${formatCurrency(point.revenue)}`}
+                  className={cn(
+                    "flex-1 rounded-t-sm bg-primary/80 hover:bg-primary",
+                    point.revenue <= 0 && "bg-muted"
+                  )}
+                  style={{
+                    height:
+                      maxRevenue > 0 && point.revenue > 0
+                        ? `${Math.max((point.revenue / maxRevenue) * 100, 2)}%`
+                        : "2px",
+                  }}
+                />
+              ))}
+            </div>
+            {points.length > 0 && (
+              <div className="mt-2 flex justify-between text-xs text-muted-foreground">
+                <span>{format(parseISO(points[0].date), "MMM d")}</span>
+                <span>
+                  {format(parseISO(points[points.length - 1].date), "MMM d")}
+                </span>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
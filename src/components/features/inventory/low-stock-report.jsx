@@ -0,0 +1,140 @@
+// src/components/features/inventory/low-stock-report.jsx
+
+"use client";
+
+import Link from "next/link";
+import { format } from "date-fns";
+import { AlertCircle } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Skeleton } from "@/components/ui/skeleton";
+import { useGetLowStockProducts } from "@/hooks/use-product-queries";
+import { cn } from "@/lib/utils";
+
+/**
+ * Low stock report: every active product at or below its reorder point with
+ * the shortfall, category, supplier and when stock was last received.
+ */
+export default function LowStockReport() {
+  const { data, isLoading, error } = useGetLowStockProducts();
+  const products = data?.products || [];
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Products to Reorder</CardTitle>
+          <CardDescription>
+            {isLoading
+              ? "Checking stock levels..."
+              : `${data?.count ?? 0} product${
+                  data?.count === 1 ? " is" : "s are"
+                } at or below the reorder point.`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Product</TableHead>
+                <TableHead>Category</TableHead>
+                <TableHead>Supplier</TableHead>
+                <TableHead className="text-right">In Stock</TableHead>
+                <TableHead className="text-right">Reorder Point</TableHead>
+                <TableHead className="text-right">Shortfall</TableHead>
+                <TableHead>Last Received</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading &&
+                Array.from({ length: 5 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={7}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {!isLoading && products.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={7}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    All products are above their reorder point.
+                  </TableCell>
+                </TableRow>
+              )}
+              {products.map((product) => (
+                <TableRow key={product.id}>
+                  <TableCell className="font-medium">
+                    {product.name}
+                    {product.sku && (
+                      <span className="ml-2 text-xs text-muted-foreground">
+                        {product.sku}
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {product.category?.name || "Uncategorized"}
+                  </TableCell>
+                  <TableCell>
+                    {product.supplier ? (
+                      <Link
+                        href={`/dashboard/suppliers/${product.supplier.id}`}
+                        className="hover:underline"
+                      >
+                        {product.supplier.name}
+                      </Link>
+                    ) : (
+                      <span className="text-muted-foreground">—</span>
+                    )}
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      product.stock <= 0 && "text-destructive"
+                    )}
+                  >
+                    {product.stock} {product.unit}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {product.reorderPoint}
+                  </TableCell>
+                  <TableCell className="text-right font-medium text-destructive">
+                    {product.shortfall}
+                  </TableCell>
+                  <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                    {product.lastReceivedAt
+                      ? format(new Date(product.lastReceivedAt), "MMM d, yyyy")
+                      : "Never"}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
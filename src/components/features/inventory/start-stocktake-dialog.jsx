@@ -0,0 +1,123 @@
+"use client";
+
+import * as React from "react";
+import { useRouter } from "next/navigation";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useGetCategories } from "@/hooks/use-category-queries";
+import { useCreateStocktake } from "@/hooks/use-stocktake-queries";
+import { toast } from "sonner";
+
+const WHOLE_SHOP = "ALL";
+
+/**
+ * Dialog for starting a stocktake of one category or the whole shop.
+ * Opens the new session once it has been created.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ */
+export default function StartStocktakeDialog({ open, onOpenChange }) {
+  const router = useRouter();
+  const { data: categories = [] } = useGetCategories();
+  const { mutateAsync: createStocktakeAsync, isPending } =
+    useCreateStocktake();
+  const [categoryId, setCategoryId] = React.useState(WHOLE_SHOP);
+  const [note, setNote] = React.useState("");
+
+  // Start from the whole shop whenever the dialog is reopened
+  React.useEffect(() => {
+    if (open) {
+      setCategoryId(WHOLE_SHOP);
+      setNote("");
+    }
+  }, [open]);
+
+  const handleStart = async () => {
+    try {
+      const stocktake = await createStocktakeAsync({
+        categoryId: categoryId === WHOLE_SHOP ? undefined : categoryId,
+        note: note || undefined,
+      });
+      onOpenChange(false);
+      toast.success(`Stocktake #${stocktake.number} started.`);
+      router.push(`/inventory/stocktakes/${stocktake.id}`);
+    } catch (error) {
+      toast.error(error?.message || "Failed to start stocktake");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[420px]">
+        <DialogHeader>
+          <DialogTitle>New Stocktake</DialogTitle>
+          <DialogDescription>
+            Current stock levels are saved as the expected quantities to count
+            against.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>What to count</Label>
+            <Select value={categoryId} onValueChange={setCategoryId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Whole shop" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={WHOLE_SHOP}>Whole shop</SelectItem>
+                {categories.map((category) => (
+                  <SelectItem key={category.id} value={category.id}>
+                    {category.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="stocktake-note">Note</Label>
+            <Input
+              id="stocktake-note"
+              placeholder="Optional"
+              value={note}
+              onChange={(event) => setNote(event.target.value)}
+            />
+          </div>
+        </div>
+
+        <DialogFooter className="flex flex-row justify-end gap-2 sm:justify-end">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+            disabled={isPending}
+          >
+            Cancel
+          </Button>
+          <Button onClick={handleStart} disabled={isPending}>
+            {isPending ? "Starting..." : "Start Counting"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,196 @@
+// src/components/features/inventory/stock-adjustment-dialog.jsx
+
+"use client";
+
+import * as React from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Form,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormControl,
+  FormDescription,
+  FormMessage,
+} from "@/components/ui/form";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import NumberField from "@/components/features/products/number-field";
+import { stockAdjustmentSchema } from "@/lib/zod-schemas";
+import { stockAdjustmentReasons } from "@/lib/config/inventory-config";
+import { useCreateStockAdjustment } from "@/hooks/use-inventory-queries";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Dialog for recording a manual stock adjustment against a single product.
+ * The quantity is a signed change: negative values remove stock, positive values add it.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {Object} props.product - The product being adjusted ({id, name, stock, unit})
+ * @returns {JSX.Element}
+ */
+export default function StockAdjustmentDialog({ open, onOpenChange, product }) {
+  const { mutateAsync: createAdjustmentAsync, isPending } =
+    useCreateStockAdjustment();
+
+  const form = useForm({
+    resolver: zodResolver(stockAdjustmentSchema),
+    defaultValues: {
+      productId: product?.id || "",
+      quantity: "",
+      reason: "",
+      note: "",
+    },
+  });
+
+  const { control, handleSubmit, reset, watch } = form;
+
+  // Reset the form whenever the dialog is reopened
+  React.useEffect(() => {
+    if (open) {
+      reset({
+        productId: product?.id || "",
+        quantity: "",
+        reason: "",
+        note: "",
+      });
+    }
+  }, [open, product?.id, reset]);
+
+  const quantity = Number(watch("quantity")) || 0;
+  const reason = watch("reason");
+  const currentStock = product?.stock ?? 0;
+  const resultingStock = currentStock + quantity;
+
+  const onSubmit = (data) => {
+    onOpenChange(false);
+
+    const adjustmentPromise = createAdjustmentAsync(data);
+
+    toast.promise(adjustmentPromise, {
+      loading: "Adjusting stock...",
+      success: `Stock for "${product.name}" updated to ${resultingStock}.`,
+      error: (err) => err?.message || "Failed to adjust stock",
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>Adjust Stock</DialogTitle>
+          <DialogDescription>
+            Record a stock change for &quot;{product?.name}&quot;. Current
+            stock: {currentStock} {product?.unit}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <FormField
+              control={control}
+              name="reason"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Reason *</FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select a reason" />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {stockAdjustmentReasons.map((option) => (
+                        <SelectItem key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormDescription>
+                    {stockAdjustmentReasons.find(
+                      (option) => option.value === reason
+                    )?.description || "Every adjustment must have a reason."}
+                  </FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <NumberField
+              control={control}
+              name="quantity"
+              label="Quantity Change"
+              placeholder="e.g. -3 or 5"
+              allowNegative={true}
+              required
+            />
+            <p
+              className={cn(
+                "text-sm text-muted-foreground",
+                resultingStock < 0 && "text-destructive"
+              )}
+            >
+              New stock: {resultingStock} {product?.unit}
+            </p>
+
+            <FormField
+              control={control}
+              name="note"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">
+                    Note{reason === "OTHER" && " *"}
+                  </FormLabel>
+                  <FormControl>
+                    <Input
+                      placeholder="Add details about this adjustment"
+                      {...field}
+                    />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <DialogFooter className="flex flex-row justify-end gap-2 sm:justify-end">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isPending}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isPending || quantity === 0 || resultingStock < 0}
+              >
+                {isPending ? "Saving..." : "Save Adjustment"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,265 @@
+// src/components/features/inventory/stock-adjustment-report.jsx
+
+"use client";
+
+import * as React from "react";
+import { format, startOfMonth } from "date-fns";
+import { AlertCircle } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { DateRangePicker } from "@/components/ui/date-range-picker";
+import { Money } from "@/components/ui/money";
+import {
+  useGetStockAdjustments,
+  useGetStockAdjustmentSummary,
+} from "@/hooks/use-inventory-queries";
+import {
+  getStockAdjustmentReasonLabel,
+  stockAdjustmentReasons,
+} from "@/lib/config/inventory-config";
+import { cn } from "@/lib/utils";
+
+const ALL_REASONS = "ALL";
+
+/**
+ * Stock adjustment report: totals per reason for a date range plus the
+ * underlying list of adjustments.
+ */
+export default function StockAdjustmentReport() {
+  const [range, setRange] = React.useState(() => ({
+    from: format(startOfMonth(new Date()), "yyyy-MM-dd"),
+    to: format(new Date(), "yyyy-MM-dd"),
+  }));
+  const [reason, setReason] = React.useState(ALL_REASONS);
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+
+  // Go back to the newest adjustments whenever the filters change
+  React.useEffect(() => {
+    setPage({ cursor: null, direction: "forward" });
+  }, [range.from, range.to, reason]);
+
+  const {
+    data: summaryData,
+    isLoading: isSummaryLoading,
+    error: summaryError,
+  } = useGetStockAdjustmentSummary(range);
+
+  const {
+    data: adjustmentsData,
+    isLoading: isListLoading,
+    isFetching: isListFetching,
+    error: listError,
+  } = useGetStockAdjustments({
+    ...range,
+    ...page,
+    reason: reason === ALL_REASONS ? undefined : reason,
+  });
+
+  const summaryRows = summaryData?.reasons || [];
+  const adjustments = adjustmentsData?.adjustments || [];
+  const totalCostValue = summaryRows.reduce(
+    (sum, row) => sum + row.costValue,
+    0
+  );
+  const error = summaryError || listError;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <DateRangePicker value={range} onChange={setRange} />
+        <Select value={reason} onValueChange={setReason}>
+          <SelectTrigger className="h-8 w-[180px]">
+            <SelectValue placeholder="All reasons" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_REASONS}>All reasons</SelectItem>
+            {stockAdjustmentReasons.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Adjustments by Reason</CardTitle>
+          <CardDescription>
+            Net stock value change at cost: <Money value={totalCostValue} />
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Reason</TableHead>
+                <TableHead className="text-right">Adjustments</TableHead>
+                <TableHead className="text-right">Units Added</TableHead>
+                <TableHead className="text-right">Units Removed</TableHead>
+                <TableHead className="text-right">Net Units</TableHead>
+                <TableHead className="text-right">Value at Cost</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isSummaryLoading && (
+                <TableRow>
+                  <TableCell colSpan={6}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              )}
+              {!isSummaryLoading && summaryRows.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={6}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No adjustments in this period.
+                  </TableCell>
+                </TableRow>
+              )}
+              {summaryRows.map((row) => (
+                <TableRow key={row.reason}>
+                  <TableCell className="font-medium">
+                    {getStockAdjustmentReasonLabel(row.reason)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {row.adjustmentCount}
+                  </TableCell>
+                  <TableCell className="text-right">{row.unitsAdded}</TableCell>
+                  <TableCell className="text-right">
+                    {row.unitsRemoved}
+                  </TableCell>
+                  <TableCell className="text-right">{row.netQuantity}</TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right",
+                      row.costValue < 0 && "text-destructive"
+                    )}
+                  >
+                    <Money value={row.costValue} />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Adjustment History</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Product</TableHead>
+                <TableHead>Reason</TableHead>
+                <TableHead className="text-right">Change</TableHead>
+                <TableHead className="text-right">Value at Cost</TableHead>
+                <TableHead>Note</TableHead>
+                <TableHead>By</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isListLoading &&
+                Array.from({ length: 5 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={7}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {!isListLoading && adjustments.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={7}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No adjustments found.
+                  </TableCell>
+                </TableRow>
+              )}
+              {adjustments.map((adjustment) => (
+                <TableRow key={adjustment.id}>
+                  <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                    {format(new Date(adjustment.createdAt), "MMM d, yyyy HH:mm")}
+                  </TableCell>
+                  <TableCell className="font-medium">
+                    {adjustment.product?.name}
+                  </TableCell>
+                  <TableCell>
+                    {getStockAdjustmentReasonLabel(adjustment.reason)}
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      adjustment.quantity < 0
+                        ? "text-destructive"
+                        : "text-green-600"
+                    )}
+                  >
+                    {adjustment.quantity > 0 ? "+" : ""}
+                    {adjustment.quantity} {adjustment.product?.unit}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money
+                      value={adjustment.quantity * (adjustment.unitCost || 0)}
+                    />
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {adjustment.note || "—"}
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {adjustment.user?.name || "—"}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <CursorPager
+            pagination={adjustmentsData}
+            isLoading={isListFetching}
+            onCursorChange={(cursor, direction) =>
+              setPage({ cursor, direction })
+            }
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
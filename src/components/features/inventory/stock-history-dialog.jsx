@@ -0,0 +1,157 @@
+// src/components/features/inventory/stock-history-dialog.jsx
+
+"use client";
+
+import * as React from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { useGetProductStockMovements } from "@/hooks/use-product-queries";
+import {
+  getStockAdjustmentReasonLabel,
+  stockMovementTypeLabels,
+} from "@/lib/config/inventory-config";
+import { cn } from "@/lib/utils";
+
+/**
+ * Formats a movement timestamp for display in ledger tables.
+ * @param {string} date - ISO date string
+ * @returns {string}
+ */
+function formatMovementDate(date) {
+  return new Date(date).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * Dialog showing the stock movement ledger of a single product, newest first.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {Object} props.product - The product whose history to show ({id, name, unit})
+ * @returns {JSX.Element}
+ */
+export default function StockHistoryDialog({ open, onOpenChange, product }) {
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+
+  // Start from the newest movements every time the dialog opens
+  React.useEffect(() => {
+    if (open) {
+      setPage({ cursor: null, direction: "forward" });
+    }
+  }, [open]);
+
+  const { data, isLoading, isFetching } = useGetProductStockMovements(
+    product?.id,
+    { ...page, enabled: open }
+  );
+
+  const movements = data?.movements || [];
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[760px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Stock History</DialogTitle>
+          <DialogDescription>
+            Every change to the stock of &quot;{product?.name}&quot;.
+            {data?.product &&
+              ` Current stock: ${data.product.stock} ${data.product.unit || ""}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Date</TableHead>
+              <TableHead>Type</TableHead>
+              <TableHead className="text-right">Change</TableHead>
+              <TableHead className="text-right">Balance</TableHead>
+              <TableHead>Details</TableHead>
+              <TableHead>By</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading &&
+              Array.from({ length: 5 }, (_, i) => (
+                <TableRow key={`skeleton-${i}`}>
+                  <TableCell colSpan={6}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              ))}
+
+            {!isLoading && movements.length === 0 && (
+              <TableRow>
+                <TableCell
+                  colSpan={6}
+                  className="h-24 text-center text-muted-foreground"
+                >
+                  No stock movements recorded yet.
+                </TableCell>
+              </TableRow>
+            )}
+
+            {movements.map((movement) => (
+              <TableRow key={movement.id}>
+                <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                  {formatMovementDate(movement.createdAt)}
+                </TableCell>
+                <TableCell>
+                  <Badge variant="outline">
+                    {stockMovementTypeLabels[movement.type] || movement.type}
+                  </Badge>
+                </TableCell>
+                <TableCell
+                  className={cn(
+                    "text-right font-medium",
+                    movement.quantity < 0 ? "text-destructive" : "text-green-600"
+                  )}
+                >
+                  {movement.quantity > 0 ? "+" : ""}
+                  {movement.quantity}
+                </TableCell>
+                <TableCell className="text-right">{movement.balanceAfter}</TableCell>
+                <TableCell className="text-sm text-muted-foreground">
+                  {[getStockAdjustmentReasonLabel(movement.reason), movement.note]
+                    .filter(Boolean)
+                    .join(" — ")}
+                </TableCell>
+                <TableCell className="text-sm text-muted-foreground">
+                  {movement.user?.name || "—"}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <CursorPager
+          pagination={data}
+          isLoading={isFetching}
+          onCursorChange={(cursor, direction) => setPage({ cursor, direction })}
+        />
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,163 @@
+"use client";
+
+import * as React from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { AlertCircle, ClipboardList } from "lucide-react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { useGetStocktakes } from "@/hooks/use-stocktake-queries";
+import { stocktakeStatusLabels } from "@/lib/config/inventory-config";
+import StartStocktakeDialog from "./start-stocktake-dialog";
+
+const ALL_STATUSES = "ALL";
+
+const STATUS_VARIANTS = {
+  IN_PROGRESS: "default",
+  APPROVED: "secondary",
+  CANCELLED: "outline",
+};
+
+/**
+ * Stocktake sessions, newest first, with a status filter. Sessions in
+ * progress can be reopened to continue counting.
+ */
+export default function StocktakeList() {
+  const router = useRouter();
+  const [status, setStatus] = React.useState(ALL_STATUSES);
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+  const [showStartDialog, setShowStartDialog] = React.useState(false);
+
+  // Go back to the newest sessions whenever the filter changes
+  React.useEffect(() => {
+    setPage({ cursor: null, direction: "forward" });
+  }, [status]);
+
+  const { data, isLoading, isFetching, error } = useGetStocktakes({
+    ...page,
+    status: status === ALL_STATUSES ? undefined : status,
+  });
+
+  const stocktakes = data?.stocktakes || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Select value={status} onValueChange={setStatus}>
+          <SelectTrigger className="h-8 w-[160px]">
+            <SelectValue placeholder="All statuses" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+            {Object.entries(stocktakeStatusLabels).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button onClick={() => setShowStartDialog(true)}>
+          <ClipboardList className="mr-2 h-4 w-4" />
+          New Stocktake
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Stocktake</TableHead>
+              <TableHead>Started</TableHead>
+              <TableHead>Scope</TableHead>
+              <TableHead className="text-right">Counted</TableHead>
+              <TableHead>Started By</TableHead>
+              <TableHead>Status</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading &&
+              Array.from({ length: 5 }, (_, i) => (
+                <TableRow key={`skeleton-${i}`}>
+                  <TableCell colSpan={6}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              ))}
+            {!isLoading && stocktakes.length === 0 && (
+              <TableRow>
+                <TableCell
+                  colSpan={6}
+                  className="h-24 text-center text-muted-foreground"
+                >
+                  No stocktakes yet.
+                </TableCell>
+              </TableRow>
+            )}
+            {stocktakes.map((stocktake) => (
+              <TableRow
+                key={stocktake.id}
+                className="cursor-pointer"
+                onClick={() =>
+                  router.push(`/inventory/stocktakes/${stocktake.id}`)
+                }
+              >
+                <TableCell className="font-medium">#{stocktake.number}</TableCell>
+                <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                  {format(new Date(stocktake.createdAt), "MMM d, yyyy HH:mm")}
+                </TableCell>
+                <TableCell>{stocktake.category?.name || "Whole shop"}</TableCell>
+                <TableCell className="text-right">
+                  {stocktake.countedCount} / {stocktake.itemCount}
+                </TableCell>
+                <TableCell className="text-muted-foreground">
+                  {stocktake.user?.name || "—"}
+                </TableCell>
+                <TableCell>
+                  <Badge variant={STATUS_VARIANTS[stocktake.status]}>
+                    {stocktakeStatusLabels[stocktake.status]}
+                  </Badge>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      <CursorPager
+        pagination={data}
+        isLoading={isFetching}
+        onCursorChange={(cursor, direction) => setPage({ cursor, direction })}
+      />
+
+      <StartStocktakeDialog
+        open={showStartDialog}
+        onOpenChange={setShowStartDialog}
+      />
+    </div>
+  );
+}
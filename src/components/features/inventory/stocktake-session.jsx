@@ -0,0 +1,443 @@
+"use client";
+
+import * as React from "react";
+import { format } from "date-fns";
+import { NumericFormat } from "react-number-format";
+import { AlertCircle, Ban, CheckCircle2 } from "lucide-react";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import { useIsMobile } from "@/hooks/use-mobile";
+import {
+  useGetStocktake,
+  useSaveStocktakeCounts,
+  useUpdateStocktakeStatus,
+} from "@/hooks/use-stocktake-queries";
+import { usePermissions } from "@/hooks/use-permissions";
+import { stocktakeStatusLabels } from "@/lib/config/inventory-config";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+const LINE_FILTERS = [
+  { value: "all", label: "All" },
+  { value: "uncounted", label: "Not counted" },
+  { value: "variances", label: "Variances" },
+];
+
+/**
+ * Counted quantity input that saves when it loses focus (or on Enter), so
+ * every count is stored as soon as it is entered and the session can be
+ * resumed at any time.
+ *
+ * @param {Object} props
+ * @param {Object} props.item - The stocktake line
+ * @param {Function} props.onSave - Called with (productId, countedQuantity|null) when the count changes
+ * @param {boolean} [props.disabled] - Whether the input is read-only
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function CountInput({ item, onSave, disabled = false, className }) {
+  const savedValue =
+    item.countedQuantity === null ? "" : String(item.countedQuantity);
+  const [draft, setDraft] = React.useState(savedValue);
+
+  // Follow the saved value when it changes (e.g. after saving or refetching)
+  React.useEffect(() => {
+    setDraft(savedValue);
+  }, [savedValue]);
+
+  const commit = () => {
+    if (draft === savedValue) return;
+    onSave(item.productId, draft === "" ? null : Number(draft));
+  };
+
+  return (
+    <NumericFormat
+      customInput={Input}
+      inputMode="numeric"
+      thousandSeparator=" "
+      decimalScale={0}
+      allowNegative={false}
+      placeholder="Count"
+      value={draft}
+      onValueChange={(values) => setDraft(values.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === "Enter") event.currentTarget.blur();
+      }}
+      disabled={disabled}
+      className={className}
+      aria-label={`Counted quantity of ${item.product.name}`}
+    />
+  );
+}
+
+/**
+ * Variance of a counted line in units and cost value.
+ * @param {Object} props
+ * @param {Object} props.item - The stocktake line with its variance
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function Variance({ item, className }) {
+  if (item.variance === null) {
+    return <span className={cn("text-muted-foreground", className)}>—</span>;
+  }
+
+  return (
+    <span
+      className={cn(
+        "font-medium",
+        item.variance < 0 && "text-destructive",
+        item.variance > 0 && "text-emerald-600",
+        item.variance === 0 && "text-muted-foreground",
+        className
+      )}
+    >
+      {item.variance > 0 ? `+${item.variance}` : item.variance}
+      {item.variance !== 0 && (
+        <span className="text-xs font-normal">
+          {" ("}
+          <Money value={item.varianceValue} />)
+        </span>
+      )}
+    </span>
+  );
+}
+
+/**
+ * A summary figure of the session.
+ * @param {Object} props
+ * @param {string} props.label - What the figure is
+ * @param {React.ReactNode} props.children - The figure
+ */
+function SummaryFigure({ label, children }) {
+  return (
+    <div className="space-y-1">
+      <div className="text-sm text-muted-foreground">{label}</div>
+      <div className="text-lg font-semibold">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * A stocktake session: staff enter counted quantities (as a table on larger
+ * screens and as stacked cards on mobile), variances are shown with their
+ * cost value, and the shop owner approves the session to post count
+ * corrections or cancels it.
+ *
+ * @param {Object} props
+ * @param {string} props.stocktakeId - The ID of the stocktake
+ */
+export default function StocktakeSession({ stocktakeId }) {
+  const { can } = usePermissions();
+  const canApprove = can("stocktakes:approve");
+  const isMobile = useIsMobile();
+  const { data: stocktake, isLoading, error } = useGetStocktake(stocktakeId);
+  const { mutate: saveCounts } = useSaveStocktakeCounts();
+  const { mutateAsync: updateStatusAsync, isPending: isChangingStatus } =
+    useUpdateStocktakeStatus();
+  const [search, setSearch] = React.useState("");
+  const [lineFilter, setLineFilter] = React.useState("all");
+  const [pendingStatus, setPendingStatus] = React.useState(null);
+
+  if (isLoading) {
+    return <Skeleton className="h-64 w-full" />;
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{error.message}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const { summary } = stocktake;
+  const isInProgress = stocktake.status === "IN_PROGRESS";
+  const uncountedCount = summary.itemCount - summary.countedCount;
+
+  const handleSaveCount = (productId, countedQuantity) => {
+    saveCounts(
+      { stocktakeId, counts: [{ productId, countedQuantity }] },
+      {
+        onError: (err) => toast.error(err?.message || "Failed to save count"),
+      }
+    );
+  };
+
+  const handleStatusChange = async () => {
+    const status = pendingStatus;
+    setPendingStatus(null);
+
+    try {
+      await updateStatusAsync({ stocktakeId, status });
+      toast.success(
+        status === "APPROVED"
+          ? `Stocktake #${stocktake.number} approved. ${summary.varianceCount} correction${
+              summary.varianceCount === 1 ? "" : "s"
+            } posted.`
+          : `Stocktake #${stocktake.number} cancelled.`
+      );
+    } catch (err) {
+      toast.error(err?.message || "Failed to update stocktake");
+    }
+  };
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleItems = stocktake.items.filter((item) => {
+    if (lineFilter === "uncounted" && item.countedQuantity !== null) return false;
+    if (lineFilter === "variances" && !item.variance) return false;
+    if (!searchTerm) return true;
+    return (
+      item.product.name.toLowerCase().includes(searchTerm) ||
+      item.product.sku?.toLowerCase().includes(searchTerm)
+    );
+  });
+
+  const countedBy = (item) =>
+    item.countedAt
+      ? `${item.countedBy?.name || "Unknown"} · ${format(
+          new Date(item.countedAt),
+          "MMM d, HH:mm"
+        )}`
+      : null;
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <CardTitle>{stocktake.category?.name || "Whole shop"}</CardTitle>
+            <Badge variant={isInProgress ? "default" : "secondary"}>
+              {stocktakeStatusLabels[stocktake.status]}
+            </Badge>
+          </div>
+          <CardDescription>
+            Started {format(new Date(stocktake.createdAt), "MMM d, yyyy HH:mm")}
+            {stocktake.user?.name && ` by ${stocktake.user.name}`}
+            {stocktake.approvedAt &&
+              ` · Approved ${format(new Date(stocktake.approvedAt), "MMM d, yyyy HH:mm")}${
+                stocktake.approvedBy?.name ? ` by ${stocktake.approvedBy.name}` : ""
+              }`}
+            {stocktake.note && ` · ${stocktake.note}`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+            <SummaryFigure label="Counted">
+              {summary.countedCount} / {summary.itemCount}
+            </SummaryFigure>
+            <SummaryFigure label="Shortage">
+              <Money
+                value={summary.shortageValue}
+                className={cn(summary.shortageValue > 0 && "text-destructive")}
+              />
+            </SummaryFigure>
+            <SummaryFigure label="Surplus">
+              <Money value={summary.surplusValue} />
+            </SummaryFigure>
+            <SummaryFigure label="Net variance">
+              <Money
+                value={summary.netVarianceValue}
+                className={cn(summary.netVarianceValue < 0 && "text-destructive")}
+              />
+            </SummaryFigure>
+          </div>
+
+          {isInProgress && canApprove && (
+            <div className="flex flex-col gap-2 border-t pt-4 sm:flex-row sm:justify-end">
+              <Button
+                variant="ghost"
+                className="text-destructive"
+                onClick={() => setPendingStatus("CANCELLED")}
+                disabled={isChangingStatus}
+              >
+                <Ban className="mr-2 h-4 w-4" />
+                Cancel Stocktake
+              </Button>
+              <Button
+                onClick={() => setPendingStatus("APPROVED")}
+                disabled={isChangingStatus || summary.countedCount === 0}
+              >
+                <CheckCircle2 className="mr-2 h-4 w-4" />
+                {isChangingStatus ? "Posting..." : "Approve & Post Corrections"}
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+        <Input
+          placeholder="Search by name or SKU..."
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+          className="h-9 sm:w-[250px]"
+        />
+        <div className="grid grid-cols-3 gap-2 sm:flex">
+          {LINE_FILTERS.map((option) => (
+            <Button
+              key={option.value}
+              size="sm"
+              variant={lineFilter === option.value ? "default" : "outline"}
+              onClick={() => setLineFilter(option.value)}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {isMobile ? (
+        <div className="space-y-3">
+          {visibleItems.length === 0 && (
+            <p className="py-8 text-center text-sm text-muted-foreground">
+              No products match.
+            </p>
+          )}
+          {visibleItems.map((item) => (
+            <Card key={item.id}>
+              <CardContent className="space-y-3 p-4">
+                <div>
+                  <div className="font-medium">{item.product.name}</div>
+                  <div className="text-xs text-muted-foreground">
+                    Expected {item.expectedStock} {item.product.unit || ""}
+                    {item.product.sku && ` · ${item.product.sku}`}
+                  </div>
+                </div>
+                <CountInput
+                  item={item}
+                  onSave={handleSaveCount}
+                  disabled={!isInProgress}
+                  className="h-12 text-lg"
+                />
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <Variance item={item} />
+                  <span className="text-xs text-muted-foreground">
+                    {countedBy(item)}
+                  </span>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Product</TableHead>
+                <TableHead className="text-right">Expected</TableHead>
+                <TableHead className="w-[140px]">Counted</TableHead>
+                <TableHead className="text-right">Variance</TableHead>
+                <TableHead>Counted By</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {visibleItems.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={5}
+                    className="h-24 text-center text-muted-foreground"
+                  >
+                    No products match.
+                  </TableCell>
+                </TableRow>
+              )}
+              {visibleItems.map((item) => (
+                <TableRow key={item.id}>
+                  <TableCell>
+                    <div className="font-medium">{item.product.name}</div>
+                    {item.product.sku && (
+                      <div className="text-xs text-muted-foreground">
+                        {item.product.sku}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {item.expectedStock} {item.product.unit || ""}
+                  </TableCell>
+                  <TableCell>
+                    <CountInput
+                      item={item}
+                      onSave={handleSaveCount}
+                      disabled={!isInProgress}
+                    />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Variance item={item} />
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {countedBy(item) || "—"}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      <AlertDialog
+        open={pendingStatus !== null}
+        onOpenChange={(open) => !open && setPendingStatus(null)}
+      >
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {pendingStatus === "APPROVED"
+                ? "Approve Stocktake"
+                : "Cancel Stocktake"}
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              {pendingStatus === "APPROVED"
+                ? `${summary.varianceCount} count correction${
+                    summary.varianceCount === 1 ? "" : "s"
+                  } will be posted to stock.${
+                    uncountedCount > 0
+                      ? ` ${uncountedCount} product${
+                          uncountedCount === 1 ? " has" : "s have"
+                        } not been counted and will be left unchanged.`
+                      : ""
+                  }`
+                : "The counts will be discarded and no stock will change."}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Back</AlertDialogCancel>
+            <AlertDialogAction onClick={handleStatusChange}>
+              {pendingStatus === "APPROVED" ? "Approve" : "Cancel Stocktake"}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -1,13 +1,23 @@
 "use client";
 
 import * as React from "react";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
 import { DeleteConfirmDialog } from "@/components/ui/delete-confirm-dialog";
 import { useBulkDeleteProducts } from "@/hooks/use-product-queries";
 import { toast } from "sonner";
 
 /**
  * Bulk delete products dialog component.
- * Reuses the existing DeleteConfirmDialog component for consistency.
+ * Reuses the existing DeleteConfirmDialog component for consistency, and lists
+ * the products that could not be deleted together with the reason.
  * 
  * @param {Object} props
  * @param {boolean} props.open - Whether the dialog is open
@@ -24,12 +34,15 @@ export function BulkDeleteProductsDialog({
 }) {
   const { mutateAsync: bulkDeleteProducts, isPending: isDeleting } = useBulkDeleteProducts();
 
+  const [blockedProducts, setBlockedProducts] = React.useState([]);
+
   const selectedCount = selectedProducts.length;
 
   /**
-   * Handles the bulk deletion process with optimistic updates and proper error handling
+   * Handles the bulk deletion process with optimistic updates and proper error handling.
+   * Products the server refused to delete are listed with the reason afterwards.
    */
-  const handleBulkDelete = React.useCallback(() => {
+  const handleBulkDelete = React.useCallback(async () => {
     if (selectedCount === 0) return;
 
     onOpenChange(false); // Close dialog immediately
@@ -46,30 +59,43 @@ export function BulkDeleteProductsDialog({
       return acc;
     }, {});
 
-    const deletePromise = bulkDeleteProducts(productIds);
-    
-    toast.promise(deletePromise, {
-      loading: `Deleting ${selectedCount} product${selectedCount > 1 ? 's' : ''}...`,
-      success: (data) => {
-        const { successCount, failureCount, errors } = data;
+    const toastId = toast.loading(
+      `Deleting ${selectedCount} product${selectedCount > 1 ? 's' : ''}...`
+    );
+
+    try {
+      const { successCount, failureCount, errors } = await bulkDeleteProducts(productIds);
+
+      if (failureCount === 0) {
+        toast.success(
+          `Successfully deleted ${successCount} product${successCount > 1 ? 's' : ''}!`,
+          { id: toastId }
+        );
+        return;
+      }
 
-        // Show results based on success/failure counts
-        if (failureCount === 0) {
-          // All deletions successful
-          return `Successfully deleted ${successCount} product${successCount > 1 ? 's' : ''}!`;
-        } else if (successCount > 0) {
-          // Partial success
-          const failedNames = errors.slice(0, 3).map(e => productNames[e.productId]).join(", ");
-          const remainingCount = errors.length > 3 ? ` and ${errors.length - 3} more` : "";
-          
-          return `Successfully deleted ${successCount} out of ${selectedCount} products. Failed to delete: ${failedNames}${remainingCount}`;
-        } else {
-          // All deletions failed
-          return `Failed to delete ${failureCount} product${failureCount > 1 ? 's' : ''}.`;
-        }
-      },
-      error: "An unexpected error occurred during bulk deletion."
-    });
+      if (successCount > 0) {
+        toast.warning(
+          `Deleted ${successCount} out of ${selectedCount} products. ${failureCount} could not be deleted.`,
+          { id: toastId }
+        );
+      } else {
+        toast.error(
+          `Failed to delete ${failureCount} product${failureCount > 1 ? 's' : ''}.`,
+          { id: toastId }
+        );
+      }
+
+      setBlockedProducts(
+        errors.map(({ productId, message }) => ({
+          id: productId,
+          name: productNames[productId],
+          reason: message || "Failed to delete product",
+        }))
+      );
+    } catch {
+      toast.error("An unexpected error occurred during bulk deletion.", { id: toastId });
+    }
   }, [selectedCount, selectedProducts, bulkDeleteProducts, onOpenChange, onSuccess]);
 
   // Generate dialog content based on selection count
@@ -90,14 +116,46 @@ export function BulkDeleteProductsDialog({
   }, [selectedCount, selectedProducts]);
 
   return (
-    <DeleteConfirmDialog
-      open={open}
-      onOpenChange={onOpenChange}
-      onConfirm={handleBulkDelete}
-      title={dialogTitle}
-      description={dialogDescription}
-      confirmText={selectedCount > 1 ? `Delete ${selectedCount} Products` : "Delete Product"}
-      isPending={isDeleting}
-    />
+    <>
+      <DeleteConfirmDialog
+        open={open}
+        onOpenChange={onOpenChange}
+        onConfirm={handleBulkDelete}
+        title={dialogTitle}
+        description={dialogDescription}
+        confirmText={selectedCount > 1 ? `Delete ${selectedCount} Products` : "Delete Product"}
+        isPending={isDeleting}
+      />
+
+      {/* Products that were kept, e.g. because they have sales or purchases */}
+      <AlertDialog
+        open={blockedProducts.length > 0}
+        onOpenChange={(isOpen) => !isOpen && setBlockedProducts([])}
+      >
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {blockedProducts.length} product{blockedProducts.length > 1 ? 's were' : ' was'} not deleted
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              Products with sales, purchases or stock adjustments on record
+              cannot be deleted. Deactivate them instead to hide them from
+              sales and purchasing.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <ul className="max-h-64 space-y-2 overflow-y-auto text-sm">
+            {blockedProducts.map((product) => (
+              <li key={product.id} className="rounded-md border p-2">
+                <p className="font-medium">{product.name || "Unknown product"}</p>
+                <p className="text-muted-foreground">{product.reason}</p>
+              </li>
+            ))}
+          </ul>
+          <AlertDialogFooter>
+            <AlertDialogAction>OK</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
   );
 }
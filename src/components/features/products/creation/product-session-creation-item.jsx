@@ -3,7 +3,7 @@
 import React from "react";
 import { Pencil, AlertTriangle, Loader2, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
-import { NumericFormat } from "react-number-format";
+import { Money } from "@/components/ui/money";
 
 /**
  * @typedef {Object} ProductSessionItemProps
@@ -53,23 +53,11 @@ function ProductSessionCreationItem({
           <div className="flex items-center gap-4 text-sm text-muted-foreground">
             <span>
               <span className="font-medium">Sell:</span>{" "}
-              <NumericFormat
-                value={product.sellingPrice}
-                displayType="text"
-                thousandSeparator=" "
-                decimalScale={0}
-                suffix=" so'm"
-              />
+              <Money value={product.sellingPrice} />
             </span>
             <span>
               <span className="font-medium">Cost:</span>{" "}
-              <NumericFormat
-                value={product.purchasePrice}
-                displayType="text"
-                thousandSeparator=" "
-                decimalScale={0}
-                suffix=" so'm"
-              />
+              <Money value={product.purchasePrice} />
             </span>
           </div>
 
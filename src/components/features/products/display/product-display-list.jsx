@@ -4,6 +4,7 @@ import * as React from "react";
 import ProductTableContainer from "./product-table-container";
 import { useGetProductsCursor } from "@/hooks/use-product-queries";
 import { useTableCursorUrlState } from "@/hooks/use-table-cursor-url-state";
+import { usePermissions } from "@/hooks/use-permissions";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { AlertCircle } from "lucide-react";
 
@@ -34,6 +35,7 @@ export default function ProductDisplayList({
     nameFilter: "",
     categoryFilter: "",
     unitFilter: "",
+    statusFilter: "",
   };
 
   // STATE MANAGEMENT: Initialize URL-driven state and handlers
@@ -48,6 +50,7 @@ export default function ProductDisplayList({
   } = useTableCursorUrlState(paginationConfig);
 
   const [rowSelection, setRowSelection] = React.useState({});
+  const { can } = usePermissions();
 
   // DATA FETCHING: Use cursor-based data fetching
   const { data: productsData, isLoading, error } = useGetProductsCursor(apiParams);
@@ -104,6 +107,7 @@ export default function ProductDisplayList({
       filteredCount={filteredCount}
       isLoading={isLoading}
       skeletonRowCount={apiParams.limit || 10}
+      exportParams={can("products:export") ? apiParams : undefined}
     />
   );
 }
@@ -0,0 +1,104 @@
+"use client";
+
+import * as React from "react";
+import { Download } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { getProductExportUrl } from "@/lib/api/products";
+import {
+  productExportColumns,
+  productExportFormats,
+} from "@/lib/config/product-export-config";
+
+/**
+ * Export menu for the product table toolbar. Downloads the selected rows,
+ * or every product matching the current filters, with the columns that are
+ * visible in the table.
+ * @param {Object} props
+ * @param {import("@tanstack/react-table").Table} props.table - The table instance
+ * @param {Object} props.exportParams - Current sorting and filters (`apiParams` of useTableCursorUrlState)
+ * @param {number} [props.matchingCount] - Number of products matching the filters
+ */
+export function ProductExportMenu({ table, exportParams, matchingCount }) {
+  const [scope, setScope] = React.useState("selected");
+
+  const selectedIds = table
+    .getSelectedRowModel()
+    .rows.filter((row) => !row.original.isLoading)
+    .map((row) => row.original.id);
+  const exportsSelection = selectedIds.length > 0 && scope === "selected";
+
+  // Same columns the View menu lists, in table order
+  const columns = table
+    .getAllColumns()
+    .filter(
+      (column) =>
+        typeof column.accessorFn !== "undefined" && column.getIsVisible()
+    )
+    .map((column) => column.id)
+    .filter((id) => productExportColumns.some((column) => column.id === id));
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" className="h-8">
+          <Download className="mr-2 h-4 w-4" />
+          Export
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-[220px]">
+        <DropdownMenuLabel>Products</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {selectedIds.length > 0 ? (
+          <DropdownMenuRadioGroup value={scope} onValueChange={setScope}>
+            <DropdownMenuRadioItem value="selected">
+              Selected rows ({selectedIds.length})
+            </DropdownMenuRadioItem>
+            <DropdownMenuRadioItem value="all">
+              All matching
+              {matchingCount !== undefined &&
+                ` (${matchingCount.toLocaleString()})`}
+            </DropdownMenuRadioItem>
+          </DropdownMenuRadioGroup>
+        ) : (
+          <p className="px-2 py-1.5 text-sm text-muted-foreground">
+            All matching products
+            {matchingCount !== undefined &&
+              ` (${matchingCount.toLocaleString()})`}
+          </p>
+        )}
+        <DropdownMenuSeparator />
+        <DropdownMenuLabel>Download as</DropdownMenuLabel>
+        {productExportFormats.map((format) => (
+          <DropdownMenuItem key={format.value} asChild>
+            <a
+              href={getProductExportUrl({
+                ...exportParams,
+                format: format.value,
+                columns,
+                ids: exportsSelection ? selectedIds : undefined,
+              })}
+              download
+            >
+              {format.label}
+            </a>
+          </DropdownMenuItem>
+        ))}
+        <DropdownMenuSeparator />
+        <p className="px-2 py-1.5 text-xs text-muted-foreground">
+          Includes the {columns.length} visible columns. Change them with
+          View.
+        </p>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
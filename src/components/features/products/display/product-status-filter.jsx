@@ -0,0 +1,76 @@
+"use client";
+
+import * as React from "react";
+import { Check, PlusCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Separator } from "@/components/ui/separator";
+import { Command, CommandGroup, CommandItem, CommandList } from "@/components/ui/command";
+
+const STATUS_OPTIONS = [
+  { value: "active", label: "Active" },
+  { value: "inactive", label: "Inactive" },
+  { value: "", label: "All" },
+];
+
+/**
+ * Single-choice filter for product status (Active / Inactive / All),
+ * styled like the other faceted product filters.
+ * @param {Object} props
+ * @param {import("@tanstack/react-table").Column} props.column - The table column for status filtering
+ * @param {string} props.title - The filter title
+ */
+export function ProductStatusFilter({ column, title }) {
+  const selectedValue = column?.getFilterValue() || "";
+  const selectedOption = STATUS_OPTIONS.find(
+    (option) => option.value === selectedValue
+  );
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="h-8 border-dashed">
+          <PlusCircle className="mr-2 h-4 w-4" />
+          {title}
+          {selectedValue && (
+            <>
+              <Separator orientation="vertical" className="mx-2 h-4" />
+              <Badge variant="secondary" className="rounded-sm px-1 font-normal">
+                {selectedOption?.label}
+              </Badge>
+            </>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[160px] p-0" align="start">
+        <Command>
+          <CommandList>
+            <CommandGroup>
+              {STATUS_OPTIONS.map((option) => {
+                const isSelected = option.value === selectedValue;
+                return (
+                  <CommandItem
+                    key={option.label}
+                    onSelect={() =>
+                      column?.setFilterValue(option.value || undefined)
+                    }
+                  >
+                    <Check
+                      className={cn(
+                        "mr-2 h-4 w-4",
+                        isSelected ? "opacity-100" : "opacity-0"
+                      )}
+                    />
+                    <span>{option.label}</span>
+                  </CommandItem>
+                );
+              })}
+            </CommandGroup>
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+}
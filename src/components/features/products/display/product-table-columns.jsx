@@ -1,7 +1,16 @@
 "use client";
 
 import * as React from "react";
-import { MoreHorizontal, Edit, Trash2 } from "lucide-react";
+import {
+  MoreHorizontal,
+  Edit,
+  Trash2,
+  PackagePlus,
+  History,
+  EyeOff,
+  Eye,
+} from "lucide-react";
+import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Checkbox } from "@/components/ui/checkbox";
 import {
@@ -14,9 +23,15 @@ import {
 } from "@/components/ui/dropdown-menu";
 import { DataTableColumnHeader } from "@/components/ui/data-table-column-header";
 import ProductEditModal from "@/components/features/products/edit/product-edit-modal";
+import StockAdjustmentDialog from "@/components/features/inventory/stock-adjustment-dialog";
+import StockHistoryDialog from "@/components/features/inventory/stock-history-dialog";
 import { DeleteConfirmDialog } from "@/components/ui/delete-confirm-dialog";
-import { useDeleteProduct } from "@/hooks/use-product-queries";
-import { NumericFormat } from "react-number-format";
+import { Money } from "@/components/ui/money";
+import {
+  useDeleteProduct,
+  useUpdateProductStatus,
+} from "@/hooks/use-product-queries";
+import { usePermissions } from "@/hooks/use-permissions";
 import { toast } from "sonner";
 
 /**
@@ -27,8 +42,16 @@ import { toast } from "sonner";
 function ProductActionsCell({ product }) {
   const [showEditModal, setShowEditModal] = React.useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = React.useState(false);
+  const [showAdjustDialog, setShowAdjustDialog] = React.useState(false);
+  const [showHistoryDialog, setShowHistoryDialog] = React.useState(false);
+  const { can } = usePermissions();
+  const canEdit = can("products:update");
+  const canAdjustStock = can("stock:adjust");
+  const canChangeStatus = can("products:changeStatus");
+  const canDelete = can("products:delete");
   const { mutateAsync: deleteProductAsync, isPending: isDeleting } =
     useDeleteProduct();
+  const { mutateAsync: updateStatusAsync } = useUpdateProductStatus();
 
   const handleEdit = React.useCallback(() => {
     setShowEditModal(true);
@@ -58,6 +81,22 @@ function ProductActionsCell({ product }) {
     });
   }, [deleteProductAsync, product.id]);
 
+  const handleToggleActive = React.useCallback(() => {
+    const isActive = !product.isActive;
+    const statusPromise = updateStatusAsync({
+      productIds: [product.id],
+      isActive,
+    });
+
+    toast.promise(statusPromise, {
+      loading: isActive ? "Reactivating product..." : "Deactivating product...",
+      success: isActive
+        ? `"${product.name}" is active again.`
+        : `"${product.name}" deactivated. It is hidden from sales and purchasing.`,
+      error: (err) => err?.message || "Failed to update product status",
+    });
+  }, [updateStatusAsync, product.id, product.name, product.isActive]);
+
   // Skip actions for skeleton rows
   if (product.isLoading) {
     return <div className="h-8 w-8" />;
@@ -74,26 +113,68 @@ function ProductActionsCell({ product }) {
         </DropdownMenuTrigger>
         <DropdownMenuContent align="end">
           <DropdownMenuLabel>Actions</DropdownMenuLabel>
-          <DropdownMenuItem onClick={handleEdit}>
-            <Edit className="mr-2 h-4 w-4" />
-            Edit product
-          </DropdownMenuItem>
-          <DropdownMenuSeparator />
-          <DropdownMenuItem
-            onClick={handleDelete}
-            className="text-destructive focus:text-destructive"
-          >
-            <Trash2 className="mr-2 h-4 w-4" />
-            Delete product
+          {canEdit && (
+            <DropdownMenuItem onClick={handleEdit}>
+              <Edit className="mr-2 h-4 w-4" />
+              Edit product
+            </DropdownMenuItem>
+          )}
+          {canAdjustStock && (
+            <DropdownMenuItem onClick={() => setShowAdjustDialog(true)}>
+              <PackagePlus className="mr-2 h-4 w-4" />
+              Adjust stock
+            </DropdownMenuItem>
+          )}
+          <DropdownMenuItem onClick={() => setShowHistoryDialog(true)}>
+            <History className="mr-2 h-4 w-4" />
+            Stock history
           </DropdownMenuItem>
+          {canChangeStatus && (
+            <DropdownMenuItem onClick={handleToggleActive}>
+              {product.isActive ? (
+                <EyeOff className="mr-2 h-4 w-4" />
+              ) : (
+                <Eye className="mr-2 h-4 w-4" />
+              )}
+              {product.isActive ? "Deactivate product" : "Reactivate product"}
+            </DropdownMenuItem>
+          )}
+          {canDelete && (
+            <>
+              <DropdownMenuSeparator />
+              <DropdownMenuItem
+                onClick={handleDelete}
+                className="text-destructive focus:text-destructive"
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete product
+              </DropdownMenuItem>
+            </>
+          )}
         </DropdownMenuContent>
       </DropdownMenu>
 
-      <ProductEditModal
-        isOpen={showEditModal}
-        onClose={() => setShowEditModal(false)}
+      {canEdit && (
+        <ProductEditModal
+          isOpen={showEditModal}
+          onClose={() => setShowEditModal(false)}
+          product={product}
+          onSuccess={handleEditSuccess}
+        />
+      )}
+
+      {canAdjustStock && (
+        <StockAdjustmentDialog
+          open={showAdjustDialog}
+          onOpenChange={setShowAdjustDialog}
+          product={product}
+        />
+      )}
+
+      <StockHistoryDialog
+        open={showHistoryDialog}
+        onOpenChange={setShowHistoryDialog}
         product={product}
-        onSuccess={handleEditSuccess}
       />
 
       <DeleteConfirmDialog
@@ -101,7 +182,7 @@ function ProductActionsCell({ product }) {
         onOpenChange={setShowDeleteDialog}
         onConfirm={handleDeleteConfirm}
         title="Delete Product"
-        description={`Are you sure you want to delete "${product.name}"? This action cannot be undone.`}
+        description={`Are you sure you want to delete "${product.name}"? This action cannot be undone. Products with sales, purchases or stock adjustments cannot be deleted; deactivate them instead.`}
         isPending={isDeleting}
       />
     </>
@@ -201,13 +282,7 @@ export const productColumns = [
       const price = row.getValue("sellingPrice");
       return (
         <div className="text-muted-foreground">
-          <NumericFormat
-            value={price}
-            displayType="text"
-            thousandSeparator=" "
-            decimalScale={0}
-            suffix=" so'm"
-          />
+          <Money value={price} />
         </div>
       );
     },
@@ -269,13 +344,7 @@ export const productColumns = [
       const cost = row.getValue("purchasePrice");
       return (
         <div className="text-muted-foreground">
-          <NumericFormat
-            value={cost}
-            displayType="text"
-            thousandSeparator=" "
-            decimalScale={0}
-            suffix=" so'm"
-          />
+          <Money value={cost} />
         </div>
       );
     },
@@ -327,6 +396,26 @@ export const productColumns = [
       return true;
     },
   },
+  {
+    accessorKey: "isActive",
+    header: "Status",
+    cell: ({ row }) =>
+      row.original.isActive === false ? (
+        <Badge variant="outline" className="text-muted-foreground">
+          Inactive
+        </Badge>
+      ) : (
+        <Badge variant="secondary">Active</Badge>
+      ),
+    enableSorting: false,
+    enableHiding: true,
+    enableColumnFilter: true, // Enable filtering for this column
+    filterFn: (row, id, value) => {
+      // Custom filter function for status filtering ("active" | "inactive")
+      if (!value) return true;
+      return row.original.isActive === (value === "active");
+    },
+  },
   {
     id: "actions",
     enableHiding: false,
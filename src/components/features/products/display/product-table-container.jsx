@@ -4,6 +4,7 @@ import * as React from "react";
 import { DataTable } from "@/components/ui/data-table";
 import { productColumns } from "./product-table-columns";
 import { ProductBulkActions } from "../product-bulk-actions";
+import { ProductExportMenu } from "./product-export-menu";
 
 /**
  * Container component for the product table.
@@ -21,6 +22,7 @@ import { ProductBulkActions } from "../product-bulk-actions";
  * @param {number} [props.filteredCount] - Total number of filtered products
  * @param {boolean} props.isLoading - Loading state
  * @param {number} props.skeletonRowCount - Number of skeleton rows to display when loading
+ * @param {Object} [props.exportParams] - Current sorting and filters for the export menu; no export menu when omitted
  */
 export default function ProductTableContainer({
   products,
@@ -34,6 +36,7 @@ export default function ProductTableContainer({
   filteredCount,
   isLoading,
   skeletonRowCount = 10,
+  exportParams,
 }) {
   // Create skeleton data for selective loading while preserving table structure
   const displayData = React.useMemo(() => {
@@ -98,6 +101,17 @@ export default function ProductTableContainer({
         filteredCount={filteredCount}
         // Common props - remove bulk actions from toolbar
         showToolbar={true}
+        toolbarActions={
+          exportParams
+            ? (table) => (
+                <ProductExportMenu
+                  table={table}
+                  exportParams={exportParams}
+                  matchingCount={filteredCount}
+                />
+              )
+            : undefined
+        }
         bulkActionsComponent={null}
         isLoading={isLoading} // Pass loading state for selective skeleton rendering
       />
@@ -17,6 +17,7 @@ export default function ProductEditForm({
   showError,
   isSubmitDisabled,
   formState,
+  currentStock,
 }) {
   return (
     <Form {...form}>
@@ -30,6 +31,7 @@ export default function ProductEditForm({
           nameCheckError={showError}
           showAvailable={showAvailable}
           isEdit={true}
+          currentStock={currentStock}
         />
 
         <div className="flex gap-3 pt-4">
@@ -56,6 +56,7 @@ export default function ProductEditModal({
           showError={showError}
           isSubmitDisabled={isSubmitDisabled}
           formState={formState}
+          currentStock={product?.stock}
         />
       </DialogContent>
     </Dialog>
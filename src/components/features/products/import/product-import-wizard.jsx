@@ -0,0 +1,545 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { AlertCircle, CheckCircle2, FileUp } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Money } from "@/components/ui/money";
+import {
+  useImportProducts,
+  useParseProductImportFile,
+  usePreviewProductImport,
+} from "@/hooks/use-product-queries";
+import {
+  importFileExtensions,
+  productImportFields,
+  productImportModes,
+  suggestImportMapping,
+} from "@/lib/config/product-import-config";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+// Preview rows rendered at once; the summary always covers every row
+const PREVIEW_ROW_LIMIT = 500;
+
+const steps = [
+  { value: "upload", label: "Upload" },
+  { value: "map", label: "Map columns" },
+  { value: "preview", label: "Review" },
+  { value: "done", label: "Done" },
+];
+
+/**
+ * Renders an amount in the shop's number format, blank when missing.
+ * @param {{value?: number}} props
+ */
+function Amount({ value }) {
+  if (value === undefined) return null;
+  return <Money value={value} withSuffix={false} />;
+}
+
+/**
+ * Shows which step of the import the user is on.
+ * @param {{step: string}} props
+ */
+function StepIndicator({ step }) {
+  const currentIndex = steps.findIndex((item) => item.value === step);
+
+  return (
+    <ol className="flex flex-wrap gap-2 text-sm">
+      {steps.map((item, index) => (
+        <li key={item.value} className="flex items-center gap-2">
+          <span
+            className={cn(
+              "flex h-6 w-6 items-center justify-center rounded-full border text-xs",
+              index <= currentIndex
+                ? "border-primary bg-primary text-primary-foreground"
+                : "text-muted-foreground"
+            )}
+          >
+            {index + 1}
+          </span>
+          <span
+            className={cn(index !== currentIndex && "text-muted-foreground")}
+          >
+            {item.label}
+          </span>
+          {index < steps.length - 1 && (
+            <span className="text-muted-foreground">›</span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * Lets the user pick a column of the file for each product field and choose
+ * how rows are matched to existing products.
+ * @param {Object} props
+ * @param {{headers: string[], rows: string[][]}} props.file - The parsed file
+ * @param {Record<string, number>} props.mapping - Column index per field
+ * @param {(mapping: Record<string, number>) => void} props.onMappingChange
+ * @param {string} props.mode - The import mode
+ * @param {(mode: string) => void} props.onModeChange
+ */
+function ColumnMapping({ file, mapping, onMappingChange, mode, onModeChange }) {
+  const sampleRow = file.rows.find((row) => row.some((cell) => cell.trim()));
+
+  const handleColumnChange = (field, value) => {
+    const { [field]: _previous, ...rest } = mapping;
+    onMappingChange(value === "none" ? rest : { ...rest, [field]: Number(value) });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid gap-3 md:grid-cols-2">
+        {productImportModes.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onModeChange(option.value)}
+            className={cn(
+              "rounded-lg border p-4 text-left transition-colors",
+              mode === option.value
+                ? "border-primary bg-primary/5"
+                : "hover:bg-muted"
+            )}
+          >
+            <div className="font-medium">{option.label}</div>
+            <p className="text-sm text-muted-foreground">
+              {option.description}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Product field</TableHead>
+            <TableHead>Column in your file</TableHead>
+            <TableHead>First value</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {productImportFields.map((field) => {
+            const column = mapping[field.value];
+            return (
+              <TableRow key={field.value}>
+                <TableCell className="font-medium">
+                  {field.label}
+                  {field.required && " *"}
+                </TableCell>
+                <TableCell>
+                  <Select
+                    value={column === undefined ? "none" : String(column)}
+                    onValueChange={(value) =>
+                      handleColumnChange(field.value, value)
+                    }
+                  >
+                    <SelectTrigger className="w-56">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Don&apos;t import</SelectItem>
+                      {file.headers.map((header, index) => (
+                        <SelectItem key={index} value={String(index)}>
+                          {header}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </TableCell>
+                <TableCell className="max-w-48 truncate text-muted-foreground">
+                  {column === undefined ? "—" : sampleRow?.[column] || "—"}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
+
+/**
+ * Row-level outcome of the import check, with a summary.
+ * @param {Object} props
+ * @param {import('@/lib/services/product-import-service').ImportPreview} props.preview
+ */
+function ImportPreviewTable({ preview }) {
+  const [problemsOnly, setProblemsOnly] = React.useState(false);
+  const { summary } = preview;
+
+  const rows = preview.rows.filter(
+    (row) => !problemsOnly || row.errors.length || row.warnings.length
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        <Badge variant="secondary">{summary.total} rows</Badge>
+        <Badge variant="secondary">{summary.toCreate} to create</Badge>
+        <Badge variant="secondary">{summary.toUpdate} to update</Badge>
+        {summary.invalid > 0 && (
+          <Badge variant="destructive">{summary.invalid} with errors</Badge>
+        )}
+      </div>
+
+      {summary.newCategories.length > 0 && (
+        <p className="text-sm text-muted-foreground">
+          New categories to create: {summary.newCategories.join(", ")}
+        </p>
+      )}
+      {summary.invalid > 0 && (
+        <p className="text-sm text-muted-foreground">
+          Rows with errors are skipped. Fix them in your file and import it
+          again, or import the valid rows now.
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Checkbox
+          id="problems-only"
+          checked={problemsOnly}
+          onCheckedChange={(checked) => setProblemsOnly(Boolean(checked))}
+        />
+        <Label htmlFor="problems-only">Only show rows with problems</Label>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Row</TableHead>
+            <TableHead>Action</TableHead>
+            <TableHead>Name</TableHead>
+            <TableHead>SKU</TableHead>
+            <TableHead className="text-right">Selling</TableHead>
+            <TableHead className="text-right">Purchase</TableHead>
+            <TableHead className="text-right">Stock</TableHead>
+            <TableHead>Category</TableHead>
+            <TableHead>Problems</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rows.length === 0 && (
+            <TableRow>
+              <TableCell
+                colSpan={9}
+                className="h-16 text-center text-muted-foreground"
+              >
+                No rows with problems.
+              </TableCell>
+            </TableRow>
+          )}
+          {rows.slice(0, PREVIEW_ROW_LIMIT).map((row) => (
+            <TableRow
+              key={row.rowNumber}
+              className={cn(row.errors.length > 0 && "bg-destructive/5")}
+            >
+              <TableCell className="text-muted-foreground">
+                {row.rowNumber}
+              </TableCell>
+              <TableCell>
+                {row.errors.length > 0 ? (
+                  <Badge variant="destructive">Skip</Badge>
+                ) : (
+                  <Badge variant="outline">
+                    {row.action === "create" ? "Create" : "Update"}
+                  </Badge>
+                )}
+              </TableCell>
+              <TableCell className="font-medium">{row.data.name}</TableCell>
+              <TableCell>{row.data.sku}</TableCell>
+              <TableCell className="text-right">
+                <Amount value={row.data.sellingPrice} />
+              </TableCell>
+              <TableCell className="text-right">
+                <Amount value={row.data.purchasePrice} />
+              </TableCell>
+              <TableCell className="text-right">
+                {row.data.stock}
+                {row.data.unit && ` ${row.data.unit}`}
+              </TableCell>
+              <TableCell>{row.categoryName}</TableCell>
+              <TableCell className="text-sm">
+                {row.errors.map((message) => (
+                  <div key={message} className="text-destructive">
+                    {message}
+                  </div>
+                ))}
+                {row.warnings.map((message) => (
+                  <div key={message} className="text-muted-foreground">
+                    {message}
+                  </div>
+                ))}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      {rows.length > PREVIEW_ROW_LIMIT && (
+        <p className="text-sm text-muted-foreground">
+          Showing the first {PREVIEW_ROW_LIMIT} of {rows.length} rows.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Import wizard for products from a CSV or XLSX file: upload the file, map
+ * its columns to product fields, review the row-level check and import.
+ * Missing categories are created and new products' stock is recorded as
+ * initial stock.
+ */
+export default function ProductImportWizard() {
+  const [step, setStep] = React.useState("upload");
+  const [selectedFile, setSelectedFile] = React.useState(null);
+  const [file, setFile] = React.useState(null);
+  const [mapping, setMapping] = React.useState({});
+  const [mode, setMode] = React.useState("CREATE_ONLY");
+  const [preview, setPreview] = React.useState(null);
+  const [result, setResult] = React.useState(null);
+
+  const { mutateAsync: parseFileAsync, isPending: isParsing } =
+    useParseProductImportFile();
+  const { mutateAsync: previewImportAsync, isPending: isChecking } =
+    usePreviewProductImport();
+  const { mutateAsync: importProductsAsync, isPending: isImporting } =
+    useImportProducts();
+
+  const missingFields = productImportFields.filter(
+    (field) => field.required && mapping[field.value] === undefined
+  );
+  const importData = file && {
+    mode,
+    mapping,
+    rows: file.rows,
+    firstRowNumber: file.firstRowNumber,
+  };
+
+  const handleUpload = async () => {
+    try {
+      const parsed = await parseFileAsync(selectedFile);
+      setFile(parsed);
+      setMapping(suggestImportMapping(parsed.headers));
+      setStep("map");
+    } catch (error) {
+      toast.error(error?.message || "Failed to read the file");
+    }
+  };
+
+  const handleCheck = async () => {
+    try {
+      setPreview(await previewImportAsync(importData));
+      setStep("preview");
+    } catch (error) {
+      toast.error(error?.message || "Failed to check the import");
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const summary = await importProductsAsync(importData);
+      setResult(summary);
+      setStep("done");
+      toast.success(
+        `Imported ${summary.created + summary.updated} products.`
+      );
+    } catch (error) {
+      toast.error(error?.message || "Failed to import products");
+    }
+  };
+
+  const handleRestart = () => {
+    setStep("upload");
+    setSelectedFile(null);
+    setFile(null);
+    setMapping({});
+    setPreview(null);
+    setResult(null);
+  };
+
+  const importableCount = preview
+    ? preview.summary.toCreate + preview.summary.toUpdate
+    : 0;
+
+  return (
+    <div className="space-y-6">
+      <StepIndicator step={step} />
+
+      {step === "upload" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Upload a file</CardTitle>
+            <CardDescription>
+              A CSV or Excel (.xlsx) file with one product per row and column
+              headers in the first row. Only the first sheet of a workbook is
+              read.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="flex flex-col gap-3 sm:flex-row">
+            <Input
+              type="file"
+              accept={importFileExtensions.join(",")}
+              onChange={(e) => setSelectedFile(e.target.files?.[0] ?? null)}
+            />
+            <Button
+              onClick={handleUpload}
+              disabled={!selectedFile || isParsing}
+            >
+              <FileUp className="mr-2 h-4 w-4" />
+              {isParsing ? "Reading..." : "Read file"}
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === "map" && file && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Map columns</CardTitle>
+            <CardDescription>
+              {file.fileName}: {file.rows.length} rows. Match your columns to
+              product fields; fields marked * are required.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ColumnMapping
+              file={file}
+              mapping={mapping}
+              onMappingChange={setMapping}
+              mode={mode}
+              onModeChange={setMode}
+            />
+            {missingFields.length > 0 && (
+              <Alert>
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  Choose a column for{" "}
+                  {missingFields.map((field) => field.label).join(", ")}.
+                </AlertDescription>
+              </Alert>
+            )}
+            <div className="flex justify-between">
+              <Button variant="outline" onClick={handleRestart}>
+                Back
+              </Button>
+              <Button
+                onClick={handleCheck}
+                disabled={missingFields.length > 0 || isChecking}
+              >
+                {isChecking ? "Checking..." : "Check rows"}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === "preview" && preview && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Review</CardTitle>
+            <CardDescription>
+              Nothing has been saved yet. Check the rows below, then import.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ImportPreviewTable preview={preview} />
+            <div className="flex justify-between">
+              <Button
+                variant="outline"
+                onClick={() => setStep("map")}
+                disabled={isImporting}
+              >
+                Back
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={importableCount === 0 || isImporting}
+              >
+                {isImporting
+                  ? "Importing..."
+                  : `Import ${importableCount} products`}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {step === "done" && result && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center gap-2">
+              <CheckCircle2 className="h-5 w-5 text-primary" />
+              <CardTitle>Import finished</CardTitle>
+            </div>
+            <CardDescription>
+              {result.created} created, {result.updated} updated,{" "}
+              {result.skipped} skipped
+              {result.categoriesCreated > 0 &&
+                `, ${result.categoriesCreated} new categories`}
+              .
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {result.failed.length > 0 && (
+              <Alert variant="destructive">
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  {result.failed.length} rows could not be saved:
+                  <ul className="mt-2 list-disc pl-4">
+                    {result.failed.slice(0, 20).map((failure) => (
+                      <li key={failure.rowNumber}>
+                        Row {failure.rowNumber}: {failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                  {result.failed.length > 20 &&
+                    `…and ${result.failed.length - 20} more.`}
+                </AlertDescription>
+              </Alert>
+            )}
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={handleRestart}>
+                Import another file
+              </Button>
+              <Button asChild>
+                <Link href="/inventory/products">View products</Link>
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
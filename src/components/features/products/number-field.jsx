@@ -24,6 +24,7 @@ import { Input } from "@/components/ui/input";
  *   required?: boolean,
  *   decimalScale?: number,
  *   allowNegative?: boolean,
+ *   thousandSeparator?: string,
  *   prefix?: string,
  *   suffix?: string
  * }} props
@@ -39,6 +40,7 @@ export default function NumberField({
   required = false,
   decimalScale = 0,
   allowNegative = false,
+  thousandSeparator = " ",
   prefix = "",
   suffix = "",
 }) {
@@ -55,7 +57,7 @@ export default function NumberField({
           <FormControl>
             <NumericFormat
               customInput={Input}
-              thousandSeparator=" "
+              thousandSeparator={thousandSeparator}
               decimalScale={decimalScale}
               fixedDecimalScale={decimalScale > 0}
               allowNegative={allowNegative}
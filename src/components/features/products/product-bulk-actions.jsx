@@ -1,21 +1,26 @@
 "use client";
 
 import * as React from "react";
-import { Trash2, Tag } from "lucide-react";
+import { Trash2, Tag, EyeOff, Eye } from "lucide-react";
+import { toast } from "sonner";
 import { BulkDeleteProductsDialog } from "./bulk-delete-products-dialog";
 import { BulkUpdateCategoryDialog } from "./bulk-update-category-dialog";
 import { ProductBottomActionBar, ProductBottomActionBarAction } from "@/components/ui/product-bottom-action-bar";
+import { useUpdateProductStatus } from "@/hooks/use-product-queries";
+import { usePermissions } from "@/hooks/use-permissions";
 
 /**
  * Product bulk actions component for bottom action bar.
  * Appears when products are selected and provides bulk action buttons.
- * Integrates with the bulk delete and category update dialogs.
+ * Integrates with the bulk delete and category update dialogs and can
+ * deactivate or reactivate the selection. Each action is only offered to
+ * users whose role has the matching permission.
  *
  * @param {Object} props
  * @param {Array} props.selectedProducts - Array of selected product objects
  * @param {Function} props.onClearSelection - Handler to clear row selection
  * @param {string} [props.className] - Additional CSS classes
- * @returns {JSX.Element|null} - Returns null when no products are selected
+ * @returns {JSX.Element}
  */
 export function ProductBulkActions({
   selectedProducts = [],
@@ -24,6 +29,12 @@ export function ProductBulkActions({
 }) {
   const [bulkDeleteOpen, setBulkDeleteOpen] = React.useState(false);
   const [bulkUpdateCategoryOpen, setBulkUpdateCategoryOpen] = React.useState(false);
+  const { can } = usePermissions();
+  const canDelete = can("products:delete");
+  const canEdit = can("products:update");
+  const canChangeStatus = can("products:changeStatus");
+  const { mutateAsync: updateStatusAsync, isPending: isUpdatingStatus } =
+    useUpdateProductStatus();
 
   /**
    * Handles successful bulk operations by clearing selection
@@ -35,39 +46,96 @@ export function ProductBulkActions({
     }
   }, [onClearSelection]);
 
-  const selectedCount = selectedProducts.length;
+  /**
+   * Deactivates or reactivates the selected products that are not already in that state
+   * @param {boolean} isActive - The new status
+   */
+  const handleBulkStatusChange = React.useCallback(
+    (isActive) => {
+      const productIds = selectedProducts
+        .filter((product) => product.isActive !== isActive)
+        .map((product) => product.id);
+      if (productIds.length === 0) return;
+
+      const count = productIds.length;
+      const label = `${count} product${count > 1 ? "s" : ""}`;
+      const statusPromise = updateStatusAsync({ productIds, isActive });
+
+      toast.promise(statusPromise, {
+        loading: isActive ? `Reactivating ${label}...` : `Deactivating ${label}...`,
+        success: isActive
+          ? `Reactivated ${label}.`
+          : `Deactivated ${label}. They are hidden from sales and purchasing.`,
+        error: (err) => err?.message || "Failed to update product status",
+      });
+
+      statusPromise.then(handleBulkSuccess).catch(() => {});
+    },
+    [selectedProducts, updateStatusAsync, handleBulkSuccess]
+  );
 
-  // Don't render anything if no products are selected
-  if (selectedCount === 0) {
-    return null;
-  }
+  const selectedCount = selectedProducts.length;
+  const hasActive = selectedProducts.some((product) => product.isActive !== false);
+  const hasInactive = selectedProducts.some((product) => product.isActive === false);
 
   return (
     <>
-      <ProductBottomActionBar
-        selectedProducts={selectedProducts}
-        onClearSelection={onClearSelection}
-        className={className}
-      >
-        <ProductBottomActionBarAction
-          onClick={() => setBulkDeleteOpen(true)}
-          variant="outline"
-          className="text-destructive hover:text-destructive hover:bg-destructive/10"
-          title="Delete selected products"
+      {/* The bar only shows while products are selected; the dialogs stay
+          mounted so bulk results can be shown after the selection is cleared */}
+      {selectedCount > 0 && (
+        <ProductBottomActionBar
+          selectedProducts={selectedProducts}
+          onClearSelection={onClearSelection}
+          className={className}
         >
-          <Trash2 className="h-3.5 w-3.5" />
-          Delete
-        </ProductBottomActionBarAction>
+          {canDelete && (
+            <ProductBottomActionBarAction
+              onClick={() => setBulkDeleteOpen(true)}
+              variant="outline"
+              className="text-destructive hover:text-destructive hover:bg-destructive/10"
+              title="Delete selected products"
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+              Delete
+            </ProductBottomActionBarAction>
+          )}
 
-        <ProductBottomActionBarAction
-          onClick={() => setBulkUpdateCategoryOpen(true)}
-          variant="outline"
-          title="Update category for selected products"
-        >
-          <Tag className="h-3.5 w-3.5" />
-          Update Category
-        </ProductBottomActionBarAction>
-      </ProductBottomActionBar>
+          {canEdit && (
+            <ProductBottomActionBarAction
+              onClick={() => setBulkUpdateCategoryOpen(true)}
+              variant="outline"
+              title="Update category for selected products"
+            >
+              <Tag className="h-3.5 w-3.5" />
+              Update Category
+            </ProductBottomActionBarAction>
+          )}
+
+          {canChangeStatus && hasActive && (
+            <ProductBottomActionBarAction
+              onClick={() => handleBulkStatusChange(false)}
+              variant="outline"
+              disabled={isUpdatingStatus}
+              title="Hide selected products from sales and purchasing"
+            >
+              <EyeOff className="h-3.5 w-3.5" />
+              Deactivate
+            </ProductBottomActionBarAction>
+          )}
+
+          {canChangeStatus && hasInactive && (
+            <ProductBottomActionBarAction
+              onClick={() => handleBulkStatusChange(true)}
+              variant="outline"
+              disabled={isUpdatingStatus}
+              title="Make selected products available again"
+            >
+              <Eye className="h-3.5 w-3.5" />
+              Reactivate
+            </ProductBottomActionBarAction>
+          )}
+        </ProductBottomActionBar>
+      )}
 
       {/* Bulk Delete Dialog */}
       <BulkDeleteProductsDialog
@@ -15,6 +15,7 @@ import {
 import { HiddenField } from "@/components/ui/hidden-field";
 import { Input } from "@/components/ui/input";
 import FormSectionCard from "@/components/ui/form-section-card";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
 
 export default function ProductFormFields({
   form,
@@ -25,7 +26,9 @@ export default function ProductFormFields({
   nameCheckError,
   showAvailable,
   isEdit = false,
+  currentStock,
 }) {
+  const { thousandSeparator, suffix } = useCurrencyFormat();
   const selectedCategoryId = form.watch("categoryId");
 
   const handleCategorySelect = useCallback(
@@ -66,7 +69,8 @@ export default function ProductFormFields({
             placeholder="0"
             required
             decimalScale={0}
-            suffix=" so'm"
+            thousandSeparator={thousandSeparator}
+            suffix={suffix}
           />
           <NumberField
             control={control}
@@ -75,18 +79,31 @@ export default function ProductFormFields({
             placeholder="0"
             required
             decimalScale={0}
-            suffix=" so'm"
+            thousandSeparator={thousandSeparator}
+            suffix={suffix}
           />
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <NumberField
-            control={control}
-            name="stock"
-            label={isEdit ? "Current Stock" : "Initial Stock"}
-            placeholder="0"
-            decimalScale={0}
-          />
+          {isEdit ? (
+            <FormItem>
+              <FormLabel className="text-sm font-medium">
+                Current Stock
+              </FormLabel>
+              <Input value={currentStock ?? 0} readOnly disabled />
+              <p className="text-xs text-muted-foreground">
+                Stock changes are recorded through stock movements.
+              </p>
+            </FormItem>
+          ) : (
+            <NumberField
+              control={control}
+              name="stock"
+              label="Initial Stock"
+              placeholder="0"
+              decimalScale={0}
+            />
+          )}
           <NumberField
             control={control}
             name="reorderPoint"
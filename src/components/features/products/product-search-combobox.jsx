@@ -0,0 +1,119 @@
+"use client";
+
+import * as React from "react";
+import { Search, Loader2 } from "lucide-react";
+import { useDebounce } from "use-debounce";
+import { Button } from "@/components/ui/button";
+import { Money } from "@/components/ui/money";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+} from "@/components/ui/command";
+import { useSearchProducts } from "@/hooks/use-product-queries";
+import { cn } from "@/lib/utils";
+
+/**
+ * Searchable product picker backed by the fuzzy product search API.
+ * Used wherever a product has to be added to a document (receiving, sales).
+ *
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the selected product
+ * @param {string[]} [props.excludeIds] - Product IDs that are already selected
+ * @param {"purchasePrice"|"sellingPrice"} [props.priceField="sellingPrice"] - Price shown next to each result
+ * @param {string} [props.placeholder] - Trigger text
+ * @param {string} [props.className] - Additional CSS classes for the trigger
+ */
+export function ProductSearchCombobox({
+  onSelect,
+  excludeIds = [],
+  priceField = "sellingPrice",
+  placeholder = "Search products by name or SKU...",
+  className,
+}) {
+  const [open, setOpen] = React.useState(false);
+  const [search, setSearch] = React.useState("");
+  const [debouncedSearch] = useDebounce(search, 300);
+
+  const { data, isFetching } = useSearchProducts(debouncedSearch, {
+    enabled: open,
+  });
+
+  const excluded = new Set(excludeIds);
+  const products = (data?.products || []).filter(
+    (product) => !excluded.has(product.id)
+  );
+
+  const handleSelect = (product) => {
+    onSelect(product);
+    setSearch("");
+    setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          className={cn("w-full justify-start font-normal text-muted-foreground", className)}
+        >
+          <Search className="mr-2 h-4 w-4" />
+          {placeholder}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[--radix-popover-trigger-width] p-0" align="start">
+        <Command shouldFilter={false}>
+          <CommandInput
+            placeholder="Type to search..."
+            value={search}
+            onValueChange={setSearch}
+          />
+          <CommandList>
+            {isFetching && (
+              <div className="flex items-center justify-center p-4">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                <span className="text-sm text-muted-foreground">Searching...</span>
+              </div>
+            )}
+            {!isFetching && debouncedSearch.trim() && (
+              <CommandEmpty>No products found.</CommandEmpty>
+            )}
+            {products.length > 0 && (
+              <CommandGroup>
+                {products.map((product) => (
+                  <CommandItem
+                    key={product.id}
+                    value={product.id}
+                    onSelect={() => handleSelect(product)}
+                  >
+                    <div className="flex flex-1 flex-col">
+                      <span className="font-medium">{product.name}</span>
+                      <span className="text-xs text-muted-foreground">
+                        {product.sku ? `${product.sku} · ` : ""}In stock:{" "}
+                        {product.stock} {product.unit || ""}
+                      </span>
+                    </div>
+                    <Money
+                      value={product[priceField]}
+                      className="text-sm text-muted-foreground"
+                    />
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -16,28 +16,31 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { Input } from "@/components/ui/input";
+import { useGetShop } from "@/hooks/use-shop-queries";
+import { commonUnits } from "@/lib/config/shop-config";
 
 /**
- * Common units of measure for inventory items.
- * These can be easily extended based on business needs.
+ * Builds the unit options: the shop's own unit list when it has set one,
+ * otherwise the common units.
+ * @param {string[]|undefined} defaultUnits - Units from the shop settings.
+ * @returns {Array<{value: string, label: string}>} The unit options.
  */
-const COMMON_UNITS = [
-  { value: "pieces", label: "Pieces" },
-  { value: "kg", label: "Kilograms (kg)" },
-  { value: "g", label: "Grams (g)" },
-  { value: "lbs", label: "Pounds (lbs)" },
-  { value: "liters", label: "Liters" },
-  { value: "ml", label: "Milliliters (ml)" },
-  { value: "boxes", label: "Boxes" },
-  { value: "packs", label: "Packs" },
-  { value: "bottles", label: "Bottles" },
-  { value: "meters", label: "Meters (m)" },
-  { value: "feet", label: "Feet (ft)" },
-  { value: "custom", label: "Custom..." },
-];
+function getUnitOptions(defaultUnits) {
+  const units = defaultUnits?.length
+    ? defaultUnits.map(
+        (value) =>
+          commonUnits.find((unit) => unit.value === value) ?? {
+            value,
+            label: value,
+          }
+      )
+    : commonUnits;
+  return [...units, { value: "custom", label: "Custom..." }];
+}
 
 /**
  * Unit selection field component with common units dropdown and custom input option.
+ * The dropdown lists the shop's default units from its settings, if any.
  *
  * @param {{
  *   control: object,
@@ -54,6 +57,8 @@ export default function UnitSelectField({
   required = false,
 }) {
   const [isCustom, setIsCustom] = useState(false);
+  const { data: shop } = useGetShop();
+  const unitOptions = getUnitOptions(shop?.defaultUnits);
 
   return (
     <FormField
@@ -78,7 +83,7 @@ export default function UnitSelectField({
         const showCustomInput =
           isCustom ||
           (field.value &&
-            !COMMON_UNITS.find(
+            !unitOptions.find(
               (u) => u.value === field.value && u.value !== "custom"
             ));
 
@@ -116,7 +121,7 @@ export default function UnitSelectField({
                     <SelectValue placeholder="Select unit of measure" />
                   </SelectTrigger>
                   <SelectContent>
-                    {COMMON_UNITS.map((unit) => (
+                    {unitOptions.map((unit) => (
                       <SelectItem key={unit.value} value={unit.value}>
                         {unit.label}
                       </SelectItem>
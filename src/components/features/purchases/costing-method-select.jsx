@@ -0,0 +1,68 @@
+"use client";
+
+import * as React from "react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Label } from "@/components/ui/label";
+import { useGetShop, useUpdateShop } from "@/hooks/use-shop-queries";
+import { usePermissions } from "@/hooks/use-permissions";
+import { costingMethods } from "@/lib/config/inventory-config";
+import { toast } from "sonner";
+
+/**
+ * Shows the shop's costing method used to update purchase prices on receipt.
+ * Shop owners can change it inline; staff see it read-only.
+ */
+export function CostingMethodSelect() {
+  const { can } = usePermissions();
+  const { data: shop, isLoading } = useGetShop();
+  const { mutate: updateShop, isPending } = useUpdateShop();
+
+  const canChange = can("shop:manage");
+  const currentMethod = costingMethods.find(
+    (method) => method.value === shop?.costingMethod
+  );
+
+  const handleChange = (costingMethod) => {
+    updateShop(
+      { costingMethod },
+      {
+        onSuccess: () => toast.success("Costing method updated."),
+        onError: (error) =>
+          toast.error(error?.message || "Failed to update costing method"),
+      }
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label>Costing Method</Label>
+      <Select
+        value={shop?.costingMethod || ""}
+        onValueChange={handleChange}
+        disabled={!canChange || isLoading || isPending}
+      >
+        <SelectTrigger>
+          <SelectValue placeholder={isLoading ? "Loading..." : "Select method"} />
+        </SelectTrigger>
+        <SelectContent>
+          {costingMethods.map((method) => (
+            <SelectItem key={method.value} value={method.value}>
+              {method.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {currentMethod && (
+        <p className="text-xs text-muted-foreground">
+          {currentMethod.description}
+        </p>
+      )}
+    </div>
+  );
+}
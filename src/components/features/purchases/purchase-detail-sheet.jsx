@@ -0,0 +1,131 @@
+"use client";
+
+import * as React from "react";
+import { format } from "date-fns";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import { useGetPurchase } from "@/hooks/use-purchase-queries";
+import { purchasePaymentStatuses } from "@/lib/config/inventory-config";
+
+/**
+ * Side sheet with the lines of a single purchase.
+ *
+ * @param {Object} props
+ * @param {string|null} props.purchaseId - The purchase to show; the sheet is closed when null
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ */
+export default function PurchaseDetailSheet({ purchaseId, onOpenChange }) {
+  const { data: purchase, isLoading } = useGetPurchase(purchaseId, {
+    enabled: Boolean(purchaseId),
+  });
+
+  const paymentLabel = purchasePaymentStatuses.find(
+    (option) => option.value === purchase?.paymentStatus
+  )?.label;
+
+  return (
+    <Sheet open={Boolean(purchaseId)} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full overflow-y-auto sm:max-w-[560px]">
+        <SheetHeader>
+          <SheetTitle>Purchase Details</SheetTitle>
+          <SheetDescription>
+            {purchase
+              ? `${purchase.supplier?.name || "No supplier"} · ${format(
+                  new Date(purchase.receivedAt),
+                  "MMM d, yyyy HH:mm"
+                )}`
+              : "Loading purchase..."}
+          </SheetDescription>
+        </SheetHeader>
+
+        {isLoading || !purchase ? (
+          <div className="mt-6 space-y-2">
+            <Skeleton className="h-5 w-full" />
+            <Skeleton className="h-5 w-full" />
+            <Skeleton className="h-5 w-2/3" />
+          </div>
+        ) : (
+          <div className="mt-6 space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge
+                variant={
+                  purchase.paymentStatus === "ON_CREDIT" ? "destructive" : "secondary"
+                }
+              >
+                {paymentLabel}
+              </Badge>
+              {purchase.reference && (
+                <span className="text-muted-foreground">
+                  Ref: {purchase.reference}
+                </span>
+              )}
+              {purchase.user?.name && (
+                <span className="text-muted-foreground">
+                  Received by {purchase.user.name}
+                </span>
+              )}
+            </div>
+
+            {purchase.note && (
+              <p className="text-sm text-muted-foreground">{purchase.note}</p>
+            )}
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Product</TableHead>
+                  <TableHead className="text-right">Qty</TableHead>
+                  <TableHead className="text-right">Unit Cost</TableHead>
+                  <TableHead className="text-right">Total</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {purchase.items.map((item) => (
+                  <TableRow key={item.id}>
+                    <TableCell className="font-medium">
+                      {item.product?.name}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {item.quantity} {item.product?.unit || ""}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Money value={item.unitCost} withSuffix={false} />
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Money value={item.lineTotal} withSuffix={false} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+              <TableFooter>
+                <TableRow>
+                  <TableCell colSpan={3}>Total</TableCell>
+                  <TableCell className="text-right">
+                    <Money value={purchase.totalAmount} />
+                  </TableCell>
+                </TableRow>
+              </TableFooter>
+            </Table>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,165 @@
+"use client";
+
+import * as React from "react";
+import { format } from "date-fns";
+import { AlertCircle } from "lucide-react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { DateRangePicker } from "@/components/ui/date-range-picker";
+import { Money } from "@/components/ui/money";
+import { useGetPurchases } from "@/hooks/use-purchase-queries";
+import { purchasePaymentStatuses } from "@/lib/config/inventory-config";
+import PurchaseDetailSheet from "./purchase-detail-sheet";
+
+const ALL_STATUSES = "ALL";
+
+/**
+ * Purchase ledger: every finalized receipt, newest first, with date and
+ * payment status filters. Selecting a row opens its lines in a side sheet.
+ */
+export default function PurchaseLedger() {
+  const [range, setRange] = React.useState({ from: undefined, to: undefined });
+  const [paymentStatus, setPaymentStatus] = React.useState(ALL_STATUSES);
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+  const [selectedPurchaseId, setSelectedPurchaseId] = React.useState(null);
+
+  // Go back to the newest purchases whenever the filters change
+  React.useEffect(() => {
+    setPage({ cursor: null, direction: "forward" });
+  }, [range.from, range.to, paymentStatus]);
+
+  const { data, isLoading, isFetching, error } = useGetPurchases({
+    ...range,
+    ...page,
+    paymentStatus: paymentStatus === ALL_STATUSES ? undefined : paymentStatus,
+  });
+
+  const purchases = data?.purchases || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <DateRangePicker value={range} onChange={setRange} />
+        <Select value={paymentStatus} onValueChange={setPaymentStatus}>
+          <SelectTrigger className="h-8 w-[160px]">
+            <SelectValue placeholder="All payments" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All payments</SelectItem>
+            {purchasePaymentStatuses.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Received</TableHead>
+              <TableHead>Supplier</TableHead>
+              <TableHead>Reference</TableHead>
+              <TableHead className="text-right">Items</TableHead>
+              <TableHead className="text-right">Total</TableHead>
+              <TableHead>Payment</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading &&
+              Array.from({ length: 5 }, (_, i) => (
+                <TableRow key={`skeleton-${i}`}>
+                  <TableCell colSpan={6}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              ))}
+            {!isLoading && purchases.length === 0 && (
+              <TableRow>
+                <TableCell
+                  colSpan={6}
+                  className="h-24 text-center text-muted-foreground"
+                >
+                  No purchases recorded yet.
+                </TableCell>
+              </TableRow>
+            )}
+            {purchases.map((purchase) => (
+              <TableRow
+                key={purchase.id}
+                className="cursor-pointer"
+                onClick={() => setSelectedPurchaseId(purchase.id)}
+              >
+                <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                  {format(new Date(purchase.receivedAt), "MMM d, yyyy HH:mm")}
+                </TableCell>
+                <TableCell className="font-medium">
+                  {purchase.supplier?.name || "—"}
+                </TableCell>
+                <TableCell className="text-muted-foreground">
+                  {purchase.reference || "—"}
+                </TableCell>
+                <TableCell className="text-right">{purchase.itemCount}</TableCell>
+                <TableCell className="text-right">
+                  <Money value={purchase.totalAmount} />
+                </TableCell>
+                <TableCell>
+                  <Badge
+                    variant={
+                      purchase.paymentStatus === "ON_CREDIT"
+                        ? "destructive"
+                        : "secondary"
+                    }
+                  >
+                    {
+                      purchasePaymentStatuses.find(
+                        (option) => option.value === purchase.paymentStatus
+                      )?.label
+                    }
+                  </Badge>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      <CursorPager
+        pagination={data}
+        isLoading={isFetching}
+        onCursorChange={(cursor, direction) => setPage({ cursor, direction })}
+      />
+
+      <PurchaseDetailSheet
+        purchaseId={selectedPurchaseId}
+        onOpenChange={(open) => !open && setSelectedPurchaseId(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,452 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { NumericFormat } from "react-number-format";
+import {
+  AlertCircle,
+  Ban,
+  PackageCheck,
+  Save,
+  Send,
+  Trash2,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Skeleton } from "@/components/ui/skeleton";
+import { DeleteConfirmDialog } from "@/components/ui/delete-confirm-dialog";
+import { Money } from "@/components/ui/money";
+import { ProductSearchCombobox } from "@/components/features/products/product-search-combobox";
+import {
+  useGetPurchaseOrder,
+  useUpdatePurchaseOrder,
+  useUpdatePurchaseOrderStatus,
+} from "@/hooks/use-purchase-order-queries";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import { usePermissions } from "@/hooks/use-permissions";
+import { purchaseOrderUpdateSchema } from "@/lib/zod-schemas";
+import { cn } from "@/lib/utils";
+import { PurchaseOrderStatusBadge } from "./purchase-order-status-badge";
+import { toast } from "sonner";
+
+/**
+ * Builds the editable lines of a purchase order.
+ * @param {Object} order - The purchase order with items
+ * @returns {Array<Object>} Editable lines
+ */
+function toEditableLines(order) {
+  return order.items.map((item) => ({
+    productId: item.productId,
+    name: item.product.name,
+    unit: item.product.unit,
+    currentStock: item.product.stock,
+    quantity: String(item.quantityOrdered),
+    unitCost: String(item.unitCost),
+  }));
+}
+
+/**
+ * A single purchase order. Drafts can be edited by the shop owner and marked
+ * as ordered; open orders can be cancelled or received through the receiving
+ * workflow. Received orders compare the ordered and received quantities.
+ *
+ * @param {Object} props
+ * @param {string} props.purchaseOrderId - The ID of the purchase order
+ */
+export default function PurchaseOrderDetail({ purchaseOrderId }) {
+  const { can } = usePermissions();
+  const canManageOrders = can("purchaseOrders:manage");
+  const { thousandSeparator, suffix } = useCurrencyFormat();
+  const { data: order, isLoading, error } = useGetPurchaseOrder(purchaseOrderId);
+  const { mutateAsync: updateOrderAsync, isPending: isSaving } =
+    useUpdatePurchaseOrder();
+  const { mutateAsync: updateStatusAsync, isPending: isChangingStatus } =
+    useUpdatePurchaseOrderStatus();
+  const [lines, setLines] = React.useState([]);
+  const [note, setNote] = React.useState("");
+  const [showCancelDialog, setShowCancelDialog] = React.useState(false);
+
+  // Reset the editable copy whenever the saved order changes
+  React.useEffect(() => {
+    if (order) {
+      setLines(toEditableLines(order));
+      setNote(order.note || "");
+    }
+  }, [order]);
+
+  if (isLoading) {
+    return <Skeleton className="h-64 w-full" />;
+  }
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{error.message}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const isDraft = order.status === "DRAFT";
+  const isOpen = order.status === "DRAFT" || order.status === "ORDERED";
+  const isReceived = order.status === "RECEIVED";
+  const canEdit = isDraft && canManageOrders;
+
+  const updateLine = (productId, patch) => {
+    setLines((prev) =>
+      prev.map((line) =>
+        line.productId === productId ? { ...line, ...patch } : line
+      )
+    );
+  };
+
+  const addProduct = (product) => {
+    setLines((prev) => [
+      ...prev,
+      {
+        productId: product.id,
+        name: product.name,
+        unit: product.unit,
+        currentStock: product.stock,
+        quantity: "1",
+        unitCost: String(product.purchasePrice ?? ""),
+      },
+    ]);
+  };
+
+  const totalAmount = lines.reduce(
+    (sum, line) =>
+      sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0),
+    0
+  );
+
+  const handleSave = async () => {
+    const result = purchaseOrderUpdateSchema.safeParse({
+      note,
+      items: lines.map(({ productId, quantity, unitCost }) => ({
+        productId,
+        quantity,
+        unitCost,
+      })),
+    });
+
+    if (!result.success) {
+      toast.error(result.error.errors[0]?.message || "Please check the order.");
+      return false;
+    }
+
+    try {
+      await updateOrderAsync({ purchaseOrderId, orderData: result.data });
+      toast.success("Purchase order saved.");
+      return true;
+    } catch (error) {
+      toast.error(error?.message || "Failed to save purchase order");
+      return false;
+    }
+  };
+
+  const handleStatusChange = async (status) => {
+    // Unsaved edits are saved before the order is sent
+    if (status === "ORDERED" && !(await handleSave())) return;
+
+    try {
+      const updated = await updateStatusAsync({ purchaseOrderId, status });
+      toast.success(
+        updated.status === "ORDERED"
+          ? `Purchase order #${updated.number} marked as ordered.`
+          : `Purchase order #${updated.number} cancelled.`
+      );
+    } catch (error) {
+      toast.error(error?.message || "Failed to update purchase order");
+    }
+  };
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-[1fr_320px]">
+      <Card>
+        <CardHeader>
+          <CardTitle>Order Lines</CardTitle>
+          <CardDescription>
+            {canEdit
+              ? "Adjust quantities and expected costs before sending the order."
+              : isReceived
+              ? "Ordered and received quantities. Differences show short or over deliveries."
+              : "Products and quantities on this order."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {canEdit && (
+            <ProductSearchCombobox
+              onSelect={addProduct}
+              excludeIds={lines.map((line) => line.productId)}
+              priceField="purchasePrice"
+            />
+          )}
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Product</TableHead>
+                <TableHead className="w-[120px]">Ordered</TableHead>
+                {isReceived && (
+                  <>
+                    <TableHead className="text-right">Received</TableHead>
+                    <TableHead className="text-right">Difference</TableHead>
+                  </>
+                )}
+                <TableHead className="w-[160px]">Unit Cost</TableHead>
+                <TableHead className="text-right">Line Total</TableHead>
+                {canEdit && <TableHead className="w-[50px]" />}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {lines.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={6}
+                    className="h-24 text-center text-muted-foreground"
+                  >
+                    No products on this order.
+                  </TableCell>
+                </TableRow>
+              )}
+              {lines.map((line) => {
+                const item = order.items.find(
+                  (orderItem) => orderItem.productId === line.productId
+                );
+                const difference =
+                  (item?.quantityReceived ?? 0) - (item?.quantityOrdered ?? 0);
+
+                return (
+                  <TableRow key={line.productId}>
+                    <TableCell>
+                      <div className="font-medium">{line.name}</div>
+                      <div className="text-xs text-muted-foreground">
+                        In stock: {line.currentStock} {line.unit || ""}
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      {canEdit ? (
+                        <NumericFormat
+                          customInput={Input}
+                          thousandSeparator=" "
+                          decimalScale={0}
+                          allowNegative={false}
+                          value={line.quantity}
+                          onValueChange={(values) =>
+                            updateLine(line.productId, {
+                              quantity: values.value,
+                            })
+                          }
+                          aria-label={`Quantity of ${line.name}`}
+                        />
+                      ) : (
+                        line.quantity
+                      )}
+                    </TableCell>
+                    {isReceived && (
+                      <>
+                        <TableCell className="text-right">
+                          {item?.quantityReceived ?? 0}
+                        </TableCell>
+                        <TableCell
+                          className={cn(
+                            "text-right font-medium",
+                            difference < 0 && "text-destructive",
+                            difference === 0 && "text-muted-foreground"
+                          )}
+                        >
+                          {difference > 0 ? `+${difference}` : difference}
+                        </TableCell>
+                      </>
+                    )}
+                    <TableCell>
+                      {canEdit ? (
+                        <NumericFormat
+                          customInput={Input}
+                          thousandSeparator={thousandSeparator}
+                          decimalScale={0}
+                          allowNegative={false}
+                          suffix={suffix}
+                          value={line.unitCost}
+                          onValueChange={(values) =>
+                            updateLine(line.productId, {
+                              unitCost: values.value,
+                            })
+                          }
+                          aria-label={`Unit cost of ${line.name}`}
+                        />
+                      ) : (
+                        <Money value={line.unitCost} />
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Money
+                        value={
+                          (Number(line.quantity) || 0) *
+                          (Number(line.unitCost) || 0)
+                        }
+                      />
+                    </TableCell>
+                    {canEdit && (
+                      <TableCell>
+                        <Button
+                          variant="ghost"
+                          className="h-8 w-8 p-0 text-destructive"
+                          onClick={() =>
+                            setLines((prev) =>
+                              prev.filter(
+                                (other) => other.productId !== line.productId
+                              )
+                            )
+                          }
+                        >
+                          <span className="sr-only">Remove {line.name}</span>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card className="h-fit">
+        <CardHeader>
+          <div className="flex items-center justify-between gap-2">
+            <CardTitle>Order #{order.number}</CardTitle>
+            <PurchaseOrderStatusBadge status={order.status} />
+          </div>
+          <CardDescription>
+            <Link
+              href={`/dashboard/suppliers/${order.supplier.id}`}
+              className="hover:underline"
+            >
+              {order.supplier.name}
+            </Link>
+            {order.supplier.phone && ` · ${order.supplier.phone}`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4 text-sm">
+          <div className="space-y-1 text-muted-foreground">
+            <div>Created {format(new Date(order.createdAt), "MMM d, yyyy")}</div>
+            {order.orderedAt && (
+              <div>
+                Ordered {format(new Date(order.orderedAt), "MMM d, yyyy")}
+              </div>
+            )}
+            {order.receivedAt && (
+              <div>
+                Received {format(new Date(order.receivedAt), "MMM d, yyyy")}
+              </div>
+            )}
+          </div>
+
+          {canEdit ? (
+            <div className="space-y-2">
+              <Label htmlFor="purchase-order-note">Note</Label>
+              <Input
+                id="purchase-order-note"
+                placeholder="Optional"
+                value={note}
+                onChange={(event) => setNote(event.target.value)}
+              />
+            </div>
+          ) : (
+            order.note && <p>{order.note}</p>
+          )}
+
+          <div className="flex items-center justify-between border-t pt-4">
+            <span className="text-muted-foreground">Ordered total</span>
+            <Money value={totalAmount} className="text-lg font-semibold" />
+          </div>
+        </CardContent>
+        <CardFooter className="flex flex-col gap-2">
+          {canEdit && (
+            <>
+              <Button
+                variant="outline"
+                className="w-full"
+                onClick={handleSave}
+                disabled={isSaving || lines.length === 0}
+              >
+                <Save className="mr-2 h-4 w-4" />
+                {isSaving ? "Saving..." : "Save Draft"}
+              </Button>
+              <Button
+                className="w-full"
+                onClick={() => handleStatusChange("ORDERED")}
+                disabled={isSaving || isChangingStatus || lines.length === 0}
+              >
+                <Send className="mr-2 h-4 w-4" />
+                Mark as Ordered
+              </Button>
+            </>
+          )}
+          {isOpen && (
+            <Button asChild variant={isDraft ? "outline" : "default"} className="w-full">
+              <Link href={`/inventory/receive?order=${order.id}`}>
+                <PackageCheck className="mr-2 h-4 w-4" />
+                Receive Order
+              </Link>
+            </Button>
+          )}
+          {isOpen && canManageOrders && (
+            <Button
+              variant="ghost"
+              className="w-full text-destructive"
+              onClick={() => setShowCancelDialog(true)}
+              disabled={isChangingStatus}
+            >
+              <Ban className="mr-2 h-4 w-4" />
+              Cancel Order
+            </Button>
+          )}
+          {order.purchase && (
+            <Button variant="link" asChild className="text-muted-foreground">
+              <Link href="/inventory/purchases">
+                Received as purchase
+                {order.purchase.reference && ` ${order.purchase.reference}`}
+              </Link>
+            </Button>
+          )}
+        </CardFooter>
+      </Card>
+
+      <DeleteConfirmDialog
+        open={showCancelDialog}
+        onOpenChange={setShowCancelDialog}
+        onConfirm={() => {
+          setShowCancelDialog(false);
+          handleStatusChange("CANCELLED");
+        }}
+        title="Cancel Purchase Order"
+        description={`Cancel purchase order #${order.number}? Its quantities will no longer count as on order.`}
+        confirmText="Cancel Order"
+        cancelText="Keep Order"
+      />
+    </div>
+  );
+}
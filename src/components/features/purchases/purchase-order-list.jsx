@@ -0,0 +1,142 @@
+"use client";
+
+import * as React from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { AlertCircle } from "lucide-react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { Money } from "@/components/ui/money";
+import { useGetPurchaseOrders } from "@/hooks/use-purchase-order-queries";
+import { purchaseOrderStatusLabels } from "@/lib/config/inventory-config";
+import { PurchaseOrderStatusBadge } from "./purchase-order-status-badge";
+
+const ALL_STATUSES = "ALL";
+
+/**
+ * Purchase orders, newest first, with a status filter. Selecting a row opens
+ * the order.
+ */
+export default function PurchaseOrderList() {
+  const router = useRouter();
+  const [status, setStatus] = React.useState(ALL_STATUSES);
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+
+  // Go back to the newest orders whenever the filter changes
+  React.useEffect(() => {
+    setPage({ cursor: null, direction: "forward" });
+  }, [status]);
+
+  const { data, isLoading, isFetching, error } = useGetPurchaseOrders({
+    ...page,
+    status: status === ALL_STATUSES ? undefined : status,
+  });
+
+  const purchaseOrders = data?.purchaseOrders || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={status} onValueChange={setStatus}>
+          <SelectTrigger className="h-8 w-[160px]">
+            <SelectValue placeholder="All statuses" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+            {Object.entries(purchaseOrderStatusLabels).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Order</TableHead>
+              <TableHead>Created</TableHead>
+              <TableHead>Supplier</TableHead>
+              <TableHead className="text-right">Items</TableHead>
+              <TableHead className="text-right">Total</TableHead>
+              <TableHead>Status</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading &&
+              Array.from({ length: 5 }, (_, i) => (
+                <TableRow key={`skeleton-${i}`}>
+                  <TableCell colSpan={6}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              ))}
+            {!isLoading && purchaseOrders.length === 0 && (
+              <TableRow>
+                <TableCell
+                  colSpan={6}
+                  className="h-24 text-center text-muted-foreground"
+                >
+                  No purchase orders yet.
+                </TableCell>
+              </TableRow>
+            )}
+            {purchaseOrders.map((order) => (
+              <TableRow
+                key={order.id}
+                className="cursor-pointer"
+                onClick={() =>
+                  router.push(`/inventory/purchase-orders/${order.id}`)
+                }
+              >
+                <TableCell className="font-medium">#{order.number}</TableCell>
+                <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                  {format(new Date(order.createdAt), "MMM d, yyyy")}
+                </TableCell>
+                <TableCell>{order.supplier.name}</TableCell>
+                <TableCell className="text-right">{order.itemCount}</TableCell>
+                <TableCell className="text-right">
+                  <Money value={order.totalAmount} />
+                </TableCell>
+                <TableCell>
+                  <PurchaseOrderStatusBadge status={order.status} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      <CursorPager
+        pagination={data}
+        isLoading={isFetching}
+        onCursorChange={(cursor, direction) => setPage({ cursor, direction })}
+      />
+    </div>
+  );
+}
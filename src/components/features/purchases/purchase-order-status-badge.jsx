@@ -0,0 +1,24 @@
+"use client";
+
+import { Badge } from "@/components/ui/badge";
+import { purchaseOrderStatusLabels } from "@/lib/config/inventory-config";
+
+const STATUS_VARIANTS = {
+  DRAFT: "outline",
+  ORDERED: "default",
+  RECEIVED: "secondary",
+  CANCELLED: "destructive",
+};
+
+/**
+ * Badge showing the status of a purchase order.
+ * @param {Object} props
+ * @param {import('@prisma/client').PurchaseOrderStatus} props.status - The order status
+ */
+export function PurchaseOrderStatusBadge({ status }) {
+  return (
+    <Badge variant={STATUS_VARIANTS[status] || "outline"}>
+      {purchaseOrderStatusLabels[status] || status}
+    </Badge>
+  );
+}
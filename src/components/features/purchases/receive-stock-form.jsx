@@ -0,0 +1,365 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { NumericFormat } from "react-number-format";
+import { Trash2, PackageCheck } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Money } from "@/components/ui/money";
+import { ProductSearchCombobox } from "@/components/features/products/product-search-combobox";
+import { SupplierSelect } from "@/components/features/suppliers/supplier-select";
+import { CostingMethodSelect } from "./costing-method-select";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import { useCreatePurchase } from "@/hooks/use-purchase-queries";
+import { useGetPurchaseOrder } from "@/hooks/use-purchase-order-queries";
+import { purchaseCreateSchema } from "@/lib/zod-schemas";
+import {
+  purchaseOrderStatusLabels,
+  purchasePaymentStatuses,
+} from "@/lib/config/inventory-config";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+const initialState = {
+  lines: [],
+  supplier: null,
+  paymentStatus: "PAID",
+  reference: "",
+  note: "",
+};
+
+/**
+ * Multi-line receiving session. Lines are kept locally until the purchase is
+ * finalized, at which point stock, costs and the purchase record are written
+ * in one request.
+ *
+ * When receiving a purchase order, the lines start at the ordered quantities
+ * and the supplier is fixed to the order's supplier. Quantities are edited to
+ * what actually arrived, and the order records the difference.
+ *
+ * @param {Object} props
+ * @param {string} [props.purchaseOrderId] - The purchase order being received
+ */
+export default function ReceiveStockForm({ purchaseOrderId }) {
+  const router = useRouter();
+  const [state, setState] = React.useState(initialState);
+  const { mutateAsync: createPurchaseAsync, isPending } = useCreatePurchase();
+  const { thousandSeparator, suffix } = useCurrencyFormat();
+  const { data: purchaseOrder, error: purchaseOrderError } =
+    useGetPurchaseOrder(purchaseOrderId);
+
+  const { lines, supplier, paymentStatus, reference, note } = state;
+  const orderIsOpen =
+    purchaseOrder?.status === "DRAFT" || purchaseOrder?.status === "ORDERED";
+  const receivingOrder = Boolean(purchaseOrderId && orderIsOpen);
+
+  // Start from the ordered lines once the purchase order has loaded
+  React.useEffect(() => {
+    if (
+      purchaseOrder?.status !== "DRAFT" &&
+      purchaseOrder?.status !== "ORDERED"
+    ) {
+      return;
+    }
+
+    setState({
+      ...initialState,
+      supplier: purchaseOrder.supplier,
+      reference: `PO-${purchaseOrder.number}`,
+      lines: purchaseOrder.items.map((item) => ({
+        productId: item.productId,
+        name: item.product.name,
+        unit: item.product.unit,
+        currentStock: item.product.stock,
+        quantityOrdered: item.quantityOrdered,
+        quantity: String(item.quantityOrdered),
+        unitCost: String(item.unitCost),
+      })),
+    });
+  }, [purchaseOrder]);
+
+  const updateState = (patch) => setState((prev) => ({ ...prev, ...patch }));
+
+  const addProduct = (product) => {
+    updateState({
+      lines: [
+        ...lines,
+        {
+          productId: product.id,
+          name: product.name,
+          unit: product.unit,
+          currentStock: product.stock,
+          quantity: "1",
+          unitCost: String(product.purchasePrice ?? ""),
+        },
+      ],
+    });
+  };
+
+  const updateLine = (productId, patch) => {
+    updateState({
+      lines: lines.map((line) =>
+        line.productId === productId ? { ...line, ...patch } : line
+      ),
+    });
+  };
+
+  const removeLine = (productId) => {
+    updateState({
+      lines: lines.filter((line) => line.productId !== productId),
+    });
+  };
+
+  const totalAmount = lines.reduce(
+    (sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0),
+    0
+  );
+
+  const handleFinalize = async () => {
+    const result = purchaseCreateSchema.safeParse({
+      supplierId: supplier?.id,
+      paymentStatus,
+      reference: reference || undefined,
+      note: note || undefined,
+      purchaseOrderId: receivingOrder ? purchaseOrderId : undefined,
+      items: lines.map(({ productId, quantity, unitCost }) => ({
+        productId,
+        quantity,
+        unitCost,
+      })),
+    });
+
+    if (!result.success) {
+      toast.error(result.error.errors[0]?.message || "Please check the purchase.");
+      return;
+    }
+
+    try {
+      await createPurchaseAsync(result.data);
+      toast.success(
+        `Received ${lines.length} product${lines.length > 1 ? "s" : ""}. Stock updated.`
+      );
+      setState(initialState);
+      if (receivingOrder) {
+        router.push(`/inventory/purchase-orders/${purchaseOrderId}`);
+      }
+    } catch (error) {
+      toast.error(error?.message || "Failed to record purchase");
+    }
+  };
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-[1fr_320px]">
+      <Card>
+        <CardHeader>
+          <CardTitle>Items Received</CardTitle>
+          <CardDescription>
+            Add each product that arrived with its quantity and unit cost.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {purchaseOrderError && (
+            <p className="text-sm text-destructive">
+              {purchaseOrderError.message}
+            </p>
+          )}
+          {purchaseOrder && !orderIsOpen && (
+            <p className="text-sm text-muted-foreground">
+              Purchase order #{purchaseOrder.number} is{" "}
+              {purchaseOrderStatusLabels[purchaseOrder.status].toLowerCase()}{" "}
+              and can no longer be received.
+            </p>
+          )}
+          {receivingOrder && (
+            <p className="text-sm text-muted-foreground">
+              Receiving purchase order #{purchaseOrder.number}. Set each
+              quantity to what actually arrived; lines left out count as not
+              delivered.
+            </p>
+          )}
+
+          <ProductSearchCombobox
+            onSelect={addProduct}
+            excludeIds={lines.map((line) => line.productId)}
+            priceField="purchasePrice"
+          />
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Product</TableHead>
+                {receivingOrder && (
+                  <TableHead className="text-right">Ordered</TableHead>
+                )}
+                <TableHead className="w-[120px]">Quantity</TableHead>
+                <TableHead className="w-[160px]">Unit Cost</TableHead>
+                <TableHead className="text-right">Line Total</TableHead>
+                <TableHead className="w-[50px]" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {lines.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={receivingOrder ? 6 : 5}
+                    className="h-24 text-center text-muted-foreground"
+                  >
+                    No products added yet.
+                  </TableCell>
+                </TableRow>
+              )}
+              {lines.map((line) => (
+                <TableRow key={line.productId}>
+                  <TableCell>
+                    <div className="font-medium">{line.name}</div>
+                    <div className="text-xs text-muted-foreground">
+                      In stock: {line.currentStock} {line.unit || ""}
+                    </div>
+                  </TableCell>
+                  {receivingOrder && (
+                    <TableCell className="text-right text-muted-foreground">
+                      {line.quantityOrdered ?? "—"}
+                    </TableCell>
+                  )}
+                  <TableCell>
+                    <NumericFormat
+                      customInput={Input}
+                      thousandSeparator=" "
+                      decimalScale={0}
+                      allowNegative={false}
+                      value={line.quantity}
+                      onValueChange={(values) =>
+                        updateLine(line.productId, { quantity: values.value })
+                      }
+                      aria-label={`Quantity of ${line.name}`}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <NumericFormat
+                      customInput={Input}
+                      thousandSeparator={thousandSeparator}
+                      decimalScale={0}
+                      allowNegative={false}
+                      suffix={suffix}
+                      value={line.unitCost}
+                      onValueChange={(values) =>
+                        updateLine(line.productId, { unitCost: values.value })
+                      }
+                      aria-label={`Unit cost of ${line.name}`}
+                    />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money
+                      value={(Number(line.quantity) || 0) * (Number(line.unitCost) || 0)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Button
+                      variant="ghost"
+                      className="h-8 w-8 p-0 text-destructive"
+                      onClick={() => removeLine(line.productId)}
+                    >
+                      <span className="sr-only">Remove {line.name}</span>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card className="h-fit">
+        <CardHeader>
+          <CardTitle>Purchase Details</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="space-y-2">
+            <Label>Supplier{paymentStatus === "ON_CREDIT" && " *"}</Label>
+            <SupplierSelect
+              value={supplier}
+              onChange={(value) => updateState({ supplier: value })}
+              disabled={receivingOrder}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label>Payment</Label>
+            <div className="grid grid-cols-2 gap-2">
+              {purchasePaymentStatuses.map((option) => (
+                <Button
+                  key={option.value}
+                  type="button"
+                  variant={paymentStatus === option.value ? "default" : "outline"}
+                  onClick={() => updateState({ paymentStatus: option.value })}
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="purchase-reference">Invoice / Reference</Label>
+            <Input
+              id="purchase-reference"
+              placeholder="e.g. INV-1024"
+              value={reference}
+              onChange={(event) => updateState({ reference: event.target.value })}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="purchase-note">Note</Label>
+            <Input
+              id="purchase-note"
+              placeholder="Optional"
+              value={note}
+              onChange={(event) => updateState({ note: event.target.value })}
+            />
+          </div>
+
+          <CostingMethodSelect />
+
+          <div className="flex items-center justify-between border-t pt-4">
+            <span className="text-sm text-muted-foreground">Total</span>
+            <Money value={totalAmount} className="text-lg font-semibold" />
+          </div>
+        </CardContent>
+        <CardFooter className="flex flex-col gap-2">
+          <Button
+            className={cn("w-full", isPending && "cursor-not-allowed")}
+            onClick={handleFinalize}
+            disabled={isPending || lines.length === 0}
+          >
+            <PackageCheck className="mr-2 h-4 w-4" />
+            {isPending ? "Receiving..." : "Finalize Receipt"}
+          </Button>
+          <Button variant="link" asChild className="text-muted-foreground">
+            <Link href="/inventory/purchases">View purchase history</Link>
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { NumericFormat } from "react-number-format";
+import { AlertCircle, ClipboardList } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import {
+  useCreatePurchaseOrder,
+  useGetReorderSuggestions,
+} from "@/hooks/use-purchase-order-queries";
+import { usePermissions } from "@/hooks/use-permissions";
+import { purchaseOrderCreateSchema } from "@/lib/zod-schemas";
+import { toast } from "sonner";
+
+/**
+ * Suggested reorder lines for one supplier. Quantities can be adjusted before
+ * the lines are turned into a draft purchase order; a quantity of 0 leaves the
+ * product out of the order.
+ *
+ * @param {Object} props
+ * @param {Object} props.group - The suggestion group ({supplier, leadTimeDays, items})
+ * @param {boolean} props.canCreateOrder - Whether the user may create purchase orders
+ */
+function SupplierSuggestionCard({ group, canCreateOrder }) {
+  const router = useRouter();
+  const { mutateAsync: createPurchaseOrderAsync, isPending } =
+    useCreatePurchaseOrder();
+  const [quantities, setQuantities] = React.useState({});
+
+  const getQuantity = (item) =>
+    quantities[item.productId] ?? String(item.suggestedQuantity);
+
+  const orderItems = group.items
+    .map((item) => ({
+      productId: item.productId,
+      quantity: getQuantity(item),
+      unitCost: item.unitCost,
+    }))
+    .filter((item) => Number(item.quantity) > 0);
+
+  const totalCost = orderItems.reduce(
+    (sum, item) => sum + Number(item.quantity) * item.unitCost,
+    0
+  );
+
+  const handleCreateOrder = async () => {
+    const result = purchaseOrderCreateSchema.safeParse({
+      supplierId: group.supplier.id,
+      items: orderItems,
+    });
+
+    if (!result.success) {
+      toast.error(result.error.errors[0]?.message || "Please check the order.");
+      return;
+    }
+
+    try {
+      const purchaseOrder = await createPurchaseOrderAsync(result.data);
+      toast.success(`Draft purchase order #${purchaseOrder.number} created.`);
+      router.push(`/inventory/purchase-orders/${purchaseOrder.id}`);
+    } catch (error) {
+      toast.error(error?.message || "Failed to create purchase order");
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>
+          {group.supplier ? (
+            <Link
+              href={`/dashboard/suppliers/${group.supplier.id}`}
+              className="hover:underline"
+            >
+              {group.supplier.name}
+            </Link>
+          ) : (
+            "No Supplier"
+          )}
+        </CardTitle>
+        <CardDescription>
+          {group.supplier
+            ? `Lead time ${group.leadTimeDays} day${
+                group.leadTimeDays === 1 ? "" : "s"
+              }${group.supplier.leadTimeDays === null ? " (default)" : ""}.`
+            : "Assign a supplier to these products to order them."}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Product</TableHead>
+              <TableHead className="text-right">In Stock</TableHead>
+              <TableHead className="text-right">On Order</TableHead>
+              <TableHead className="text-right">Reorder Point</TableHead>
+              <TableHead className="text-right">Sold / Day</TableHead>
+              <TableHead className="w-[120px]">Order Qty</TableHead>
+              <TableHead className="text-right">Unit Cost</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {group.items.map((item) => (
+              <TableRow key={item.productId}>
+                <TableCell className="font-medium">
+                  {item.name}
+                  {item.sku && (
+                    <span className="ml-2 text-xs text-muted-foreground">
+                      {item.sku}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell className="text-right">
+                  {item.stock} {item.unit || ""}
+                </TableCell>
+                <TableCell className="text-right text-muted-foreground">
+                  {item.onOrder || "—"}
+                </TableCell>
+                <TableCell className="text-right text-muted-foreground">
+                  {item.reorderPoint ?? "—"}
+                </TableCell>
+                <TableCell className="text-right text-muted-foreground">
+                  {item.dailyVelocity}
+                </TableCell>
+                <TableCell>
+                  <NumericFormat
+                    customInput={Input}
+                    thousandSeparator=" "
+                    decimalScale={0}
+                    allowNegative={false}
+                    value={getQuantity(item)}
+                    onValueChange={(values) =>
+                      setQuantities((prev) => ({
+                        ...prev,
+                        [item.productId]: values.value,
+                      }))
+                    }
+                    disabled={!group.supplier || !canCreateOrder}
+                    aria-label={`Order quantity of ${item.name}`}
+                  />
+                </TableCell>
+                <TableCell className="text-right">
+                  <Money value={item.unitCost} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+      {group.supplier && (
+        <CardFooter className="flex items-center justify-between gap-2">
+          <span className="text-sm text-muted-foreground">
+            Estimated cost:{" "}
+            <Money value={totalCost} className="font-medium text-foreground" />
+          </span>
+          {canCreateOrder && (
+            <Button
+              onClick={handleCreateOrder}
+              disabled={isPending || orderItems.length === 0}
+            >
+              <ClipboardList className="mr-2 h-4 w-4" />
+              {isPending ? "Creating..." : "Create Draft Order"}
+            </Button>
+          )}
+        </CardFooter>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Reorder suggestions grouped by supplier. Quantities come from recent sales
+ * velocity, supplier lead times and reorder points, net of stock already on
+ * open purchase orders.
+ */
+export default function ReorderSuggestions() {
+  const { can } = usePermissions();
+  const canCreateOrder = can("purchaseOrders:manage");
+  const { data, isLoading, error } = useGetReorderSuggestions();
+  const groups = data?.groups || [];
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      {data && (
+        <p className="text-sm text-muted-foreground">
+          Based on sales over the last {data.salesWindowDays} days, with enough
+          stock to cover {data.coverageDays} days after each delivery.
+        </p>
+      )}
+
+      {isLoading && <Skeleton className="h-48 w-full" />}
+
+      {!isLoading && !error && groups.length === 0 && (
+        <Card>
+          <CardContent className="py-10 text-center text-muted-foreground">
+            Nothing needs reordering right now.
+          </CardContent>
+        </Card>
+      )}
+
+      {groups.map((group) => (
+        <SupplierSuggestionCard
+          key={group.supplier?.id ?? "unassigned"}
+          group={group}
+          canCreateOrder={canCreateOrder}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,328 @@
+// src/components/features/reports/inventory-valuation-report.jsx
+
+"use client";
+
+import * as React from "react";
+import { format, parseISO } from "date-fns";
+import { AlertCircle, CalendarIcon, Download } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import { useGetInventoryValuation } from "@/hooks/use-report-queries";
+import { getInventoryValuationCsvUrl } from "@/lib/api/reports";
+
+/**
+ * Formats a potential margin percentage, or a dash without retail value.
+ * @param {number|null} value - The margin percentage.
+ * @returns {string} The formatted margin.
+ */
+function formatMargin(value) {
+  return value === null ? "—" : `${value}%`;
+}
+
+/**
+ * Picks the valuation date. Clearing it goes back to the current stock.
+ * @param {{value?: string, onChange: (value?: string) => void}} props
+ */
+function AsOfPicker({ value, onChange }) {
+  const [open, setOpen] = React.useState(false);
+  const selected = value ? parseISO(value) : undefined;
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="h-8 justify-start">
+          <CalendarIcon className="mr-2 h-4 w-4" />
+          {selected ? `As of ${format(selected, "MMM d, yyyy")}` : "Current stock"}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-0" align="start">
+        <Calendar
+          mode="single"
+          selected={selected}
+          defaultMonth={selected}
+          disabled={{ after: new Date() }}
+          onSelect={(date) => {
+            onChange(date ? format(date, "yyyy-MM-dd") : undefined);
+            setOpen(false);
+          }}
+        />
+        {value && (
+          <div className="border-t p-2">
+            <Button
+              variant="ghost"
+              size="sm"
+              className="w-full"
+              onClick={() => {
+                onChange(undefined);
+                setOpen(false);
+              }}
+            >
+              Show current stock
+            </Button>
+          </div>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+/**
+ * A single headline figure of the report.
+ * @param {{title: string, isLoading: boolean, children: React.ReactNode, footer?: React.ReactNode}} props
+ */
+function SummaryCard({ title, isLoading, children, footer }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardDescription>{title}</CardDescription>
+        <CardTitle className="text-2xl">
+          {isLoading ? <Skeleton className="h-7 w-28" /> : children}
+        </CardTitle>
+      </CardHeader>
+      {footer && (
+        <CardContent className="text-sm text-muted-foreground">
+          {footer}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Inventory valuation report: stock valued at purchase price and at selling
+ * price per category and per product, for today or as of a past date, with
+ * a CSV download of the product rows.
+ */
+export default function InventoryValuationReport() {
+  const [asOf, setAsOf] = React.useState();
+
+  const { data, isLoading, error } = useGetInventoryValuation(asOf);
+
+  const totals = data?.totals;
+  const categories = data?.byCategory || [];
+  const products = data?.products || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <AsOfPicker value={asOf} onChange={setAsOf} />
+        <Button variant="outline" size="sm" className="h-8" asChild>
+          <a href={getInventoryValuationCsvUrl(asOf)} download>
+            <Download className="mr-2 h-4 w-4" />
+            Export CSV
+          </a>
+        </Button>
+      </div>
+
+      {asOf && (
+        <p className="text-sm text-muted-foreground">
+          Stock is reconstructed from the stock movement history at the end of
+          the selected day. Cost uses the purchase price recorded at that
+          time; retail value and margin use current selling prices.
+        </p>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid gap-4 sm:grid-cols-3">
+        <SummaryCard
+          title="Value at cost"
+          isLoading={isLoading}
+          footer={
+            totals &&
+            `${totals.stock} units across ${totals.productCount} product${
+              totals.productCount === 1 ? "" : "s"
+            }`
+          }
+        >
+          <Money value={totals?.costValue ?? 0} />
+        </SummaryCard>
+        <SummaryCard
+          title={asOf ? "Value at retail (current prices)" : "Value at retail"}
+          isLoading={isLoading}
+        >
+          <Money value={totals?.retailValue ?? 0} />
+        </SummaryCard>
+        <SummaryCard
+          title="Potential margin"
+          isLoading={isLoading}
+          footer={
+            totals && `${formatMargin(totals.potentialMarginPercent)} of retail`
+          }
+        >
+          <Money value={totals?.potentialMargin ?? 0} />
+        </SummaryCard>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>By Category</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Category</TableHead>
+                <TableHead className="text-right">Products</TableHead>
+                <TableHead className="text-right">Units</TableHead>
+                <TableHead className="text-right">Value at Cost</TableHead>
+                <TableHead className="text-right">
+                  {asOf ? "Value at Current Retail" : "Value at Retail"}
+                </TableHead>
+                <TableHead className="text-right">Potential Margin</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading && (
+                <TableRow>
+                  <TableCell colSpan={6}>
+                    <Skeleton className="h-5 w-full" />
+                  </TableCell>
+                </TableRow>
+              )}
+              {!isLoading && categories.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={6}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No stock on hand.
+                  </TableCell>
+                </TableRow>
+              )}
+              {categories.map((row) => (
+                <TableRow key={row.categoryId ?? "uncategorized"}>
+                  <TableCell className="font-medium">
+                    {row.categoryName || "Uncategorized"}
+                  </TableCell>
+                  <TableCell className="text-right">{row.productCount}</TableCell>
+                  <TableCell className="text-right">{row.stock}</TableCell>
+                  <TableCell className="text-right">
+                    <Money value={row.costValue} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={row.retailValue} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={row.potentialMargin} />{" "}
+                    <span className="text-muted-foreground">
+                      ({formatMargin(row.potentialMarginPercent)})
+                    </span>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>By Product</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Product</TableHead>
+                <TableHead>Category</TableHead>
+                <TableHead className="text-right">Stock</TableHead>
+                <TableHead className="text-right">Purchase Price</TableHead>
+                <TableHead className="text-right">
+                  {asOf ? "Current Selling Price" : "Selling Price"}
+                </TableHead>
+                <TableHead className="text-right">Value at Cost</TableHead>
+                <TableHead className="text-right">
+                  {asOf ? "Value at Current Retail" : "Value at Retail"}
+                </TableHead>
+                <TableHead className="text-right">Potential Margin</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading &&
+                Array.from({ length: 5 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={8}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {!isLoading && products.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={8}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No stock on hand.
+                  </TableCell>
+                </TableRow>
+              )}
+              {products.map((product) => (
+                <TableRow key={product.id}>
+                  <TableCell className="font-medium">
+                    {product.name}
+                    {!product.isActive && (
+                      <Badge variant="outline" className="ml-2">
+                        Inactive
+                      </Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {product.categoryName || "—"}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {product.stock} {product.unit}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={product.purchasePrice} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={product.sellingPrice} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={product.costValue} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={product.retailValue} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={product.potentialMargin} />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
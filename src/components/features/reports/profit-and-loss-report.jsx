@@ -0,0 +1,299 @@
+// src/components/features/reports/profit-and-loss-report.jsx
+
+"use client";
+
+import * as React from "react";
+import { format, parseISO, startOfMonth, startOfWeek } from "date-fns";
+import { AlertCircle } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Skeleton } from "@/components/ui/skeleton";
+import { DateRangePicker } from "@/components/ui/date-range-picker";
+import { Money } from "@/components/ui/money";
+import { useGetProfitAndLoss } from "@/hooks/use-report-queries";
+import { cn } from "@/lib/utils";
+
+const RANGE_PRESETS = [
+  { value: "today", label: "Today" },
+  { value: "week", label: "This week" },
+  { value: "month", label: "This month" },
+  { value: "custom", label: "Custom range" },
+];
+
+const BREAKDOWNS = {
+  day: {
+    label: "By day",
+    header: "Date",
+    getKey: (row) => row.date,
+    getLabel: (row) => format(parseISO(row.date), "EEE, MMM d, yyyy"),
+  },
+  category: {
+    label: "By category",
+    header: "Category",
+    getKey: (row) => row.categoryId ?? "uncategorized",
+    getLabel: (row) => row.categoryName || "Uncategorized",
+  },
+  product: {
+    label: "By product",
+    header: "Product",
+    getKey: (row) => row.productId,
+    getLabel: (row) => row.productName,
+  },
+};
+
+const BREAKDOWN_ROWS = {
+  day: "byDay",
+  category: "byCategory",
+  product: "byProduct",
+};
+
+/**
+ * Resolves a range preset to inclusive YYYY-MM-DD bounds ending today.
+ * @param {"today"|"week"|"month"} preset - The preset to resolve.
+ * @returns {{from: string, to: string}} The date range.
+ */
+function getPresetRange(preset) {
+  const today = new Date();
+  const from = {
+    today,
+    week: startOfWeek(today, { weekStartsOn: 1 }),
+    month: startOfMonth(today),
+  }[preset];
+
+  return {
+    from: format(from, "yyyy-MM-dd"),
+    to: format(today, "yyyy-MM-dd"),
+  };
+}
+
+/**
+ * Formats a gross margin percentage, or a dash when there were no net sales.
+ * @param {number|null} value - The margin percentage.
+ * @returns {string} The formatted margin.
+ */
+function formatMargin(value) {
+  return value === null ? "—" : `${value}%`;
+}
+
+/**
+ * A single headline figure of the report.
+ * @param {{title: string, isLoading: boolean, children: React.ReactNode, footer?: React.ReactNode, className?: string}} props
+ */
+function SummaryCard({ title, isLoading, children, footer, className }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardDescription>{title}</CardDescription>
+        <CardTitle className={cn("text-2xl", className)}>
+          {isLoading ? <Skeleton className="h-7 w-28" /> : children}
+        </CardTitle>
+      </CardHeader>
+      {footer && (
+        <CardContent className="text-sm text-muted-foreground">
+          {footer}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
+
+/**
+ * Profit and loss report: net sales, cost of goods sold and gross profit for
+ * a date range, with a breakdown by day, category or product. Cost of goods
+ * sold uses the unit cost recorded on each sale, not today's purchase price.
+ */
+export default function ProfitAndLossReport() {
+  const [preset, setPreset] = React.useState("month");
+  const [range, setRange] = React.useState(() => getPresetRange("month"));
+  const [breakdown, setBreakdown] = React.useState("day");
+
+  const { data, isLoading, error } = useGetProfitAndLoss(range);
+
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    if (value !== "custom") {
+      setRange(getPresetRange(value));
+    }
+  };
+
+  const totals = data?.totals;
+  const breakdownConfig = BREAKDOWNS[breakdown];
+  const rows = data?.[BREAKDOWN_ROWS[breakdown]] || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={preset} onValueChange={handlePresetChange}>
+          <SelectTrigger className="h-8 w-[160px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {RANGE_PRESETS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {preset === "custom" && (
+          <DateRangePicker value={range} onChange={setRange} />
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <SummaryCard
+          title="Net sales"
+          isLoading={isLoading}
+          footer={
+            totals && (
+              <>
+                <Money value={totals.grossSales} /> sold across{" "}
+                {totals.saleCount} sale{totals.saleCount === 1 ? "" : "s"}
+              </>
+            )
+          }
+        >
+          <Money value={totals?.netSales ?? 0} />
+        </SummaryCard>
+        <SummaryCard
+          title="Returns"
+          isLoading={isLoading}
+          footer={
+            totals &&
+            `${totals.returnCount} return${totals.returnCount === 1 ? "" : "s"}`
+          }
+        >
+          <Money value={totals?.returns ?? 0} />
+        </SummaryCard>
+        <SummaryCard
+          title="Cost of goods sold"
+          isLoading={isLoading}
+          footer={totals && `${totals.unitsSold} units sold, net of returns`}
+        >
+          <Money value={totals?.cogs ?? 0} />
+        </SummaryCard>
+        <SummaryCard
+          title="Gross profit"
+          isLoading={isLoading}
+          className={cn(totals?.grossProfit < 0 && "text-destructive")}
+          footer={
+            totals && `Gross margin ${formatMargin(totals.grossMarginPercent)}`
+          }
+        >
+          <Money value={totals?.grossProfit ?? 0} />
+        </SummaryCard>
+      </div>
+
+      <Card>
+        <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0">
+          <CardTitle>Breakdown</CardTitle>
+          <Select value={breakdown} onValueChange={setBreakdown}>
+            <SelectTrigger className="h-8 w-[160px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(BREAKDOWNS).map(([value, config]) => (
+                <SelectItem key={value} value={value}>
+                  {config.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{breakdownConfig.header}</TableHead>
+                <TableHead className="text-right">Units</TableHead>
+                <TableHead className="text-right">Net Sales</TableHead>
+                <TableHead className="text-right">Returns</TableHead>
+                <TableHead className="text-right">COGS</TableHead>
+                <TableHead className="text-right">Gross Profit</TableHead>
+                <TableHead className="text-right">Margin</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading &&
+                Array.from({ length: 5 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={7}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {!isLoading && rows.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={7}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No sales in this period.
+                  </TableCell>
+                </TableRow>
+              )}
+              {rows.map((row) => (
+                <TableRow key={breakdownConfig.getKey(row)}>
+                  <TableCell className="font-medium">
+                    {breakdownConfig.getLabel(row)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {row.unitsSold} {row.unit}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={row.netSales} />
+                  </TableCell>
+                  <TableCell className="text-right text-muted-foreground">
+                    <Money value={row.returns} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={row.cogs} />
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      row.grossProfit < 0 && "text-destructive"
+                    )}
+                  >
+                    <Money value={row.grossProfit} />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatMargin(row.grossMarginPercent)}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
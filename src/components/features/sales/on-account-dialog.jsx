@@ -0,0 +1,94 @@
+"use client";
+
+import * as React from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Money } from "@/components/ui/money";
+import { CustomerSelect } from "@/components/features/customers/customer-select";
+
+/**
+ * Dialog for finalizing a sale on account. The cashier picks (or creates) the
+ * customer the sale total is charged to.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {number} props.totalAmount - The sale total to charge
+ * @param {Function} props.onConfirm - Called with the selected customer
+ * @param {boolean} [props.isPending] - Whether the sale is being completed
+ * @returns {JSX.Element}
+ */
+export default function OnAccountDialog({
+  open,
+  onOpenChange,
+  totalAmount,
+  onConfirm,
+  isPending = false,
+}) {
+  const [customer, setCustomer] = React.useState(null);
+
+  // Always start with an empty selection so a sale is never charged to the
+  // previous customer by accident
+  React.useEffect(() => {
+    if (open) {
+      setCustomer(null);
+    }
+  }, [open]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[440px]">
+        <DialogHeader>
+          <DialogTitle>Finalize On Account</DialogTitle>
+          <DialogDescription>
+            The sale total will be added to the customer&apos;s outstanding
+            balance.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Customer</Label>
+            <CustomerSelect value={customer} onChange={setCustomer} />
+          </div>
+
+          <div className="flex items-center justify-between rounded-md border p-3 text-sm">
+            <span className="text-muted-foreground">Amount to charge</span>
+            <Money value={totalAmount} className="font-semibold" />
+          </div>
+
+          {customer && (
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-muted-foreground">New balance</span>
+              <Money value={(customer.outstandingBalance || 0) + totalAmount} />
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => onOpenChange(false)}
+            disabled={isPending}
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={() => onConfirm(customer)}
+            disabled={!customer || isPending}
+          >
+            {isPending ? "Completing..." : "Charge to Account"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,145 @@
+"use client";
+
+import * as React from "react";
+import { Search, Loader2 } from "lucide-react";
+import { useDebounce } from "use-debounce";
+import { Input } from "@/components/ui/input";
+import { Money } from "@/components/ui/money";
+import { useSearchProducts } from "@/hooks/use-product-queries";
+import { cn } from "@/lib/utils";
+
+/**
+ * Always-visible product search input for the point of sale.
+ * Unlike `ProductSearchCombobox`, the input itself keeps focus and results are
+ * navigated with the arrow keys, so a cashier never has to reach for the mouse.
+ *
+ * Keyboard:
+ * - Up/Down: move through results. Up on the first result (or with no results)
+ *   calls `onNavigateUp` so the screen can move focus into the line items.
+ * - Enter: select the highlighted result.
+ * - Esc: clear the search.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the selected product
+ * @param {Function} [props.onNavigateUp] - Called when Up is pressed at the top of the results
+ * @param {React.Ref<HTMLInputElement>} ref - Forwarded to the search input
+ */
+export const PosProductSearch = React.forwardRef(function PosProductSearch(
+  { onSelect, onNavigateUp },
+  ref
+) {
+  const [search, setSearch] = React.useState("");
+  const [highlightedIndex, setHighlightedIndex] = React.useState(0);
+  const [debouncedSearch] = useDebounce(search, 200);
+
+  const { data, isFetching } = useSearchProducts(debouncedSearch);
+  const products = search.trim() ? data?.products || [] : [];
+
+  // Reset the highlight whenever a new result set arrives
+  React.useEffect(() => {
+    setHighlightedIndex(0);
+  }, [data]);
+
+  const selectProduct = (product) => {
+    onSelect(product);
+    setSearch("");
+  };
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case "ArrowDown":
+        if (products.length > 0) {
+          event.preventDefault();
+          setHighlightedIndex((index) =>
+            Math.min(index + 1, products.length - 1)
+          );
+        }
+        break;
+      case "ArrowUp":
+        event.preventDefault();
+        if (products.length > 0 && highlightedIndex > 0) {
+          setHighlightedIndex((index) => index - 1);
+        } else {
+          onNavigateUp?.();
+        }
+        break;
+      case "Enter":
+        event.preventDefault();
+        if (products[highlightedIndex]) {
+          selectProduct(products[highlightedIndex]);
+        }
+        break;
+      case "Escape":
+        setSearch("");
+        break;
+      default:
+        break;
+    }
+  };
+
+  const showResults = Boolean(search.trim());
+
+  return (
+    <div className="relative">
+      <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+      <Input
+        ref={ref}
+        autoFocus
+        autoComplete="off"
+        className="h-11 pl-9 text-base"
+        placeholder="Scan or search products by name or SKU..."
+        value={search}
+        onChange={(event) => setSearch(event.target.value)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showResults}
+        aria-controls="pos-search-results"
+        aria-label="Search products"
+      />
+      {isFetching && (
+        <Loader2 className="absolute right-3 top-1/2 h-4 w-4 -translate-y-1/2 animate-spin text-muted-foreground" />
+      )}
+
+      {showResults && (
+        <ul
+          id="pos-search-results"
+          role="listbox"
+          className="absolute z-20 mt-1 max-h-80 w-full overflow-y-auto rounded-md border bg-popover p-1 shadow-md"
+        >
+          {products.length === 0 && (
+            <li className="py-6 text-center text-sm text-muted-foreground">
+              {isFetching ? "Searching..." : "No products found."}
+            </li>
+          )}
+          {products.map((product, index) => (
+            <li
+              key={product.id}
+              role="option"
+              aria-selected={index === highlightedIndex}
+              className={cn(
+                "flex cursor-pointer items-center justify-between gap-2 rounded-sm px-2 py-1.5 text-sm",
+                index === highlightedIndex && "bg-accent text-accent-foreground"
+              )}
+              onMouseEnter={() => setHighlightedIndex(index)}
+              // Keep focus in the input when clicking a result
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => selectProduct(product)}
+            >
+              <div className="flex min-w-0 flex-col">
+                <span className="truncate font-medium">{product.name}</span>
+                <span className="text-xs text-muted-foreground">
+                  {product.sku ? `${product.sku} · ` : ""}In stock:{" "}
+                  {product.stock} {product.unit || ""}
+                </span>
+              </div>
+              <Money
+                value={product.sellingPrice}
+                className="shrink-0 text-xs text-muted-foreground"
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
@@ -0,0 +1,457 @@
+"use client";
+
+import * as React from "react";
+import { NumericFormat } from "react-number-format";
+import { Trash2, Banknote, UserRound } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Money } from "@/components/ui/money";
+import { PosProductSearch } from "./pos-product-search";
+import OnAccountDialog from "./on-account-dialog";
+import { useCompleteSale } from "@/hooks/use-sale-queries";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import { usePermissions } from "@/hooks/use-permissions";
+import { getSaleReceiptUrl } from "@/lib/api/sales";
+import { saleCreateSchema } from "@/lib/zod-schemas";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/** Editable fields of a line, in keyboard order. */
+const LINE_FIELDS = [
+  { field: "unitPrice", label: "Selling price" },
+  { field: "quantity", label: "Quantity" },
+  { field: "lineTotal", label: "Line total" },
+];
+
+let lineSequence = 0;
+
+/**
+ * Creates a new in-progress sale line for a product.
+ * @param {object} product - A product from the search API.
+ * @returns {object} The line, with numeric inputs kept as strings while editing.
+ */
+function createLine(product) {
+  lineSequence += 1;
+  return {
+    lineId: `line-${lineSequence}`,
+    productId: product.id,
+    name: product.name,
+    unit: product.unit,
+    stock: product.stock,
+    unitPrice: String(product.sellingPrice ?? 0),
+    quantity: "1",
+    lineTotal: String(product.sellingPrice ?? 0),
+  };
+}
+
+/**
+ * Recalculates a line after one of its inputs changed.
+ * Price and quantity drive the line total; a typed line total drives the
+ * quantity instead (rounded to whole units, at least one).
+ * @param {object} line - The line before the change.
+ * @param {"unitPrice"|"quantity"|"lineTotal"} field - The edited field.
+ * @param {string} value - The new raw input value.
+ * @returns {object} The updated line.
+ */
+function recalculateLine(line, field, value) {
+  const next = { ...line, [field]: value };
+  const unitPrice = Number(next.unitPrice) || 0;
+
+  if (field === "lineTotal") {
+    if (value !== "" && unitPrice > 0) {
+      next.quantity = String(Math.max(1, Math.round(Number(value) / unitPrice)));
+    }
+    return next;
+  }
+
+  next.lineTotal = String((Number(next.quantity) || 0) * unitPrice);
+  return next;
+}
+
+/**
+ * Keyboard-first point of sale screen.
+ *
+ * The search input is the home position: Enter on a result adds a line and
+ * focuses its price, Enter walks price → quantity → back to search, Up/Down move
+ * between lines and Esc always returns to search. Ctrl+Enter completes the sale.
+ */
+export default function PosScreen() {
+  const { can } = usePermissions();
+  const canOverridePrice = can("sales:overridePrice");
+
+  const [lines, setLines] = React.useState([]);
+  const [cashReceived, setCashReceived] = React.useState("");
+  const [pendingFocus, setPendingFocus] = React.useState(null);
+  const [showOnAccountDialog, setShowOnAccountDialog] = React.useState(false);
+  const { mutateAsync: completeSaleAsync, isPending } = useCompleteSale();
+  const currency = useCurrencyFormat();
+
+  const searchRef = React.useRef(null);
+  const fieldRefs = React.useRef(new Map());
+
+  const registerField = (lineId, field) => (element) => {
+    const key = `${lineId}:${field}`;
+    if (element) {
+      fieldRefs.current.set(key, element);
+    } else {
+      fieldRefs.current.delete(key);
+    }
+  };
+
+  const focusSearch = React.useCallback(() => {
+    searchRef.current?.focus();
+  }, []);
+
+  // Focus is applied after render so newly added lines have mounted inputs
+  React.useEffect(() => {
+    if (!pendingFocus) return;
+    const element = fieldRefs.current.get(
+      `${pendingFocus.lineId}:${pendingFocus.field}`
+    );
+    if (element) {
+      element.focus();
+      element.select();
+    }
+    setPendingFocus(null);
+  }, [pendingFocus, lines]);
+
+  const focusField = (lineId, field) => setPendingFocus({ lineId, field });
+
+  const addProduct = (product) => {
+    const line = createLine(product);
+    setLines((prev) => [...prev, line]);
+    focusField(line.lineId, "unitPrice");
+  };
+
+  const updateLine = (lineId, field, value) => {
+    setLines((prev) =>
+      prev.map((line) =>
+        line.lineId === lineId ? recalculateLine(line, field, value) : line
+      )
+    );
+  };
+
+  // Without price override rights a typed total only picks the quantity;
+  // the charged amount always stays price x quantity.
+  const confirmLine = (lineId) => {
+    if (canOverridePrice) return;
+    setLines((prev) =>
+      prev.map((line) =>
+        line.lineId === lineId
+          ? recalculateLine(line, "quantity", line.quantity)
+          : line
+      )
+    );
+  };
+
+  const removeLine = (lineId) => {
+    setLines((prev) => prev.filter((line) => line.lineId !== lineId));
+    focusSearch();
+  };
+
+  const handleSearchNavigateUp = () => {
+    const lastLine = lines[lines.length - 1];
+    if (lastLine) {
+      focusField(lastLine.lineId, "unitPrice");
+    }
+  };
+
+  const handleLineKeyDown = (event, index, field) => {
+    const line = lines[index];
+
+    switch (event.key) {
+      case "Enter":
+        event.preventDefault();
+        if (field === "unitPrice") {
+          focusField(line.lineId, "quantity");
+        } else {
+          confirmLine(line.lineId);
+          focusSearch();
+        }
+        break;
+      case "ArrowUp":
+        event.preventDefault();
+        if (index > 0) {
+          focusField(lines[index - 1].lineId, field);
+        }
+        break;
+      case "ArrowDown":
+        event.preventDefault();
+        if (index < lines.length - 1) {
+          focusField(lines[index + 1].lineId, field);
+        } else {
+          focusSearch();
+        }
+        break;
+      case "Escape":
+        event.preventDefault();
+        confirmLine(line.lineId);
+        focusSearch();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const totalAmount = lines.reduce(
+    (sum, line) => sum + (Number(line.lineTotal) || 0),
+    0
+  );
+  const change = cashReceived === "" ? null : Number(cashReceived) - totalAmount;
+
+  /**
+   * Validates and submits the sale.
+   * @param {{id: string, name: string}|null} [customer] - Charges the sale to this customer's account when given.
+   */
+  const handleComplete = async (customer = null) => {
+    if (isPending || lines.length === 0) return;
+
+    const result = saleCreateSchema.safeParse({
+      paymentType: customer ? "ON_ACCOUNT" : "CASH",
+      customerId: customer?.id,
+      items: lines.map(({ productId, unitPrice, quantity, lineTotal }) => ({
+        productId,
+        unitPrice,
+        quantity,
+        lineTotal: canOverridePrice
+          ? lineTotal
+          : (Number(quantity) || 0) * (Number(unitPrice) || 0),
+      })),
+    });
+
+    if (!result.success) {
+      toast.error(result.error.errors[0]?.message || "Please check the sale.");
+      return;
+    }
+
+    try {
+      const sale = await completeSaleAsync(result.data);
+      const receiptAction = {
+        label: "Receipt",
+        onClick: () => window.open(getSaleReceiptUrl(sale.id), "_blank"),
+      };
+      if (customer) {
+        toast.success(`Sale #${sale.number} charged to ${customer.name}.`, {
+          action: receiptAction,
+        });
+      } else {
+        toast.success(`Sale #${sale.number} completed.`, {
+          description:
+            change !== null && change > 0
+              ? `Change due: ${currency.formatCurrency(change)}`
+              : undefined,
+          action: receiptAction,
+        });
+      }
+      setShowOnAccountDialog(false);
+      setLines([]);
+      setCashReceived("");
+      focusSearch();
+    } catch (error) {
+      toast.error(error?.message || "Failed to complete sale");
+    }
+  };
+
+  const handleKeyDownCapture = (event) => {
+    // React events bubble out of the dialog portal; it handles its own keys
+    if (showOnAccountDialog) return;
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      event.stopPropagation();
+      handleComplete();
+    }
+  };
+
+  return (
+    <div
+      className="grid gap-6 lg:grid-cols-[1fr_320px]"
+      onKeyDownCapture={handleKeyDownCapture}
+    >
+      <Card>
+        <CardHeader className="space-y-4">
+          <CardTitle>Current Sale</CardTitle>
+          <PosProductSearch
+            ref={searchRef}
+            onSelect={addProduct}
+            onNavigateUp={handleSearchNavigateUp}
+          />
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Product</TableHead>
+                <TableHead className="w-[160px]">Price</TableHead>
+                <TableHead className="w-[110px]">Quantity</TableHead>
+                <TableHead className="w-[170px]">Total</TableHead>
+                <TableHead className="w-[50px]" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {lines.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={5}
+                    className="h-24 text-center text-muted-foreground"
+                  >
+                    Search for a product and press Enter to add it.
+                  </TableCell>
+                </TableRow>
+              )}
+              {lines.map((line, index) => {
+                const isOverStock = (Number(line.quantity) || 0) > line.stock;
+
+                return (
+                  <TableRow key={line.lineId}>
+                    <TableCell>
+                      <div className="font-medium">{line.name}</div>
+                      <div
+                        className={cn(
+                          "text-xs text-muted-foreground",
+                          isOverStock && "text-destructive"
+                        )}
+                      >
+                        In stock: {line.stock} {line.unit || ""}
+                      </div>
+                    </TableCell>
+                    {LINE_FIELDS.map(({ field, label }) => (
+                      <TableCell key={field}>
+                        <NumericFormat
+                          customInput={Input}
+                          getInputRef={registerField(line.lineId, field)}
+                          thousandSeparator=" "
+                          decimalScale={0}
+                          allowNegative={false}
+                          readOnly={field === "unitPrice" && !canOverridePrice}
+                          value={line[field]}
+                          onValueChange={(values, { source }) => {
+                            // Ignore prop-driven updates to avoid feedback loops
+                            if (source === "event") {
+                              updateLine(line.lineId, field, values.value);
+                            }
+                          }}
+                          onKeyDown={(event) =>
+                            handleLineKeyDown(event, index, field)
+                          }
+                          onBlur={
+                            field === "lineTotal"
+                              ? () => confirmLine(line.lineId)
+                              : undefined
+                          }
+                          aria-label={`${label} of ${line.name}`}
+                        />
+                      </TableCell>
+                    ))}
+                    <TableCell>
+                      <Button
+                        variant="ghost"
+                        className="h-8 w-8 p-0 text-destructive"
+                        tabIndex={-1}
+                        onClick={() => removeLine(line.lineId)}
+                      >
+                        <span className="sr-only">Remove {line.name}</span>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card className="h-fit">
+        <CardHeader>
+          <CardTitle>Payment</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-muted-foreground">Total</span>
+            <Money value={totalAmount} className="text-2xl font-semibold" />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="pos-cash-received">Cash Received</Label>
+            <NumericFormat
+              id="pos-cash-received"
+              customInput={Input}
+              thousandSeparator={currency.thousandSeparator}
+              decimalScale={0}
+              allowNegative={false}
+              suffix={currency.suffix}
+              placeholder="Optional"
+              value={cashReceived}
+              onValueChange={(values) => setCashReceived(values.value)}
+            />
+          </div>
+
+          {change !== null && (
+            <div className="flex items-center justify-between border-t pt-4">
+              <span className="text-sm text-muted-foreground">
+                {change >= 0 ? "Change" : "Remaining"}
+              </span>
+              <Money
+                value={Math.abs(change)}
+                className={cn(
+                  "text-lg font-semibold",
+                  change < 0 && "text-destructive"
+                )}
+              />
+            </div>
+          )}
+        </CardContent>
+        <CardFooter className="flex flex-col gap-2">
+          <Button
+            size="lg"
+            className={cn("w-full", isPending && "cursor-not-allowed")}
+            onClick={() => handleComplete()}
+            disabled={isPending || lines.length === 0}
+          >
+            <Banknote className="mr-2 h-4 w-4" />
+            {isPending ? "Completing..." : "Complete Cash Sale"}
+          </Button>
+          <Button
+            variant="outline"
+            className="w-full"
+            onClick={() => setShowOnAccountDialog(true)}
+            disabled={isPending || lines.length === 0}
+          >
+            <UserRound className="mr-2 h-4 w-4" />
+            Finalize On Account
+          </Button>
+          <p className="text-center text-xs text-muted-foreground">
+            Press Ctrl+Enter to complete the sale
+          </p>
+        </CardFooter>
+      </Card>
+
+      <OnAccountDialog
+        open={showOnAccountDialog}
+        onOpenChange={(open) => {
+          setShowOnAccountDialog(open);
+          if (!open) focusSearch();
+        }}
+        totalAmount={totalAmount}
+        onConfirm={handleComplete}
+        isPending={isPending}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { ChevronDown, Printer } from "lucide-react";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Money } from "@/components/ui/money";
+import { Skeleton } from "@/components/ui/skeleton";
+import { useGetSale } from "@/hooks/use-sale-queries";
+import { getSaleReceiptUrl } from "@/lib/api/sales";
+import { receiptFormats, salePaymentTypes } from "@/lib/config/sales-config";
+
+/**
+ * Side sheet with the lines of a single sale or return: prices charged,
+ * price overrides, returns linked to it and reprinting the receipt as a till
+ * slip or in any of the receipt formats.
+ *
+ * @param {Object} props
+ * @param {string|null} props.saleId - The sale to show; the sheet is closed when null
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {Function} props.onSaleChange - Called with the ID of a linked sale or return to show instead
+ */
+export default function SaleDetailSheet({ saleId, onOpenChange, onSaleChange }) {
+  const { data: sale, isLoading } = useGetSale(saleId, {
+    enabled: Boolean(saleId),
+  });
+
+  const isReturn = sale?.type === "RETURN";
+  const paymentLabel = salePaymentTypes.find(
+    (option) => option.value === sale?.paymentType
+  )?.label;
+
+  return (
+    <Sheet open={Boolean(saleId)} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full overflow-y-auto sm:max-w-[640px]">
+        <SheetHeader>
+          <SheetTitle>
+            {sale ? `${isReturn ? "Return" : "Sale"} #${sale.number}` : "Sale"}
+          </SheetTitle>
+          <SheetDescription>
+            {sale
+              ? `${format(new Date(sale.createdAt), "MMM d, yyyy HH:mm")}${
+                  sale.user?.name ? ` · ${sale.user.name}` : ""
+                }`
+              : "Loading sale..."}
+          </SheetDescription>
+        </SheetHeader>
+
+        {isLoading || !sale ? (
+          <div className="mt-6 space-y-2">
+            <Skeleton className="h-5 w-full" />
+            <Skeleton className="h-5 w-full" />
+            <Skeleton className="h-5 w-2/3" />
+          </div>
+        ) : (
+          <div className="mt-6 space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge
+                variant={
+                  sale.paymentType === "ON_ACCOUNT" ? "destructive" : "secondary"
+                }
+              >
+                {paymentLabel}
+              </Badge>
+              {sale.customer && (
+                <Link
+                  href={`/dashboard/customers/${sale.customer.id}`}
+                  className="text-muted-foreground hover:underline"
+                >
+                  {sale.customer.name}
+                </Link>
+              )}
+              {sale.originalSale && (
+                <Button
+                  variant="link"
+                  className="h-auto p-0"
+                  onClick={() => onSaleChange(sale.originalSale.id)}
+                >
+                  Return of sale #{sale.originalSale.number}
+                </Button>
+              )}
+            </div>
+
+            {sale.note && (
+              <p className="text-sm text-muted-foreground">{sale.note}</p>
+            )}
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Product</TableHead>
+                  <TableHead className="text-right">Qty</TableHead>
+                  <TableHead className="text-right">Price</TableHead>
+                  <TableHead className="text-right">Total</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {sale.items.map((item) => {
+                  const listTotal = item.quantity * item.unitPrice;
+                  const isLineOverridden = item.lineTotal !== listTotal;
+                  const returnedQuantity = (item.returnItems || []).reduce(
+                    (sum, returnItem) => sum - returnItem.quantity,
+                    0
+                  );
+
+                  return (
+                    <TableRow key={item.id}>
+                      <TableCell>
+                        <div className="font-medium">{item.product?.name}</div>
+                        <div className="flex flex-wrap gap-1 pt-1">
+                          {isLineOverridden && (
+                            <Badge variant="outline">Line total overridden</Badge>
+                          )}
+                          {!isReturn &&
+                            item.product &&
+                            item.unitPrice !== item.product.sellingPrice && (
+                              <Badge variant="outline">
+                                Current price{" "}
+                                <Money
+                                  value={item.product.sellingPrice}
+                                  withSuffix={false}
+                                />
+                              </Badge>
+                            )}
+                          {returnedQuantity > 0 && (
+                            <Badge variant="secondary">
+                              {returnedQuantity} returned
+                            </Badge>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {item.quantity} {item.product?.unit || ""}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Money value={item.unitPrice} withSuffix={false} />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {isLineOverridden && (
+                          <div className="text-xs text-muted-foreground line-through">
+                            <Money value={listTotal} withSuffix={false} />
+                          </div>
+                        )}
+                        <Money value={item.lineTotal} withSuffix={false} />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+              <TableFooter>
+                <TableRow>
+                  <TableCell colSpan={3}>
+                    {isReturn ? "Refunded" : "Total"}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={sale.totalAmount} />
+                  </TableCell>
+                </TableRow>
+              </TableFooter>
+            </Table>
+
+            {sale.returns.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-medium">Returns</h4>
+                {sale.returns.map((saleReturn) => (
+                  <button
+                    key={saleReturn.id}
+                    type="button"
+                    onClick={() => onSaleChange(saleReturn.id)}
+                    className="flex w-full items-center justify-between rounded-md border px-3 py-2 text-left text-sm hover:bg-muted/50"
+                  >
+                    <span>
+                      Return #{saleReturn.number}
+                      <span className="ml-2 text-muted-foreground">
+                        {format(new Date(saleReturn.createdAt), "MMM d, yyyy HH:mm")}
+                      </span>
+                    </span>
+                    <span className="font-medium text-destructive">
+                      <Money value={saleReturn.totalAmount} />
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline">
+                    <Printer className="mr-2 h-4 w-4" />
+                    Reprint Receipt
+                    <ChevronDown className="ml-2 h-4 w-4" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  <DropdownMenuItem asChild>
+                    <Link
+                      href={`/dashboard/sales/${sale.id}/receipt`}
+                      target="_blank"
+                    >
+                      Till slip
+                    </Link>
+                  </DropdownMenuItem>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuLabel>Open as</DropdownMenuLabel>
+                  {receiptFormats.map((option) => (
+                    <DropdownMenuItem key={option.value} asChild>
+                      <a
+                        href={getSaleReceiptUrl(sale.id, option.value)}
+                        target="_blank"
+                        rel="noreferrer"
+                      >
+                        {option.label}
+                      </a>
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
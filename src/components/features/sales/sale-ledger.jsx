@@ -0,0 +1,226 @@
+"use client";
+
+import * as React from "react";
+import { useDebounce } from "use-debounce";
+import { AlertCircle, X } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CursorDataTable } from "@/components/ui/cursor-data-table";
+import { DateRangePicker } from "@/components/ui/date-range-picker";
+import { CustomerSelect } from "@/components/features/customers/customer-select";
+import { ProductSearchCombobox } from "@/components/features/products/product-search-combobox";
+import SaleDetailSheet from "./sale-detail-sheet";
+import { saleColumns } from "./sale-table-columns";
+import { useGetSales, useGetSalesStaff } from "@/hooks/use-sale-queries";
+import { useTableCursorUrlState } from "@/hooks/use-table-cursor-url-state";
+import { salePaymentTypes } from "@/lib/config/sales-config";
+
+const ALL = "ALL";
+
+// Stable defaults so the URL state hook does not recompute on every render
+const SALE_TABLE_DEFAULTS = {
+  cursor: null,
+  direction: "forward",
+  limit: 20,
+  sortBy: "createdAt",
+  sortOrder: "desc",
+  nameFilter: "",
+  categoryFilter: "",
+  unitFilter: "",
+  dateRangeFilter: "",
+};
+
+const EMPTY_FILTERS = {
+  range: {},
+  number: "",
+  paymentType: ALL,
+  userId: ALL,
+  customer: null,
+  product: null,
+};
+
+/**
+ * Cursor-paginated sales ledger with filters for date range, sale number,
+ * payment type, customer, staff member and a product contained in the sale.
+ * Clicking a row opens the sale detail sheet. Pagination and sorting live in
+ * the URL.
+ */
+export default function SaleLedger() {
+  const [filters, setFilters] = React.useState(EMPTY_FILTERS);
+  const [selectedSaleId, setSelectedSaleId] = React.useState(null);
+  const [debouncedNumber] = useDebounce(filters.number, 300);
+
+  const {
+    tableState,
+    apiParams,
+    handleCursorChange,
+    handleSortingChange,
+    handlePageSizeChange,
+  } = useTableCursorUrlState(SALE_TABLE_DEFAULTS);
+
+  const { data: staffData } = useGetSalesStaff();
+  const { data, isLoading, isFetching, error } = useGetSales({
+    from: filters.range.from,
+    to: filters.range.to,
+    number: parseInt(debouncedNumber, 10) || undefined,
+    paymentType: filters.paymentType === ALL ? undefined : filters.paymentType,
+    userId: filters.userId === ALL ? undefined : filters.userId,
+    customerId: filters.customer?.id,
+    productId: filters.product?.id,
+    sortOrder: apiParams.sortOrder,
+    cursor: apiParams.cursor,
+    direction: apiParams.direction,
+    limit: apiParams.limit,
+  });
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+    handleCursorChange(null, "reset");
+  };
+
+  const isFiltered =
+    Boolean(filters.range.from || filters.range.to) ||
+    Boolean(filters.number) ||
+    filters.paymentType !== ALL ||
+    filters.userId !== ALL ||
+    Boolean(filters.customer) ||
+    Boolean(filters.product);
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    handleCursorChange(null, "reset");
+  };
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>Failed to load sales: {error.message}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <>
+      <CursorDataTable
+        columns={saleColumns}
+        data={data?.sales || []}
+        state={{ sorting: tableState.sorting, columnFilters: [] }}
+        onSortingChange={handleSortingChange}
+        paginationState={{
+          prevCursor: data?.prevCursor || null,
+          nextCursor: data?.nextCursor || null,
+          hasPrevPage: data?.hasPrevPage || false,
+          hasNextPage: data?.hasNextPage || false,
+          currentPageSize: apiParams.limit,
+        }}
+        onCursorChange={handleCursorChange}
+        onPageSizeChange={handlePageSizeChange}
+        totalItems={data?.totalSales || 0}
+        isLoading={isLoading || isFetching}
+        emptyMessage={isFiltered ? "No sales match these filters." : "No sales yet."}
+        onRowClick={(sale) => setSelectedSaleId(sale.id)}
+        toolbar={
+          <>
+            <Input
+              type="number"
+              min={1}
+              placeholder="Sale #"
+              value={filters.number}
+              onChange={(event) => updateFilter("number", event.target.value)}
+              className="h-8 w-[100px]"
+            />
+            <DateRangePicker
+              value={filters.range}
+              onChange={(range) => updateFilter("range", range)}
+            />
+            <Select
+              value={filters.paymentType}
+              onValueChange={(value) => updateFilter("paymentType", value)}
+            >
+              <SelectTrigger className="h-8 w-[140px]">
+                <SelectValue placeholder="All payments" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All payments</SelectItem>
+                {salePaymentTypes.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select
+              value={filters.userId}
+              onValueChange={(value) => updateFilter("userId", value)}
+            >
+              <SelectTrigger className="h-8 w-[150px]">
+                <SelectValue placeholder="All staff" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All staff</SelectItem>
+                {(staffData?.staff || []).map((member) => (
+                  <SelectItem key={member.id} value={member.id}>
+                    {member.name || "Unnamed user"}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <CustomerSelect
+              value={filters.customer}
+              onChange={(customer) => updateFilter("customer", customer)}
+              allowCreate={false}
+              placeholder="All customers"
+              className="h-8 w-[180px]"
+            />
+            {filters.product ? (
+              <Badge variant="secondary" className="h-8 gap-1">
+                Contains: {filters.product.name}
+                <button
+                  type="button"
+                  aria-label="Clear product filter"
+                  onClick={() => updateFilter("product", null)}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </Badge>
+            ) : (
+              <ProductSearchCombobox
+                onSelect={(product) =>
+                  updateFilter("product", { id: product.id, name: product.name })
+                }
+                placeholder="Contains product..."
+                className="h-8 w-[180px]"
+              />
+            )}
+            {isFiltered && (
+              <Button
+                variant="ghost"
+                onClick={resetFilters}
+                className="h-8 px-2 lg:px-3"
+              >
+                Reset
+                <X className="ml-2 h-4 w-4" />
+              </Button>
+            )}
+          </>
+        }
+      />
+
+      <SaleDetailSheet
+        saleId={selectedSaleId}
+        onOpenChange={(open) => !open && setSelectedSaleId(null)}
+        onSaleChange={setSelectedSaleId}
+      />
+    </>
+  );
+}
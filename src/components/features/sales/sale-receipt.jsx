@@ -0,0 +1,123 @@
+"use client";
+
+import * as React from "react";
+import { format } from "date-fns";
+import { AlertCircle, Printer } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Money } from "@/components/ui/money";
+import { Skeleton } from "@/components/ui/skeleton";
+import { useGetSale } from "@/hooks/use-sale-queries";
+import { useGetShop } from "@/hooks/use-shop-queries";
+import { salePaymentTypes } from "@/lib/config/sales-config";
+
+/**
+ * Printable copy of a sale or return receipt, sized like a till slip.
+ * Controls are hidden when printing.
+ *
+ * @param {Object} props
+ * @param {string} props.saleId - The ID of the sale
+ */
+export default function SaleReceipt({ saleId }) {
+  const { data: shop } = useGetShop();
+  const { data: sale, isLoading, error } = useGetSale(saleId);
+
+  const isReturn = sale?.type === "RETURN";
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end print:hidden">
+        <Button onClick={() => window.print()} disabled={isLoading || !sale}>
+          <Printer className="mr-2 h-4 w-4" />
+          Print
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="destructive" className="print:hidden">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="mx-auto w-full max-w-sm rounded-md border p-6 font-mono text-sm print:max-w-none print:border-0 print:p-0">
+        {isLoading || !sale ? (
+          <div className="space-y-2">
+            {Array.from({ length: 6 }, (_, i) => (
+              <Skeleton key={`skeleton-${i}`} className="h-4 w-full" />
+            ))}
+          </div>
+        ) : (
+          <>
+            <div className="mb-4 text-center">
+              <div className="text-base font-bold">{shop?.name}</div>
+              {shop?.address && <div>{shop.address}</div>}
+              {shop?.phone && <div>Tel: {shop.phone}</div>}
+              {shop?.taxId && <div>Tax ID: {shop.taxId}</div>}
+              {shop?.receiptHeader && (
+                <div className="whitespace-pre-line">{shop.receiptHeader}</div>
+              )}
+              <div>
+                {isReturn ? "Return" : "Sale"} #{sale.number}
+              </div>
+              <div>{format(new Date(sale.createdAt), "dd.MM.yyyy HH:mm")}</div>
+              {sale.originalSale && (
+                <div>Return of sale #{sale.originalSale.number}</div>
+              )}
+            </div>
+
+            <div className="space-y-2 border-y border-dashed py-3">
+              {sale.items.map((item) => (
+                <div key={item.id}>
+                  <div>{item.product?.name}</div>
+                  <div className="flex justify-between">
+                    <span>
+                      {item.quantity} x{" "}
+                      <Money value={item.unitPrice} withSuffix={false} />
+                    </span>
+                    <Money value={item.lineTotal} withSuffix={false} />
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-3 space-y-1">
+              <div className="flex justify-between font-bold">
+                <span>{isReturn ? "REFUND" : "TOTAL"}</span>
+                <Money value={sale.totalAmount} />
+              </div>
+              <div className="flex justify-between">
+                <span>Payment</span>
+                <span>
+                  {salePaymentTypes.find(
+                    (option) => option.value === sale.paymentType
+                  )?.label}
+                </span>
+              </div>
+              {sale.customer && (
+                <div className="flex justify-between">
+                  <span>Customer</span>
+                  <span>{sale.customer.name}</span>
+                </div>
+              )}
+              {sale.user?.name && (
+                <div className="flex justify-between">
+                  <span>Cashier</span>
+                  <span>{sale.user.name}</span>
+                </div>
+              )}
+            </div>
+
+            {shop?.receiptFooter && (
+              <div className="mt-4 whitespace-pre-line text-center">
+                {shop.receiptFooter}
+              </div>
+            )}
+
+            <div className="mt-4 text-center text-xs">Reprinted copy</div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
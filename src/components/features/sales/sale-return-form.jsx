@@ -0,0 +1,442 @@
+"use client";
+
+import * as React from "react";
+import { format } from "date-fns";
+import { AlertCircle, Search, Trash2, Undo2 } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Money } from "@/components/ui/money";
+import { PosProductSearch } from "./pos-product-search";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import {
+  useLookupSale,
+  useProcessSaleReturn,
+} from "@/hooks/use-sale-queries";
+import { salePaymentTypes } from "@/lib/config/sales-config";
+import {
+  calculateReturnRefund,
+  cn,
+  getReturnableQuantity,
+} from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Describes how a settled return was paid out or collected.
+ * @param {{accountAmount: number, cashAmount: number}} settlement - The settlement returned by the API.
+ * @param {(value: number) => string} formatCurrency - Formats an amount in the shop's currency format.
+ * @returns {string} A short summary for the cashier.
+ */
+function describeSettlement({ accountAmount, cashAmount }, formatCurrency) {
+  const parts = [];
+  const formatAmount = (amount) => formatCurrency(Math.abs(amount));
+
+  if (accountAmount < 0) parts.push(`${formatAmount(accountAmount)} credited to account`);
+  if (accountAmount > 0) parts.push(`${formatAmount(accountAmount)} charged to account`);
+  if (cashAmount < 0) parts.push(`refund ${formatAmount(cashAmount)} in cash`);
+  if (cashAmount > 0) parts.push(`collect ${formatAmount(cashAmount)} in cash`);
+
+  return parts.length > 0 ? parts.join(", ") : "nothing to settle";
+}
+
+/**
+ * Return/exchange workflow: look up a past sale by its receipt number, choose
+ * how many units of each line come back (never more than is still returnable),
+ * optionally add exchange items, and finalize. The server records a separate
+ * return linked to the original sale, so the original is never edited.
+ *
+ * @param {Object} props
+ * @param {number} [props.initialSaleNumber] - Sale number to look up on load
+ */
+export default function SaleReturnForm({ initialSaleNumber }) {
+  const [numberInput, setNumberInput] = React.useState(
+    initialSaleNumber ? String(initialSaleNumber) : ""
+  );
+  const [saleNumber, setSaleNumber] = React.useState(initialSaleNumber ?? null);
+  const [returnQuantities, setReturnQuantities] = React.useState({});
+  const [exchangeLines, setExchangeLines] = React.useState([]);
+  const [note, setNote] = React.useState("");
+
+  const { data: sale, isFetching, error } = useLookupSale(saleNumber);
+  const { mutateAsync: processReturnAsync, isPending } = useProcessSaleReturn();
+  const { formatCurrency } = useCurrencyFormat();
+
+  // Start over whenever a different sale is loaded
+  React.useEffect(() => {
+    setReturnQuantities({});
+    setExchangeLines([]);
+    setNote("");
+  }, [sale?.id]);
+
+  const isReturnable = sale?.type === "SALE";
+  const saleItems = isReturnable ? sale.items : [];
+
+  const returnLines = saleItems
+    .map((saleItem) => {
+      const quantity = Number(returnQuantities[saleItem.id]) || 0;
+      return {
+        saleItem,
+        quantity,
+        refund: quantity > 0 ? calculateReturnRefund(saleItem, quantity) : 0,
+      };
+    })
+    .filter((line) => line.quantity > 0);
+
+  const returnedValue = returnLines.reduce((sum, line) => sum + line.refund, 0);
+  const exchangeValue = exchangeLines.reduce(
+    (sum, line) => sum + line.unitPrice * (Number(line.quantity) || 0),
+    0
+  );
+  const netAmount = exchangeValue - returnedValue;
+
+  const hasInvalidQuantity = saleItems.some(
+    (saleItem) =>
+      (Number(returnQuantities[saleItem.id]) || 0) >
+      getReturnableQuantity(saleItem)
+  );
+
+  const handleLookup = (event) => {
+    event.preventDefault();
+    const number = parseInt(numberInput, 10);
+    setSaleNumber(Number.isInteger(number) && number > 0 ? number : null);
+  };
+
+  const addExchangeProduct = (product) => {
+    setExchangeLines((current) => {
+      const existing = current.find((line) => line.productId === product.id);
+      if (existing) {
+        return current.map((line) =>
+          line === existing
+            ? { ...line, quantity: String((Number(line.quantity) || 0) + 1) }
+            : line
+        );
+      }
+      return [
+        ...current,
+        {
+          productId: product.id,
+          name: product.name,
+          unit: product.unit,
+          unitPrice: product.sellingPrice ?? 0,
+          quantity: "1",
+        },
+      ];
+    });
+  };
+
+  const updateExchangeQuantity = (productId, quantity) => {
+    setExchangeLines((current) =>
+      current.map((line) =>
+        line.productId === productId ? { ...line, quantity } : line
+      )
+    );
+  };
+
+  const removeExchangeLine = (productId) => {
+    setExchangeLines((current) =>
+      current.filter((line) => line.productId !== productId)
+    );
+  };
+
+  const handleSubmit = () => {
+    const returnData = {
+      items: returnLines.map((line) => ({
+        saleItemId: line.saleItem.id,
+        quantity: line.quantity,
+      })),
+      exchangeItems: exchangeLines
+        .filter((line) => Number(line.quantity) > 0)
+        .map((line) => ({
+          productId: line.productId,
+          quantity: Number(line.quantity),
+          unitPrice: line.unitPrice,
+          lineTotal: line.unitPrice * Number(line.quantity),
+        })),
+      note: note || undefined,
+    };
+
+    const returnPromise = processReturnAsync({ saleId: sale.id, returnData });
+
+    toast.promise(returnPromise, {
+      loading: "Processing return...",
+      success: (result) =>
+        `Return #${result.sale.number} recorded: ${describeSettlement(result, formatCurrency)}.`,
+      error: (err) => err?.message || "Failed to process return",
+    });
+
+    returnPromise
+      .then(() => {
+        setReturnQuantities({});
+        setExchangeLines([]);
+        setNote("");
+      })
+      .catch(() => {});
+  };
+
+  const paymentTypeLabel = salePaymentTypes.find(
+    (option) => option.value === sale?.paymentType
+  )?.label;
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleLookup} className="flex max-w-sm items-end gap-2">
+        <div className="flex-1 space-y-2">
+          <Label htmlFor="return-sale-number">Sale number</Label>
+          <Input
+            id="return-sale-number"
+            inputMode="numeric"
+            autoFocus
+            placeholder="Receipt number, e.g. 1024"
+            value={numberInput}
+            onChange={(event) =>
+              setNumberInput(event.target.value.replace(/\D/g, ""))
+            }
+          />
+        </div>
+        <Button type="submit" variant="outline" disabled={isFetching}>
+          <Search className="mr-2 h-4 w-4" />
+          Find
+        </Button>
+      </form>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      {sale && !isReturnable && (
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>
+            Sale #{sale.number} is itself a return
+            {sale.originalSale && ` of sale #${sale.originalSale.number}`}.
+            Look up the original sale to return more items.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {isReturnable && (
+        <div className="grid gap-6 lg:grid-cols-[1fr_320px]">
+          <div className="space-y-6">
+            <Card>
+              <CardHeader>
+                <CardTitle>Sale #{sale.number}</CardTitle>
+                <CardDescription className="flex flex-wrap items-center gap-2">
+                  <span>{format(new Date(sale.createdAt), "MMM d, yyyy HH:mm")}</span>
+                  <Badge variant="outline">{paymentTypeLabel}</Badge>
+                  {sale.customer && <span>{sale.customer.name}</span>}
+                  <span>
+                    Total <Money value={sale.totalAmount} />
+                  </span>
+                  {sale.returns.length > 0 && (
+                    <span>
+                      Previous returns:{" "}
+                      {sale.returns.map((saleReturn) => `#${saleReturn.number}`).join(", ")}
+                    </span>
+                  )}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Product</TableHead>
+                      <TableHead className="text-right">Sold</TableHead>
+                      <TableHead className="text-right">Returnable</TableHead>
+                      <TableHead className="text-right">Charged</TableHead>
+                      <TableHead className="w-28">Return qty</TableHead>
+                      <TableHead className="text-right">Refund</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {saleItems.map((saleItem) => {
+                      const returnable = getReturnableQuantity(saleItem);
+                      const quantity = Number(returnQuantities[saleItem.id]) || 0;
+                      const isOver = quantity > returnable;
+
+                      return (
+                        <TableRow key={saleItem.id}>
+                          <TableCell className="font-medium">
+                            {saleItem.product.name}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {saleItem.quantity} {saleItem.product.unit}
+                          </TableCell>
+                          <TableCell className="text-right">{returnable}</TableCell>
+                          <TableCell className="text-right">
+                            <Money value={saleItem.lineTotal} />
+                          </TableCell>
+                          <TableCell>
+                            <Input
+                              inputMode="numeric"
+                              className={cn("h-8", isOver && "border-destructive")}
+                              disabled={returnable === 0}
+                              placeholder="0"
+                              aria-label={`Return quantity for ${saleItem.product.name}`}
+                              value={returnQuantities[saleItem.id] ?? ""}
+                              onChange={(event) =>
+                                setReturnQuantities((current) => ({
+                                  ...current,
+                                  [saleItem.id]: event.target.value.replace(/\D/g, ""),
+                                }))
+                              }
+                            />
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {quantity > 0 && !isOver ? (
+                              <Money value={calculateReturnRefund(saleItem, quantity)} />
+                            ) : (
+                              "—"
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Exchange Items</CardTitle>
+                <CardDescription>
+                  Optional. Products the customer takes instead, at current prices.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <PosProductSearch onSelect={addExchangeProduct} />
+                {exchangeLines.length > 0 && (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Product</TableHead>
+                        <TableHead className="text-right">Price</TableHead>
+                        <TableHead className="w-28">Quantity</TableHead>
+                        <TableHead className="text-right">Total</TableHead>
+                        <TableHead className="w-10" />
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {exchangeLines.map((line) => (
+                        <TableRow key={line.productId}>
+                          <TableCell className="font-medium">{line.name}</TableCell>
+                          <TableCell className="text-right">
+                            <Money value={line.unitPrice} />
+                          </TableCell>
+                          <TableCell>
+                            <Input
+                              inputMode="numeric"
+                              className="h-8"
+                              aria-label={`Quantity for ${line.name}`}
+                              value={line.quantity}
+                              onChange={(event) =>
+                                updateExchangeQuantity(
+                                  line.productId,
+                                  event.target.value.replace(/\D/g, "")
+                                )
+                              }
+                            />
+                          </TableCell>
+                          <TableCell className="text-right">
+                            <Money value={line.unitPrice * (Number(line.quantity) || 0)} />
+                          </TableCell>
+                          <TableCell>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              className="h-8 w-8"
+                              onClick={() => removeExchangeLine(line.productId)}
+                            >
+                              <span className="sr-only">Remove {line.name}</span>
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card className="h-fit">
+            <CardHeader>
+              <CardTitle>Summary</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3 text-sm">
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Returned goods</span>
+                <Money value={returnedValue} prefix={returnedValue > 0 ? "-" : ""} />
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Exchange items</span>
+                <Money value={exchangeValue} />
+              </div>
+              <div className="flex justify-between border-t pt-3 text-base font-semibold">
+                <span>
+                  {netAmount < 0
+                    ? "Refund due"
+                    : netAmount > 0
+                      ? "Customer pays"
+                      : "Even exchange"}
+                </span>
+                <Money
+                  value={Math.abs(netAmount)}
+                  className={cn(netAmount < 0 && "text-destructive")}
+                />
+              </div>
+              {sale.paymentType === "ON_ACCOUNT" && netAmount !== 0 && (
+                <p className="text-xs text-muted-foreground">
+                  Settled against {sale.customer?.name}&apos;s account. Refunds
+                  are credited up to what the customer owes; any excess is
+                  refunded in cash.
+                </p>
+              )}
+              <div className="space-y-2 pt-2">
+                <Label htmlFor="return-note">Note</Label>
+                <Input
+                  id="return-note"
+                  placeholder="Reason for the return (optional)"
+                  value={note}
+                  onChange={(event) => setNote(event.target.value)}
+                />
+              </div>
+            </CardContent>
+            <CardFooter>
+              <Button
+                className="w-full"
+                onClick={handleSubmit}
+                disabled={isPending || returnLines.length === 0 || hasInvalidQuantity}
+              >
+                <Undo2 className="mr-2 h-4 w-4" />
+                {isPending ? "Processing..." : "Complete Return"}
+              </Button>
+            </CardFooter>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
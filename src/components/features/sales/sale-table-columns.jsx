@@ -0,0 +1,116 @@
+"use client";
+
+import { Badge } from "@/components/ui/badge";
+import { DataTableColumnHeader } from "@/components/ui/data-table-column-header";
+import { Money } from "@/components/ui/money";
+import { salePaymentTypes } from "@/lib/config/sales-config";
+import { cn } from "@/lib/utils";
+
+/**
+ * Column definitions for the sales ledger.
+ * Only the date is sortable, matching the sales list API.
+ */
+export const saleColumns = [
+  {
+    accessorKey: "number",
+    header: "Sale",
+    cell: ({ row }) => (
+      <div className="flex items-center gap-2 font-medium">
+        #{row.getValue("number")}
+        {row.original.type === "RETURN" && (
+          <Badge variant="outline">
+            Return
+            {row.original.originalSale && ` of #${row.original.originalSale.number}`}
+          </Badge>
+        )}
+        {row.original.returnCount > 0 && (
+          <Badge variant="secondary">Returned</Badge>
+        )}
+      </div>
+    ),
+    enableSorting: false,
+    enableHiding: false,
+  },
+  {
+    accessorKey: "createdAt",
+    header: ({ column }) => (
+      <DataTableColumnHeader column={column} title="Date" />
+    ),
+    cell: ({ row }) => {
+      const formatted = new Date(row.getValue("createdAt")).toLocaleString(
+        "en-US",
+        {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+          hour: "2-digit",
+          minute: "2-digit",
+        }
+      );
+
+      return (
+        <div className="whitespace-nowrap text-sm text-muted-foreground">
+          {formatted}
+        </div>
+      );
+    },
+  },
+  {
+    id: "customer",
+    accessorFn: (sale) => sale.customer?.name,
+    header: "Customer",
+    cell: ({ row }) => row.original.customer?.name || "—",
+    enableSorting: false,
+  },
+  {
+    id: "user",
+    accessorFn: (sale) => sale.user?.name,
+    header: "Staff",
+    cell: ({ row }) => (
+      <span className="text-muted-foreground">
+        {row.original.user?.name || "—"}
+      </span>
+    ),
+    enableSorting: false,
+  },
+  {
+    accessorKey: "paymentType",
+    header: "Payment",
+    cell: ({ row }) => {
+      const paymentType = row.getValue("paymentType");
+      return (
+        <Badge variant={paymentType === "ON_ACCOUNT" ? "destructive" : "secondary"}>
+          {salePaymentTypes.find((option) => option.value === paymentType)
+            ?.label || paymentType}
+        </Badge>
+      );
+    },
+    enableSorting: false,
+  },
+  {
+    accessorKey: "itemCount",
+    header: () => <div className="text-right">Lines</div>,
+    cell: ({ row }) => (
+      <div className="text-right">{row.getValue("itemCount")}</div>
+    ),
+    enableSorting: false,
+  },
+  {
+    accessorKey: "totalAmount",
+    header: () => <div className="text-right">Total</div>,
+    cell: ({ row }) => {
+      const total = row.getValue("totalAmount");
+      return (
+        <div
+          className={cn(
+            "text-right font-medium",
+            total < 0 && "text-destructive"
+          )}
+        >
+          <Money value={total} />
+        </div>
+      );
+    },
+    enableSorting: false,
+  },
+];
@@ -0,0 +1,399 @@
+"use client";
+
+import * as React from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { AlertCircle, Plus, X } from "lucide-react";
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Skeleton } from "@/components/ui/skeleton";
+import FormSectionCard from "@/components/ui/form-section-card";
+import NumberField from "@/components/features/products/number-field";
+import { useGetShop, useUpdateShop } from "@/hooks/use-shop-queries";
+import { costingMethods } from "@/lib/config/inventory-config";
+import { commonUnits, currencyFormats } from "@/lib/config/shop-config";
+import { shopSettingsSchema } from "@/lib/zod-schemas";
+import { toast } from "sonner";
+
+const textareaClassName =
+  "flex min-h-20 w-full rounded-md border border-input bg-transparent px-3 py-2 text-base shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring disabled:cursor-not-allowed disabled:opacity-50 md:text-sm";
+
+/**
+ * Maps the shop to form values; empty fields become "" for the inputs.
+ * @param {Object} [shop] - The shop settings.
+ * @returns {Object} The form values.
+ */
+function toFormValues(shop) {
+  return {
+    name: shop?.name ?? "",
+    address: shop?.address ?? "",
+    phone: shop?.phone ?? "",
+    taxId: shop?.taxId ?? "",
+    receiptHeader: shop?.receiptHeader ?? "",
+    receiptFooter: shop?.receiptFooter ?? "",
+    defaultUnits: shop?.defaultUnits ?? [],
+    defaultReorderPoint:
+      shop?.defaultReorderPoint != null ? String(shop.defaultReorderPoint) : "",
+    currencyFormat: shop?.currencyFormat ?? "SPACE_SOM",
+    costingMethod: shop?.costingMethod ?? "WEIGHTED_AVERAGE",
+  };
+}
+
+/**
+ * A free-text form field, single or multi-line.
+ * @param {Object} props
+ * @param {Object} props.control - react-hook-form control
+ * @param {string} props.name - Field name
+ * @param {string} props.label - Field label
+ * @param {string} [props.placeholder] - Placeholder text
+ * @param {string} [props.description] - Help text under the field
+ * @param {boolean} [props.multiline=false] - Render a textarea
+ */
+function TextField({
+  control,
+  name,
+  label,
+  placeholder,
+  description,
+  multiline = false,
+}) {
+  return (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel>{label}</FormLabel>
+          <FormControl>
+            {multiline ? (
+              <textarea
+                className={textareaClassName}
+                placeholder={placeholder}
+                {...field}
+              />
+            ) : (
+              <Input placeholder={placeholder} {...field} />
+            )}
+          </FormControl>
+          {description && <FormDescription>{description}</FormDescription>}
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+}
+
+/**
+ * Picks the units offered when adding products: any of the common units plus
+ * the shop's own. Leaving all unticked keeps the built-in list.
+ * @param {Object} props
+ * @param {string[]} props.value - The selected units
+ * @param {(units: string[]) => void} props.onChange - Called with the new list
+ */
+function DefaultUnitsPicker({ value, onChange }) {
+  const [customUnit, setCustomUnit] = React.useState("");
+  const customUnits = value.filter(
+    (unit) => !commonUnits.some((option) => option.value === unit)
+  );
+
+  const toggleUnit = (unit, checked) => {
+    onChange(checked ? [...value, unit] : value.filter((u) => u !== unit));
+  };
+
+  const addCustomUnit = () => {
+    const unit = customUnit.trim();
+    if (unit && !value.includes(unit)) {
+      onChange([...value, unit]);
+    }
+    setCustomUnit("");
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2 md:grid-cols-3">
+        {commonUnits.map((unit) => (
+          <label
+            key={unit.value}
+            className="flex items-center gap-2 text-sm font-normal"
+          >
+            <Checkbox
+              checked={value.includes(unit.value)}
+              onCheckedChange={(checked) => toggleUnit(unit.value, checked)}
+            />
+            {unit.label}
+          </label>
+        ))}
+      </div>
+
+      {customUnits.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {customUnits.map((unit) => (
+            <Badge key={unit} variant="secondary" className="gap-1">
+              {unit}
+              <button
+                type="button"
+                aria-label={`Remove ${unit}`}
+                onClick={() => toggleUnit(unit, false)}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <Input
+          placeholder="Add your own unit (e.g., dozen)"
+          value={customUnit}
+          onChange={(e) => setCustomUnit(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              addCustomUnit();
+            }
+          }}
+        />
+        <Button
+          type="button"
+          variant="outline"
+          onClick={addCustomUnit}
+          disabled={!customUnit.trim()}
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Shop settings for the owner: business profile, receipt texts, product
+ * defaults and how money is shown and costed. Receipts, the sidebar header
+ * and the product form read these settings.
+ */
+export default function ShopSettingsForm() {
+  const { data: shop, isLoading, error } = useGetShop();
+  const { mutateAsync: updateShopAsync, isPending } = useUpdateShop();
+
+  const form = useForm({
+    resolver: zodResolver(shopSettingsSchema),
+    defaultValues: toFormValues(),
+  });
+  const { control, reset } = form;
+
+  // Load the saved settings into the form once they arrive
+  React.useEffect(() => {
+    if (shop) {
+      reset(toFormValues(shop));
+    }
+  }, [shop, reset]);
+
+  const onSubmit = async (data) => {
+    try {
+      const updatedShop = await updateShopAsync(data);
+      reset(toFormValues(updatedShop));
+      toast.success("Shop settings saved.");
+    } catch (err) {
+      toast.error(err?.message || "Failed to save shop settings");
+    }
+  };
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{error.message}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  if (isLoading) {
+    return <Skeleton className="h-96 w-full" />;
+  }
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+        <FormSectionCard
+          title="Business Profile"
+          description="Shown in the sidebar and printed at the top of receipts."
+        >
+          <TextField control={control} name="name" label="Shop Name *" />
+          <TextField
+            control={control}
+            name="address"
+            label="Address"
+            placeholder="Street, city"
+          />
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <TextField
+              control={control}
+              name="phone"
+              label="Phone"
+              placeholder="+998 90 123 45 67"
+            />
+            <TextField
+              control={control}
+              name="taxId"
+              label="Tax ID"
+              placeholder="123456789"
+              description="9-digit STIR or 14-digit PINFL."
+            />
+          </div>
+        </FormSectionCard>
+
+        <FormSectionCard
+          title="Receipts"
+          description="Extra text printed on every receipt."
+        >
+          <TextField
+            control={control}
+            name="receiptHeader"
+            label="Header"
+            placeholder="e.g., Open daily 9:00–21:00"
+            multiline
+          />
+          <TextField
+            control={control}
+            name="receiptFooter"
+            label="Footer"
+            placeholder="e.g., Thank you for shopping with us!"
+            multiline
+          />
+        </FormSectionCard>
+
+        <FormSectionCard
+          title="Products"
+          description="Defaults used when adding products."
+        >
+          <FormField
+            control={control}
+            name="defaultUnits"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>Units of Measure</FormLabel>
+                <FormDescription>
+                  Choose the units offered when adding products. Leave all
+                  unticked to offer the full built-in list.
+                </FormDescription>
+                <DefaultUnitsPicker
+                  value={field.value}
+                  onChange={field.onChange}
+                />
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+          <div className="md:w-1/2">
+            <NumberField
+              control={control}
+              name="defaultReorderPoint"
+              label="Default Reorder Point"
+              placeholder="None"
+              decimalScale={0}
+            />
+          </div>
+        </FormSectionCard>
+
+        <FormSectionCard
+          title="Money"
+          description="How amounts are shown and how purchase prices are updated."
+        >
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <FormField
+              control={control}
+              name="currencyFormat"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Currency Format</FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select format" />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {currencyFormats.map((option) => (
+                        <SelectItem key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormDescription>Used on receipts.</FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={control}
+              name="costingMethod"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Costing Method</FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select method" />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      {costingMethods.map((method) => (
+                        <SelectItem key={method.value} value={method.value}>
+                          {method.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormDescription>
+                    {
+                      costingMethods.find(
+                        (method) => method.value === field.value
+                      )?.description
+                    }
+                  </FormDescription>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+          </div>
+        </FormSectionCard>
+
+        <div className="flex justify-end gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => reset(toFormValues(shop))}
+            disabled={isPending || !form.formState.isDirty}
+          >
+            Discard changes
+          </Button>
+          <Button type="submit" disabled={isPending || !form.formState.isDirty}>
+            {isPending ? "Saving..." : "Save Settings"}
+          </Button>
+        </div>
+      </form>
+    </Form>
+  );
+}
@@ -0,0 +1,310 @@
+"use client";
+
+import * as React from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import { AlertCircle, Copy, Trash2, UserPlus, X } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormMessage,
+} from "@/components/ui/form";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Skeleton } from "@/components/ui/skeleton";
+import { DeleteConfirmDialog } from "@/components/ui/delete-confirm-dialog";
+import PlanUsageNotice from "@/components/features/subscription/plan-usage-notice";
+import {
+  useGetStaff,
+  useInviteStaff,
+  useRemoveStaff,
+  useRevokeStaffInvitation,
+} from "@/hooks/use-staff-queries";
+import { getStaffInvitationLink } from "@/lib/api/staff";
+import { staffInvitationSchema } from "@/lib/zod-schemas";
+import { toast } from "sonner";
+
+/**
+ * Copies an invitation link to the clipboard.
+ * @param {string} token - The invitation token.
+ */
+async function copyInvitationLink(token) {
+  try {
+    await navigator.clipboard.writeText(getStaffInvitationLink(token));
+    toast.success("Invitation link copied.");
+  } catch {
+    toast.error("Could not copy the link.");
+  }
+}
+
+/**
+ * Form to invite a staff member by email address.
+ */
+function InviteStaffForm() {
+  const { mutateAsync: inviteStaffAsync, isPending } = useInviteStaff();
+
+  const form = useForm({
+    resolver: zodResolver(staffInvitationSchema),
+    defaultValues: { email: "" },
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      const invitation = await inviteStaffAsync(data);
+      form.reset({ email: "" });
+      toast.success(`Invitation for ${invitation.email} created.`, {
+        description:
+          "Share the link; they join when they sign in with Google using this email.",
+        action: {
+          label: "Copy link",
+          onClick: () => copyInvitationLink(invitation.token),
+        },
+      });
+    } catch (error) {
+      toast.error(error?.message || "Failed to send invitation");
+    }
+  };
+
+  return (
+    <Form {...form}>
+      <form
+        onSubmit={form.handleSubmit(onSubmit)}
+        className="flex flex-col gap-2 sm:flex-row sm:items-start"
+      >
+        <FormField
+          control={form.control}
+          name="email"
+          render={({ field }) => (
+            <FormItem className="flex-1">
+              <FormControl>
+                <Input type="email" placeholder="name@example.com" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <Button type="submit" disabled={isPending}>
+          <UserPlus className="mr-2 h-4 w-4" />
+          {isPending ? "Inviting..." : "Invite"}
+        </Button>
+      </form>
+    </Form>
+  );
+}
+
+/**
+ * Team management for the shop owner: invite staff by email, see and revoke
+ * pending invitations, and remove staff members. A removed staff member
+ * loses access to the shop straight away.
+ */
+export default function StaffManagement() {
+  const [memberToRemove, setMemberToRemove] = React.useState(null);
+
+  const { data, isLoading, error } = useGetStaff();
+  const { mutateAsync: removeStaffAsync, isPending: isRemoving } =
+    useRemoveStaff();
+  const { mutate: revokeInvitation, isPending: isRevoking } =
+    useRevokeStaffInvitation();
+
+  const staff = data?.staff || [];
+  const invitations = data?.invitations || [];
+
+  const handleRemove = async () => {
+    try {
+      await removeStaffAsync(memberToRemove.id);
+      toast.success(
+        `${memberToRemove.name || memberToRemove.email} was removed from the shop.`
+      );
+      setMemberToRemove(null);
+    } catch (err) {
+      toast.error(err?.message || "Failed to remove staff member");
+    }
+  };
+
+  const handleRevoke = (invitation) => {
+    revokeInvitation(invitation.token, {
+      onSuccess: () =>
+        toast.success(`Invitation for ${invitation.email} revoked.`),
+      onError: (err) =>
+        toast.error(err?.message || "Failed to revoke invitation"),
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <PlanUsageNotice resource="users" />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Invite staff</CardTitle>
+          <CardDescription>
+            Invitations are valid for 7 days. The invited person joins your shop
+            as staff the first time they sign in with Google using this email.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <InviteStaffForm />
+        </CardContent>
+      </Card>
+
+      {invitations.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Pending invitations</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Expires</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {invitations.map((invitation) => (
+                  <TableRow key={invitation.token}>
+                    <TableCell className="font-medium">
+                      {invitation.email}
+                    </TableCell>
+                    <TableCell className="text-muted-foreground">
+                      {format(new Date(invitation.expires), "MMM d, yyyy HH:mm")}
+                    </TableCell>
+                    <TableCell className="space-x-1 text-right">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => copyInvitationLink(invitation.token)}
+                      >
+                        <Copy className="mr-2 h-4 w-4" />
+                        Copy link
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={isRevoking}
+                        onClick={() => handleRevoke(invitation)}
+                      >
+                        <X className="mr-2 h-4 w-4" />
+                        Revoke
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Staff</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Email</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading &&
+                Array.from({ length: 3 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={3}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              {!isLoading && staff.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={3}
+                    className="h-16 text-center text-muted-foreground"
+                  >
+                    No staff yet. Invite someone above.
+                  </TableCell>
+                </TableRow>
+              )}
+              {staff.map((member) => (
+                <TableRow key={member.id}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <Avatar className="h-8 w-8">
+                        <AvatarImage src={member.image || undefined} />
+                        <AvatarFallback>
+                          {(member.name || member.email || "?")
+                            .charAt(0)
+                            .toUpperCase()}
+                        </AvatarFallback>
+                      </Avatar>
+                      <span className="font-medium">
+                        {member.name || "Unnamed user"}
+                      </span>
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {member.email}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-destructive hover:text-destructive"
+                      onClick={() => setMemberToRemove(member)}
+                    >
+                      <Trash2 className="mr-2 h-4 w-4" />
+                      Remove
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <DeleteConfirmDialog
+        open={Boolean(memberToRemove)}
+        onOpenChange={(open) => !open && setMemberToRemove(null)}
+        onConfirm={handleRemove}
+        title="Remove staff member?"
+        description={`${
+          memberToRemove?.name || memberToRemove?.email
+        } will immediately lose access to your shop. Their past sales and stock changes are kept.`}
+        confirmText="Remove"
+        isPending={isRemoving}
+      />
+    </div>
+  );
+}
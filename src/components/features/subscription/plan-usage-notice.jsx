@@ -0,0 +1,73 @@
+"use client";
+
+import Link from "next/link";
+import { AlertTriangle } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { useGetPlanUsage } from "@/hooks/use-subscription-queries";
+import { usePermissions } from "@/hooks/use-permissions";
+import {
+  PLAN_USAGE_WARNING_RATIO,
+  planLimitResources,
+} from "@/lib/config/subscription-config";
+import { cn } from "@/lib/utils";
+
+/**
+ * Warns when the shop is close to, or at, its plan limit for a resource,
+ * showing usage against the limit. Renders nothing while there is room or
+ * when the plan has no limit.
+ *
+ * @param {Object} props
+ * @param {"products"|"users"} props.resource - The limited resource to report on
+ * @param {string} [props.className] - Extra classes for the alert
+ */
+export default function PlanUsageNotice({ resource, className }) {
+  const { data } = useGetPlanUsage();
+  const { can } = usePermissions();
+
+  const resourceUsage = data?.resources?.[resource];
+  if (!resourceUsage || resourceUsage.limit === null) {
+    return null;
+  }
+
+  const { usage, limit } = resourceUsage;
+  if (usage < limit * PLAN_USAGE_WARNING_RATIO) {
+    return null;
+  }
+
+  const isAtLimit = usage >= limit;
+  const { one, other } = planLimitResources[resource];
+  const percent = Math.min(100, Math.round((usage / limit) * 100));
+
+  return (
+    <Alert variant={isAtLimit ? "destructive" : "default"} className={className}>
+      <AlertTriangle className="h-4 w-4" />
+      <AlertDescription className="space-y-2">
+        <p>
+          {isAtLimit
+            ? `You have reached the limit of your ${data.planLabel} plan: ${usage} of ${limit} ${limit === 1 ? one : other}.`
+            : `You are using ${usage} of ${limit} ${limit === 1 ? one : other} allowed on your ${data.planLabel} plan.`}{" "}
+          {isAtLimit
+            ? "Upgrade your plan to add more."
+            : "Upgrade your plan before you run out."}{" "}
+          {can("subscription:manage") && (
+            <Link
+              href="/dashboard/settings/subscription"
+              className="font-medium underline underline-offset-4"
+            >
+              See plans
+            </Link>
+          )}
+        </p>
+        <div className="h-2 w-full overflow-hidden rounded-full bg-muted">
+          <div
+            className={cn(
+              "h-full rounded-full",
+              isAtLimit ? "bg-destructive" : "bg-primary"
+            )}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      </AlertDescription>
+    </Alert>
+  );
+}
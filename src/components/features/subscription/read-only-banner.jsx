@@ -0,0 +1,34 @@
+import Link from "next/link";
+import { Lock } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+
+/**
+ * Shown above every dashboard page while the shop's subscription is expired.
+ * The shop is read-only until the owner chooses a plan.
+ *
+ * @param {Object} props
+ * @param {boolean} props.canManageSubscription - Whether to link to the plan selection
+ * @returns {JSX.Element} Read-only notice
+ */
+export default function ReadOnlyBanner({ canManageSubscription }) {
+  return (
+    <Alert variant="destructive" className="mb-6">
+      <Lock className="h-4 w-4" />
+      <AlertDescription className="flex flex-wrap items-center justify-between gap-2">
+        <span>
+          Your subscription has expired. You can still view and export your
+          data, but changes are disabled
+          {canManageSubscription
+            ? " until you choose a plan."
+            : ". Ask the shop owner to choose a plan."}
+        </span>
+        {canManageSubscription && (
+          <Button asChild size="sm">
+            <Link href="/dashboard/settings/subscription">Choose a plan</Link>
+          </Button>
+        )}
+      </AlertDescription>
+    </Alert>
+  );
+}
@@ -0,0 +1,342 @@
+"use client";
+
+import * as React from "react";
+import { useRouter } from "next/navigation";
+import { useSession } from "next-auth/react";
+import { format } from "date-fns";
+import { AlertCircle } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import PricingCard from "@/components/ui/pricing-card";
+import { Money } from "@/components/ui/money";
+import {
+  useCheckoutSubscription,
+  useGetPlanUsage,
+  useGetSubscription,
+} from "@/hooks/use-subscription-queries";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import {
+  billingCycles,
+  isSubscriptionReadOnly,
+  paidSubscriptionPlans,
+  planLimitResources,
+  planLimits,
+  subscriptionPlanLabels,
+  subscriptionPlanPrices,
+  subscriptionStatusLabels,
+} from "@/lib/config/subscription-config";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Describes a plan limit, e.g. "Up to 300 products" or "Unlimited products".
+ * @param {string} resource - The limited resource.
+ * @param {number|null} limit - The limit; null when unlimited.
+ * @returns {string} The description.
+ */
+function describeLimit(resource, limit) {
+  const { one, other } = planLimitResources[resource];
+  if (limit === null) {
+    return `Unlimited ${other}`;
+  }
+  return limit === 1 ? `1 ${one}` : `Up to ${limit} ${other}`;
+}
+
+/**
+ * Label for the end date of a subscription, depending on its status.
+ * @param {string} status - The subscription status.
+ * @returns {string} The label.
+ */
+function endDateLabel(status) {
+  if (status === "TRIALING") return "Trial ends";
+  if (isSubscriptionReadOnly(status)) return "Ended";
+  return "Renews";
+}
+
+/**
+ * The shop's current plan, its status and usage against the plan limits.
+ * @param {Object} props
+ * @param {Object} props.subscription - The subscription
+ */
+function CurrentPlanCard({ subscription }) {
+  const { data: usage } = useGetPlanUsage();
+  const isReadOnly = isSubscriptionReadOnly(subscription.status);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <CardTitle>{subscription.planLabel} plan</CardTitle>
+          <Badge variant={isReadOnly ? "destructive" : "secondary"}>
+            {subscriptionStatusLabels[subscription.status]}
+          </Badge>
+        </div>
+        <CardDescription>
+          {endDateLabel(subscription.status)}{" "}
+          {format(new Date(subscription.endDate), "MMM d, yyyy")}
+          {subscription.billingCycle &&
+            ` · billed ${billingCycles
+              .find((cycle) => cycle.value === subscription.billingCycle)
+              ?.label.toLowerCase()}`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-4 sm:grid-cols-3">
+        {Object.entries(planLimitResources).map(([resource, { other }]) => {
+          const resourceUsage = usage?.resources?.[resource];
+          const percent =
+            resourceUsage?.limit
+              ? Math.min(100, (resourceUsage.usage / resourceUsage.limit) * 100)
+              : 0;
+
+          return (
+            <div key={resource} className="space-y-1">
+              <p className="text-sm capitalize text-muted-foreground">{other}</p>
+              {resourceUsage ? (
+                <p className="font-medium">
+                  {resourceUsage.usage}
+                  {resourceUsage.limit === null
+                    ? " · unlimited"
+                    : ` of ${resourceUsage.limit}`}
+                </p>
+              ) : (
+                <Skeleton className="h-6 w-20" />
+              )}
+              <div className="h-2 w-full overflow-hidden rounded-full bg-muted">
+                <div
+                  className={cn(
+                    "h-full rounded-full",
+                    percent >= 100 ? "bg-destructive" : "bg-primary"
+                  )}
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Invoices recorded by the simulated checkout, newest first.
+ * @param {Object} props
+ * @param {Array<Object>} props.invoices - The invoices
+ */
+function InvoiceHistory({ invoices }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Billing history</CardTitle>
+        <CardDescription>
+          Invoices are simulated; no payment has been taken.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Date</TableHead>
+              <TableHead>Plan</TableHead>
+              <TableHead>Period</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {invoices.length === 0 && (
+              <TableRow>
+                <TableCell
+                  colSpan={4}
+                  className="h-16 text-center text-muted-foreground"
+                >
+                  No invoices yet.
+                </TableCell>
+              </TableRow>
+            )}
+            {invoices.map((invoice) => (
+              <TableRow key={invoice.id}>
+                <TableCell>
+                  {format(new Date(invoice.createdAt), "MMM d, yyyy")}
+                </TableCell>
+                <TableCell>
+                  {subscriptionPlanLabels[invoice.plan]} (
+                  {billingCycles
+                    .find((cycle) => cycle.value === invoice.billingCycle)
+                    ?.label.toLowerCase()}
+                  )
+                </TableCell>
+                <TableCell className="text-muted-foreground">
+                  {format(new Date(invoice.periodStart), "MMM d, yyyy")} –{" "}
+                  {format(new Date(invoice.periodEnd), "MMM d, yyyy")}
+                </TableCell>
+                <TableCell className="text-right">
+                  <Money value={invoice.amount} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Subscription settings for the shop owner: the current plan and usage, the
+ * paid plans with monthly and annual prices, a simulated checkout and the
+ * billing history. Choosing a plan ends the read-only mode of an expired
+ * trial straight away.
+ */
+export default function SubscriptionSettings() {
+  const router = useRouter();
+  const { update: updateSession } = useSession();
+  const { formatCurrency } = useCurrencyFormat();
+  const [billingCycle, setBillingCycle] = React.useState("MONTHLY");
+  const [selectedPlan, setSelectedPlan] = React.useState(null);
+
+  const { data: subscription, isLoading, error } = useGetSubscription();
+  const { mutateAsync: checkoutAsync, isPending } = useCheckoutSubscription();
+
+  const isCurrentPlan = (plan) =>
+    subscription?.plan === plan &&
+    subscription?.billingCycle === billingCycle &&
+    !isSubscriptionReadOnly(subscription?.status);
+
+  const handleConfirm = async () => {
+    try {
+      await checkoutAsync({ plan: selectedPlan, billingCycle });
+      toast.success(
+        `You are now on the ${subscriptionPlanLabels[selectedPlan]} plan.`
+      );
+      setSelectedPlan(null);
+      // Refresh the session so the read-only mode ends everywhere
+      await updateSession();
+      router.refresh();
+    } catch (err) {
+      toast.error(err?.message || "Failed to change plan");
+    }
+  };
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>{error.message}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {isLoading || !subscription ? (
+        <Skeleton className="h-40 w-full" />
+      ) : (
+        <CurrentPlanCard subscription={subscription} />
+      )}
+
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold">Plans</h3>
+        <div className="flex gap-1 rounded-md border p-1">
+          {billingCycles.map((cycle) => (
+            <Button
+              key={cycle.value}
+              size="sm"
+              variant={billingCycle === cycle.value ? "default" : "ghost"}
+              onClick={() => setBillingCycle(cycle.value)}
+            >
+              {cycle.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        {paidSubscriptionPlans.map((plan) => (
+          <PricingCard
+            key={plan}
+            planName={subscriptionPlanLabels[plan]}
+            price={`${formatCurrency(subscriptionPlanPrices[plan][billingCycle])}/${
+              billingCycle === "ANNUAL" ? "year" : "month"
+            }`}
+            description={
+              billingCycle === "ANNUAL"
+                ? "12 months for the price of 10"
+                : "Billed every month"
+            }
+            features={Object.entries(planLimits[plan]).map(
+              ([resource, limit]) => describeLimit(resource, limit)
+            )}
+            recommended={plan === "STANDARD"}
+          >
+            <Button
+              className="w-full"
+              variant={isCurrentPlan(plan) ? "outline" : "default"}
+              disabled={isLoading || isCurrentPlan(plan)}
+              onClick={() => setSelectedPlan(plan)}
+            >
+              {isCurrentPlan(plan) ? "Current plan" : "Choose plan"}
+            </Button>
+          </PricingCard>
+        ))}
+      </div>
+
+      {subscription && <InvoiceHistory invoices={subscription.invoices} />}
+
+      <Dialog
+        open={Boolean(selectedPlan)}
+        onOpenChange={(open) => !open && setSelectedPlan(null)}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Confirm subscription</DialogTitle>
+            <DialogDescription>
+              {selectedPlan &&
+                `Switch to the ${subscriptionPlanLabels[selectedPlan]} plan, billed ${billingCycles
+                  .find((cycle) => cycle.value === billingCycle)
+                  ?.label.toLowerCase()} at ${formatCurrency(
+                  subscriptionPlanPrices[selectedPlan][billingCycle]
+                )}. This checkout is simulated: no payment details are collected and nothing is charged.`}
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button
+              variant="outline"
+              onClick={() => setSelectedPlan(null)}
+              disabled={isPending}
+            >
+              Cancel
+            </Button>
+            <Button onClick={handleConfirm} disabled={isPending}>
+              {isPending ? "Confirming..." : "Confirm Subscription"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+"use client";
+
+import * as React from "react";
+import { format } from "date-fns";
+import {
+  AlertCircle,
+  HandCoins,
+  Mail,
+  MapPin,
+  Phone,
+  User,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import { CursorPager } from "@/components/ui/cursor-pager";
+import { Money } from "@/components/ui/money";
+import SupplierPaymentDialog from "./supplier-payment-dialog";
+import {
+  useGetSupplier,
+  useGetSupplierLedger,
+} from "@/hooks/use-supplier-queries";
+import { usePermissions } from "@/hooks/use-permissions";
+import { supplierLedgerEntryTypeLabels } from "@/lib/config/inventory-config";
+import { cn } from "@/lib/utils";
+
+/**
+ * Supplier detail: contact details, what the shop currently owes and the
+ * running payables ledger that explains it, newest entries first. Purchases
+ * on credit add to the debt; payments to the supplier are recorded from here.
+ *
+ * @param {Object} props
+ * @param {string} props.supplierId - The ID of the supplier to show
+ */
+export default function SupplierDetail({ supplierId }) {
+  const [page, setPage] = React.useState({ cursor: null, direction: "forward" });
+  const [showPaymentDialog, setShowPaymentDialog] = React.useState(false);
+  const { can } = usePermissions();
+  const canRecordPayment = can("suppliers:recordPayment");
+
+  const { data: supplier, error: supplierError } = useGetSupplier(supplierId);
+  const {
+    data: ledger,
+    isLoading,
+    isFetching,
+    error: ledgerError,
+  } = useGetSupplierLedger(supplierId, page);
+
+  const entries = ledger?.entries || [];
+  const error = supplierError || ledgerError;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-[1fr_280px]">
+        <Card>
+          <CardHeader>
+            <CardTitle>{supplier?.name || <Skeleton className="h-6 w-40" />}</CardTitle>
+            <CardDescription>Contact details</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2 text-sm">
+            <div className="flex items-center gap-2">
+              <User className="h-4 w-4 text-muted-foreground" />
+              {supplier?.contactPerson || "—"}
+            </div>
+            <div className="flex items-center gap-2">
+              <Phone className="h-4 w-4 text-muted-foreground" />
+              {supplier?.phone || "—"}
+            </div>
+            <div className="flex items-center gap-2">
+              <Mail className="h-4 w-4 text-muted-foreground" />
+              {supplier?.email || "—"}
+            </div>
+            <div className="flex items-center gap-2">
+              <MapPin className="h-4 w-4 text-muted-foreground" />
+              {supplier?.address || "—"}
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardDescription>Amount owed</CardDescription>
+            <CardTitle
+              className={cn(
+                "text-2xl",
+                supplier?.outstandingDebt > 0 && "text-destructive"
+              )}
+            >
+              <Money value={supplier?.outstandingDebt ?? 0} />
+            </CardTitle>
+          </CardHeader>
+          {canRecordPayment && (
+            <CardFooter>
+              <Button
+                className="w-full"
+                onClick={() => setShowPaymentDialog(true)}
+                disabled={!supplier || supplier.outstandingDebt <= 0}
+              >
+                <HandCoins className="mr-2 h-4 w-4" />
+                Pay Supplier
+              </Button>
+            </CardFooter>
+          )}
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Payables Ledger</CardTitle>
+          <CardDescription>
+            Every purchase on credit and payment to this supplier.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Details</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+                <TableHead>By</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading &&
+                Array.from({ length: 5 }, (_, i) => (
+                  <TableRow key={`skeleton-${i}`}>
+                    <TableCell colSpan={6}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  </TableRow>
+                ))}
+
+              {!isLoading && entries.length === 0 && (
+                <TableRow>
+                  <TableCell
+                    colSpan={6}
+                    className="h-24 text-center text-muted-foreground"
+                  >
+                    No account activity yet.
+                  </TableCell>
+                </TableRow>
+              )}
+
+              {entries.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell className="whitespace-nowrap text-sm text-muted-foreground">
+                    {format(new Date(entry.createdAt), "MMM d, yyyy HH:mm")}
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="outline">
+                      {supplierLedgerEntryTypeLabels[entry.type] || entry.type}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {entry.note || "—"}
+                  </TableCell>
+                  <TableCell
+                    className={cn(
+                      "text-right font-medium",
+                      entry.amount > 0 ? "text-destructive" : "text-green-600"
+                    )}
+                  >
+                    <Money
+                      value={entry.amount}
+                      prefix={entry.amount > 0 ? "+" : ""}
+                    />
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Money value={entry.balanceAfter} />
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {entry.user?.name || "—"}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <CursorPager
+            pagination={ledger}
+            isLoading={isFetching}
+            onCursorChange={(cursor, direction) => setPage({ cursor, direction })}
+          />
+        </CardContent>
+      </Card>
+
+      {supplier && canRecordPayment && (
+        <SupplierPaymentDialog
+          open={showPaymentDialog}
+          onOpenChange={setShowPaymentDialog}
+          supplier={supplier}
+        />
+      )}
+    </div>
+  );
+}
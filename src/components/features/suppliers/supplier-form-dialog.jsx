@@ -0,0 +1,160 @@
+"use client";
+
+import * as React from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Form,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormControl,
+  FormMessage,
+} from "@/components/ui/form";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { supplierCreateSchema } from "@/lib/zod-schemas";
+import {
+  useCreateSupplier,
+  useUpdateSupplier,
+} from "@/hooks/use-supplier-queries";
+import { toast } from "sonner";
+
+const SUPPLIER_FIELDS = [
+  { name: "name", label: "Name *", placeholder: "Supplier or company name" },
+  { name: "contactPerson", label: "Contact Person", placeholder: "Optional" },
+  { name: "phone", label: "Phone", placeholder: "Optional" },
+  { name: "email", label: "Email", placeholder: "Optional" },
+  { name: "address", label: "Address", placeholder: "Optional" },
+  {
+    name: "leadTimeDays",
+    label: "Lead Time (days)",
+    placeholder: "Days from order to delivery",
+    type: "number",
+  },
+];
+
+/**
+ * Builds the form values for a supplier, or empty values for a new one.
+ * @param {Object|null} supplier - The supplier being edited
+ * @returns {Object} Form values
+ */
+function getDefaultValues(supplier) {
+  return {
+    name: supplier?.name || "",
+    contactPerson: supplier?.contactPerson || "",
+    phone: supplier?.phone || "",
+    email: supplier?.email || "",
+    address: supplier?.address || "",
+    leadTimeDays: supplier?.leadTimeDays ?? "",
+  };
+}
+
+/**
+ * Dialog for creating a supplier or editing an existing supplier's contact details.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {Object} [props.supplier] - Supplier to edit (omit for create mode)
+ * @returns {JSX.Element}
+ */
+export default function SupplierFormDialog({ open, onOpenChange, supplier }) {
+  const { mutateAsync: createSupplierAsync, isPending: isCreating } =
+    useCreateSupplier();
+  const { mutateAsync: updateSupplierAsync, isPending: isUpdating } =
+    useUpdateSupplier();
+  const isPending = isCreating || isUpdating;
+
+  const form = useForm({
+    resolver: zodResolver(supplierCreateSchema),
+    defaultValues: getDefaultValues(supplier),
+  });
+
+  const { control, handleSubmit, reset } = form;
+
+  // Reset the form whenever the dialog is reopened
+  React.useEffect(() => {
+    if (open) {
+      reset(getDefaultValues(supplier));
+    }
+  }, [open, supplier, reset]);
+
+  const onSubmit = (data) => {
+    onOpenChange(false);
+
+    const savePromise = supplier
+      ? updateSupplierAsync({ supplierId: supplier.id, supplierData: data })
+      : createSupplierAsync(data);
+
+    toast.promise(savePromise, {
+      loading: supplier ? "Updating supplier..." : "Creating supplier...",
+      success: supplier
+        ? "Supplier updated successfully!"
+        : `Supplier "${data.name}" created.`,
+      error: (err) => err?.message || "Failed to save supplier",
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>{supplier ? "Edit Supplier" : "New Supplier"}</DialogTitle>
+          <DialogDescription>
+            {supplier
+              ? "Update the supplier's contact details and lead time."
+              : "Add a supplier you buy stock from."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            {SUPPLIER_FIELDS.map(({ name, label, placeholder, type }) => (
+              <FormField
+                key={name}
+                control={control}
+                name={name}
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel className="text-sm font-medium">{label}</FormLabel>
+                    <FormControl>
+                      <Input
+                        type={type || "text"}
+                        placeholder={placeholder}
+                        {...field}
+                      />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            ))}
+
+            <DialogFooter className="flex flex-row justify-end gap-2 sm:justify-end">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isPending}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isPending}>
+                {supplier ? "Save Changes" : "Create Supplier"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+}
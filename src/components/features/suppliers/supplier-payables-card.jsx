@@ -0,0 +1,60 @@
+"use client";
+
+import Link from "next/link";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Money } from "@/components/ui/money";
+import { useGetSupplierPayables } from "@/hooks/use-supplier-queries";
+
+/**
+ * Summary of the suppliers the shop currently owes money to, largest debt
+ * first, with the total owed across all of them.
+ */
+export default function SupplierPayablesCard() {
+  const { data, isLoading, error } = useGetSupplierPayables();
+  const suppliers = data?.suppliers || [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardDescription>Owed to suppliers</CardDescription>
+        <CardTitle className="text-2xl">
+          {isLoading ? (
+            <Skeleton className="h-7 w-32" />
+          ) : (
+            <Money value={data?.totalOutstanding ?? 0} />
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {error && <p className="text-destructive">{error.message}</p>}
+
+        {!isLoading && !error && suppliers.length === 0 && (
+          <p className="text-muted-foreground">
+            All supplier purchases are paid.
+          </p>
+        )}
+
+        {suppliers.map((supplier) => (
+          <Link
+            key={supplier.id}
+            href={`/dashboard/suppliers/${supplier.id}`}
+            className="flex items-center justify-between gap-2 rounded-md px-2 py-1 hover:bg-muted"
+          >
+            <span className="truncate">{supplier.name}</span>
+            <Money
+              value={supplier.outstandingDebt}
+              className="shrink-0 font-medium text-destructive"
+            />
+          </Link>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
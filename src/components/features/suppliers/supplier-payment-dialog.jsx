@@ -0,0 +1,208 @@
+"use client";
+
+import * as React from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import {
+  Form,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormControl,
+  FormMessage,
+} from "@/components/ui/form";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Money } from "@/components/ui/money";
+import NumberField from "@/components/features/products/number-field";
+import { supplierPaymentSchema } from "@/lib/zod-schemas";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+import { paymentMethods } from "@/lib/config/sales-config";
+import { useRecordSupplierPayment } from "@/hooks/use-supplier-queries";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Dialog for recording a payment made to a supplier against what the shop owes them.
+ * Any amount up to the outstanding debt can be paid.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onOpenChange - Handler for open state changes
+ * @param {Object} props.supplier - The supplier being paid ({id, name, outstandingDebt})
+ * @returns {JSX.Element}
+ */
+export default function SupplierPaymentDialog({
+  open,
+  onOpenChange,
+  supplier,
+}) {
+  const { mutateAsync: recordPaymentAsync, isPending } =
+    useRecordSupplierPayment(supplier?.id);
+  const { thousandSeparator, suffix } = useCurrencyFormat();
+
+  const form = useForm({
+    resolver: zodResolver(supplierPaymentSchema),
+    defaultValues: {
+      amount: "",
+      method: "TRANSFER",
+      reference: "",
+      note: "",
+    },
+  });
+
+  const { control, handleSubmit, reset, watch, setValue } = form;
+
+  // Reset the form whenever the dialog is reopened
+  React.useEffect(() => {
+    if (open) {
+      reset({ amount: "", method: "TRANSFER", reference: "", note: "" });
+    }
+  }, [open, reset]);
+
+  const balance = supplier?.outstandingDebt ?? 0;
+  const amount = Number(watch("amount")) || 0;
+  const remainingBalance = balance - amount;
+
+  const onSubmit = (data) => {
+    onOpenChange(false);
+
+    const paymentPromise = recordPaymentAsync(data);
+
+    toast.promise(paymentPromise, {
+      loading: "Recording payment...",
+      success: `Payment to ${supplier.name} recorded.`,
+      error: (err) => err?.message || "Failed to record payment",
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[440px]">
+        <DialogHeader>
+          <DialogTitle>Pay Supplier</DialogTitle>
+          <DialogDescription>
+            You owe {supplier?.name}{" "}
+            <Money value={balance} />
+            .
+          </DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <NumberField
+                control={control}
+                name="amount"
+                label="Amount"
+                thousandSeparator={thousandSeparator}
+                suffix={suffix}
+                required
+              />
+              <Button
+                type="button"
+                variant="link"
+                className="h-auto p-0 text-xs"
+                onClick={() =>
+                  setValue("amount", String(balance), { shouldValidate: true })
+                }
+              >
+                Pay full amount owed
+              </Button>
+            </div>
+
+            <FormField
+              control={control}
+              name="method"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Method *</FormLabel>
+                  <div className="grid grid-cols-3 gap-2">
+                    {paymentMethods.map((option) => (
+                      <Button
+                        key={option.value}
+                        type="button"
+                        variant={field.value === option.value ? "default" : "outline"}
+                        onClick={() => field.onChange(option.value)}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </div>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={control}
+              name="reference"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Reference</FormLabel>
+                  <FormControl>
+                    <Input placeholder="e.g. bank transfer number" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={control}
+              name="note"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel className="text-sm font-medium">Note</FormLabel>
+                  <FormControl>
+                    <Input placeholder="Optional" {...field} />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <p
+              className={cn(
+                "text-sm text-muted-foreground",
+                remainingBalance < 0 && "text-destructive"
+              )}
+            >
+              {remainingBalance < 0
+                ? "The payment is larger than the amount owed."
+                : "Still owed after payment: "}
+              {remainingBalance >= 0 && (
+                <Money value={remainingBalance} />
+              )}
+            </p>
+
+            <DialogFooter className="flex flex-row justify-end gap-2 sm:justify-end">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => onOpenChange(false)}
+                disabled={isPending}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={isPending || amount <= 0 || remainingBalance < 0}
+              >
+                {isPending ? "Saving..." : "Record Payment"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,157 @@
+"use client";
+
+import * as React from "react";
+import { Check, ChevronsUpDown, Loader2, Plus } from "lucide-react";
+import { useDebounce } from "use-debounce";
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+} from "@/components/ui/command";
+import {
+  useGetSuppliers,
+  useCreateSupplier,
+} from "@/hooks/use-supplier-queries";
+import { normalizeSupplierName, cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Supplier picker with inline creation: typing a name that does not exist
+ * offers to create the supplier on the spot.
+ *
+ * @param {Object} props
+ * @param {{id: string, name: string}|null} props.value - The selected supplier
+ * @param {Function} props.onChange - Called with the selected supplier (or null)
+ * @param {boolean} [props.disabled] - Whether the picker is disabled
+ * @param {string} [props.className] - Additional CSS classes for the trigger
+ */
+export function SupplierSelect({ value, onChange, disabled = false, className }) {
+  const [open, setOpen] = React.useState(false);
+  const [search, setSearch] = React.useState("");
+  const [debouncedSearch] = useDebounce(search, 300);
+
+  const { data, isFetching } = useGetSuppliers(debouncedSearch, {
+    enabled: open,
+  });
+  const { mutateAsync: createSupplierAsync, isPending: isCreating } =
+    useCreateSupplier();
+
+  const suppliers = data?.suppliers || [];
+  const normalizedSearch = normalizeSupplierName(search);
+  const hasExactMatch = suppliers.some(
+    (supplier) =>
+      supplier.name.toLowerCase() === normalizedSearch.toLowerCase()
+  );
+
+  const handleSelect = (supplier) => {
+    onChange(supplier);
+    setSearch("");
+    setOpen(false);
+  };
+
+  const handleCreate = async () => {
+    try {
+      const supplier = await createSupplierAsync({ name: normalizedSearch });
+      toast.success(`Supplier "${supplier.name}" created.`);
+      handleSelect(supplier);
+    } catch (error) {
+      toast.error(error?.message || "Failed to create supplier");
+    }
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          disabled={disabled}
+          className={cn("w-full justify-between font-normal", className)}
+        >
+          <span className={cn(!value && "text-muted-foreground")}>
+            {value?.name || "Select supplier"}
+          </span>
+          <ChevronsUpDown className="ml-2 h-4 w-4 shrink-0 opacity-50" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-[--radix-popover-trigger-width] p-0" align="start">
+        <Command shouldFilter={false}>
+          <CommandInput
+            placeholder="Search or create supplier..."
+            value={search}
+            onValueChange={setSearch}
+          />
+          <CommandList>
+            {isFetching ? (
+              <div className="flex items-center justify-center p-4">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                <span className="text-sm text-muted-foreground">Loading suppliers...</span>
+              </div>
+            ) : (
+              <CommandEmpty>No suppliers found.</CommandEmpty>
+            )}
+            {suppliers.length > 0 && (
+              <CommandGroup>
+                {suppliers.map((supplier) => (
+                  <CommandItem
+                    key={supplier.id}
+                    value={supplier.id}
+                    onSelect={() => handleSelect(supplier)}
+                  >
+                    <Check
+                      className={cn(
+                        "mr-2 h-4 w-4",
+                        value?.id === supplier.id ? "opacity-100" : "opacity-0"
+                      )}
+                    />
+                    {supplier.name}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+            {normalizedSearch && !hasExactMatch && (
+              <>
+                <CommandSeparator />
+                <CommandGroup>
+                  <CommandItem
+                    value={`create-${normalizedSearch}`}
+                    onSelect={handleCreate}
+                    disabled={isCreating}
+                  >
+                    <Plus className="mr-2 h-4 w-4" />
+                    Create &quot;{normalizedSearch}&quot;
+                  </CommandItem>
+                </CommandGroup>
+              </>
+            )}
+            {value && (
+              <>
+                <CommandSeparator />
+                <CommandGroup>
+                  <CommandItem
+                    value="clear-supplier"
+                    onSelect={() => handleSelect(null)}
+                    className="justify-center text-center"
+                  >
+                    Clear selection
+                  </CommandItem>
+                </CommandGroup>
+              </>
+            )}
+          </CommandList>
+        </Command>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,182 @@
+"use client";
+
+import * as React from "react";
+import Link from "next/link";
+import { MoreHorizontal, Edit, Trash2, BookOpen } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { DataTableColumnHeader } from "@/components/ui/data-table-column-header";
+import { DeleteConfirmDialog } from "@/components/ui/delete-confirm-dialog";
+import { Money } from "@/components/ui/money";
+import SupplierFormDialog from "./supplier-form-dialog";
+import { useDeleteSupplier } from "@/hooks/use-supplier-queries";
+import { usePermissions } from "@/hooks/use-permissions";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * Actions cell component for the suppliers table.
+ * @param {Object} props
+ * @param {Object} props.supplier - The supplier data
+ */
+function SupplierActionsCell({ supplier }) {
+  const [showEditDialog, setShowEditDialog] = React.useState(false);
+  const [showDeleteDialog, setShowDeleteDialog] = React.useState(false);
+  const { can } = usePermissions();
+  const canManage = can("suppliers:manage");
+  const { mutateAsync: deleteSupplierAsync, isPending: isDeleting } =
+    useDeleteSupplier();
+
+  const handleDeleteConfirm = React.useCallback(() => {
+    setShowDeleteDialog(false);
+
+    const deletePromise = deleteSupplierAsync(supplier.id);
+
+    toast.promise(deletePromise, {
+      loading: "Deleting supplier...",
+      success: "Supplier deleted successfully!",
+      error: (err) => err?.message || "Failed to delete supplier",
+    });
+  }, [deleteSupplierAsync, supplier.id]);
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="ghost" className="h-8 w-8 p-0">
+            <span className="sr-only">Open menu</span>
+            <MoreHorizontal className="h-4 w-4" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuLabel>Actions</DropdownMenuLabel>
+          <DropdownMenuItem asChild>
+            <Link href={`/dashboard/suppliers/${supplier.id}`}>
+              <BookOpen className="mr-2 h-4 w-4" />
+              Payables ledger
+            </Link>
+          </DropdownMenuItem>
+          {canManage && (
+            <>
+              <DropdownMenuItem onClick={() => setShowEditDialog(true)}>
+                <Edit className="mr-2 h-4 w-4" />
+                Edit supplier
+              </DropdownMenuItem>
+              <DropdownMenuSeparator />
+              <DropdownMenuItem
+                onClick={() => setShowDeleteDialog(true)}
+                className="text-destructive focus:text-destructive"
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete supplier
+              </DropdownMenuItem>
+            </>
+          )}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      {canManage && (
+        <>
+          <SupplierFormDialog
+            open={showEditDialog}
+            onOpenChange={setShowEditDialog}
+            supplier={supplier}
+          />
+
+          <DeleteConfirmDialog
+            open={showDeleteDialog}
+            onOpenChange={setShowDeleteDialog}
+            onConfirm={handleDeleteConfirm}
+            title="Delete Supplier"
+            description={`Are you sure you want to delete "${supplier.name}"? Suppliers with recorded purchases cannot be deleted.`}
+            isPending={isDeleting}
+          />
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * Column definitions for the suppliers table.
+ * Only name and creation date are sortable, matching the supplier list API.
+ */
+export const supplierColumns = [
+  {
+    accessorKey: "name",
+    header: ({ column }) => (
+      <DataTableColumnHeader column={column} title="Name" />
+    ),
+    cell: ({ row }) => (
+      <Link
+        href={`/dashboard/suppliers/${row.original.id}`}
+        className="font-medium hover:underline"
+      >
+        {row.getValue("name")}
+      </Link>
+    ),
+    enableHiding: false,
+  },
+  {
+    accessorKey: "contactPerson",
+    header: "Contact",
+    cell: ({ row }) => row.getValue("contactPerson") || "—",
+    enableSorting: false,
+  },
+  {
+    accessorKey: "phone",
+    header: "Phone",
+    cell: ({ row }) => row.getValue("phone") || "—",
+    enableSorting: false,
+  },
+  {
+    accessorKey: "email",
+    header: "Email",
+    cell: ({ row }) => row.getValue("email") || "—",
+    enableSorting: false,
+  },
+  {
+    accessorKey: "outstandingDebt",
+    header: () => <div className="text-right">We Owe</div>,
+    cell: ({ row }) => {
+      const debt = row.getValue("outstandingDebt");
+      return (
+        <div
+          className={cn(
+            "text-right font-medium",
+            debt > 0 ? "text-destructive" : "text-muted-foreground"
+          )}
+        >
+          <Money value={debt} />
+        </div>
+      );
+    },
+    enableSorting: false,
+  },
+  {
+    accessorKey: "createdAt",
+    header: ({ column }) => (
+      <DataTableColumnHeader column={column} title="Added" />
+    ),
+    cell: ({ row }) => {
+      const formatted = new Date(row.getValue("createdAt")).toLocaleDateString(
+        "en-US",
+        { month: "short", day: "numeric", year: "numeric" }
+      );
+
+      return <div className="text-muted-foreground text-sm">{formatted}</div>;
+    },
+  },
+  {
+    id: "actions",
+    enableHiding: false,
+    cell: ({ row }) => <SupplierActionsCell supplier={row.original} />,
+  },
+];
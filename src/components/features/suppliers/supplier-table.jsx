@@ -0,0 +1,128 @@
+"use client";
+
+import * as React from "react";
+import { AlertCircle, Plus } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import { CursorDataTable } from "@/components/ui/cursor-data-table";
+import SupplierFormDialog from "./supplier-form-dialog";
+import { supplierColumns } from "./supplier-table-columns";
+import { useGetSuppliersCursor } from "@/hooks/use-supplier-queries";
+import { useTableCursorUrlState } from "@/hooks/use-table-cursor-url-state";
+import { usePermissions } from "@/hooks/use-permissions";
+
+// Stable defaults so the URL state hook does not recompute on every render
+const SUPPLIER_TABLE_DEFAULTS = {
+  cursor: null,
+  direction: "forward",
+  limit: 20,
+  sortBy: "name",
+  sortOrder: "asc",
+  nameFilter: "",
+  categoryFilter: "",
+  unitFilter: "",
+  dateRangeFilter: "",
+};
+
+/**
+ * Cursor-paginated supplier table with search, a "suppliers we owe" filter and
+ * a button to add suppliers. Pagination and sorting live in the URL.
+ */
+export default function SupplierTable() {
+  const [owedOnly, setOwedOnly] = React.useState(false);
+
+  const {
+    tableState,
+    apiParams,
+    handleCursorChange,
+    handleSortingChange,
+    handleColumnFiltersChange,
+    handlePageSizeChange,
+  } = useTableCursorUrlState(SUPPLIER_TABLE_DEFAULTS);
+  const [showCreateDialog, setShowCreateDialog] = React.useState(false);
+  const { can } = usePermissions();
+  const canManage = can("suppliers:manage");
+
+  const { data, isLoading, isFetching, error } = useGetSuppliersCursor({
+    search: apiParams.nameFilter,
+    owedOnly,
+    sortBy: apiParams.sortBy,
+    sortOrder: apiParams.sortOrder,
+    cursor: apiParams.cursor,
+    direction: apiParams.direction,
+    limit: apiParams.limit,
+  });
+
+  const handleOwedOnlyChange = (value) => {
+    setOwedOnly(Boolean(value));
+    handleCursorChange(null, "reset");
+  };
+
+  if (error) {
+    return (
+      <Alert variant="destructive">
+        <AlertCircle className="h-4 w-4" />
+        <AlertDescription>
+          Failed to load suppliers: {error.message}
+        </AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <>
+      <CursorDataTable
+        columns={supplierColumns}
+        data={data?.suppliers || []}
+        state={tableState}
+        onSortingChange={handleSortingChange}
+        onColumnFiltersChange={handleColumnFiltersChange}
+        paginationState={{
+          prevCursor: data?.prevCursor || null,
+          nextCursor: data?.nextCursor || null,
+          hasPrevPage: data?.hasPrevPage || false,
+          hasNextPage: data?.hasNextPage || false,
+          currentPageSize: apiParams.limit,
+        }}
+        onCursorChange={handleCursorChange}
+        onPageSizeChange={handlePageSizeChange}
+        totalItems={data?.totalSuppliers || 0}
+        isLoading={isLoading || isFetching}
+        searchColumn="name"
+        searchPlaceholder="Search name, contact or phone..."
+        emptyMessage={
+          owedOnly ? "You don't owe any supplier." : "No suppliers yet."
+        }
+        toolbar={
+          <div className="flex items-center gap-2">
+            <Checkbox
+              id="suppliers-owed-only"
+              checked={owedOnly}
+              onCheckedChange={handleOwedOnlyChange}
+            />
+            <Label htmlFor="suppliers-owed-only" className="font-normal">
+              Only suppliers we owe
+            </Label>
+            {canManage && (
+              <Button
+                size="sm"
+                className="ml-2 h-8"
+                onClick={() => setShowCreateDialog(true)}
+              >
+                <Plus className="mr-2 h-4 w-4" />
+                New Supplier
+              </Button>
+            )}
+          </div>
+        }
+      />
+
+      <SupplierFormDialog
+        open={showCreateDialog}
+        onOpenChange={setShowCreateDialog}
+      />
+    </>
+  );
+}
@@ -2,6 +2,7 @@
 
 "use client";
 
+import * as React from "react";
 import {
   Sidebar,
   SidebarContent,
@@ -12,44 +13,57 @@ import {
 import { NavGroup } from "@/components/layout/nav-group";
 import { NavUser } from "@/components/layout/nav-user";
 import { TeamSwitcher } from "@/components/layout/team-switcher";
-import { navigationGroups, companyInfo } from "@/lib/navigation-data";
-import { Home, Command } from "lucide-react";
-
-// Teams/workspaces data for the team switcher
-const teams = [
-  {
-    name: companyInfo.name,
-    logo: companyInfo.icon,
-    plan: companyInfo.description,
-  },
-  {
-    name: "Acme Store",
-    logo: Command,
-    plan: "Enterprise",
-  },
-];
+import {
+  navigationGroups,
+  companyInfo,
+  withNavBadges,
+} from "@/lib/navigation-data";
+import { useGetLowStockProducts } from "@/hooks/use-product-queries";
+import { useGetShop } from "@/hooks/use-shop-queries";
+import { useGetPlanUsage } from "@/hooks/use-subscription-queries";
 
 /**
  * Application Sidebar Component
  *
  * Enhanced sidebar using shadcn-admin design patterns with:
- * - Team/workspace switcher in header
+ * - Current shop and plan in the header, from the shop settings
  * - Grouped navigation with collapsible sections
  * - Enhanced user profile in footer
  * - Modern visual styling and interactions
+ * - Live badge with the number of low-stock products
  *
  * @param {Object} props
  * @param {Object} [props.user] - User data for the footer navigation
  * @returns {JSX.Element} Application sidebar component
  */
 export function AppSidebar({ user, ...props }) {
+  // Only the count is needed for the badge
+  const { data: lowStock } = useGetLowStockProducts({ limit: 1 });
+  const lowStockCount = lowStock?.count ?? 0;
+
+  const { data: shop } = useGetShop();
+  const { data: usage } = useGetPlanUsage();
+  const team = {
+    name: shop?.name || companyInfo.name,
+    logo: companyInfo.icon,
+    plan: usage?.planLabel ? `${usage.planLabel} plan` : companyInfo.description,
+  };
+
+  const groups = React.useMemo(
+    () =>
+      withNavBadges(navigationGroups, {
+        "/inventory/low-stock": lowStockCount > 0 ? String(lowStockCount) : "",
+      }),
+    [lowStockCount]
+  );
+
   return (
     <Sidebar collapsible="icon" variant="floating" {...props}>
       <SidebarHeader>
-        <TeamSwitcher teams={teams} />
+        <TeamSwitcher team={team} />
       </SidebarHeader>
       <SidebarContent>
-        {navigationGroups.map((props) => (
+        {groups.map((props) => (
           <NavGroup key={props.title} {...props} />
         ))}
       </SidebarContent>
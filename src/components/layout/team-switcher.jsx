@@ -8,7 +8,6 @@ import {
   DropdownMenuItem,
   DropdownMenuLabel,
   DropdownMenuSeparator,
-  DropdownMenuShortcut,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import {
@@ -17,22 +16,21 @@ import {
   SidebarMenuItem,
   useSidebar,
 } from "@/components/ui/sidebar";
-import { ChevronsUpDown, Plus } from "lucide-react";
+import { ChevronsUpDown, Settings } from "lucide-react";
 
 /**
  * TeamSwitcher Component for Sidebar Header
  *
- * Provides company/workspace selection functionality in the sidebar.
+ * Shows the current shop and its plan in the sidebar.
  * Based on shadcn-admin patterns but adapted for inventory management context.
- * Enhanced with dropdown functionality for future multi-workspace support.
+ * The dropdown links to the shop settings.
  *
  * @param {Object} props
- * @param {Array} props.teams - Array of team/workspace objects
+ * @param {{name: string, logo: React.ElementType, plan: string}} props.team - The current shop
  * @returns {JSX.Element} Team switcher component
  */
-export function TeamSwitcher({ teams }) {
+export function TeamSwitcher({ team }) {
   const { isMobile } = useSidebar();
-  const [activeTeam, setActiveTeam] = React.useState(teams[0]);
 
   return (
     <SidebarMenu>
@@ -44,13 +42,11 @@ export function TeamSwitcher({ teams }) {
               className="data-[state=open]:bg-sidebar-accent data-[state=open]:text-sidebar-accent-foreground"
             >
               <div className="flex aspect-square size-8 items-center justify-center rounded-lg bg-sidebar-primary text-sidebar-primary-foreground">
-                <activeTeam.logo className="size-4" />
+                <team.logo className="size-4" />
               </div>
               <div className="grid flex-1 text-left text-sm leading-tight">
-                <span className="truncate font-semibold">
-                  {activeTeam.name}
-                </span>
-                <span className="truncate text-xs">{activeTeam.plan}</span>
+                <span className="truncate font-semibold">{team.name}</span>
+                <span className="truncate text-xs">{team.plan}</span>
               </div>
               <ChevronsUpDown className="ml-auto" />
             </SidebarMenuButton>
@@ -62,30 +58,30 @@ export function TeamSwitcher({ teams }) {
             sideOffset={4}
           >
             <DropdownMenuLabel className="text-xs text-muted-foreground">
-              Workspaces
+              Shop
             </DropdownMenuLabel>
-            {teams.map((team, index) => (
-              <DropdownMenuItem
-                key={team.name}
-                onClick={() => setActiveTeam(team)}
-                className="gap-2 p-2"
-              >
-                <div className="flex size-6 items-center justify-center rounded-sm border">
-                  <team.logo className="size-4 shrink-0" />
-                </div>
-                {team.name}
-                <DropdownMenuShortcut>⌘{index + 1}</DropdownMenuShortcut>
-              </DropdownMenuItem>
-            ))}
-            <DropdownMenuSeparator />
             <DropdownMenuItem className="gap-2 p-2">
-              <div className="flex size-6 items-center justify-center rounded-md border bg-background">
-                <Plus className="size-4" />
+              <div className="flex size-6 items-center justify-center rounded-sm border">
+                <team.logo className="size-4 shrink-0" />
               </div>
-              <div className="font-medium text-muted-foreground">
-                Add workspace
+              <div className="grid leading-tight">
+                <span className="truncate">{team.name}</span>
+                <span className="truncate text-xs text-muted-foreground">
+                  {team.plan}
+                </span>
               </div>
             </DropdownMenuItem>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem asChild className="gap-2 p-2">
+              <Link href="/dashboard/settings">
+                <div className="flex size-6 items-center justify-center rounded-md border bg-background">
+                  <Settings className="size-4" />
+                </div>
+                <div className="font-medium text-muted-foreground">
+                  Shop settings
+                </div>
+              </Link>
+            </DropdownMenuItem>
           </DropdownMenuContent>
         </DropdownMenu>
       </SidebarMenuItem>
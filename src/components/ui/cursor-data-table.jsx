@@ -0,0 +1,195 @@
+"use client";
+
+import * as React from "react";
+import {
+  useReactTable,
+  getCoreRowModel,
+  flexRender,
+} from "@tanstack/react-table";
+import { X } from "lucide-react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { DataTableCursorPagination } from "@/components/ui/data-table-cursor-pagination";
+import { DataTableViewOptions } from "@/components/ui/data-table-view-options";
+import { TableCellSkeleton } from "@/components/ui/table-cell-skeleton";
+import { cn } from "@/lib/utils";
+
+/**
+ * Data table for server-paginated lists that use cursor pagination.
+ * Sorting, filtering and pagination are all driven by the caller (typically
+ * through `useTableCursorUrlState`); the table only renders the current page,
+ * a search input bound to `searchColumn` and column visibility options.
+ *
+ * @param {Object} props
+ * @param {Array} props.columns - Column definitions
+ * @param {Array} props.data - Rows of the current page
+ * @param {Object} [props.state] - Controlled table state ({sorting, columnFilters})
+ * @param {Function} [props.onSortingChange] - Sorting change handler
+ * @param {Function} [props.onColumnFiltersChange] - Column filter change handler
+ * @param {Object} props.paginationState - Cursor pagination state ({prevCursor, nextCursor, hasPrevPage, hasNextPage, currentPageSize})
+ * @param {Function} props.onCursorChange - Cursor change handler
+ * @param {Function} props.onPageSizeChange - Page size change handler
+ * @param {number} [props.totalItems] - Total items count for the pagination display
+ * @param {boolean} [props.isLoading] - Whether the current page is being loaded
+ * @param {string} [props.searchColumn] - Column whose filter value is edited by the search input
+ * @param {string} [props.searchPlaceholder] - Placeholder of the search input
+ * @param {React.ReactNode} [props.toolbar] - Additional toolbar content (filters, actions)
+ * @param {string} [props.emptyMessage] - Message shown when the page has no rows
+ * @param {Function} [props.onRowClick] - Called with the row's original data when a row is clicked
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function CursorDataTable({
+  columns,
+  data,
+  state,
+  onSortingChange,
+  onColumnFiltersChange,
+  paginationState,
+  onCursorChange,
+  onPageSizeChange,
+  totalItems = 0,
+  isLoading = false,
+  searchColumn,
+  searchPlaceholder = "Search...",
+  toolbar,
+  emptyMessage = "No results.",
+  onRowClick,
+  className,
+  ...props
+}) {
+  const [columnVisibility, setColumnVisibility] = React.useState({});
+
+  const table = useReactTable({
+    data,
+    columns,
+    state: {
+      sorting: state?.sorting ?? [],
+      columnFilters: state?.columnFilters ?? [],
+      columnVisibility,
+    },
+    getRowId: (row) => row.id,
+    onSortingChange,
+    onColumnFiltersChange,
+    onColumnVisibilityChange: setColumnVisibility,
+    getCoreRowModel: getCoreRowModel(),
+    manualPagination: true,
+    manualSorting: true,
+    manualFiltering: true,
+  });
+
+  const searchValue = searchColumn
+    ? table.getColumn(searchColumn)?.getFilterValue() ?? ""
+    : "";
+  const isFiltered = table.getState().columnFilters.length > 0;
+
+  // Placeholder rows keep the layout stable while the first page loads
+  const skeletonRows = Array.from(
+    { length: paginationState?.currentPageSize || 10 },
+    (_, index) => index
+  );
+
+  return (
+    <div className={cn("space-y-4", className)} {...props}>
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex flex-1 flex-wrap items-center gap-2">
+          {searchColumn && (
+            <Input
+              placeholder={searchPlaceholder}
+              value={searchValue}
+              onChange={(event) =>
+                table.getColumn(searchColumn)?.setFilterValue(event.target.value)
+              }
+              className="h-8 w-[150px] lg:w-[250px]"
+            />
+          )}
+          {toolbar}
+          {isFiltered && (
+            <Button
+              variant="ghost"
+              onClick={() => table.resetColumnFilters()}
+              className="h-8 px-2 lg:px-3"
+            >
+              Reset
+              <X className="ml-2 h-4 w-4" />
+            </Button>
+          )}
+        </div>
+        <DataTableViewOptions table={table} />
+      </div>
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            {table.getHeaderGroups().map((headerGroup) => (
+              <TableRow key={headerGroup.id}>
+                {headerGroup.headers.map((header) => (
+                  <TableHead key={header.id} colSpan={header.colSpan}>
+                    {header.isPlaceholder
+                      ? null
+                      : flexRender(
+                          header.column.columnDef.header,
+                          header.getContext()
+                        )}
+                  </TableHead>
+                ))}
+              </TableRow>
+            ))}
+          </TableHeader>
+          <TableBody>
+            {isLoading && data.length === 0 ? (
+              skeletonRows.map((index) => (
+                <TableRow key={`skeleton-${index}`}>
+                  {table.getVisibleLeafColumns().map((column) => (
+                    <TableCell key={column.id}>
+                      <TableCellSkeleton columnId={column.id} />
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))
+            ) : table.getRowModel().rows.length ? (
+              table.getRowModel().rows.map((row) => (
+                <TableRow
+                  key={row.id}
+                  className={cn(onRowClick && "cursor-pointer")}
+                  onClick={onRowClick ? () => onRowClick(row.original) : undefined}
+                >
+                  {row.getVisibleCells().map((cell) => (
+                    <TableCell key={cell.id}>
+                      {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell
+                  colSpan={table.getVisibleLeafColumns().length}
+                  className="h-24 text-center text-muted-foreground"
+                >
+                  {emptyMessage}
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      <DataTableCursorPagination
+        paginationState={paginationState}
+        onCursorChange={onCursorChange}
+        onPageSizeChange={onPageSizeChange}
+        totalItems={totalItems}
+        currentCount={data.length}
+        isLoading={isLoading}
+      />
+    </div>
+  );
+}
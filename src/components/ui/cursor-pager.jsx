@@ -0,0 +1,52 @@
+"use client";
+
+import * as React from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+
+/**
+ * Minimal Previous/Next controls for cursor-paginated ledgers that do not
+ * report a total item count (stock movements, adjustments, payments).
+ *
+ * @param {Object} props
+ * @param {{prevCursor: string|null, nextCursor: string|null, hasPrevPage: boolean, hasNextPage: boolean}} [props.pagination] - Pagination metadata from the API
+ * @param {Function} props.onCursorChange - Called with (cursor, direction) when navigating
+ * @param {boolean} [props.isLoading] - Whether a page is being loaded
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function CursorPager({
+  pagination,
+  onCursorChange,
+  isLoading = false,
+  className,
+}) {
+  const { prevCursor, nextCursor, hasPrevPage, hasNextPage } = pagination || {};
+
+  if (!hasPrevPage && !hasNextPage) {
+    return null;
+  }
+
+  return (
+    <div className={cn("flex items-center justify-end gap-2", className)}>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onCursorChange(prevCursor, "backward")}
+        disabled={!hasPrevPage || !prevCursor || isLoading}
+      >
+        <ChevronLeft className="h-4 w-4" />
+        Newer
+      </Button>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onCursorChange(nextCursor, "forward")}
+        disabled={!hasNextPage || !nextCursor || isLoading}
+      >
+        Older
+        <ChevronRight className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+}
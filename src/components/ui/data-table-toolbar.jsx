@@ -9,6 +9,7 @@ import { cn } from "@/lib/utils";
 import { ProductCategoryFilter } from "@/components/features/products/display/product-category-filter";
 import { ProductUnitFilter } from "@/components/features/products/display/product-unit-filter";
 import { ProductDateFilter } from "@/components/features/products/display/product-date-filter";
+import { ProductStatusFilter } from "@/components/features/products/display/product-status-filter";
 
 /**
  * Toolbar component for data tables with search and filter functionality.
@@ -53,6 +54,12 @@ export function DataTableToolbar({ table, className, children, bulkActionsCompon
             title="Date Range"
           />
         )}
+        {table.getColumn("isActive") && (
+          <ProductStatusFilter
+            column={table.getColumn("isActive")}
+            title="Status"
+          />
+        )}
         {isFiltered && (
           <Button
             variant="ghost"
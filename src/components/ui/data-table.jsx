@@ -41,6 +41,7 @@ import { cn } from "@/lib/utils";
  * @param {number} [props.filteredCount] - Filtered items count for cursor pagination display
  * @param {boolean} [props.useCursorPagination] - Whether to use cursor-based pagination instead of offset
  * @param {boolean} [props.showToolbar] - Whether to show the toolbar
+ * @param {(table: import("@tanstack/react-table").Table) => React.ReactNode} [props.toolbarActions] - Renders extra toolbar actions next to the view options
  * @param {boolean} [props.isLoading] - Loading state for selective skeleton rendering
  * @param {React.ComponentType} [props.bulkActionsComponent] - Component to render when rows are selected
  * @param {string} [props.className] - Additional CSS classes
@@ -61,6 +62,7 @@ export function DataTable({
   filteredCount,
   useCursorPagination = false,
   showToolbar = false,
+  toolbarActions,
   isLoading = false,
   bulkActionsComponent,
   className,
@@ -119,7 +121,11 @@ enableRowSelection: true,
 
   return (
     <div className={cn("space-y-4", className)} {...props}>
-      {showToolbar && <DataTableToolbar table={table} bulkActionsComponent={bulkActionsComponent} />}
+      {showToolbar && (
+        <DataTableToolbar table={table} bulkActionsComponent={bulkActionsComponent}>
+          {toolbarActions?.(table)}
+        </DataTableToolbar>
+      )}
       <div className="rounded-md border">
         <Table>
           <TableHeader>
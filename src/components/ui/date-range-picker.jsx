@@ -0,0 +1,101 @@
+"use client";
+
+import * as React from "react";
+import { format, parseISO } from "date-fns";
+import { CalendarIcon, XCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { cn } from "@/lib/utils";
+
+/**
+ * Date range picker for report filters.
+ * Works with inclusive ISO date strings (YYYY-MM-DD) so values can be passed
+ * straight to report API query parameters and stored in the URL.
+ *
+ * @param {Object} props
+ * @param {{from?: string, to?: string}} props.value - Selected range
+ * @param {Function} props.onChange - Called with the new {from, to} range
+ * @param {string} [props.placeholder] - Text shown when no range is selected
+ * @param {string} [props.className] - Additional CSS classes for the trigger
+ */
+export function DateRangePicker({
+  value = {},
+  onChange,
+  placeholder = "Select date range",
+  className,
+}) {
+  const selected = React.useMemo(
+    () => ({
+      from: value.from ? parseISO(value.from) : undefined,
+      to: value.to ? parseISO(value.to) : undefined,
+    }),
+    [value.from, value.to]
+  );
+
+  const handleSelect = React.useCallback(
+    (range) => {
+      onChange({
+        from: range?.from ? format(range.from, "yyyy-MM-dd") : undefined,
+        to: range?.to ? format(range.to, "yyyy-MM-dd") : undefined,
+      });
+    },
+    [onChange]
+  );
+
+  const handleReset = React.useCallback(
+    (event) => {
+      event.stopPropagation();
+      onChange({ from: undefined, to: undefined });
+    },
+    [onChange]
+  );
+
+  const hasValue = Boolean(selected.from || selected.to);
+
+  const label = hasValue
+    ? [selected.from, selected.to]
+        .filter(Boolean)
+        .map((date) => format(date, "MMM d, yyyy"))
+        .join(" - ")
+    : placeholder;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className={cn("h-8 justify-start", className)}
+        >
+          {hasValue ? (
+            <div
+              role="button"
+              aria-label="Clear date range"
+              tabIndex={0}
+              onClick={handleReset}
+              className="rounded-sm opacity-70 transition-opacity hover:opacity-100 focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+            >
+              <XCircle className="h-4 w-4" />
+            </div>
+          ) : (
+            <CalendarIcon className="h-4 w-4" />
+          )}
+          <span>{label}</span>
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-0" align="start">
+        <Calendar
+          captionLayout="dropdown"
+          mode="range"
+          selected={selected}
+          onSelect={handleSelect}
+        />
+      </PopoverContent>
+    </Popover>
+  );
+}
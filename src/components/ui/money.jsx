@@ -0,0 +1,29 @@
+"use client";
+
+import * as React from "react";
+import { NumericFormat } from "react-number-format";
+import { useCurrencyFormat } from "@/hooks/use-currency-format";
+
+/**
+ * Renders an amount in so'm in the shop's currency format.
+ * @param {Object} props
+ * @param {number} props.value - The amount
+ * @param {string} [props.prefix] - Text before the amount, e.g. "+"
+ * @param {boolean} [props.withSuffix=true] - Whether to show the currency
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export function Money({ value, prefix, withSuffix = true, className }) {
+  const { thousandSeparator, suffix } = useCurrencyFormat();
+
+  return (
+    <NumericFormat
+      value={value}
+      displayType="text"
+      thousandSeparator={thousandSeparator}
+      decimalScale={0}
+      prefix={prefix}
+      suffix={withSuffix ? suffix : undefined}
+      className={className}
+    />
+  );
+}
@@ -0,0 +1,30 @@
+"use client";
+
+import * as React from "react";
+import { useGetShop } from "@/hooks/use-shop-queries";
+import {
+  formatAmount,
+  formatCurrency,
+  getCurrencyFormat,
+} from "@/lib/config/shop-config";
+
+/**
+ * Hook for displaying money in the shop's currency format (Settings →
+ * Currency format). Uses the default format until the shop has loaded.
+ * @returns {{thousandSeparator: string, suffix: string, formatAmount: (value: number) => string, formatCurrency: (value: number) => string}}
+ *   The separator and suffix for NumericFormat, and formatters for plain text.
+ */
+export function useCurrencyFormat() {
+  const { data: shop } = useGetShop();
+  const currencyFormat = shop?.currencyFormat;
+
+  return React.useMemo(() => {
+    const { thousandSeparator, suffix } = getCurrencyFormat(currencyFormat);
+    return {
+      thousandSeparator,
+      suffix,
+      formatAmount: (value) => formatAmount(value, currencyFormat),
+      formatCurrency: (value) => formatCurrency(value, currencyFormat),
+    };
+  }, [currencyFormat]);
+}
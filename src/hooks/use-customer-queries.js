@@ -0,0 +1,128 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  getCustomersApi,
+  createCustomerApi,
+  getCustomerApi,
+  getCustomerLedgerApi,
+  createCustomerPaymentApi,
+  getCustomerStatementApi,
+} from "@/lib/api/customers";
+
+/**
+ * Hook to search customers for pickers and the customer list.
+ * @param {string} [search=""] - The (debounced) search term.
+ * @param {{withBalance?: boolean, limit?: number, enabled?: boolean}} [options] - Query options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetCustomers(
+  search = "",
+  { withBalance = false, limit = 20, enabled = true } = {}
+) {
+  return useQuery({
+    queryKey: queryKeys.customers.list({ search, withBalance, limit }),
+    queryFn: () => getCustomersApi({ search, withBalance, limit }),
+    enabled,
+    staleTime: 60 * 1000, // Balances change with every sale on account
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to create a new customer.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCreateCustomer() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createCustomerApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.customers.lists() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch a single customer.
+ * @param {string} customerId - The ID of the customer.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetCustomer(customerId) {
+  return useQuery({
+    queryKey: queryKeys.customers.detail(customerId),
+    queryFn: () => getCustomerApi(customerId),
+    enabled: Boolean(customerId),
+    staleTime: 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to fetch the receivables ledger of a customer with cursor pagination.
+ * @param {string} customerId - The ID of the customer.
+ * @param {{cursor?: string|null, direction?: 'forward'|'backward', limit?: number}} [options] - Pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetCustomerLedger(customerId, options = {}) {
+  const { cursor = null, direction = "forward", limit = 20 } = options;
+
+  return useQuery({
+    queryKey: queryKeys.customers.ledger(customerId, {
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getCustomerLedgerApi(customerId, { cursor, direction, limit }),
+    enabled: Boolean(customerId),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to record a payment against a customer's balance.
+ * Payments change the balance and ledger, so every cache of the customer is refreshed.
+ * @param {string} customerId - The ID of the paying customer.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useRecordCustomerPayment(customerId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (paymentData) =>
+      createCustomerPaymentApi(customerId, paymentData),
+    onSuccess: () => {
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.customers.detail(customerId),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.customers.lists() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch a customer's account statement.
+ * @param {string} customerId - The ID of the customer.
+ * @param {{from?: string, to?: string}} [range] - Inclusive ISO date range.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetCustomerStatement(customerId, { from, to } = {}) {
+  return useQuery({
+    queryKey: queryKeys.customers.statement(customerId, { from, to }),
+    queryFn: () => getCustomerStatementApi(customerId, { from, to }),
+    enabled: Boolean(customerId),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
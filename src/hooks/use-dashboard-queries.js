@@ -0,0 +1,18 @@
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import { getDashboardSummaryApi } from "@/lib/api/dashboard";
+
+/**
+ * Hook to fetch the dashboard figures.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetDashboardSummary() {
+  return useQuery({
+    queryKey: queryKeys.dashboard.summary(),
+    queryFn: getDashboardSummaryApi,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+  });
+}
@@ -0,0 +1,131 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createStockAdjustmentApi,
+  getStockAdjustmentsApi,
+  getStockAdjustmentSummaryApi,
+} from "@/lib/api/inventory";
+
+/**
+ * Hook to record a manual stock adjustment with an optimistic stock update.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCreateStockAdjustment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createStockAdjustmentApi,
+    onMutate: async ({ productId, quantity }) => {
+      const productListKeys = [
+        queryKeys.products.lists(),
+        queryKeys.products.cursorLists(),
+      ];
+
+      // Cancel outgoing fetches for product lists
+      await Promise.all(
+        productListKeys.map((queryKey) =>
+          queryClient.cancelQueries({ queryKey })
+        )
+      );
+
+      // Snapshot previous cache
+      const previousLists = productListKeys.flatMap((queryKey) =>
+        queryClient.getQueriesData({ queryKey })
+      );
+
+      // Optimistically apply the stock delta in all cached product lists
+      productListKeys.forEach((queryKey) => {
+        queryClient
+          .getQueryCache()
+          .findAll(queryKey)
+          .forEach((query) => {
+            const oldData = query.state.data;
+            if (oldData && Array.isArray(oldData.products)) {
+              queryClient.setQueryData(query.queryKey, {
+                ...oldData,
+                products: oldData.products.map((product) =>
+                  product.id === productId
+                    ? { ...product, stock: product.stock + quantity }
+                    : product
+                ),
+              });
+            }
+          });
+      });
+
+      return { previousLists };
+    },
+    onError: (_err, _variables, context) => {
+      // Rollback cache to previous state
+      if (context?.previousLists) {
+        context.previousLists.forEach(([key, data]) => {
+          queryClient.setQueryData(key, data);
+        });
+      }
+    },
+    onSuccess: (_data, { productId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.lists() });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.products.cursorLists(),
+      });
+      // Refresh the product's stock history and the adjustment reports
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.products.detail(productId),
+      });
+      queryClient.invalidateQueries({
+        queryKey: [...queryKeys.products.all(), "lowStock"],
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch manual stock adjustments with cursor pagination.
+ * @param {{from?: string, to?: string, reason?: string, cursor?: string, direction?: 'forward'|'backward', limit?: number}} [options] - Filter and pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetStockAdjustments(options = {}) {
+  const {
+    from,
+    to,
+    reason,
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = options;
+
+  return useQuery({
+    queryKey: queryKeys.inventory.adjustments({
+      from,
+      to,
+      reason,
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getStockAdjustmentsApi({ from, to, reason, cursor, direction, limit }),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to fetch stock adjustment totals grouped by reason.
+ * @param {{from?: string, to?: string}} [range] - Inclusive ISO date range.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetStockAdjustmentSummary({ from, to } = {}) {
+  return useQuery({
+    queryKey: queryKeys.inventory.adjustmentSummary({ from, to }),
+    queryFn: () => getStockAdjustmentSummaryApi({ from, to }),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
@@ -0,0 +1,32 @@
+"use client";
+
+import * as React from "react";
+import { useSession } from "next-auth/react";
+import {
+  hasPermission,
+  isAllowedWhenReadOnly,
+} from "@/lib/config/permissions-config";
+import { isSubscriptionReadOnly } from "@/lib/config/subscription-config";
+
+/**
+ * Hook to check the signed-in user's permissions, e.g. to hide or disable
+ * controls for actions their role may not perform. The API enforces the
+ * same permissions, including the read-only mode of a shop whose
+ * subscription expired.
+ * @returns {{can: (permission: string) => boolean, role: string|undefined, isReadOnly: boolean, isLoading: boolean}}
+ *   `can` is false for every permission while the session is loading.
+ */
+export function usePermissions() {
+  const { data: session, status } = useSession();
+  const role = session?.user?.role;
+  const isReadOnly = isSubscriptionReadOnly(session?.user?.subscriptionStatus);
+
+  const can = React.useCallback(
+    (permission) =>
+      hasPermission(role, permission) &&
+      (!isReadOnly || isAllowedWhenReadOnly(permission)),
+    [role, isReadOnly]
+  );
+
+  return { can, role, isReadOnly, isLoading: status === "loading" };
+}
@@ -8,6 +8,7 @@ import {
   useCreateProduct,
   useCheckProductName,
 } from "@/hooks/use-product-queries";
+import { useGetShop } from "@/hooks/use-shop-queries";
 import { toast } from "sonner";
 
 /**
@@ -17,6 +18,11 @@ import { toast } from "sonner";
  * }} props
  */
 export function useProductCreationForm({ excludeId } = {}) {
+  // Reorder point prefilled from the shop settings
+  const { data: shop } = useGetShop();
+  const defaultReorderPoint =
+    shop?.defaultReorderPoint != null ? String(shop.defaultReorderPoint) : "";
+
   // Default form values for reset
   const initialValues = useMemo(
     () => ({
@@ -25,11 +31,11 @@ export function useProductCreationForm({ excludeId } = {}) {
       purchasePrice: "",
       stock: "",
       unit: "",
-      reorderPoint: "",
+      reorderPoint: defaultReorderPoint,
       categoryId: "",
       supplierId: "",
     }),
-    []
+    [defaultReorderPoint]
   );
 
   const nameInputRef = useRef(null);
@@ -42,7 +48,15 @@ export function useProductCreationForm({ excludeId } = {}) {
     reValidateMode: "onChange", // Clear errors as user fixes them
     defaultValues: initialValues,
   });
-  const { control, handleSubmit, reset, watch, formState } = form;
+  const { control, handleSubmit, reset, resetField, watch, formState } = form;
+
+  // Apply the shop's default reorder point once the settings have loaded,
+  // unless the user has already typed one
+  useEffect(() => {
+    if (!form.getFieldState("reorderPoint").isDirty) {
+      resetField("reorderPoint", { defaultValue: defaultReorderPoint });
+    }
+  }, [defaultReorderPoint, form, resetField]);
   // Watch unit field to preserve user selection
   const unit = watch("unit");
   const [lastUnit, setLastUnit] = useState(initialValues.unit);
@@ -31,7 +31,6 @@ export function useProductEditForm({ product, isOpen, onSuccess, onClose }) {
       name: "",
       sellingPrice: "",
       purchasePrice: "",
-      stock: "",
       unit: "",
       reorderPoint: "",
       categoryId: "",
@@ -96,7 +95,6 @@ export function useProductEditForm({ product, isOpen, onSuccess, onClose }) {
         name: product.name || "",
         sellingPrice: product.sellingPrice?.toString() || "",
         purchasePrice: product.purchasePrice?.toString() || "",
-        stock: product.stock?.toString() || "",
         unit: product.unit || "",
         reorderPoint: product.reorderPoint?.toString() || "",
         categoryId: product.categoryId || "",
@@ -108,12 +106,12 @@ export function useProductEditForm({ product, isOpen, onSuccess, onClose }) {
   // Compute if form values are meaningfully changed (deep compare)
   const isFormChanged = useMemo(() => {
     if (!product) return false;
-    // Compare all fields after normalization and type conversion
+    // Compare all fields after normalization and type conversion.
+    // Stock is not editable here; it changes only through stock movements.
     const fields = [
       "name",
       "sellingPrice",
       "purchasePrice",
-      "stock",
       "unit",
       "reorderPoint",
       "categoryId",
@@ -128,9 +126,7 @@ export function useProductEditForm({ product, isOpen, onSuccess, onClose }) {
         formValue = normalizeProductName(formValue || "");
         productValue = normalizeProductName(productValue || "");
       } else if (
-        ["sellingPrice", "purchasePrice", "stock", "reorderPoint"].includes(
-          field
-        )
+        ["sellingPrice", "purchasePrice", "reorderPoint"].includes(field)
       ) {
         formValue =
           formValue === "" || formValue == null ? undefined : Number(formValue);
@@ -159,7 +155,6 @@ export function useProductEditForm({ product, isOpen, onSuccess, onClose }) {
         name: normalized,
         sellingPrice: Number(values.sellingPrice),
         purchasePrice: Number(values.purchasePrice),
-        stock: values.stock ? Number(values.stock) : undefined,
         unit: values.unit || undefined,
         reorderPoint: values.reorderPoint
           ? Number(values.reorderPoint)
@@ -9,6 +9,13 @@ import {
   checkProductNameApi,
   getProductsCursorApi,
   deleteProductApi,
+  updateProductStatusApi,
+  getLowStockProductsApi,
+  getProductStockMovementsApi,
+  searchProductsApi,
+  parseProductImportFileApi,
+  previewProductImportApi,
+  importProductsApi,
 } from "@/lib/api/products";
 
 /**
@@ -47,7 +54,7 @@ export function useCheckProductName(
 /**
  * Hook to fetch products using cursor-based pagination with TanStack Query.
  * Better performance for large datasets compared to offset-based pagination.
-* @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number, sortBy?: string, sortOrder?: string, nameFilter?: string, categoryFilter?: string, unitFilter?: string, dateRangeFilter?: string, enableFuzzySearch?: boolean}} options - Cursor pagination, sorting, and filtering options.
+* @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number, sortBy?: string, sortOrder?: string, nameFilter?: string, categoryFilter?: string, unitFilter?: string, dateRangeFilter?: string, statusFilter?: string, enableFuzzySearch?: boolean}} options - Cursor pagination, sorting, and filtering options.
  * @returns {Object} TanStack Query result object.
  */
 export function useGetProductsCursor(options = {}) {
@@ -61,6 +68,7 @@ export function useGetProductsCursor(options = {}) {
     categoryFilter,
     unitFilter,
     dateRangeFilter,
+    statusFilter,
     enableFuzzySearch = true,
   } = options;
 
@@ -75,6 +83,7 @@ export function useGetProductsCursor(options = {}) {
       categoryFilter,
       unitFilter,
       dateRangeFilter,
+      statusFilter,
       enableFuzzySearch,
     }),
     queryFn: () =>
@@ -88,6 +97,7 @@ export function useGetProductsCursor(options = {}) {
         categoryFilter,
         unitFilter,
         dateRangeFilter,
+        statusFilter,
         enableFuzzySearch,
       }),
     staleTime: 2 * 60 * 1000, // 2 minutes - products change frequently
@@ -98,6 +108,51 @@ export function useGetProductsCursor(options = {}) {
   });
 }
 
+/**
+ * Hook to fetch the stock movement history of a product.
+ * @param {string} productId - The ID of the product.
+ * @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number, enabled?: boolean}} [options] - Pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetProductStockMovements(
+  productId,
+  { cursor = null, direction = "forward", limit = 20, enabled = true } = {}
+) {
+  return useQuery({
+    queryKey: queryKeys.products.stockMovements(productId, {
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getProductStockMovementsApi(productId, { cursor, direction, limit }),
+    enabled: enabled && Boolean(productId),
+    staleTime: 60 * 1000, // 1 minute - history changes with every stock movement
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to look up products by name or SKU for pickers (receiving, point of sale).
+ * @param {string} query - The (debounced) search query.
+ * @param {{limit?: number, enabled?: boolean}} [options] - Search options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useSearchProducts(query, { limit = 10, enabled = true } = {}) {
+  const trimmedQuery = query ? query.trim() : "";
+
+  return useQuery({
+    queryKey: queryKeys.products.search({ query: trimmedQuery, limit }),
+    queryFn: () => searchProductsApi(trimmedQuery, { limit }),
+    enabled: enabled && Boolean(trimmedQuery),
+    staleTime: 30 * 1000, // Stock levels shown in results change often
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
 /**
  * Hook to create a new product with optimistic updates.
  * @returns {Object} TanStack Query mutation object.
@@ -198,6 +253,10 @@ export function useCreateProduct() {
       queryClient.invalidateQueries({ queryKey: queryKeys.products.lists() });
       // Invalidate categories to reflect updated product counts
       queryClient.invalidateQueries({ queryKey: queryKeys.categories.all() });
+      // Invalidate the dashboard so onboarding reflects the first product
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+      // Invalidate plan usage so limit warnings stay current
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
       // Invalidate name check for this name
       if (context?.normalizedName) {
         queryClient.invalidateQueries({
@@ -325,6 +384,11 @@ export function useUpdateProduct() {
       // Invalidate product lists to refetch from server
       queryClient.invalidateQueries({ queryKey: queryKeys.products.lists() });
 
+      // A changed reorder point may move the product in or out of low stock
+      queryClient.invalidateQueries({
+        queryKey: [...queryKeys.products.all(), "lowStock"],
+      });
+
       // Invalidate categories in case a new category was created during the product update
       queryClient.invalidateQueries({ queryKey: queryKeys.categories.all() });
 
@@ -419,8 +483,13 @@ export function useDeleteProduct() {
     onSuccess: () => {
       // Invalidate product lists to refetch from server and sync any changes
       queryClient.invalidateQueries({ queryKey: queryKeys.products.lists() });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.products.cursorLists(),
+      });
       // Invalidate categories to reflect updated product counts
       queryClient.invalidateQueries({ queryKey: queryKeys.categories.all() });
+      // Invalidate plan usage so limit warnings stay current
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
     },
   });
 }
@@ -429,6 +498,8 @@ export function useDeleteProduct() {
  * Hook to delete multiple products with optimistic updates and proper error handling.
  * Provides immediate UI feedback by removing all selected products optimistically,
  * then handles individual failures gracefully with partial rollback.
+ * Products the server refuses to delete (e.g. because they have transaction
+ * history) are reported in `errors` with the server's reason as `message`.
  * @returns {Object} TanStack Query mutation object.
  */
 export function useBulkDeleteProducts() {
@@ -446,24 +517,19 @@ export function useBulkDeleteProducts() {
           results.push({ productId, success: true, result });
         } catch (error) {
           results.push({ productId, success: false, error });
-          errors.push({ productId, error });
+          errors.push({ productId, error, message: error.message });
         }
       }
       
-      const data = {
+      // Failed deletions are rolled back in onSuccess, so the caller can show
+      // why each product was kept even when none could be deleted
+      return {
         results,
         errors,
         successCount: results.filter(r => r.success).length,
         failureCount: errors.length,
         totalCount: productIds.length,
       };
-      
-      // If all deletions failed, throw an error to trigger the error toast
-      if (data.failureCount === data.totalCount) {
-        throw new Error(`Failed to delete all ${data.totalCount} products`);
-      }
-      
-      return data;
     },
     onMutate: async (productIds) => {
       // Cancel outgoing fetches for product lists
@@ -551,6 +617,136 @@ export function useBulkDeleteProducts() {
       
       // Invalidate product lists to refetch from server and sync any changes
       queryClient.invalidateQueries({ queryKey: queryKeys.products.lists() });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.products.cursorLists(),
+      });
+      // Invalidate plan usage so limit warnings stay current
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
+    },
+  });
+}
+
+/**
+ * Hook to deactivate or reactivate one or more products with an optimistic
+ * status update. Inactive products disappear from sales and purchasing lookups.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useUpdateProductStatus() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updateProductStatusApi,
+    onMutate: async ({ productIds, isActive }) => {
+      const productListKeys = [
+        queryKeys.products.lists(),
+        queryKeys.products.cursorLists(),
+      ];
+
+      // Cancel outgoing fetches for product lists
+      await Promise.all(
+        productListKeys.map((queryKey) =>
+          queryClient.cancelQueries({ queryKey })
+        )
+      );
+
+      // Snapshot previous cache
+      const previousLists = productListKeys.flatMap((queryKey) =>
+        queryClient.getQueriesData({ queryKey })
+      );
+
+      // Optimistically apply the new status in all cached product lists
+      productListKeys.forEach((queryKey) => {
+        queryClient
+          .getQueryCache()
+          .findAll(queryKey)
+          .forEach((query) => {
+            const oldData = query.state.data;
+            if (oldData && Array.isArray(oldData.products)) {
+              queryClient.setQueryData(query.queryKey, {
+                ...oldData,
+                products: oldData.products.map((product) =>
+                  productIds.includes(product.id)
+                    ? { ...product, isActive }
+                    : product
+                ),
+              });
+            }
+          });
+      });
+
+      return { previousLists };
+    },
+    onError: (_err, _variables, context) => {
+      // Rollback cache to previous state
+      if (context?.previousLists) {
+        context.previousLists.forEach(([key, data]) => {
+          queryClient.setQueryData(key, data);
+        });
+      }
+    },
+    onSettled: () => {
+      // Refetch lists (the status filter may now exclude the products) and lookups
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.lists() });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.products.cursorLists(),
+      });
+      queryClient.invalidateQueries({
+        queryKey: [...queryKeys.products.all(), "search"],
+      });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the active products at or below their reorder point.
+ * Shared by the low-stock report, the dashboard widget and the sidebar badge.
+ * @param {{limit?: number}} [options] - Maximum number of products to return.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetLowStockProducts({ limit } = {}) {
+  return useQuery({
+    queryKey: queryKeys.products.lowStock(limit ?? null),
+    queryFn: () => getLowStockProductsApi({ limit }),
+    staleTime: 2 * 60 * 1000, // 2 minutes - stock changes with every sale
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to read the rows of a CSV or XLSX file for the product import.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useParseProductImportFile() {
+  return useMutation({
+    mutationFn: parseProductImportFileApi,
+  });
+}
+
+/**
+ * Hook to validate a product import without saving it.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function usePreviewProductImport() {
+  return useMutation({
+    mutationFn: previewProductImportApi,
+  });
+}
+
+/**
+ * Hook to import products. Refreshes everything that shows products,
+ * categories or plan usage once the import is done.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useImportProducts() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: importProductsApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.categories.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
     },
   });
 }
@@ -0,0 +1,140 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createPurchaseOrderApi,
+  getPurchaseOrderApi,
+  getPurchaseOrdersApi,
+  getReorderSuggestionsApi,
+  updatePurchaseOrderApi,
+  updatePurchaseOrderStatusApi,
+} from "@/lib/api/purchase-orders";
+
+/**
+ * Hook to fetch reorder suggestions grouped by supplier.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetReorderSuggestions() {
+  return useQuery({
+    queryKey: queryKeys.purchaseOrders.suggestions(),
+    queryFn: getReorderSuggestionsApi,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to fetch purchase orders with cursor pagination.
+ * @param {{status?: string, supplierId?: string, cursor?: string, direction?: 'forward'|'backward', limit?: number}} [options] - Filter and pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetPurchaseOrders(options = {}) {
+  const {
+    status,
+    supplierId,
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = options;
+
+  return useQuery({
+    queryKey: queryKeys.purchaseOrders.list({
+      status,
+      supplierId,
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getPurchaseOrdersApi({ status, supplierId, cursor, direction, limit }),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to fetch a single purchase order with its lines.
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @param {{enabled?: boolean}} [options] - Query options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetPurchaseOrder(purchaseOrderId, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: queryKeys.purchaseOrders.detail(purchaseOrderId),
+    queryFn: () => getPurchaseOrderApi(purchaseOrderId),
+    enabled: enabled && Boolean(purchaseOrderId),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to create a draft purchase order.
+ * New orders change the quantities on order, so suggestions are refreshed too.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCreatePurchaseOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createPurchaseOrderApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.purchaseOrders.all(),
+      });
+    },
+  });
+}
+
+/**
+ * Hook to edit the note and lines of a draft purchase order.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useUpdatePurchaseOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updatePurchaseOrderApi,
+    onSuccess: (purchaseOrder) => {
+      queryClient.setQueryData(
+        queryKeys.purchaseOrders.detail(purchaseOrder.id),
+        purchaseOrder
+      );
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.purchaseOrders.lists(),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.purchaseOrders.suggestions(),
+      });
+    },
+  });
+}
+
+/**
+ * Hook to mark a purchase order as ordered or cancel it.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useUpdatePurchaseOrderStatus() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updatePurchaseOrderStatusApi,
+    onSuccess: (purchaseOrder) => {
+      queryClient.setQueryData(
+        queryKeys.purchaseOrders.detail(purchaseOrder.id),
+        purchaseOrder
+      );
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.purchaseOrders.lists(),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.purchaseOrders.suggestions(),
+      });
+    },
+  });
+}
@@ -0,0 +1,91 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createPurchaseApi,
+  getPurchasesApi,
+  getPurchaseApi,
+} from "@/lib/api/purchases";
+
+/**
+ * Hook to finalize a purchase receipt.
+ * Receiving changes stock and purchase prices, so product caches are refreshed,
+ * and may close a purchase order.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCreatePurchase() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createPurchaseApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.purchases.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppliers.all() });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.purchaseOrders.all(),
+      });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the purchase ledger with cursor pagination.
+ * @param {{from?: string, to?: string, supplierId?: string, paymentStatus?: string, cursor?: string, direction?: 'forward'|'backward', limit?: number}} [options] - Filter and pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetPurchases(options = {}) {
+  const {
+    from,
+    to,
+    supplierId,
+    paymentStatus,
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = options;
+
+  return useQuery({
+    queryKey: queryKeys.purchases.list({
+      from,
+      to,
+      supplierId,
+      paymentStatus,
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getPurchasesApi({
+        from,
+        to,
+        supplierId,
+        paymentStatus,
+        cursor,
+        direction,
+        limit,
+      }),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to fetch a single purchase with its lines.
+ * @param {string} purchaseId - The ID of the purchase.
+ * @param {{enabled?: boolean}} [options] - Query options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetPurchase(purchaseId, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: queryKeys.purchases.detail(purchaseId),
+    queryFn: () => getPurchaseApi(purchaseId),
+    enabled: enabled && Boolean(purchaseId),
+    staleTime: 5 * 60 * 1000, // Purchases are immutable once recorded
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
@@ -0,0 +1,38 @@
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  getInventoryValuationApi,
+  getProfitAndLossApi,
+} from "@/lib/api/reports";
+
+/**
+ * Hook to fetch the profit and loss report for a date range.
+ * @param {{from?: string, to?: string}} [range] - Inclusive YYYY-MM-DD bounds.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetProfitAndLoss({ from, to } = {}) {
+  return useQuery({
+    queryKey: queryKeys.reports.profitAndLoss({ from, to }),
+    queryFn: () => getProfitAndLossApi({ from, to }),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to fetch the inventory valuation, optionally as of a past date.
+ * @param {string} [asOf] - Valuation date (YYYY-MM-DD); omit for the current stock.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetInventoryValuation(asOf) {
+  return useQuery({
+    queryKey: queryKeys.reports.inventoryValuation(asOf ?? null),
+    queryFn: () => getInventoryValuationApi(asOf),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
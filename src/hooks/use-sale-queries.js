@@ -0,0 +1,144 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createSaleApi,
+  getSalesApi,
+  getSalesStaffApi,
+  getSaleApi,
+  lookupSaleApi,
+  createSaleReturnApi,
+} from "@/lib/api/sales";
+
+/**
+ * Hook to complete a sale.
+ * Sales decrease stock and may charge a customer's account, so product and
+ * customer caches are refreshed.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCompleteSale() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createSaleApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sales.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.customers.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the sales ledger with cursor pagination and filters.
+ * @param {Object} [options] - Filter and pagination options, see `getSalesApi`.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSales(options = {}) {
+  const {
+    from,
+    to,
+    number,
+    paymentType,
+    customerId,
+    userId,
+    productId,
+    sortOrder = "desc",
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = options;
+  const filters = {
+    from,
+    to,
+    number,
+    paymentType,
+    customerId,
+    userId,
+    productId,
+    sortOrder,
+    cursor,
+    direction,
+    limit,
+  };
+
+  return useQuery({
+    queryKey: queryKeys.sales.list(filters),
+    queryFn: () => getSalesApi(filters),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to fetch the users who have recorded sales, for the staff filter.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSalesStaff() {
+  return useQuery({
+    queryKey: queryKeys.sales.staff(),
+    queryFn: getSalesStaffApi,
+    staleTime: 5 * 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to fetch a single sale with its lines.
+ * @param {string} saleId - The ID of the sale.
+ * @param {{enabled?: boolean}} [options] - Query options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSale(saleId, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: queryKeys.sales.detail(saleId),
+    queryFn: () => getSaleApi(saleId),
+    enabled: enabled && Boolean(saleId),
+    staleTime: 5 * 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to find a sale by its receipt number.
+ * @param {number|null} number - The sale number, or null to skip the lookup.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useLookupSale(number) {
+  return useQuery({
+    queryKey: queryKeys.sales.lookup(number),
+    queryFn: () => lookupSaleApi(number),
+    enabled: Number.isInteger(number) && number > 0,
+    staleTime: 30 * 1000, // Returnable quantities change with every return
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    retry: false,
+  });
+}
+
+/**
+ * Hook to process a return/exchange against a sale.
+ * Returns move stock both ways and may credit a customer's account, so product
+ * and customer caches are refreshed along with the sales.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useProcessSaleReturn() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ saleId, returnData }) =>
+      createSaleReturnApi(saleId, returnData),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sales.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.customers.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.dashboard.all() });
+    },
+  });
+}
@@ -0,0 +1,52 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import { getShopApi, updateShopApi } from "@/lib/api/shop";
+
+/**
+ * Hook to fetch the current user's shop settings.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetShop() {
+  return useQuery({
+    queryKey: queryKeys.shop.detail(),
+    queryFn: getShopApi,
+    staleTime: 10 * 60 * 1000, // 10 minutes - settings change rarely
+    gcTime: 15 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to update the shop settings with an optimistic cache update.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useUpdateShop() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updateShopApi,
+    onMutate: async (shopData) => {
+      await queryClient.cancelQueries({ queryKey: queryKeys.shop.detail() });
+
+      const previousShop = queryClient.getQueryData(queryKeys.shop.detail());
+      if (previousShop) {
+        queryClient.setQueryData(queryKeys.shop.detail(), {
+          ...previousShop,
+          ...shopData,
+        });
+      }
+
+      return { previousShop };
+    },
+    onError: (_err, _variables, context) => {
+      if (context?.previousShop) {
+        queryClient.setQueryData(queryKeys.shop.detail(), context.previousShop);
+      }
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(queryKeys.shop.detail(), data);
+    },
+  });
+}
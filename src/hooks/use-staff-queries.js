@@ -0,0 +1,70 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  getStaffApi,
+  inviteStaffApi,
+  removeStaffApi,
+  revokeStaffInvitationApi,
+} from "@/lib/api/staff";
+
+/**
+ * Hook to fetch the shop's staff members and pending invitations.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetStaff() {
+  return useQuery({
+    queryKey: queryKeys.staff.team(),
+    queryFn: getStaffApi,
+  });
+}
+
+/**
+ * Hook to invite someone to the shop as staff.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useInviteStaff() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: inviteStaffApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.staff.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
+    },
+  });
+}
+
+/**
+ * Hook to revoke a pending staff invitation.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useRevokeStaffInvitation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: revokeStaffInvitationApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.staff.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
+    },
+  });
+}
+
+/**
+ * Hook to remove a staff member from the shop.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useRemoveStaff() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: removeStaffApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.staff.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.sales.staff() });
+    },
+  });
+}
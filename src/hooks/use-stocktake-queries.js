@@ -0,0 +1,104 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createStocktakeApi,
+  getStocktakeApi,
+  getStocktakesApi,
+  saveStocktakeCountsApi,
+  updateStocktakeStatusApi,
+} from "@/lib/api/stocktakes";
+
+/**
+ * Hook to fetch stocktakes with cursor pagination.
+ * @param {{status?: string, cursor?: string, direction?: 'forward'|'backward', limit?: number}} [options] - Filter and pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetStocktakes(options = {}) {
+  const { status, cursor = null, direction = "forward", limit = 20 } = options;
+
+  return useQuery({
+    queryKey: queryKeys.stocktakes.list({ status, cursor, direction, limit }),
+    queryFn: () => getStocktakesApi({ status, cursor, direction, limit }),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to fetch a stocktake with its lines, variances and totals.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetStocktake(stocktakeId) {
+  return useQuery({
+    queryKey: queryKeys.stocktakes.detail(stocktakeId),
+    queryFn: () => getStocktakeApi(stocktakeId),
+    enabled: Boolean(stocktakeId),
+    staleTime: 30 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to start a stocktake session.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCreateStocktake() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createStocktakeApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.stocktakes.lists() });
+    },
+  });
+}
+
+/**
+ * Hook to save counted quantities of a stocktake.
+ * The response carries the recalculated variances, so it replaces the cached stocktake.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useSaveStocktakeCounts() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: saveStocktakeCountsApi,
+    onSuccess: (stocktake) => {
+      queryClient.setQueryData(
+        queryKeys.stocktakes.detail(stocktake.id),
+        stocktake
+      );
+      queryClient.invalidateQueries({ queryKey: queryKeys.stocktakes.lists() });
+    },
+  });
+}
+
+/**
+ * Hook to approve or cancel a stocktake.
+ * Approval posts count corrections, so product and adjustment caches are refreshed.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useUpdateStocktakeStatus() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updateStocktakeStatusApi,
+    onSuccess: (stocktake) => {
+      queryClient.setQueryData(
+        queryKeys.stocktakes.detail(stocktake.id),
+        stocktake
+      );
+      queryClient.invalidateQueries({ queryKey: queryKeys.stocktakes.lists() });
+      if (stocktake.status === "APPROVED") {
+        queryClient.invalidateQueries({ queryKey: queryKeys.products.all() });
+        queryClient.invalidateQueries({ queryKey: queryKeys.inventory.all() });
+      }
+    },
+  });
+}
@@ -0,0 +1,48 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  checkoutSubscriptionApi,
+  getPlanUsageApi,
+  getSubscriptionApi,
+} from "@/lib/api/subscription";
+
+/**
+ * Hook to fetch the shop's subscription with its invoices.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSubscription() {
+  return useQuery({
+    queryKey: queryKeys.subscription.detail(),
+    queryFn: getSubscriptionApi,
+  });
+}
+
+/**
+ * Hook to fetch the shop's plan and its usage against the plan limits.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetPlanUsage() {
+  return useQuery({
+    queryKey: queryKeys.subscription.usage(),
+    queryFn: getPlanUsageApi,
+    staleTime: 60 * 1000, // 1 minute
+    gcTime: 5 * 60 * 1000,
+  });
+}
+
+/**
+ * Hook to switch the shop to a paid plan through the simulated checkout.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCheckoutSubscription() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: checkoutSubscriptionApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all() });
+    },
+  });
+}
@@ -0,0 +1,195 @@
+"use client";
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  getSuppliersApi,
+  createSupplierApi,
+  getSupplierApi,
+  updateSupplierApi,
+  deleteSupplierApi,
+  getSupplierPayablesApi,
+  getSupplierLedgerApi,
+  createSupplierPaymentApi,
+} from "@/lib/api/suppliers";
+
+/**
+ * Hook to search suppliers for pickers.
+ * @param {string} [search=""] - The (debounced) search term.
+ * @param {{limit?: number, enabled?: boolean}} [options] - Query options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSuppliers(search = "", { limit = 20, enabled = true } = {}) {
+  return useQuery({
+    queryKey: queryKeys.suppliers.list({ search, limit }),
+    queryFn: () => getSuppliersApi({ search, limit }),
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes - suppliers change infrequently
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to fetch a page of suppliers for the supplier table using cursor-based pagination.
+ * @param {{search?: string, owedOnly?: boolean, sortBy?: string, sortOrder?: string, cursor?: string|null, direction?: 'forward'|'backward', limit?: number}} [options] - Filtering, sorting and pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSuppliersCursor(options = {}) {
+  const {
+    search = "",
+    owedOnly = false,
+    sortBy,
+    sortOrder,
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = options;
+
+  return useQuery({
+    queryKey: queryKeys.suppliers.list({
+      search,
+      owedOnly,
+      sortBy,
+      sortOrder,
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getSuppliersApi({
+        search,
+        owedOnly,
+        sortBy,
+        sortOrder,
+        cursor,
+        direction,
+        limit,
+      }),
+    staleTime: 60 * 1000, // Debts change with every purchase on credit
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to create a new supplier.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useCreateSupplier() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createSupplierApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppliers.all() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch a single supplier.
+ * @param {string} supplierId - The ID of the supplier.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSupplier(supplierId) {
+  return useQuery({
+    queryKey: queryKeys.suppliers.detail(supplierId),
+    queryFn: () => getSupplierApi(supplierId),
+    enabled: Boolean(supplierId),
+    staleTime: 60 * 1000,
+    gcTime: 10 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to update a supplier's contact details.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useUpdateSupplier() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updateSupplierApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppliers.all() });
+      // Purchases display the supplier name
+      queryClient.invalidateQueries({ queryKey: queryKeys.purchases.all() });
+    },
+  });
+}
+
+/**
+ * Hook to delete a supplier.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useDeleteSupplier() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: deleteSupplierApi,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppliers.all() });
+    },
+  });
+}
+
+/**
+ * Hook to fetch the suppliers the shop currently owes money to.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSupplierPayables() {
+  return useQuery({
+    queryKey: queryKeys.suppliers.payables(),
+    queryFn: getSupplierPayablesApi,
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+}
+
+/**
+ * Hook to fetch the payables ledger of a supplier with cursor pagination.
+ * @param {string} supplierId - The ID of the supplier.
+ * @param {{cursor?: string|null, direction?: 'forward'|'backward', limit?: number}} [options] - Pagination options.
+ * @returns {Object} TanStack Query result object.
+ */
+export function useGetSupplierLedger(supplierId, options = {}) {
+  const { cursor = null, direction = "forward", limit = 20 } = options;
+
+  return useQuery({
+    queryKey: queryKeys.suppliers.ledger(supplierId, {
+      cursor,
+      direction,
+      limit,
+    }),
+    queryFn: () =>
+      getSupplierLedgerApi(supplierId, { cursor, direction, limit }),
+    enabled: Boolean(supplierId),
+    staleTime: 60 * 1000,
+    gcTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+  });
+}
+
+/**
+ * Hook to record a payment made to a supplier.
+ * Payments change the debt and ledger, so the supplier lists and payables are refreshed too.
+ * @param {string} supplierId - The ID of the supplier being paid.
+ * @returns {Object} TanStack Query mutation object.
+ */
+export function useRecordSupplierPayment(supplierId) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (paymentData) =>
+      createSupplierPaymentApi(supplierId, paymentData),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.suppliers.all() });
+    },
+  });
+}
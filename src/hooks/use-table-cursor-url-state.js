@@ -19,6 +19,7 @@ import { useDebounce } from "use-debounce";
  * @param {string} [defaultState.categoryFilter] - Default category filter
  * @param {string} [defaultState.unitFilter] - Default unit filter
  * @param {string} [defaultState.dateRangeFilter] - Default date range filter
+ * @param {string} [defaultState.statusFilter] - Default product status filter ('' | 'active' | 'inactive')
  * @returns {Object} Table state and update functions
  */
 export function useTableCursorUrlState(
@@ -32,6 +33,7 @@ export function useTableCursorUrlState(
     categoryFilter: "",
     unitFilter: "",
     dateRangeFilter: "",
+    statusFilter: "",
   }
 ) {
   const searchParams = useSearchParams();
@@ -90,6 +92,7 @@ export function useTableCursorUrlState(
     categoryFilter: defaultState.categoryFilter,
     unitFilter: defaultState.unitFilter,
     dateRangeFilter: defaultState.dateRangeFilter,
+    statusFilter: defaultState.statusFilter || "",
   });
 
   // Debounce filter values for API calls (not URL updates)
@@ -100,6 +103,7 @@ export function useTableCursorUrlState(
   );
   const [debouncedUnitFilter] = useDebounce(localFilters.unitFilter, 300);
   const [debouncedDateRangeFilter] = useDebounce(localFilters.dateRangeFilter, 300);
+  const [debouncedStatusFilter] = useDebounce(localFilters.statusFilter, 300);
 
   // Current state combines URL state with local filter state
   const currentState = useMemo(
@@ -109,6 +113,7 @@ export function useTableCursorUrlState(
       categoryFilter: localFilters.categoryFilter,
       unitFilter: localFilters.unitFilter,
       dateRangeFilter: localFilters.dateRangeFilter,
+      statusFilter: localFilters.statusFilter,
     }),
     [urlState, localFilters]
   );
@@ -135,6 +140,9 @@ export function useTableCursorUrlState(
         ...(currentState.dateRangeFilter
           ? [{ id: "createdAt", value: currentState.dateRangeFilter.split(",").map(Number).filter(Boolean) }]
           : []),
+        ...(currentState.statusFilter
+          ? [{ id: "isActive", value: currentState.statusFilter }]
+          : []),
       ],
       cursor: {
         value: currentState.cursor,
@@ -157,9 +165,10 @@ export function useTableCursorUrlState(
       categoryFilter: debouncedCategoryFilter,
       unitFilter: debouncedUnitFilter,
       dateRangeFilter: debouncedDateRangeFilter,
+      statusFilter: debouncedStatusFilter,
       enableFuzzySearch: true,
     }),
-    [urlState, debouncedNameFilter, debouncedCategoryFilter, debouncedUnitFilter, debouncedDateRangeFilter]
+    [urlState, debouncedNameFilter, debouncedCategoryFilter, debouncedUnitFilter, debouncedDateRangeFilter, debouncedStatusFilter]
   );
 
   // Update URL with new parameters (debounced for filters)
@@ -240,7 +249,9 @@ export function useTableCursorUrlState(
       const dateRangeFilterValue = newFilters.find((f) => f.id === "createdAt")?.value;
       const dateRangeFilter = Array.isArray(dateRangeFilterValue) ? dateRangeFilterValue.join(",") : dateRangeFilterValue || "";
 
-      setLocalFilters({ nameFilter, categoryFilter, unitFilter, dateRangeFilter });
+      const statusFilter = newFilters.find((f) => f.id === "isActive")?.value || "";
+
+      setLocalFilters({ nameFilter, categoryFilter, unitFilter, dateRangeFilter, statusFilter });
     },
     [tableState.columnFilters]
   );
@@ -251,7 +262,8 @@ export function useTableCursorUrlState(
       debouncedNameFilter !== localFilters.nameFilter ||
       debouncedCategoryFilter !== localFilters.categoryFilter ||
       debouncedUnitFilter !== localFilters.unitFilter ||
-      debouncedDateRangeFilter !== localFilters.dateRangeFilter
+      debouncedDateRangeFilter !== localFilters.dateRangeFilter ||
+      debouncedStatusFilter !== localFilters.statusFilter
     ) {
       // Only reset if we currently have a cursor
       if (urlState.cursor) {
@@ -266,10 +278,12 @@ export function useTableCursorUrlState(
     debouncedCategoryFilter,
     debouncedUnitFilter,
     debouncedDateRangeFilter,
+    debouncedStatusFilter,
     localFilters.nameFilter,
     localFilters.categoryFilter,
     localFilters.unitFilter,
     localFilters.dateRangeFilter,
+    localFilters.statusFilter,
     urlState.cursor,
     updateUrl,
   ]);
@@ -288,7 +302,7 @@ export function useTableCursorUrlState(
 
   // Check if any filters are active
   const isFiltered = useMemo(
-    () => Boolean(localFilters.nameFilter || localFilters.categoryFilter || localFilters.unitFilter || localFilters.dateRangeFilter),
+    () => Boolean(localFilters.nameFilter || localFilters.categoryFilter || localFilters.unitFilter || localFilters.dateRangeFilter || localFilters.statusFilter),
     [localFilters]
   );
 
@@ -299,6 +313,7 @@ export function useTableCursorUrlState(
       categoryFilter: "",
       unitFilter: "",
       dateRangeFilter: "",
+      statusFilter: "",
     });
     updateUrl({
       cursor: null,
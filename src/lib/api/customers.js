@@ -0,0 +1,133 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').customerCreateSchema} CustomerCreateInput
+ */
+
+/**
+ * Fetches customers matching a search term.
+ * @param {{search?: string, withBalance?: boolean, limit?: number}} [options] - Search options.
+ * @returns {Promise<{customers: Array<import('@prisma/client').Customer>}>}
+ */
+export async function getCustomersApi({
+  search = "",
+  withBalance = false,
+  limit = 20,
+} = {}) {
+  const params = new URLSearchParams({ limit: limit.toString() });
+  if (search) params.append("search", search);
+  if (withBalance) params.append("withBalance", "true");
+
+  const response = await fetch(`/api/customers?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch customers");
+  }
+  return response.json();
+}
+
+/**
+ * Creates a new customer by sending a POST request to the API.
+ * @param {z.infer<CustomerCreateInput>} newCustomerData - The data for the new customer.
+ * @returns {Promise<import('@prisma/client').Customer>} The newly created customer.
+ */
+export async function createCustomerApi(newCustomerData) {
+  const response = await fetch("/api/customers", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(newCustomerData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to create customer");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a single customer.
+ * @param {string} customerId - The ID of the customer.
+ * @returns {Promise<import('@prisma/client').Customer>} The customer.
+ */
+export async function getCustomerApi(customerId) {
+  const response = await fetch(`/api/customers/${customerId}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch customer");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the receivables ledger of a customer with cursor pagination.
+ * @param {string} customerId - The ID of the customer.
+ * @param {{cursor?: string|null, direction?: 'forward'|'backward', limit?: number}} [options] - Pagination options.
+ * @returns {Promise<object>} Ledger entries with pagination metadata.
+ */
+export async function getCustomerLedgerApi(
+  customerId,
+  { cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+  });
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(
+    `/api/customers/${customerId}/ledger?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch customer ledger");
+  }
+  return response.json();
+}
+
+/**
+ * Records a payment against a customer's balance by sending a POST request to the API.
+ * @param {string} customerId - The ID of the paying customer.
+ * @param {z.infer<import('@/lib/zod-schemas').customerPaymentSchema>} paymentData - The payment to record.
+ * @returns {Promise<import('@prisma/client').CustomerPayment>} The recorded payment.
+ */
+export async function createCustomerPaymentApi(customerId, paymentData) {
+  const response = await fetch(`/api/customers/${customerId}/payments`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(paymentData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to record payment");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a customer's account statement for an inclusive date range.
+ * @param {string} customerId - The ID of the customer.
+ * @param {{from?: string, to?: string}} [range] - Inclusive ISO date range.
+ * @returns {Promise<object>} The customer and their statement.
+ */
+export async function getCustomerStatementApi(customerId, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.append("from", from);
+  if (to) params.append("to", to);
+
+  const response = await fetch(
+    `/api/customers/${customerId}/statement?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch statement");
+  }
+  return response.json();
+}
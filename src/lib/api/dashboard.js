@@ -0,0 +1,13 @@
+/**
+ * Fetches the dashboard figures for the current user's shop.
+ * @returns {Promise<import('@/lib/services/dashboard-service').DashboardSummary>} The dashboard summary.
+ */
+export async function getDashboardSummaryApi() {
+  const response = await fetch("/api/dashboard/summary");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch dashboard summary");
+  }
+  return response.json();
+}
@@ -0,0 +1,94 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').stockAdjustmentSchema} StockAdjustmentInput
+ */
+
+/**
+ * Records a manual stock adjustment by sending a POST request to the API.
+ * @param {z.infer<StockAdjustmentInput>} adjustmentData - The adjustment to record.
+ * @returns {Promise<import('@prisma/client').StockMovement>} The recorded stock movement.
+ */
+export async function createStockAdjustmentApi(adjustmentData) {
+  const response = await fetch("/api/inventory/adjustments", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(adjustmentData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to adjust stock");
+  }
+  return response.json();
+}
+
+/**
+ * Builds the shared date range query parameters used by inventory reports.
+ * @param {{from?: string, to?: string}} range - Inclusive ISO date range.
+ * @returns {URLSearchParams}
+ */
+function buildDateRangeParams({ from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.append("from", from);
+  if (to) params.append("to", to);
+  return params;
+}
+
+/**
+ * Fetches manual stock adjustments with cursor pagination.
+ * @param {{
+ *   from?: string,
+ *   to?: string,
+ *   reason?: string,
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filter and pagination options.
+ * @returns {Promise<object>} Adjustments with pagination metadata.
+ */
+export async function getStockAdjustmentsApi({
+  from,
+  to,
+  reason,
+  cursor = null,
+  direction = "forward",
+  limit = 20,
+} = {}) {
+  const params = buildDateRangeParams({ from, to });
+  params.append("limit", limit.toString());
+  params.append("direction", direction);
+  if (reason) params.append("reason", reason);
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(
+    `/api/inventory/adjustments?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch stock adjustments");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the stock adjustment totals grouped by reason.
+ * @param {{from?: string, to?: string}} range - Inclusive ISO date range.
+ * @returns {Promise<{reasons: Array<object>}>} The per-reason summary.
+ */
+export async function getStockAdjustmentSummaryApi(range) {
+  const params = buildDateRangeParams(range);
+
+  const response = await fetch(
+    `/api/inventory/adjustments/summary?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(
+      errorData.error || "Failed to fetch stock adjustment summary"
+    );
+  }
+  return response.json();
+}
@@ -80,9 +80,30 @@ export async function deleteProductApi(productId) {
   return response.json();
 }
 
+/**
+ * Deactivates or reactivates products by sending a PATCH request to the API.
+ * @param {{productIds: string[], isActive: boolean}} statusData - The products and their new status.
+ * @returns {Promise<{updatedCount: number, isActive: boolean}>}
+ */
+export async function updateProductStatusApi(statusData) {
+  const response = await fetch("/api/products/status", {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(statusData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to update product status");
+  }
+  return response.json();
+}
+
 /**
  * Fetches products using cursor-based pagination from the API.
-* @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number, sortBy?: string, sortOrder?: string, nameFilter?: string, categoryFilter?: string, unitFilter?: string, dateRangeFilter?: string, enableFuzzySearch?: boolean}} options - Cursor pagination, sorting, and filtering options.
+* @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number, sortBy?: string, sortOrder?: string, nameFilter?: string, categoryFilter?: string, unitFilter?: string, dateRangeFilter?: string, statusFilter?: string, enableFuzzySearch?: boolean}} options - Cursor pagination, sorting, and filtering options.
  * @returns {Promise<import('@/lib/data/products').CursorPaginatedProductsResult>}
  */
 export async function getProductsCursorApi({
@@ -95,6 +116,7 @@ export async function getProductsCursorApi({
   categoryFilter,
   unitFilter,
   dateRangeFilter,
+  statusFilter,
   enableFuzzySearch = true,
 }) {
   const params = new URLSearchParams({
@@ -113,6 +135,7 @@ export async function getProductsCursorApi({
     console.log('API sending dateRangeFilter:', dateRangeFilter);
     params.append("dateRangeFilter", dateRangeFilter);
   }
+  if (statusFilter) params.append("statusFilter", statusFilter);
   if (enableFuzzySearch !== undefined)
     params.append("enableFuzzySearch", enableFuzzySearch.toString());
 
@@ -123,3 +146,173 @@ export async function getProductsCursorApi({
   }
   return response.json();
 }
+
+/**
+ * Returns the URL that downloads the product catalog. With `ids` only those
+ * products are exported, otherwise every product matching the filters.
+ * @param {{format: 'csv'|'xlsx'|'json', columns?: string[], ids?: string[], sortBy?: string, sortOrder?: string, nameFilter?: string, categoryFilter?: string, unitFilter?: string, dateRangeFilter?: string, statusFilter?: string}} options - Format, columns and the products to export.
+ * @returns {string} The download URL.
+ */
+export function getProductExportUrl({
+  format,
+  columns,
+  ids,
+  sortBy,
+  sortOrder,
+  nameFilter,
+  categoryFilter,
+  unitFilter,
+  dateRangeFilter,
+  statusFilter,
+}) {
+  const params = new URLSearchParams({ format });
+
+  if (columns?.length) params.append("columns", columns.join(","));
+  if (sortBy) params.append("sortBy", sortBy);
+  if (sortOrder) params.append("sortOrder", sortOrder);
+  if (ids?.length) {
+    params.append("ids", ids.join(","));
+  } else {
+    if (nameFilter) params.append("nameFilter", nameFilter);
+    if (categoryFilter) params.append("categoryFilter", categoryFilter);
+    if (unitFilter) params.append("unitFilter", unitFilter);
+    if (dateRangeFilter) params.append("dateRangeFilter", dateRangeFilter);
+    if (statusFilter) params.append("statusFilter", statusFilter);
+  }
+
+  return `/api/products/export?${params.toString()}`;
+}
+
+/**
+ * Fetches the stock movement history of a product from the API.
+ * @param {string} productId - The ID of the product.
+ * @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number}} [options] - Pagination options.
+ * @returns {Promise<import('@/lib/data/stock-movements').CursorPaginatedStockMovementsResult & {product: object}>}
+ */
+export async function getProductStockMovementsApi(
+  productId,
+  { cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+  });
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(
+    `/api/products/${productId}/stock-movements?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch stock movements");
+  }
+  return response.json();
+}
+
+/**
+ * Searches products by name or SKU for pickers.
+ * @param {string} query - The search query.
+ * @param {{limit?: number}} [options] - Search options.
+ * @returns {Promise<{products: Array<object>}>} Matching products.
+ */
+export async function searchProductsApi(query, { limit = 10 } = {}) {
+  const params = new URLSearchParams({ q: query, limit: limit.toString() });
+
+  const response = await fetch(`/api/products/search?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to search products");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the active products at or below their reorder point from the API.
+ * @param {{limit?: number}} [options] - Maximum number of products to return.
+ * @returns {Promise<{products: import('@/lib/data/products').LowStockProduct[], count: number}>}
+ */
+export async function getLowStockProductsApi({ limit } = {}) {
+  const params = new URLSearchParams();
+  if (limit) params.append("limit", limit.toString());
+
+  const response = await fetch(`/api/products/low-stock?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch low-stock products");
+  }
+  return response.json();
+}
+
+/**
+ * Uploads a CSV or XLSX file to read its rows for the product import.
+ * @param {File} file - The file to import.
+ * @returns {Promise<{fileName: string, headers: string[], rows: string[][], firstRowNumber: number}>}
+ */
+export async function parseProductImportFileApi(file) {
+  const formData = new FormData();
+  formData.append("file", file);
+
+  const response = await fetch("/api/products/import/parse", {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to read the file");
+  }
+  return response.json();
+}
+
+/**
+ * Validates a product import without saving it.
+ * @param {z.infer<typeof import('@/lib/zod-schemas').productImportSchema>} importData - Mode, column mapping and rows.
+ * @returns {Promise<import('@/lib/services/product-import-service').ImportPreview>}
+ */
+export async function previewProductImportApi(importData) {
+  const response = await fetch("/api/products/import/preview", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(importData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(
+      errorData.details?.[0]?.message ||
+        errorData.error ||
+        "Failed to check the import"
+    );
+  }
+  return response.json();
+}
+
+/**
+ * Imports the valid rows of a product import.
+ * @param {z.infer<typeof import('@/lib/zod-schemas').productImportSchema>} importData - Mode, column mapping and rows.
+ * @returns {Promise<{created: number, updated: number, skipped: number, categoriesCreated: number, failed: Array<{rowNumber: number, message: string}>}>}
+ */
+export async function importProductsApi(importData) {
+  const response = await fetch("/api/products/import", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(importData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(
+      errorData.details?.[0]?.message ||
+        errorData.error ||
+        "Failed to import products"
+    );
+  }
+  return response.json();
+}
@@ -0,0 +1,131 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').purchaseOrderCreateSchema} PurchaseOrderCreateInput
+ * @typedef {import('@/lib/zod-schemas').purchaseOrderUpdateSchema} PurchaseOrderUpdateInput
+ */
+
+/**
+ * Fetches reorder suggestions grouped by supplier.
+ * @returns {Promise<object>} The suggestion groups and calculation settings.
+ */
+export async function getReorderSuggestionsApi() {
+  const response = await fetch("/api/purchase-orders/suggestions");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch reorder suggestions");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches purchase orders with cursor pagination.
+ * @param {{
+ *   status?: string,
+ *   supplierId?: string,
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filter and pagination options.
+ * @returns {Promise<object>} Purchase orders with pagination metadata.
+ */
+export async function getPurchaseOrdersApi({
+  status,
+  supplierId,
+  cursor = null,
+  direction = "forward",
+  limit = 20,
+} = {}) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+  });
+  if (status) params.append("status", status);
+  if (supplierId) params.append("supplierId", supplierId);
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(`/api/purchase-orders?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch purchase orders");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a single purchase order with its lines.
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @returns {Promise<object>} The purchase order.
+ */
+export async function getPurchaseOrderApi(purchaseOrderId) {
+  const response = await fetch(`/api/purchase-orders/${purchaseOrderId}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch purchase order");
+  }
+  return response.json();
+}
+
+/**
+ * Creates a draft purchase order.
+ * @param {z.infer<PurchaseOrderCreateInput>} orderData - The order to create.
+ * @returns {Promise<import('@prisma/client').PurchaseOrder>} The created purchase order.
+ */
+export async function createPurchaseOrderApi(orderData) {
+  const response = await fetch("/api/purchase-orders", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(orderData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to create purchase order");
+  }
+  return response.json();
+}
+
+/**
+ * Edits the note and lines of a draft purchase order.
+ * @param {{purchaseOrderId: string, orderData: z.infer<PurchaseOrderUpdateInput>}} params - The order and its changes.
+ * @returns {Promise<object>} The updated purchase order.
+ */
+export async function updatePurchaseOrderApi({ purchaseOrderId, orderData }) {
+  const response = await fetch(`/api/purchase-orders/${purchaseOrderId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(orderData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to update purchase order");
+  }
+  return response.json();
+}
+
+/**
+ * Marks a purchase order as ordered or cancels it.
+ * @param {{purchaseOrderId: string, status: 'ORDERED'|'CANCELLED'}} params - The order and its new status.
+ * @returns {Promise<object>} The updated purchase order.
+ */
+export async function updatePurchaseOrderStatusApi({ purchaseOrderId, status }) {
+  const response = await fetch(`/api/purchase-orders/${purchaseOrderId}`, {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ status }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to update purchase order");
+  }
+  return response.json();
+}
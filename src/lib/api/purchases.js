@@ -0,0 +1,80 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').purchaseCreateSchema} PurchaseCreateInput
+ */
+
+/**
+ * Finalizes a purchase receipt by sending a POST request to the API.
+ * @param {z.infer<PurchaseCreateInput>} purchaseData - The purchase to record.
+ * @returns {Promise<import('@prisma/client').Purchase>} The created purchase.
+ */
+export async function createPurchaseApi(purchaseData) {
+  const response = await fetch("/api/purchases", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(purchaseData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to record purchase");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the purchase ledger with cursor pagination.
+ * @param {{
+ *   from?: string,
+ *   to?: string,
+ *   supplierId?: string,
+ *   paymentStatus?: string,
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filter and pagination options.
+ * @returns {Promise<object>} Purchases with pagination metadata.
+ */
+export async function getPurchasesApi({
+  from,
+  to,
+  supplierId,
+  paymentStatus,
+  cursor = null,
+  direction = "forward",
+  limit = 20,
+} = {}) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+  });
+  if (from) params.append("from", from);
+  if (to) params.append("to", to);
+  if (supplierId) params.append("supplierId", supplierId);
+  if (paymentStatus) params.append("paymentStatus", paymentStatus);
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(`/api/purchases?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch purchases");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a single purchase with its lines.
+ * @param {string} purchaseId - The ID of the purchase.
+ * @returns {Promise<object>} The purchase.
+ */
+export async function getPurchaseApi(purchaseId) {
+  const response = await fetch(`/api/purchases/${purchaseId}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch purchase");
+  }
+  return response.json();
+}
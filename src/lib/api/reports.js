@@ -0,0 +1,63 @@
+/**
+ * Fetches the profit and loss report for a date range.
+ * @param {{from?: string, to?: string}} [range] - Inclusive YYYY-MM-DD bounds.
+ * @returns {Promise<import('@/lib/data/reports').ProfitAndLossReport>} The report.
+ */
+export async function getProfitAndLossApi({ from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.append("from", from);
+  if (to) params.append("to", to);
+
+  const response = await fetch(
+    `/api/reports/profit-and-loss?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(
+      errorData.error || "Failed to fetch profit and loss report"
+    );
+  }
+  return response.json();
+}
+
+/**
+ * Builds the query string for the inventory valuation report.
+ * @param {{asOf?: string, format?: 'json'|'csv'}} options - Valuation date and output format.
+ * @returns {string} The query string.
+ */
+function buildValuationParams({ asOf, format } = {}) {
+  const params = new URLSearchParams();
+  if (asOf) params.append("asOf", asOf);
+  if (format) params.append("format", format);
+  return params.toString();
+}
+
+/**
+ * Returns the URL that downloads the inventory valuation as CSV.
+ * @param {string} [asOf] - Valuation date (YYYY-MM-DD); omit for today.
+ * @returns {string} The download URL.
+ */
+export function getInventoryValuationCsvUrl(asOf) {
+  return `/api/reports/inventory-valuation?${buildValuationParams({
+    asOf,
+    format: "csv",
+  })}`;
+}
+
+/**
+ * Fetches the inventory valuation, optionally as of a past date.
+ * @param {string} [asOf] - Valuation date (YYYY-MM-DD); omit for the current stock.
+ * @returns {Promise<import('@/lib/data/reports').InventoryValuation>} The valuation.
+ */
+export async function getInventoryValuationApi(asOf) {
+  const response = await fetch(
+    `/api/reports/inventory-valuation?${buildValuationParams({ asOf })}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch inventory valuation");
+  }
+  return response.json();
+}
@@ -0,0 +1,154 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').saleCreateSchema} SaleCreateInput
+ */
+
+/**
+ * Completes a sale by sending a POST request to the API.
+ * @param {z.infer<SaleCreateInput>} saleData - The sale to record.
+ * @returns {Promise<import('@prisma/client').Sale>} The created sale.
+ */
+export async function createSaleApi(saleData) {
+  const response = await fetch("/api/sales", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(saleData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to complete sale");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the sales ledger with cursor pagination.
+ * @param {{
+ *   from?: string,
+ *   to?: string,
+ *   number?: number,
+ *   paymentType?: string,
+ *   customerId?: string,
+ *   userId?: string,
+ *   productId?: string,
+ *   sortOrder?: 'asc'|'desc',
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filter and pagination options.
+ * @returns {Promise<object>} Sales with pagination metadata.
+ */
+export async function getSalesApi({
+  from,
+  to,
+  number,
+  paymentType,
+  customerId,
+  userId,
+  productId,
+  sortOrder = "desc",
+  cursor = null,
+  direction = "forward",
+  limit = 20,
+} = {}) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+    sortOrder,
+  });
+  if (from) params.append("from", from);
+  if (to) params.append("to", to);
+  if (number) params.append("number", number.toString());
+  if (paymentType) params.append("paymentType", paymentType);
+  if (customerId) params.append("customerId", customerId);
+  if (userId) params.append("userId", userId);
+  if (productId) params.append("productId", productId);
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(`/api/sales?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch sales");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the users who have recorded sales in the shop.
+ * @returns {Promise<{staff: Array<{id: string, name: string|null}>}>} The staff members.
+ */
+export async function getSalesStaffApi() {
+  const response = await fetch("/api/sales/staff");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch staff");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a single sale with its lines.
+ * @param {string} saleId - The ID of the sale.
+ * @returns {Promise<object>} The sale.
+ */
+export async function getSaleApi(saleId) {
+  const response = await fetch(`/api/sales/${saleId}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch sale");
+  }
+  return response.json();
+}
+
+/**
+ * Finds a sale by its receipt number.
+ * @param {number} number - The sale number.
+ * @returns {Promise<object>} The sale with its lines and returns.
+ */
+export async function lookupSaleApi(number) {
+  const params = new URLSearchParams({ number: number.toString() });
+  const response = await fetch(`/api/sales/lookup?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to find sale");
+  }
+  return response.json();
+}
+
+/**
+ * Processes a return/exchange against a sale by sending a POST request to the API.
+ * @param {string} saleId - The ID of the sale being returned.
+ * @param {z.infer<import('@/lib/zod-schemas').saleReturnSchema>} returnData - The returned lines and exchange items.
+ * @returns {Promise<{sale: object, accountAmount: number, cashAmount: number}>} The return and how it was settled.
+ */
+export async function createSaleReturnApi(saleId, returnData) {
+  const response = await fetch(`/api/sales/${saleId}/returns`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(returnData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to process return");
+  }
+  return response.json();
+}
+
+/**
+ * Returns the URL of a sale's receipt in the given format.
+ * @param {string} saleId - The ID of the sale.
+ * @param {string} [format="html"] - One of the values in `receiptFormats`.
+ * @returns {string} The receipt URL.
+ */
+export function getSaleReceiptUrl(saleId, format = "html") {
+  return `/api/sales/${saleId}/receipt?format=${format}`;
+}
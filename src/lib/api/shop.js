@@ -0,0 +1,38 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').shopSettingsSchema} ShopSettingsInput
+ */
+
+/**
+ * Fetches the current user's shop settings.
+ * @returns {Promise<import('@prisma/client').Shop>} The shop.
+ */
+export async function getShopApi() {
+  const response = await fetch("/api/shop");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch shop settings");
+  }
+  return response.json();
+}
+
+/**
+ * Updates the current user's shop settings.
+ * @param {z.infer<ShopSettingsInput>} shopData - The settings to update.
+ * @returns {Promise<import('@prisma/client').Shop>} The updated shop.
+ */
+export async function updateShopApi(shopData) {
+  const response = await fetch("/api/shop", {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(shopData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to update shop settings");
+  }
+  return response.json();
+}
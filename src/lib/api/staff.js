@@ -0,0 +1,81 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').staffInvitationSchema} StaffInvitationInput
+ */
+
+/**
+ * Fetches the shop's staff members and pending invitations.
+ * @returns {Promise<{staff: Array<object>, invitations: Array<object>}>} The team.
+ */
+export async function getStaffApi() {
+  const response = await fetch("/api/staff");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch staff");
+  }
+  return response.json();
+}
+
+/**
+ * Invites someone to the shop as staff.
+ * @param {z.infer<StaffInvitationInput>} invitationData - The email address to invite.
+ * @returns {Promise<{token: string, email: string, expires: string}>} The invitation.
+ */
+export async function inviteStaffApi(invitationData) {
+  const response = await fetch("/api/staff/invitations", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(invitationData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to send invitation");
+  }
+  return response.json();
+}
+
+/**
+ * Revokes a pending staff invitation.
+ * @param {string} token - The invitation token.
+ * @returns {Promise<{message: string}>} Confirmation message.
+ */
+export async function revokeStaffInvitationApi(token) {
+  const response = await fetch(`/api/staff/invitations/${token}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to revoke invitation");
+  }
+  return response.json();
+}
+
+/**
+ * Removes a staff member from the shop.
+ * @param {string} userId - The ID of the staff member.
+ * @returns {Promise<{message: string}>} Confirmation message.
+ */
+export async function removeStaffApi(userId) {
+  const response = await fetch(`/api/staff/${userId}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to remove staff member");
+  }
+  return response.json();
+}
+
+/**
+ * Returns the link an invited person opens to accept an invitation.
+ * @param {string} token - The invitation token.
+ * @returns {string} The absolute invitation link.
+ */
+export function getStaffInvitationLink(token) {
+  return `${window.location.origin}/invite/${token}`;
+}
@@ -0,0 +1,113 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').stocktakeCreateSchema} StocktakeCreateInput
+ */
+
+/**
+ * Fetches stocktakes with cursor pagination.
+ * @param {{
+ *   status?: string,
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filter and pagination options.
+ * @returns {Promise<object>} Stocktakes with pagination metadata.
+ */
+export async function getStocktakesApi({
+  status,
+  cursor = null,
+  direction = "forward",
+  limit = 20,
+} = {}) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+  });
+  if (status) params.append("status", status);
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(`/api/stocktakes?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch stocktakes");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a stocktake with its lines, variances and totals.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @returns {Promise<object>} The stocktake.
+ */
+export async function getStocktakeApi(stocktakeId) {
+  const response = await fetch(`/api/stocktakes/${stocktakeId}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch stocktake");
+  }
+  return response.json();
+}
+
+/**
+ * Starts a stocktake session.
+ * @param {z.infer<StocktakeCreateInput>} stocktakeData - The category to count (optional) and a note.
+ * @returns {Promise<import('@prisma/client').Stocktake>} The created stocktake.
+ */
+export async function createStocktakeApi(stocktakeData) {
+  const response = await fetch("/api/stocktakes", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(stocktakeData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to start stocktake");
+  }
+  return response.json();
+}
+
+/**
+ * Saves counted quantities of a stocktake.
+ * @param {{stocktakeId: string, counts: Array<{productId: string, countedQuantity: number|string|null}>}} params - The stocktake and its counts.
+ * @returns {Promise<object>} The updated stocktake.
+ */
+export async function saveStocktakeCountsApi({ stocktakeId, counts }) {
+  const response = await fetch(`/api/stocktakes/${stocktakeId}/counts`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ counts }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to save counts");
+  }
+  return response.json();
+}
+
+/**
+ * Approves or cancels a stocktake.
+ * @param {{stocktakeId: string, status: 'APPROVED'|'CANCELLED'}} params - The stocktake and its new status.
+ * @returns {Promise<object>} The updated stocktake.
+ */
+export async function updateStocktakeStatusApi({ stocktakeId, status }) {
+  const response = await fetch(`/api/stocktakes/${stocktakeId}`, {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ status }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to update stocktake");
+  }
+  return response.json();
+}
@@ -0,0 +1,52 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').subscriptionCheckoutSchema} SubscriptionCheckoutInput
+ */
+
+/**
+ * Fetches the shop's plan and its usage against the plan limits.
+ * @returns {Promise<import('@/lib/services/plan-limits-service').PlanUsage>} The plan and usage.
+ */
+export async function getPlanUsageApi() {
+  const response = await fetch("/api/subscription/usage");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch plan usage");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the shop's subscription with its invoices.
+ * @returns {Promise<object>} The subscription.
+ */
+export async function getSubscriptionApi() {
+  const response = await fetch("/api/subscription");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch subscription");
+  }
+  return response.json();
+}
+
+/**
+ * Switches the shop to a paid plan through the simulated checkout.
+ * @param {z.infer<SubscriptionCheckoutInput>} checkoutData - The plan and billing cycle.
+ * @returns {Promise<{subscription: object, invoice: object}>} The updated subscription and its invoice.
+ */
+export async function checkoutSubscriptionApi(checkoutData) {
+  const response = await fetch("/api/subscription/checkout", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(checkoutData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to change plan");
+  }
+  return response.json();
+}
@@ -0,0 +1,178 @@
+/**
+ * @typedef {import('@/lib/zod-schemas').supplierCreateSchema} SupplierCreateInput
+ */
+
+/**
+ * Fetches a page of suppliers, optionally matching a search term.
+ * @param {{
+ *   search?: string,
+ *   owedOnly?: boolean,
+ *   sortBy?: 'name'|'createdAt',
+ *   sortOrder?: 'asc'|'desc',
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} [options] - Search and pagination options.
+ * @returns {Promise<{suppliers: Array<import('@prisma/client').Supplier>, totalSuppliers: number}>} Suppliers with pagination metadata.
+ */
+export async function getSuppliersApi({
+  search = "",
+  owedOnly = false,
+  sortBy,
+  sortOrder,
+  cursor = null,
+  direction = "forward",
+  limit = 20,
+} = {}) {
+  const params = new URLSearchParams({ limit: limit.toString(), direction });
+  if (search) params.append("search", search);
+  if (owedOnly) params.append("owedOnly", "true");
+  if (sortBy) params.append("sortBy", sortBy);
+  if (sortOrder) params.append("sortOrder", sortOrder);
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(`/api/suppliers?${params.toString()}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch suppliers");
+  }
+  return response.json();
+}
+
+/**
+ * Creates a new supplier by sending a POST request to the API.
+ * @param {z.infer<SupplierCreateInput>} newSupplierData - The data for the new supplier.
+ * @returns {Promise<import('@prisma/client').Supplier>} The newly created supplier.
+ */
+export async function createSupplierApi(newSupplierData) {
+  const response = await fetch("/api/suppliers", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(newSupplierData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to create supplier");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches a single supplier.
+ * @param {string} supplierId - The ID of the supplier.
+ * @returns {Promise<import('@prisma/client').Supplier>} The supplier.
+ */
+export async function getSupplierApi(supplierId) {
+  const response = await fetch(`/api/suppliers/${supplierId}`);
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch supplier");
+  }
+  return response.json();
+}
+
+/**
+ * Updates a supplier's contact details by sending a PUT request to the API.
+ * @param {{supplierId: string, supplierData: z.infer<import('@/lib/zod-schemas').supplierUpdateSchema>}} params - The supplier and the fields to update.
+ * @returns {Promise<import('@prisma/client').Supplier>} The updated supplier.
+ */
+export async function updateSupplierApi({ supplierId, supplierData }) {
+  const response = await fetch(`/api/suppliers/${supplierId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(supplierData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to update supplier");
+  }
+  return response.json();
+}
+
+/**
+ * Deletes a supplier by sending a DELETE request to the API.
+ * @param {string} supplierId - The ID of the supplier to delete.
+ * @returns {Promise<object>} The API response.
+ */
+export async function deleteSupplierApi(supplierId) {
+  const response = await fetch(`/api/suppliers/${supplierId}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to delete supplier");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the suppliers the shop currently owes money to.
+ * @returns {Promise<{suppliers: Array<object>, totalOutstanding: number}>} The suppliers owed and the total.
+ */
+export async function getSupplierPayablesApi() {
+  const response = await fetch("/api/suppliers/payables");
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch supplier payables");
+  }
+  return response.json();
+}
+
+/**
+ * Fetches the payables ledger of a supplier with cursor pagination.
+ * @param {string} supplierId - The ID of the supplier.
+ * @param {{cursor?: string|null, direction?: 'forward'|'backward', limit?: number}} [options] - Pagination options.
+ * @returns {Promise<object>} Ledger entries with pagination metadata.
+ */
+export async function getSupplierLedgerApi(
+  supplierId,
+  { cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  const params = new URLSearchParams({
+    limit: limit.toString(),
+    direction,
+  });
+  if (cursor) params.append("cursor", cursor);
+
+  const response = await fetch(
+    `/api/suppliers/${supplierId}/ledger?${params.toString()}`
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to fetch supplier ledger");
+  }
+  return response.json();
+}
+
+/**
+ * Records a payment made to a supplier by sending a POST request to the API.
+ * @param {string} supplierId - The ID of the supplier being paid.
+ * @param {z.infer<import('@/lib/zod-schemas').supplierPaymentSchema>} paymentData - The payment to record.
+ * @returns {Promise<import('@prisma/client').SupplierPayment>} The recorded payment.
+ */
+export async function createSupplierPaymentApi(supplierId, paymentData) {
+  const response = await fetch(`/api/suppliers/${supplierId}/payments`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(paymentData),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || "Failed to record payment");
+  }
+  return response.json();
+}
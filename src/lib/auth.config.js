@@ -1,8 +1,15 @@
 // src/lib/auth.config.js
 
 import GoogleProvider from "next-auth/providers/google";
-import prisma from "./prisma";
+import { getUserAccessByEmail } from "./data/users";
 import { upsertUserAndCreateShop } from "./services/user-service";
+import { getSubscriptionAccess } from "./services/subscription-service";
+import { resolveSubscriptionStatus } from "./config/subscription-config";
+
+// How long the subscription status in a token is trusted before it is read
+// from the database again. Role and shop membership are re-checked on every
+// API request by `authorize`, so this never delays revoking access.
+const ACCESS_RECHECK_INTERVAL_MS = 5 * 60 * 1000;
 
 /**
  * @type {import('next-auth').NextAuthConfig}
@@ -58,23 +65,41 @@ export const authConfig = {
 
     /**
      * This callback enriches the JWT with data from your database.
-     * It's called after a successful sign-in to create the token.
+     * It's called after a successful sign-in to create the token, on an
+     * explicit session update (e.g. after choosing a plan), and when the
+     * session is read on the server with access data older than a few
+     * minutes, so the subscription status stays current without every
+     * request querying it. API routes re-check role and shop membership
+     * themselves through `authorize`. The Edge middleware cannot reach the
+     * database and keeps the token as it is.
      */
-    async jwt({ token, user }) {
-      // On initial sign-in, find the user in your database.
-      if (user) {
-        const dbUser = await prisma.user.findUnique({
-          where: { email: user.email },
-          include: { shop: true },
-        });
+    async jwt({ token, user, trigger }) {
+      const email = user?.email ?? token.email;
+      if (!email || (!user && process.env.NEXT_RUNTIME === "edge")) {
+        return token;
+      }
 
-        // Persist the database ID, role, and shopId to the token.
-        if (dbUser) {
-          token.id = dbUser.id;
-          token.role = dbUser.role;
-          token.shopId = dbUser.shop?.id;
-        }
+      const isFresh =
+        token.accessCheckedAt &&
+        Date.now() - token.accessCheckedAt < ACCESS_RECHECK_INTERVAL_MS;
+      if (!user && trigger !== "update" && isFresh) {
+        return token;
+      }
+
+      // Persist the database ID, role, the shop the user owns or works in
+      // and that shop's subscription status to the token.
+      const access = await getUserAccessByEmail(email);
+      if (access) {
+        const subscription = access.shopId
+          ? await getSubscriptionAccess(access.shopId)
+          : { status: null, trialEndsAt: null };
+        token.id = access.id;
+        token.role = access.role;
+        token.shopId = access.shopId;
+        token.subscriptionStatus = subscription.status;
+        token.trialEndsAt = subscription.trialEndsAt;
       }
+      token.accessCheckedAt = Date.now();
       return token;
     },
 
@@ -83,11 +108,18 @@ export const authConfig = {
      * This is the missing piece that makes the user ID available to your app.
      */
     async session({ session, token }) {
-      // Transfer the user ID, role, and shopId from the token to the session object.
+      // Transfer the user ID, role, shopId and subscription status from the
+      // token to the session object. A trial that ended since the token was
+      // refreshed makes the shop read-only straight away.
       if (token.id && session.user) {
         session.user.id = token.id;
         session.user.role = token.role;
         session.user.shopId = token.shopId;
+        session.user.subscriptionStatus = resolveSubscriptionStatus(
+          token.subscriptionStatus,
+          token.trialEndsAt
+        );
+        session.user.trialEndsAt = token.trialEndsAt ?? null;
       }
       return session;
     },
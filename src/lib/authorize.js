@@ -0,0 +1,86 @@
+// src/lib/authorize.js
+
+import { NextResponse } from "next/server";
+import { auth } from "@/auth";
+import {
+  getPermissionDeniedMessage,
+  hasPermission,
+  isAllowedWhenReadOnly,
+} from "@/lib/config/permissions-config";
+import { isSubscriptionReadOnly } from "@/lib/config/subscription-config";
+import { getUserAccessById } from "@/lib/data/users";
+import { recordLapsedTrial } from "@/lib/services/subscription-service";
+
+/**
+ * Guards an API route handler. Resolves the session and checks that the user
+ * belongs to a shop and that their role has the permission. Shop membership
+ * and role are read from the database on every call rather than trusted from
+ * the token, so removing a staff member or changing their role takes effect
+ * on their next request. While the shop's
+ * subscription is expired, only permissions that read data or choose a plan
+ * are granted. A free trial that ended since the session was refreshed is
+ * recorded as expired here.
+ *
+ * @example
+ * const { session, response } = await authorize("products:delete");
+ * if (response) return response;
+ *
+ * @param {string} permission - The permission the handler requires.
+ * @returns {Promise<{session: import('next-auth').Session, response?: undefined} | {session?: undefined, response: NextResponse}>}
+ *   The session, or a 401/403 response, or a 402 response with code
+ *   "SUBSCRIPTION_EXPIRED", to return as is.
+ */
+export async function authorize(permission) {
+  const session = await auth();
+  if (!session?.user?.shopId) {
+    return {
+      response: NextResponse.json({ error: "Unauthorized" }, { status: 401 }),
+    };
+  }
+
+  // The token is only refreshed every few minutes, so check the user still
+  // belongs to the shop and use their current role
+  const access = await getUserAccessById(session.user.id);
+  if (access?.shopId !== session.user.shopId) {
+    return {
+      response: NextResponse.json({ error: "Unauthorized" }, { status: 401 }),
+    };
+  }
+  session.user.role = access.role;
+
+  if (!hasPermission(session.user.role, permission)) {
+    return {
+      response: NextResponse.json(
+        { error: getPermissionDeniedMessage(permission) },
+        { status: 403 }
+      ),
+    };
+  }
+
+  // The session only carries the trial end while the recorded status is
+  // still TRIALING, so this writes at most until the token is refreshed
+  if (
+    session.user.trialEndsAt &&
+    session.user.subscriptionStatus === "EXPIRED"
+  ) {
+    await recordLapsedTrial(session.user.shopId);
+  }
+
+  if (
+    isSubscriptionReadOnly(session.user.subscriptionStatus) &&
+    !isAllowedWhenReadOnly(permission)
+  ) {
+    return {
+      response: NextResponse.json(
+        {
+          error:
+            "Your subscription has expired, so the shop is read-only. Choose a plan to make changes again.",
+          code: "SUBSCRIPTION_EXPIRED",
+        },
+        { status: 402 }
+      ),
+    };
+  }
+
+  return { session };
+}
@@ -0,0 +1,131 @@
+/**
+ * Inventory configuration
+ * Centralizes the labels and options used by stock movement and adjustment
+ * features so that the API layer and UI share a single source of truth.
+ */
+
+/**
+ * Reasons a shop owner can select when manually adjusting stock.
+ * Values mirror the `StockAdjustmentReason` Prisma enum.
+ * @type {Array<{value: string, label: string, description: string}>}
+ */
+export const stockAdjustmentReasons = [
+  {
+    value: "DAMAGE",
+    label: "Damage",
+    description: "Items broken, spoiled or otherwise unsellable.",
+  },
+  {
+    value: "SHRINKAGE",
+    label: "Shrinkage",
+    description: "Items lost or stolen.",
+  },
+  {
+    value: "COUNT_CORRECTION",
+    label: "Count Correction",
+    description: "Fixing a miscount found during a physical count.",
+  },
+  {
+    value: "OTHER",
+    label: "Other",
+    description: "Any other reason. A note is required.",
+  },
+];
+
+/**
+ * Human-readable labels for each `StockMovementType`.
+ * @type {Record<string, string>}
+ */
+export const stockMovementTypeLabels = {
+  INITIAL: "Initial Stock",
+  ADJUSTMENT: "Adjustment",
+  PURCHASE: "Purchase",
+  SALE: "Sale",
+  RETURN: "Customer Return",
+};
+
+/**
+ * Payment options when finalizing a purchase receipt.
+ * Values mirror the `PurchasePaymentStatus` Prisma enum.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const purchasePaymentStatuses = [
+  { value: "PAID", label: "Paid in Full" },
+  { value: "ON_CREDIT", label: "On Credit" },
+];
+
+/**
+ * Ways a product's purchase price can be updated when stock is received.
+ * Values mirror the `CostingMethod` Prisma enum.
+ * @type {Array<{value: string, label: string, description: string}>}
+ */
+export const costingMethods = [
+  {
+    value: "WEIGHTED_AVERAGE",
+    label: "Weighted Average",
+    description: "Average the cost of stock on hand with the cost of new stock.",
+  },
+  {
+    value: "LAST_PURCHASE_PRICE",
+    label: "Last Purchase Price",
+    description: "Use the unit cost of the most recent receipt.",
+  },
+];
+
+/**
+ * Returns the display label for a stock adjustment reason value.
+ * @param {string|null} reason - The `StockAdjustmentReason` value.
+ * @returns {string} The label, or an empty string when no reason is set.
+ */
+export function getStockAdjustmentReasonLabel(reason) {
+  if (!reason) return "";
+  return (
+    stockAdjustmentReasons.find((option) => option.value === reason)?.label ||
+    reason
+  );
+}
+
+/**
+ * Display labels for supplier ledger entry types.
+ * Keys mirror the `SupplierLedgerEntryType` Prisma enum.
+ * @type {Record<string, string>}
+ */
+export const supplierLedgerEntryTypeLabels = {
+  PURCHASE: "Purchase on credit",
+  PAYMENT: "Payment",
+};
+
+/**
+ * Display labels for purchase order statuses.
+ * Keys mirror the `PurchaseOrderStatus` Prisma enum.
+ * @type {Record<string, string>}
+ */
+export const purchaseOrderStatusLabels = {
+  DRAFT: "Draft",
+  ORDERED: "Ordered",
+  RECEIVED: "Received",
+  CANCELLED: "Cancelled",
+};
+
+/**
+ * Parameters of the reorder suggestion calculation.
+ * - defaultLeadTimeDays: used for suppliers without a lead time, and for products without a supplier.
+ * - salesWindowDays: how far back sales are averaged to estimate daily sales velocity.
+ * - coverageDays: how many days of sales an order should cover after it arrives.
+ */
+export const reorderSettings = {
+  defaultLeadTimeDays: 7,
+  salesWindowDays: 30,
+  coverageDays: 30,
+};
+
+/**
+ * Display labels for stocktake statuses.
+ * Keys mirror the `StocktakeStatus` Prisma enum.
+ * @type {Record<string, string>}
+ */
+export const stocktakeStatusLabels = {
+  IN_PROGRESS: "In Progress",
+  APPROVED: "Approved",
+  CANCELLED: "Cancelled",
+};
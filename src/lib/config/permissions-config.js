@@ -0,0 +1,119 @@
+/**
+ * Permissions configuration
+ * Central map of what each role may do. API route guards, server pages and
+ * client controls all check against it, so a permission is granted or
+ * revoked in one place.
+ */
+
+/**
+ * Every permission, with the action it allows as used in error messages
+ * ("You do not have permission to <action>.").
+ * @type {Record<string, string>}
+ */
+export const permissions = {
+  "dashboard:view": "view the dashboard",
+  "products:view": "view products",
+  "products:create": "create products",
+  "products:update": "edit products",
+  "products:delete": "delete products",
+  "products:changeStatus": "deactivate or reactivate products",
+  "products:import": "import products",
+  "products:export": "export products",
+  "categories:view": "view categories",
+  "categories:manage": "create, edit or delete categories",
+  "stock:view": "view stock history",
+  "stock:receive": "receive stock",
+  "stock:adjust": "adjust stock",
+  "stocktakes:count": "count stock",
+  "stocktakes:approve": "approve or cancel stocktakes",
+  "purchaseOrders:view": "view purchase orders",
+  "purchaseOrders:manage": "create or change purchase orders",
+  "sales:view": "view sales",
+  "sales:create": "record sales",
+  "sales:return": "record returns",
+  "sales:overridePrice": "override sale prices",
+  "customers:view": "view customers",
+  "customers:manage": "create customers",
+  "customers:recordPayment": "record customer payments",
+  "suppliers:view": "view suppliers",
+  "suppliers:manage": "create, edit or delete suppliers",
+  "suppliers:recordPayment": "record supplier payments",
+  "reports:view": "view reports",
+  "shop:view": "view shop settings",
+  "shop:manage": "change shop settings",
+  "staff:manage": "manage staff",
+  "subscription:manage": "manage the subscription",
+};
+
+// Day-to-day work at the counter and in the stock room
+const STAFF_PERMISSIONS = [
+  "dashboard:view",
+  "products:view",
+  "products:create",
+  "categories:view",
+  "stock:view",
+  "stock:receive",
+  "stocktakes:count",
+  "purchaseOrders:view",
+  "sales:view",
+  "sales:create",
+  "sales:return",
+  "customers:view",
+  "customers:manage",
+  "customers:recordPayment",
+  "suppliers:view",
+  "shop:view",
+];
+
+/**
+ * Permissions granted to each role.
+ * Keys mirror the `Role` Prisma enum.
+ * @type {Record<string, Set<string>>}
+ */
+export const rolePermissions = {
+  SHOP_OWNER: new Set(Object.keys(permissions)),
+  SHOP_STAFF: new Set(STAFF_PERMISSIONS),
+};
+
+/**
+ * Permissions that stay available while a shop is read-only because its
+ * subscription expired: viewing and exporting data, and choosing a plan.
+ * @type {Set<string>}
+ */
+export const readOnlyPermissions = new Set([
+  ...Object.keys(permissions).filter((permission) =>
+    permission.endsWith(":view")
+  ),
+  "products:export",
+  "subscription:manage",
+]);
+
+/**
+ * Checks whether a role has a permission.
+ * @param {string|undefined} role - The user's role.
+ * @param {string} permission - The permission to check, e.g. "products:delete".
+ * @returns {boolean} True if the role has the permission.
+ */
+export function hasPermission(role, permission) {
+  return rolePermissions[role]?.has(permission) ?? false;
+}
+
+/**
+ * Checks whether a permission may be used while the shop is read-only.
+ * @param {string} permission - The permission to check.
+ * @returns {boolean} True if the permission only reads data or picks a plan.
+ */
+export function isAllowedWhenReadOnly(permission) {
+  return readOnlyPermissions.has(permission);
+}
+
+/**
+ * Returns the error message for a missing permission.
+ * @param {string} permission - The permission that was missing.
+ * @returns {string} The error message.
+ */
+export function getPermissionDeniedMessage(permission) {
+  return `You do not have permission to ${
+    permissions[permission] ?? "do this"
+  }.`;
+}
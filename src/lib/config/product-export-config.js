@@ -0,0 +1,59 @@
+/**
+ * Product export configuration
+ * Formats, columns and limits of the product catalog export, shared by the
+ * export menu of the product table and the export service.
+ */
+
+/**
+ * Products read from the database per query while an export streams.
+ * @type {number}
+ */
+export const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Most selected rows a single export may name by ID.
+ * @type {number}
+ */
+export const MAX_EXPORT_SELECTED_ROWS = 500;
+
+/**
+ * File formats the export can write.
+ * @type {Array<{value: string, label: string, extension: string, contentType: string}>}
+ */
+export const productExportFormats = [
+  {
+    value: "csv",
+    label: "CSV",
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+  },
+  {
+    value: "xlsx",
+    label: "Excel (XLSX)",
+    extension: "xlsx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  {
+    value: "json",
+    label: "JSON",
+    extension: "json",
+    contentType: "application/json; charset=utf-8",
+  },
+];
+
+/**
+ * Columns the export can include. `id` matches the product table column
+ * ID, so the columns shown in the table pick what is exported.
+ * @type {Array<{id: string, header: string}>}
+ */
+export const productExportColumns = [
+  { id: "name", header: "Name" },
+  { id: "category", header: "Category" },
+  { id: "sellingPrice", header: "Selling Price" },
+  { id: "stock", header: "Stock" },
+  { id: "unit", header: "Unit" },
+  { id: "purchasePrice", header: "Purchase Price" },
+  { id: "createdAt", header: "Created" },
+  { id: "isActive", header: "Status" },
+];
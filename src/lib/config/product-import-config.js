@@ -0,0 +1,128 @@
+/**
+ * Product import configuration
+ * Fields, modes and limits of the CSV/XLSX product import, shared by the
+ * import wizard and the import service.
+ */
+
+/**
+ * Largest file accepted for import, in bytes.
+ * @type {number}
+ */
+export const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Most data rows a single import may contain.
+ * @type {number}
+ */
+export const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Rows written per database transaction when committing an import.
+ * @type {number}
+ */
+export const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * File types the import accepts, by extension.
+ * @type {string[]}
+ */
+export const importFileExtensions = [".csv", ".xlsx"];
+
+/**
+ * Product fields a spreadsheet column can be mapped to. `aliases` are the
+ * lower-cased column headers matched automatically.
+ * @type {Array<{value: string, label: string, required: boolean, aliases: string[]}>}
+ */
+export const productImportFields = [
+  {
+    value: "name",
+    label: "Name",
+    required: true,
+    aliases: ["name", "product", "product name", "item", "title", "nomi"],
+  },
+  {
+    value: "sku",
+    label: "SKU",
+    required: false,
+    aliases: ["sku", "code", "article", "barcode", "artikul"],
+  },
+  {
+    value: "sellingPrice",
+    label: "Selling Price",
+    required: true,
+    aliases: ["selling price", "price", "sale price", "retail price", "narxi"],
+  },
+  {
+    value: "purchasePrice",
+    label: "Purchase Price",
+    required: true,
+    aliases: ["purchase price", "cost", "cost price", "buying price"],
+  },
+  {
+    value: "stock",
+    label: "Stock",
+    required: false,
+    aliases: ["stock", "quantity", "qty", "on hand", "soni"],
+  },
+  {
+    value: "unit",
+    label: "Unit",
+    required: false,
+    aliases: ["unit", "uom", "unit of measure"],
+  },
+  {
+    value: "reorderPoint",
+    label: "Reorder Point",
+    required: false,
+    aliases: ["reorder point", "reorder level", "min stock", "minimum stock"],
+  },
+  {
+    value: "category",
+    label: "Category",
+    required: false,
+    aliases: ["category", "group", "kategoriya"],
+  },
+];
+
+/**
+ * How imported rows are matched against existing products.
+ * @type {Array<{value: string, label: string, description: string}>}
+ */
+export const productImportModes = [
+  {
+    value: "CREATE_ONLY",
+    label: "Create only",
+    description:
+      "Add new products. Rows whose name or SKU already exists are reported as errors.",
+  },
+  {
+    value: "UPSERT",
+    label: "Create or update",
+    description:
+      "Update products matched by SKU, or by name when the row has no SKU, and add the rest. Stock of existing products is left unchanged.",
+  },
+];
+
+/**
+ * Suggests a column for each field by matching the column headers against
+ * the field aliases.
+ * @param {string[]} headers - The column headers of the file.
+ * @returns {Record<string, number>} Column index per field, for matched fields.
+ */
+export function suggestImportMapping(headers) {
+  const normalized = headers.map((header) =>
+    String(header ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s*\(.*\)$/, "")
+  );
+
+  return Object.fromEntries(
+    productImportFields
+      .map((field) => [
+        field.value,
+        normalized.findIndex((header) => field.aliases.includes(header)),
+      ])
+      .filter(([, index]) => index !== -1)
+  );
+}
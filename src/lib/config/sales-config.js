@@ -0,0 +1,60 @@
+/**
+ * Sales configuration
+ * Centralizes the labels and options used by sales and customer receivables
+ * features so that the API layer and UI share a single source of truth.
+ */
+
+/**
+ * Ways a sale can be settled.
+ * Values mirror the `SalePaymentType` Prisma enum.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const salePaymentTypes = [
+  { value: "CASH", label: "Cash" },
+  { value: "ON_ACCOUNT", label: "On Account" },
+];
+
+/**
+ * Formats a sale receipt can be generated in.
+ * Values mirror the `format` query parameter of `/api/sales/[id]/receipt`.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const receiptFormats = [
+  { value: "html", label: "A4 page" },
+  { value: "text-58", label: "Text, 58mm" },
+  { value: "text-80", label: "Text, 80mm" },
+  { value: "escpos-58", label: "ESC/POS, 58mm" },
+  { value: "escpos-80", label: "ESC/POS, 80mm" },
+];
+
+/**
+ * Display labels for customer ledger entry types.
+ * Keys mirror the `CustomerLedgerEntryType` Prisma enum.
+ * @type {Record<string, string>}
+ */
+export const customerLedgerEntryTypeLabels = {
+  CHARGE: "Sale on account",
+  PAYMENT: "Payment",
+  RETURN: "Return / exchange",
+};
+
+/**
+ * Ways a customer can pay off their balance.
+ * Values mirror the `PaymentMethod` Prisma enum.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const paymentMethods = [
+  { value: "CASH", label: "Cash" },
+  { value: "CARD", label: "Card" },
+  { value: "TRANSFER", label: "Bank Transfer" },
+];
+
+/**
+ * Returns the display label for a payment method.
+ * @param {string|null|undefined} method - The `PaymentMethod` enum value.
+ * @returns {string} The label, or an empty string when no method is given.
+ */
+export function getPaymentMethodLabel(method) {
+  if (!method) return "";
+  return paymentMethods.find((option) => option.value === method)?.label || method;
+}
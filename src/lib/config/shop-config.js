@@ -0,0 +1,98 @@
+/**
+ * Shop configuration
+ * Options for the shop settings that the settings page, receipts and
+ * product forms share.
+ */
+
+/**
+ * IANA time zone the shop trades in. Report days, date filters and other day
+ * boundaries all start at midnight in this zone, whatever the server's or the
+ * browser's own zone is. Set `NEXT_PUBLIC_SHOP_TIME_ZONE` to override it; it
+ * is inlined at build time so server and client code agree on the zone.
+ * @type {string}
+ */
+export const SHOP_TIME_ZONE =
+  process.env.NEXT_PUBLIC_SHOP_TIME_ZONE || "Asia/Tashkent";
+
+/**
+ * Ways money amounts can be displayed.
+ * Values mirror the `CurrencyFormat` Prisma enum.
+ * @type {Array<{value: string, label: string, thousandSeparator: string, suffix: string}>}
+ */
+export const currencyFormats = [
+  {
+    value: "SPACE_SOM",
+    label: "1 234 567 so'm",
+    thousandSeparator: " ",
+    suffix: " so'm",
+  },
+  {
+    value: "COMMA_SOM",
+    label: "1,234,567 so'm",
+    thousandSeparator: ",",
+    suffix: " so'm",
+  },
+  {
+    value: "SPACE_UZS",
+    label: "1 234 567 UZS",
+    thousandSeparator: " ",
+    suffix: " UZS",
+  },
+];
+
+/**
+ * Units of measure offered when adding products, unless the shop has set its
+ * own list.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const commonUnits = [
+  { value: "pieces", label: "Pieces" },
+  { value: "kg", label: "Kilograms (kg)" },
+  { value: "g", label: "Grams (g)" },
+  { value: "lbs", label: "Pounds (lbs)" },
+  { value: "liters", label: "Liters" },
+  { value: "ml", label: "Milliliters (ml)" },
+  { value: "boxes", label: "Boxes" },
+  { value: "packs", label: "Packs" },
+  { value: "bottles", label: "Bottles" },
+  { value: "meters", label: "Meters (m)" },
+  { value: "feet", label: "Feet (ft)" },
+];
+
+/**
+ * Looks up a currency display format, falling back to the default one.
+ * @param {string} [currencyFormat="SPACE_SOM"] - The shop's `CurrencyFormat`.
+ * @returns {{value: string, label: string, thousandSeparator: string, suffix: string}} The format.
+ */
+export function getCurrencyFormat(currencyFormat = "SPACE_SOM") {
+  return (
+    currencyFormats.find((format) => format.value === currencyFormat) ??
+    currencyFormats[0]
+  );
+}
+
+/**
+ * Groups the digits of an amount, e.g. "1 234 567".
+ * @param {number} value - The amount in so'm.
+ * @param {string} [currencyFormat="SPACE_SOM"] - The shop's `CurrencyFormat`.
+ * @returns {string} The grouped digits, with a minus sign when negative.
+ */
+export function formatAmount(value, currencyFormat = "SPACE_SOM") {
+  const { thousandSeparator } = getCurrencyFormat(currencyFormat);
+  const digits = String(Math.abs(value)).replace(
+    /\B(?=(\d{3})+(?!\d))/g,
+    thousandSeparator
+  );
+  return value < 0 ? `-${digits}` : digits;
+}
+
+/**
+ * Formats an amount with the currency, e.g. "1 234 567 so'm".
+ * @param {number} value - The amount in so'm.
+ * @param {string} [currencyFormat="SPACE_SOM"] - The shop's `CurrencyFormat`.
+ * @returns {string} The formatted amount.
+ */
+export function formatCurrency(value, currencyFormat = "SPACE_SOM") {
+  const { suffix } = getCurrencyFormat(currencyFormat);
+  return `${formatAmount(value, currencyFormat)}${suffix}`;
+}
@@ -0,0 +1,113 @@
+/**
+ * Subscription configuration
+ * Plan names and the limits each plan allows, following the monetization
+ * strategy. The API enforces the limits; the UI shows usage against them.
+ */
+
+/**
+ * Display labels for subscription plans.
+ * Keys mirror the `SubscriptionPlan` Prisma enum.
+ * @type {Record<string, string>}
+ */
+export const subscriptionPlanLabels = {
+  FREE_TRIAL: "Free Trial",
+  BASIC: "Basic",
+  STANDARD: "Standard",
+  PREMIUM: "Premium",
+};
+
+/**
+ * Display labels for subscription statuses.
+ * Keys mirror the `SubscriptionStatus` Prisma enum.
+ * @type {Record<string, string>}
+ */
+export const subscriptionStatusLabels = {
+  TRIALING: "Free trial",
+  ACTIVE: "Active",
+  EXPIRED: "Expired",
+  CANCELED: "Canceled",
+};
+
+/**
+ * Statuses in which a shop is read-only: data can be viewed and exported but
+ * not changed until a plan is chosen.
+ * @type {string[]}
+ */
+export const READ_ONLY_SUBSCRIPTION_STATUSES = ["EXPIRED", "CANCELED"];
+
+/**
+ * Checks whether a subscription status makes the shop read-only.
+ * @param {string|null|undefined} status - The subscription status.
+ * @returns {boolean} True if the shop is read-only.
+ */
+export function isSubscriptionReadOnly(status) {
+  return READ_ONLY_SUBSCRIPTION_STATUSES.includes(status);
+}
+
+/**
+ * Returns the status a subscription has right now: a free trial whose end
+ * has passed counts as expired even before that is recorded.
+ * @param {string|null|undefined} status - The recorded subscription status.
+ * @param {number|null|undefined} trialEndsAt - End of the free trial, in milliseconds since the epoch.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds since the epoch.
+ * @returns {string|null|undefined} The current status.
+ */
+export function resolveSubscriptionStatus(status, trialEndsAt, now = Date.now()) {
+  return status === "TRIALING" && trialEndsAt && trialEndsAt <= now
+    ? "EXPIRED"
+    : status;
+}
+
+/**
+ * Billing cycles a paid plan can be bought for.
+ * Values mirror the `BillingCycle` Prisma enum.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const billingCycles = [
+  { value: "MONTHLY", label: "Monthly" },
+  { value: "ANNUAL", label: "Annual" },
+];
+
+/**
+ * Plans a shop can subscribe to, cheapest first.
+ * @type {string[]}
+ */
+export const paidSubscriptionPlans = ["BASIC", "STANDARD", "PREMIUM"];
+
+/**
+ * Simulated prices in so'm per billing cycle. Annual billing costs ten
+ * months for twelve.
+ * @type {Record<string, Record<string, number>>}
+ */
+export const subscriptionPlanPrices = {
+  BASIC: { MONTHLY: 35000, ANNUAL: 350000 },
+  STANDARD: { MONTHLY: 99000, ANNUAL: 990000 },
+  PREMIUM: { MONTHLY: 199000, ANNUAL: 1990000 },
+};
+
+/**
+ * What each plan limit counts, as used in messages ("up to 300 products").
+ * @type {Record<string, {one: string, other: string}>}
+ */
+export const planLimitResources = {
+  products: { one: "product", other: "products" },
+  users: { one: "user account", other: "user accounts" },
+};
+
+/**
+ * Caps per plan; `null` means unlimited. User accounts include the shop
+ * owner. The free trial gets the Premium limits.
+ * @type {Record<string, Record<string, number|null>>}
+ */
+export const planLimits = {
+  FREE_TRIAL: { products: null, users: 7 },
+  BASIC: { products: 300, users: 1 },
+  STANDARD: { products: 1500, users: 3 },
+  PREMIUM: { products: null, users: 7 },
+};
+
+/**
+ * Share of a limit in use from which the UI warns that the cap is near.
+ * @type {number}
+ */
+export const PLAN_USAGE_WARNING_RATIO = 0.8;
@@ -7,6 +7,22 @@ import { normalizeCategoryName } from "@/lib/utils";
  * @typedef {import('@/lib/zod-schemas').categoryCreateSchema} CategoryCreateInput
  */
 
+/**
+ * Fetches a single category for a specific shop.
+ * @param {string} categoryId - The ID of the category.
+ * @param {string} shopId - The ID of the shop the category belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Category|null>} The category, or null if not found in the shop.
+ */
+export async function getCategoryById(categoryId, shopId, db = prisma) {
+  return db.category.findFirst({
+    where: {
+      id: categoryId,
+      shopId,
+    },
+  });
+}
+
 /**
  * Checks if a category name already exists for a specific shop.
  * @param {string} shopId - The ID of the shop to check within.
@@ -45,20 +61,38 @@ export async function isCategoryNameTaken(
   return !!existingCategory;
 }
 
+/**
+ * Finds the shop's categories with any of the given names.
+ * @param {string} shopId - The ID of the shop.
+ * @param {string[]} names - Normalized category names to look up.
+ * @returns {Promise<Array<{id: string, name: string}>>} The matching categories.
+ */
+export async function getCategoriesByNames(shopId, names) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  return prisma.category.findMany({
+    where: { shopId, name: { in: names } },
+    select: { id: true, name: true },
+  });
+}
+
 /**
  * Creates a new category for a specific shop.
  * @param {z.infer<CategoryCreateInput>} categoryData - The validated category data.
  * @param {string} shopId - The ID of the shop this category belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
  * @returns {Promise<import('@prisma/client').Category & {productCount: number}>} The newly created category with product count.
  */
-export async function createCategory(categoryData, shopId) {
+export async function createCategory(categoryData, shopId, db = prisma) {
   // Normalize the category name before creating
   const normalizedCategoryData = {
     ...categoryData,
     name: normalizeCategoryName(categoryData.name),
   };
 
-  const category = await prisma.category.create({
+  const category = await db.category.create({
     data: {
       ...normalizedCategoryData,
       shopId: shopId,
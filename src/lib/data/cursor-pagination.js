@@ -0,0 +1,123 @@
+// src/lib/data/cursor-pagination.js
+
+/**
+ * @typedef {object} CursorPage
+ * @property {Array<object>} items - The records on the current page.
+ * @property {string|null} nextCursor - Cursor for the next page, null if no more pages.
+ * @property {string|null} prevCursor - Cursor for the previous page, null if first page.
+ * @property {boolean} hasNextPage - Whether there are more pages after this one.
+ * @property {boolean} hasPrevPage - Whether there are pages before this one.
+ */
+
+/**
+ * Encodes a record position into an opaque Base64 cursor.
+ * @param {object} record - The record to encode (must include `id` and the sort field).
+ * @param {string} sortBy - The field the list is ordered by.
+ * @returns {string} Base64 encoded cursor
+ */
+export function encodeCursor(record, sortBy) {
+  return Buffer.from(
+    JSON.stringify({ id: record.id, value: record[sortBy] })
+  ).toString("base64");
+}
+
+/**
+ * Decodes a Base64 cursor produced by `encodeCursor`.
+ * @param {string|null} cursor - The cursor to decode.
+ * @returns {{id: string, value: any}|null} The decoded cursor, or null if invalid.
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64").toString());
+  } catch (error) {
+    console.error("Invalid cursor format:", error);
+    return null;
+  }
+}
+
+/**
+ * Fetches a page of records from a Prisma model delegate using keyset pagination
+ * on `sortBy` with `id` as the tie-breaker. Intended for append-only ledgers
+ * (stock movements, sales, payments) that are listed newest-first.
+ *
+ * @param {object} delegate - Prisma model delegate (e.g. `prisma.stockMovement`).
+ * @param {{
+ *   where: object,
+ *   select?: object,
+ *   include?: object,
+ *   cursor?: string|null,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number,
+ *   sortBy?: string,
+ *   sortOrder?: 'asc'|'desc'
+ * }} options - Query and pagination options.
+ * @returns {Promise<CursorPage>} The requested page with cursor metadata.
+ */
+export async function findManyWithCursor(
+  delegate,
+  {
+    where,
+    select,
+    include,
+    cursor = null,
+    direction = "forward",
+    limit = 10,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+  }
+) {
+  const isForward = direction === "forward";
+  const isDesc = sortOrder === "desc";
+
+  // Walk the index in the opposite order when paginating backward
+  const effectiveOrder = isForward === isDesc ? "desc" : "asc";
+  const operator = isForward === isDesc ? "lt" : "gt";
+
+  const decoded = decodeCursor(cursor);
+  // Timestamp fields (createdAt, receivedAt, ...) are serialized as ISO strings
+  const cursorValue =
+    decoded && sortBy.endsWith("At") ? new Date(decoded.value) : decoded?.value;
+  const whereClause = decoded
+    ? {
+        AND: [
+          where,
+          {
+            OR: [
+              { [sortBy]: { [operator]: cursorValue } },
+              { [sortBy]: cursorValue, id: { [operator]: decoded.id } },
+            ],
+          },
+        ],
+      }
+    : where;
+
+  // Fetch one extra item to determine if there are more pages
+  const records = await delegate.findMany({
+    where: whereClause,
+    orderBy: [{ [sortBy]: effectiveOrder }, { id: effectiveOrder }],
+    take: limit + 1,
+    ...(select ? { select } : {}),
+    ...(include ? { include } : {}),
+  });
+
+  const hasMore = records.length > limit;
+  const pageRecords = hasMore ? records.slice(0, limit) : records;
+  const items = isForward ? pageRecords : pageRecords.reverse();
+
+  const hasNextPage = isForward ? hasMore : Boolean(cursor);
+  const hasPrevPage = isForward ? Boolean(cursor) : hasMore;
+
+  return {
+    items,
+    nextCursor:
+      hasNextPage && items.length > 0
+        ? encodeCursor(items[items.length - 1], sortBy)
+        : null,
+    prevCursor:
+      hasPrevPage && items.length > 0 ? encodeCursor(items[0], sortBy) : null,
+    hasNextPage,
+    hasPrevPage,
+  };
+}
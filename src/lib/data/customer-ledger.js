@@ -0,0 +1,150 @@
+// src/lib/data/customer-ledger.js
+
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} CustomerLedgerEntryInput
+ * @property {string} customerId - The customer whose balance changed.
+ * @property {string} shopId - The shop the customer belongs to.
+ * @property {import('@prisma/client').CustomerLedgerEntryType} type - The source of the change.
+ * @property {number} amount - Signed balance change.
+ * @property {number} balanceAfter - Customer balance after applying the change.
+ * @property {string} [userId] - The user who recorded the change.
+ * @property {string} [referenceType] - Originating document type (e.g. "Sale").
+ * @property {string} [referenceId] - Originating document ID.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * Inserts a single customer ledger entry.
+ * Callers are responsible for keeping `Customer.outstandingBalance` in sync, which
+ * is why this should only be invoked through the customer ledger service.
+ * @param {CustomerLedgerEntryInput} entryData - The entry to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').CustomerLedgerEntry>} The created entry.
+ */
+export async function createCustomerLedgerEntry(entryData, db = prisma) {
+  return db.customerLedgerEntry.create({
+    data: entryData,
+  });
+}
+
+/**
+ * Fetches the ledger of a customer, newest first.
+ * @param {string} customerId - The ID of the customer.
+ * @param {string} shopId - The ID of the shop the customer belongs to.
+ * @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number}} options - Pagination options.
+ * @returns {Promise<{entries: Array<object>} & import('./cursor-pagination').CursorPage>} Entries with cursor pagination metadata.
+ */
+export async function getCustomerLedgerCursor(
+  customerId,
+  shopId,
+  { cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.customerLedgerEntry,
+      {
+        where: { customerId, shopId },
+        select: {
+          id: true,
+          type: true,
+          amount: true,
+          balanceAfter: true,
+          referenceType: true,
+          referenceId: true,
+          note: true,
+          createdAt: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+        cursor,
+        direction,
+        limit,
+      }
+    );
+
+    return { entries: items, ...pagination };
+  } catch (error) {
+    console.error("Error fetching customer ledger:", error);
+    throw new Error("Failed to fetch customer ledger");
+  }
+}
+
+/**
+ * Fetches all ledger entries of a customer in a date range, oldest first,
+ * as needed to print an account statement.
+ * @param {string} customerId - The ID of the customer.
+ * @param {string} shopId - The ID of the shop the customer belongs to.
+ * @param {{gte?: Date, lt?: Date}} [createdAt] - Optional date range filter.
+ * @returns {Promise<Array<object>>} The entries in chronological order.
+ */
+export async function getCustomerLedgerEntries(customerId, shopId, createdAt) {
+  return prisma.customerLedgerEntry.findMany({
+    where: {
+      customerId,
+      shopId,
+      ...(createdAt && { createdAt }),
+    },
+    select: {
+      id: true,
+      type: true,
+      amount: true,
+      balanceAfter: true,
+      referenceType: true,
+      referenceId: true,
+      note: true,
+      createdAt: true,
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+}
+
+/**
+ * Returns a customer's balance as it stood just before a point in time,
+ * taken from the last ledger entry recorded before it.
+ * @param {string} customerId - The ID of the customer.
+ * @param {string} shopId - The ID of the shop the customer belongs to.
+ * @param {Date} before - The (exclusive) point in time.
+ * @returns {Promise<number>} The balance, or 0 if there was no activity yet.
+ */
+export async function getCustomerBalanceBefore(customerId, shopId, before) {
+  const lastEntry = await prisma.customerLedgerEntry.findFirst({
+    where: {
+      customerId,
+      shopId,
+      createdAt: { lt: before },
+    },
+    select: { balanceAfter: true },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+
+  return lastEntry?.balanceAfter ?? 0;
+}
+
+/**
+ * Returns a customer's balance right after the ledger entry recorded for a
+ * document, e.g. the balance printed on the receipt of a sale on account.
+ * @param {string} shopId - The ID of the shop.
+ * @param {string} referenceType - Originating document type (e.g. "Sale").
+ * @param {string} referenceId - Originating document ID.
+ * @returns {Promise<number|null>} The balance, or null if the document did not touch a customer balance.
+ */
+export async function getCustomerBalanceAfterReference(
+  shopId,
+  referenceType,
+  referenceId
+) {
+  const entry = await prisma.customerLedgerEntry.findFirst({
+    where: { shopId, referenceType, referenceId },
+    select: { balanceAfter: true },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+  });
+
+  return entry?.balanceAfter ?? null;
+}
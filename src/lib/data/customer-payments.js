@@ -0,0 +1,26 @@
+// src/lib/data/customer-payments.js
+
+import prisma from "@/lib/prisma";
+
+/**
+ * @typedef {object} CustomerPaymentRecordInput
+ * @property {string} customerId - The paying customer.
+ * @property {string} shopId - The shop receiving the payment.
+ * @property {string} [userId] - The user recording the payment.
+ * @property {number} amount - Amount received.
+ * @property {import('@prisma/client').PaymentMethod} method - How the customer paid.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * Inserts a customer payment.
+ * The balance is not touched here; the payment service applies the matching ledger entry.
+ * @param {CustomerPaymentRecordInput} paymentData - The payment to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').CustomerPayment>} The created payment.
+ */
+export async function createCustomerPaymentRecord(paymentData, db = prisma) {
+  return db.customerPayment.create({
+    data: paymentData,
+  });
+}
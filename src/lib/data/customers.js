@@ -0,0 +1,119 @@
+// src/lib/data/customers.js
+
+import prisma from "@/lib/prisma";
+import { normalizeCustomerName } from "@/lib/utils";
+
+/**
+ * @typedef {import('@/lib/zod-schemas').customerCreateSchema} CustomerCreateInput
+ */
+
+/**
+ * Creates a new customer for a specific shop.
+ * @param {z.infer<CustomerCreateInput>} customerData - The validated customer data.
+ * @param {string} shopId - The ID of the shop this customer belongs to.
+ * @returns {Promise<import('@prisma/client').Customer>} The newly created customer.
+ */
+export async function createCustomer(customerData, shopId) {
+  return prisma.customer.create({
+    data: {
+      ...customerData,
+      name: normalizeCustomerName(customerData.name),
+      email: customerData.email || null,
+      shopId,
+    },
+  });
+}
+
+/**
+ * Fetches a single customer for a specific shop.
+ * @param {string} customerId - The ID of the customer.
+ * @param {string} shopId - The ID of the shop the customer belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Customer|null>} The customer, or null if not found in the shop.
+ */
+export async function getCustomerById(customerId, shopId, db = prisma) {
+  return db.customer.findFirst({
+    where: {
+      id: customerId,
+      shopId,
+    },
+  });
+}
+
+/**
+ * Searches a shop's customers by name or phone for pickers and the customer list.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{search?: string, withBalance?: boolean, limit?: number}} [options] - Search options.
+ * @returns {Promise<Array<import('@prisma/client').Customer>>} Matching customers ordered by name.
+ */
+export async function searchCustomers(
+  shopId,
+  { search = "", withBalance = false, limit = 20 } = {}
+) {
+  const trimmedSearch = search ? search.trim() : "";
+
+  return prisma.customer.findMany({
+    where: {
+      shopId,
+      ...(trimmedSearch && {
+        OR: [
+          { name: { contains: trimmedSearch, mode: "insensitive" } },
+          { phone: { contains: trimmedSearch } },
+        ],
+      }),
+      ...(withBalance && { outstandingBalance: { not: 0 } }),
+    },
+    orderBy: { name: "asc" },
+    take: limit,
+  });
+}
+
+/**
+ * Atomically changes a customer's outstanding balance.
+ * Callers are responsible for recording the matching ledger entry, which is why
+ * this should only be invoked through the customer ledger service.
+ * @param {string} customerId - The ID of the customer.
+ * @param {string} shopId - The ID of the shop the customer belongs to.
+ * @param {number} amount - Signed balance change.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{id: string, name: string, outstandingBalance: number}>} The customer after the change.
+ */
+export async function updateCustomerBalance(
+  customerId,
+  shopId,
+  amount,
+  db = prisma
+) {
+  return db.customer.update({
+    where: {
+      id: customerId,
+      shopId, // Ensure the customer belongs to the shop
+    },
+    data: {
+      outstandingBalance: { increment: amount },
+    },
+    select: {
+      id: true,
+      name: true,
+      outstandingBalance: true,
+    },
+  });
+}
+
+/**
+ * Totals what customers currently owe the shop.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<{totalOutstanding: number, customerCount: number}>} The amount owed and how many customers owe it.
+ */
+export async function getCustomerReceivables(shopId) {
+  const totals = await prisma.customer.aggregate({
+    where: { shopId, outstandingBalance: { gt: 0 } },
+    _sum: { outstandingBalance: true },
+    _count: { _all: true },
+  });
+
+  return {
+    totalOutstanding: totals._sum.outstandingBalance ?? 0,
+    customerCount: totals._count._all,
+  };
+}
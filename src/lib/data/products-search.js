@@ -22,7 +22,7 @@
  * @module ProductSearch
  */
 
-import { PrismaClient } from "@prisma/client";
+import { Prisma, PrismaClient } from "@prisma/client";
 
 const prisma = new PrismaClient();
 
@@ -83,11 +83,26 @@ function getLevenshteinDistance(query) {
     : SEARCH_CONFIG.levenshtein.maxDistance;
 }
 
+/**
+ * SQL condition that hides deactivated products from sales and purchasing
+ * lookups. Reports and the product table search all products.
+ * @param {boolean} activeOnly - Whether to exclude inactive products
+ * @returns {Prisma.Sql} Condition fragment, empty when all products are searched
+ */
+function activeCondition(activeOnly) {
+  return activeOnly ? Prisma.sql`AND p."isActive" = true` : Prisma.empty;
+}
+
 /**
  * Strategy 1: Exact Match
  * Direct equality matching (case-insensitive)
  */
-async function exactMatch(query, shopId, limit = SEARCH_CONFIG.limits.exact) {
+async function exactMatch(
+  query,
+  shopId,
+  limit = SEARCH_CONFIG.limits.exact,
+  activeOnly = false
+) {
   return await prisma.$queryRaw`
     SELECT 
       p.id,
@@ -99,12 +114,14 @@ async function exactMatch(query, shopId, limit = SEARCH_CONFIG.limits.exact) {
       p."purchasePrice",
       p.unit,
       p."createdAt",
+      p."isActive",
       'exact' as match_type,
       1.0 as match_score,
       c.name as category_name
     FROM "Product" p
     LEFT JOIN "Category" c ON p."categoryId" = c.id
     WHERE p."shopId" = ${shopId}
+      ${activeCondition(activeOnly)}
       AND (
         LOWER(p.name) = LOWER(${query})
         OR LOWER(p.sku) = LOWER(${query})
@@ -118,7 +135,12 @@ async function exactMatch(query, shopId, limit = SEARCH_CONFIG.limits.exact) {
  * Strategy 2: Prefix Match
  * Matches items that start with the query
  */
-async function prefixMatch(query, shopId, limit = SEARCH_CONFIG.limits.prefix) {
+async function prefixMatch(
+  query,
+  shopId,
+  limit = SEARCH_CONFIG.limits.prefix,
+  activeOnly = false
+) {
   return await prisma.$queryRaw`
     SELECT 
       p.id,
@@ -130,12 +152,14 @@ async function prefixMatch(query, shopId, limit = SEARCH_CONFIG.limits.prefix) {
       p."purchasePrice",
       p.unit,
       p."createdAt",
+      p."isActive",
       'prefix' as match_type,
       0.9 as match_score,
       c.name as category_name
     FROM "Product" p
     LEFT JOIN "Category" c ON p."categoryId" = c.id
     WHERE p."shopId" = ${shopId}
+      ${activeCondition(activeOnly)}
       AND (
         LOWER(p.name) LIKE LOWER(${query + "%"})
         OR LOWER(p.sku) LIKE LOWER(${query + "%"})
@@ -152,7 +176,8 @@ async function prefixMatch(query, shopId, limit = SEARCH_CONFIG.limits.prefix) {
 async function substringMatch(
   query,
   shopId,
-  limit = SEARCH_CONFIG.limits.substring
+  limit = SEARCH_CONFIG.limits.substring,
+  activeOnly = false
 ) {
   return await prisma.$queryRaw`
     SELECT 
@@ -165,12 +190,14 @@ async function substringMatch(
       p."purchasePrice",
       p.unit,
       p."createdAt",
+      p."isActive",
       'substring' as match_type,
       0.8 as match_score,
       c.name as category_name
     FROM "Product" p
     LEFT JOIN "Category" c ON p."categoryId" = c.id
     WHERE p."shopId" = ${shopId}
+      ${activeCondition(activeOnly)}
       AND (
         LOWER(p.name) LIKE LOWER(${"%" + query + "%"})
         OR LOWER(p.sku) LIKE LOWER(${"%" + query + "%"})
@@ -187,7 +214,8 @@ async function substringMatch(
 async function acronymMatch(
   query,
   shopId,
-  limit = SEARCH_CONFIG.limits.acronym
+  limit = SEARCH_CONFIG.limits.acronym,
+  activeOnly = false
 ) {
   // Create pattern for matching acronyms
   // For "p1" → match "p.*1" pattern in name
@@ -204,12 +232,14 @@ async function acronymMatch(
       p."purchasePrice",
       p.unit,
       p."createdAt",
+      p."isActive",
       'acronym' as match_type,
       0.7 as match_score,
       c.name as category_name
     FROM "Product" p
     LEFT JOIN "Category" c ON p."categoryId" = c.id
     WHERE p."shopId" = ${shopId}
+      ${activeCondition(activeOnly)}
       AND (
         LOWER(p.name) ~ LOWER(${acronymPattern})
         OR LOWER(p.sku) ~ LOWER(${acronymPattern})
@@ -226,7 +256,8 @@ async function acronymMatch(
 async function trigramMatch(
   query,
   shopId,
-  limit = SEARCH_CONFIG.limits.trigram
+  limit = SEARCH_CONFIG.limits.trigram,
+  activeOnly = false
 ) {
   const threshold = getTrigramThreshold(query);
 
@@ -241,6 +272,7 @@ async function trigramMatch(
       p."purchasePrice",
       p.unit,
       p."createdAt",
+      p."isActive",
       'trigram' as match_type,
       GREATEST(
         similarity(LOWER(p.name), LOWER(${query})),
@@ -250,6 +282,7 @@ async function trigramMatch(
     FROM "Product" p
     LEFT JOIN "Category" c ON p."categoryId" = c.id
     WHERE p."shopId" = ${shopId}
+      ${activeCondition(activeOnly)}
       AND (
         similarity(LOWER(p.name), LOWER(${query})) > ${threshold}
         OR similarity(LOWER(p.sku), LOWER(${query})) > ${threshold}
@@ -266,7 +299,8 @@ async function trigramMatch(
 async function levenshteinMatch(
   query,
   shopId,
-  limit = SEARCH_CONFIG.limits.levenshtein
+  limit = SEARCH_CONFIG.limits.levenshtein,
+  activeOnly = false
 ) {
   const maxDistance = getLevenshteinDistance(query);
 
@@ -281,6 +315,7 @@ async function levenshteinMatch(
       p."purchasePrice",
       p.unit,
       p."createdAt",
+      p."isActive",
       'levenshtein' as match_type,
       (1.0 - (LEAST(
         levenshtein(LOWER(p.name), LOWER(${query})),
@@ -290,6 +325,7 @@ async function levenshteinMatch(
     FROM "Product" p
     LEFT JOIN "Category" c ON p."categoryId" = c.id
     WHERE p."shopId" = ${shopId}
+      ${activeCondition(activeOnly)}
       AND (
         levenshtein(LOWER(p.name), LOWER(${query})) <= ${maxDistance}
         OR levenshtein(LOWER(p.sku), LOWER(${query})) <= ${maxDistance}
@@ -316,9 +352,16 @@ async function levenshteinMatch(
 * @param {string} shopId - Shop ID to filter by
  * @param {number} maxResults - Maximum results to return
  * @param {string} dateRangeFilter - Date range filter string
+ * @param {boolean} [activeOnly=false] - Exclude inactive products (sales and purchasing lookups)
  * @returns {Promise<Array>} Ranked search results with match metadata
  */
-export async function fuzzySearchProducts(query, shopId, maxResults = 50, dateRangeFilter = "") {
+export async function fuzzySearchProducts(
+  query,
+  shopId,
+  maxResults = 50,
+  dateRangeFilter = "",
+  activeOnly = false
+) {
   if (!query || query.trim().length === 0) {
     return [];
   }
@@ -341,7 +384,12 @@ export async function fuzzySearchProducts(query, shopId, maxResults = 50, dateRa
         break; // Stop if we have enough results
       }
 
-      const strategyResults = await strategy(normalizedQuery, shopId, maxResults);
+      const strategyResults = await strategy(
+        normalizedQuery,
+        shopId,
+        maxResults,
+        activeOnly
+      );
 
       strategyResults.forEach((product) => {
         if (!results.has(product.id)) {
@@ -349,8 +397,6 @@ export async function fuzzySearchProducts(query, shopId, maxResults = 50, dateRa
             ...product,
             priority,
             // Convert BigInt to regular number for JSON serialization
-            id: Number(product.id),
-            categoryId: product.categoryId ? Number(product.categoryId) : null,
             stock: Number(product.stock),
             sellingPrice: Number(product.sellingPrice),
             purchasePrice: Number(product.purchasePrice),
@@ -425,9 +471,16 @@ export async function fuzzySearchProducts(query, shopId, maxResults = 50, dateRa
  * @param {string} shopId - Shop ID to filter by
 * @param {number} maxResults - Maximum results to return
  * @param {string} dateRangeFilter - Date range filter string
+ * @param {boolean} [activeOnly=false] - Exclude inactive products (sales and purchasing lookups)
  * @returns {Promise<Array>} Search results
  */
-export async function simpleSearchProducts(query, shopId, maxResults = 50, dateRangeFilter = "") {
+export async function simpleSearchProducts(
+  query,
+  shopId,
+  maxResults = 50,
+  dateRangeFilter = "",
+  activeOnly = false
+) {
   if (!query || query.trim().length === 0) {
     return [];
   }
@@ -444,10 +497,12 @@ export async function simpleSearchProducts(query, shopId, maxResults = 50, dateR
         p."purchasePrice",
         p.unit,
         p."createdAt",
+        p."isActive",
         c.name as category_name
       FROM "Product" p
       LEFT JOIN "Category" c ON p."categoryId" = c.id
       WHERE p."shopId" = ${shopId}
+        ${activeCondition(activeOnly)}
         AND (
           LOWER(p.name) LIKE LOWER(${"%" + query.trim() + "%"})
           OR LOWER(p.sku) LIKE LOWER(${"%" + query.trim() + "%"})
@@ -475,8 +530,6 @@ export async function simpleSearchProducts(query, shopId, maxResults = 50, dateR
 
     return results.map((product) => ({
       ...product,
-      id: Number(product.id),
-      categoryId: product.categoryId ? Number(product.categoryId) : null,
       stock: Number(product.stock),
       sellingPrice: Number(product.sellingPrice),
       purchasePrice: Number(product.purchasePrice),
@@ -11,13 +11,15 @@ import { fuzzySearchProducts, simpleSearchProducts } from "./products-search";
  * @param {string} nameFilter - Search query
  * @param {boolean} enableFuzzySearch - Whether fuzzy search is enabled
  * @param {number} maxResults - Maximum results to return
+ * @param {boolean} [activeOnly=false] - Exclude inactive products
  * @returns {Promise<Array>} Array of matching products
  */
 async function orchestrateProductSearch(
   shopId,
   nameFilter,
   enableFuzzySearch = true,
-  maxResults = 50
+  maxResults = 50,
+  activeOnly = false
 ) {
   const trimmedNameFilter = nameFilter ? nameFilter.trim() : "";
 
@@ -27,11 +29,23 @@ async function orchestrateProductSearch(
 
   // Use fuzzy search for meaningful queries when enabled
   if (enableFuzzySearch && trimmedNameFilter.length >= 2) {
-    return await fuzzySearchProducts(trimmedNameFilter, shopId, maxResults);
+    return await fuzzySearchProducts(
+      trimmedNameFilter,
+      shopId,
+      maxResults,
+      "",
+      activeOnly
+    );
   }
 
   // Fallback to simple search for short queries or when fuzzy search is disabled
-  return await simpleSearchProducts(trimmedNameFilter, shopId, maxResults);
+  return await simpleSearchProducts(
+    trimmedNameFilter,
+    shopId,
+    maxResults,
+    "",
+    activeOnly
+  );
 }
 
 /**
@@ -99,17 +113,48 @@ export async function isProductNameTaken(
   return !!existingProduct;
 }
 
+/**
+ * Finds the shop's products with any of the given names or SKUs.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{names: string[], skus: string[]}} keys - Normalized product names and SKUs to look up.
+ * @returns {Promise<Array<{id: string, name: string, sku: string|null}>>} The matching products.
+ */
+export async function getProductsByNamesOrSkus(shopId, { names, skus }) {
+  if (names.length === 0 && skus.length === 0) {
+    return [];
+  }
+
+  return prisma.product.findMany({
+    where: {
+      shopId,
+      OR: [{ name: { in: names } }, { sku: { in: skus } }],
+    },
+    select: { id: true, name: true, sku: true },
+  });
+}
+
+/**
+ * Counts the products of a shop, active or not.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The number of products.
+ */
+export async function countProducts(shopId, db = prisma) {
+  return db.product.count({ where: { shopId } });
+}
+
 /**
  * Creates a new product for a specific shop.
  * @param {z.infer<ProductCreateInput>} productData - The validated product data.
  * @param {string} shopId - The ID of the shop this product belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
  * @returns {Promise<import('@prisma/client').Product>} The newly created product.
  * @throws {Error} If the provided categoryId does not belong to the shop
  */
-export async function createProduct(productData, shopId) {
+export async function createProduct(productData, shopId, db = prisma) {
   // Security Check: Validate that the category belongs to the shop if categoryId is provided
   if (productData.categoryId) {
-    const category = await prisma.category.findFirst({
+    const category = await db.category.findFirst({
       where: {
         id: productData.categoryId,
         shopId: shopId,
@@ -130,7 +175,7 @@ export async function createProduct(productData, shopId) {
     name: normalizeProductName(productData.name),
   };
 
-  const product = await prisma.product.create({
+  const product = await db.product.create({
     data: {
       ...normalizedProductData,
       shopId: shopId,
@@ -141,14 +186,17 @@ export async function createProduct(productData, shopId) {
 
 /**
  * Updates an existing product for a specific shop.
+ * Stock is intentionally not updatable here; stock changes must go through
+ * the stock service so that every change is recorded in the movement ledger.
  * @param {string} productId - The ID of the product to update.
  * @param {z.infer<ProductCreateInput>} productData - The validated product data.
  * @param {string} shopId - The ID of the shop this product belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
  * @returns {Promise<import('@prisma/client').Product>} The updated product.
  */
-export async function updateProduct(productId, productData, shopId) {
+export async function updateProduct(productId, productData, shopId, db = prisma) {
   // Build update data selectively, only normalizing name when it's provided
-  const updateData = { ...productData };
+  const { stock: _ignoredStock, ...updateData } = productData;
 
   if (Object.prototype.hasOwnProperty.call(productData, "name")) {
     // If name is explicitly provided in the update payload, normalize it
@@ -162,7 +210,7 @@ export async function updateProduct(productId, productData, shopId) {
     }
   });
 
-  const product = await prisma.product.update({
+  const product = await db.product.update({
     where: {
       id: productId,
       shopId, // Ensure the product belongs to the shop
@@ -173,6 +221,356 @@ export async function updateProduct(productId, productData, shopId) {
   return product;
 }
 
+/**
+ * Fetches a single product for a specific shop.
+ * @param {string} productId - The ID of the product.
+ * @param {string} shopId - The ID of the shop this product belongs to.
+ * @returns {Promise<import('@prisma/client').Product|null>} The product, or null if not found in the shop.
+ */
+export async function getProductById(productId, shopId) {
+  return prisma.product.findFirst({
+    where: {
+      id: productId,
+      shopId,
+    },
+  });
+}
+
+/**
+ * Activates or deactivates products of a shop. Inactive products keep their
+ * history and stay in reports, but are hidden from sales and purchasing lookups.
+ * @param {string[]} productIds - The IDs of the products.
+ * @param {string} shopId - The ID of the shop the products belong to.
+ * @param {boolean} isActive - The new status.
+ * @returns {Promise<number>} Number of products updated.
+ */
+export async function setProductsActive(productIds, shopId, isActive) {
+  const { count } = await prisma.product.updateMany({
+    where: {
+      id: { in: productIds },
+      shopId, // Ensure the products belong to the shop
+    },
+    data: { isActive },
+  });
+
+  return count;
+}
+
+/**
+ * Counts the transaction records that reference a product: sale and return
+ * lines (which also cover on-account customer credit), purchase lines,
+ * purchase order lines, stocktake lines and manual stock adjustments. The
+ * opening stock movement is not counted.
+ * @param {string} productId - The ID of the product.
+ * @param {string} shopId - The ID of the shop this product belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{sales: number, purchases: number, purchaseOrders: number, stocktakes: number, adjustments: number}>} Record counts per kind.
+ */
+export async function getProductHistoryCounts(productId, shopId, db = prisma) {
+  const [sales, purchases, purchaseOrders, stocktakes, adjustments] =
+    await Promise.all([
+      db.saleItem.count({ where: { productId, sale: { shopId } } }),
+      db.purchaseItem.count({ where: { productId, purchase: { shopId } } }),
+      db.purchaseOrderItem.count({
+        where: { productId, purchaseOrder: { shopId } },
+      }),
+      db.stocktakeItem.count({ where: { productId, stocktake: { shopId } } }),
+      db.stockMovement.count({
+        where: { productId, shopId, type: { not: "INITIAL" } },
+      }),
+    ]);
+
+  return { sales, purchases, purchaseOrders, stocktakes, adjustments };
+}
+
+/**
+ * Permanently deletes a product that has never been sold, purchased, ordered,
+ * counted or adjusted.
+ * Products with history must be kept so past documents stay explainable;
+ * they should be deactivated instead.
+ * @param {string} productId - The ID of the product to delete.
+ * @param {string} shopId - The ID of the shop this product belongs to.
+ * @returns {Promise<import('@prisma/client').Product>} The deleted product.
+ * @throws {Error} If the product has transaction history.
+ */
+export async function deleteProduct(productId, shopId) {
+  const { sales, purchases, purchaseOrders, stocktakes, adjustments } =
+    await getProductHistoryCounts(productId, shopId);
+
+  const history = [
+    [sales, "sale line"],
+    [purchases, "purchase line"],
+    [purchaseOrders, "purchase order line"],
+    [stocktakes, "stocktake line"],
+    [adjustments, "stock movement"],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count > 1 ? "s" : ""}`);
+
+  if (history.length > 0) {
+    throw new Error(
+      `Cannot delete product. It has transaction history (${history.join(
+        ", "
+      )}). Deactivate it instead.`
+    );
+  }
+
+  return prisma.product.delete({
+    where: {
+      id: productId,
+      shopId, // Ensure the product belongs to the shop
+    },
+  });
+}
+
+/**
+ * Atomically applies a signed delta to a product's stock level.
+ * Must only be called by the stock service, which records the matching ledger entry.
+ * @param {string} productId - The ID of the product.
+ * @param {string} shopId - The ID of the shop this product belongs to.
+ * @param {number} quantity - Signed stock delta.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{id: string, name: string, stock: number}>} The product with its new stock level.
+ */
+export async function updateProductStock(productId, shopId, quantity, db = prisma) {
+  return db.product.update({
+    where: {
+      id: productId,
+      shopId, // Ensure the product belongs to the shop
+    },
+    data: {
+      stock: { increment: quantity },
+    },
+    select: {
+      id: true,
+      name: true,
+      stock: true,
+      purchasePrice: true,
+    },
+  });
+}
+
+/**
+ * Fetches several products of a shop by ID.
+ * @param {string[]} productIds - The IDs of the products.
+ * @param {string} shopId - The ID of the shop the products belong to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<Array<{id: string, name: string, stock: number, purchasePrice: number, sellingPrice: number, unit: string|null, isActive: boolean}>>} The products found in the shop.
+ */
+export async function getProductsByIds(productIds, shopId, db = prisma) {
+  return db.product.findMany({
+    where: {
+      id: { in: productIds },
+      shopId,
+    },
+    select: {
+      id: true,
+      name: true,
+      stock: true,
+      purchasePrice: true,
+      sellingPrice: true,
+      unit: true,
+      isActive: true,
+    },
+  });
+}
+
+/**
+ * Fetches several products of a shop by ID with the fields shown in the
+ * product table, in the table's sort order.
+ * @param {string[]} productIds - The IDs of the products.
+ * @param {string} shopId - The ID of the shop the products belong to.
+ * @param {{sortBy?: string, sortOrder?: 'asc'|'desc'}} [options] - Sorting options.
+ * @returns {Promise<Array<object>>} The products found in the shop.
+ */
+export async function getProductDetailsByIds(
+  productIds,
+  shopId,
+  { sortBy = "createdAt", sortOrder = "desc" } = {}
+) {
+  return prisma.product.findMany({
+    where: {
+      id: { in: productIds },
+      shopId,
+    },
+    orderBy: buildOrderByClause(sortBy, sortOrder),
+    select: {
+      id: true,
+      name: true,
+      sellingPrice: true,
+      purchasePrice: true,
+      stock: true,
+      unit: true,
+      reorderPoint: true,
+      isActive: true,
+      createdAt: true,
+      category: { select: { id: true, name: true } },
+    },
+  });
+}
+
+/**
+ * Fetches the active products of a shop, optionally limited to one category,
+ * with the stock and cost needed to snapshot a stocktake.
+ * @param {string} shopId - The ID of the shop.
+ * @param {string} [categoryId] - Only include products of this category.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<Array<{id: string, stock: number, purchasePrice: number}>>} The products to count.
+ */
+export async function getProductsForStocktake(shopId, categoryId, db = prisma) {
+  return db.product.findMany({
+    where: {
+      shopId,
+      isActive: true,
+      ...(categoryId && { categoryId }),
+    },
+    select: {
+      id: true,
+      stock: true,
+      purchasePrice: true,
+    },
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Sets a product's purchase price (unit cost).
+ * Used by the purchase service to apply the shop's costing method.
+ * @param {string} productId - The ID of the product.
+ * @param {string} shopId - The ID of the shop this product belongs to.
+ * @param {number} purchasePrice - The new unit cost.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{id: string, purchasePrice: number}>} The updated product.
+ */
+export async function updateProductPurchasePrice(
+  productId,
+  shopId,
+  purchasePrice,
+  db = prisma
+) {
+  return db.product.update({
+    where: {
+      id: productId,
+      shopId, // Ensure the product belongs to the shop
+    },
+    data: { purchasePrice },
+    select: {
+      id: true,
+      purchasePrice: true,
+    },
+  });
+}
+
+/**
+ * Searches a shop's products by name or SKU for pickers such as the
+ * receiving and point-of-sale screens. Uses the same search strategy as
+ * the product table, but deactivated products are never offered.
+ * @param {string} shopId - The ID of the shop.
+ * @param {string} query - The search query.
+ * @param {number} [limit=10] - Maximum number of results.
+ * @returns {Promise<Array<object>>} Matching products ranked by relevance.
+ */
+export async function searchProductsForLookup(shopId, query, limit = 10) {
+  const results = await orchestrateProductSearch(
+    shopId,
+    query,
+    true,
+    limit,
+    true
+  );
+
+  return results.map((product) => ({
+    id: product.id,
+    name: product.name,
+    sku: product.sku,
+    unit: product.unit,
+    stock: product.stock,
+    purchasePrice: product.purchasePrice,
+    sellingPrice: product.sellingPrice,
+  }));
+}
+
+/**
+ * @typedef {object} LowStockProduct
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} sku
+ * @property {string|null} unit
+ * @property {number} stock - Current stock level.
+ * @property {number} reorderPoint - Stock level at which the product should be reordered.
+ * @property {number} shortfall - Units needed to get back to the reorder point.
+ * @property {number} purchasePrice
+ * @property {{id: string, name: string}|null} category
+ * @property {{id: string, name: string}|null} supplier
+ * @property {Date|null} lastReceivedAt - When stock was last received from a purchase.
+ */
+
+/**
+ * Lists a shop's active products whose stock is at or below their reorder
+ * point, largest shortfall first. Products without a reorder point are never
+ * reported.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{limit?: number}} [options] - Maximum number of products to return (all when omitted).
+ * @returns {Promise<{products: LowStockProduct[], count: number}>} The low-stock products and their total count.
+ */
+export async function getLowStockProducts(shopId, { limit } = {}) {
+  const where = {
+    shopId,
+    isActive: true,
+    reorderPoint: { not: null },
+    stock: { lte: prisma.product.fields.reorderPoint },
+  };
+
+  // Ranking by shortfall needs every match, so the whole list is fetched
+  const products = await prisma.product.findMany({
+    where,
+    select: {
+      id: true,
+      name: true,
+      sku: true,
+      unit: true,
+      stock: true,
+      reorderPoint: true,
+      purchasePrice: true,
+      category: { select: { id: true, name: true } },
+      supplier: { select: { id: true, name: true } },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  const rankedProducts = products
+    .map((product) => ({
+      ...product,
+      shortfall: product.reorderPoint - product.stock,
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall)
+    .slice(0, limit ?? products.length);
+
+  // Last receipt per product, from the stock movement ledger
+  const lastReceipts = rankedProducts.length
+    ? await prisma.stockMovement.groupBy({
+        by: ["productId"],
+        where: {
+          shopId,
+          type: "PURCHASE",
+          productId: { in: rankedProducts.map((product) => product.id) },
+        },
+        _max: { createdAt: true },
+      })
+    : [];
+  const lastReceivedById = new Map(
+    lastReceipts.map((receipt) => [receipt.productId, receipt._max.createdAt])
+  );
+
+  return {
+    products: rankedProducts.map((product) => ({
+      ...product,
+      lastReceivedAt: lastReceivedById.get(product.id) ?? null,
+    })),
+    count: products.length,
+  };
+}
+
 /**
  * @typedef {object} PaginatedProductsResult
  * @property {Array<object>} products - The array of fetched products.
@@ -206,6 +604,7 @@ export async function updateProduct(productId, productData, shopId) {
  *   categoryFilter?: string,
  *   unitFilter?: string,
  *   dateRangeFilter?: string,
+ *   statusFilter?: ''|'active'|'inactive',
  *   enableFuzzySearch?: boolean
  * }} options - Cursor pagination and filtering options.
  * @returns {Promise<CursorPaginatedProductsResult>} Products with cursor pagination metadata.
@@ -222,6 +621,7 @@ export async function getProductsByShopIdCursor(
     categoryFilter = "",
     unitFilter = "",
     dateRangeFilter = "",
+    statusFilter = "",
     enableFuzzySearch = true,
   }
 ) {
@@ -246,6 +646,7 @@ export async function getProductsByShopIdCursor(
           categoryFilter,
           unitFilter,
           dateRangeFilter,
+          statusFilter,
         }
       );
     }
@@ -315,6 +716,10 @@ export async function getProductsByShopIdCursor(
       }
     }
 
+    if (statusFilter === "active" || statusFilter === "inactive") {
+      whereConditions.push({ isActive: statusFilter === "active" });
+    }
+
     const whereClause = { AND: whereConditions };
 
     // Build cursor condition for pagination
@@ -340,6 +745,7 @@ export async function getProductsByShopIdCursor(
       stock: true,
       unit: true,
       reorderPoint: true,
+      isActive: true,
       categoryId: true,
       createdAt: true,
       category: {
@@ -567,8 +973,17 @@ function generateCursor(product, sortBy) {
  * @returns {Promise<CursorPaginatedProductsResult>} Paginated fuzzy search results
  */
 async function getCursorPaginatedFuzzySearchResults(shopId, query, options) {
-  const { cursor, direction, limit, sortBy, sortOrder, categoryFilter, unitFilter, dateRangeFilter } =
-    options;
+  const {
+    cursor,
+    direction,
+    limit,
+    sortBy,
+    sortOrder,
+    categoryFilter,
+    unitFilter,
+    dateRangeFilter,
+    statusFilter,
+  } = options;
 
   // For fuzzy search, we need to get all results first, then apply cursor pagination
   // This is a limitation of complex fuzzy search queries
@@ -611,6 +1026,11 @@ async function getCursorPaginatedFuzzySearchResults(shopId, query, options) {
     }
   }
 
+  if (statusFilter === "active" || statusFilter === "inactive") {
+    const isActive = statusFilter === "active";
+    filteredResults = filteredResults.filter((p) => p.isActive === isActive);
+  }
+
   // Apply sorting if not relevance-based
   if (sortBy !== "createdAt" && sortBy !== "similarity") {
     filteredResults.sort((a, b) => {
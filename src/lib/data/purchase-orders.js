@@ -0,0 +1,246 @@
+// src/lib/data/purchase-orders.js
+
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} PurchaseOrderRecordInput
+ * @property {string} shopId - The shop placing the order.
+ * @property {string} supplierId - The supplier the order is for.
+ * @property {string} [userId] - The user creating the order.
+ * @property {number} number - Sequential purchase order number within the shop.
+ * @property {string} [note] - Free-form note.
+ * @property {Array<{productId: string, quantityOrdered: number, unitCost: number}>} items - Order lines.
+ */
+
+// Statuses of orders that are still expected to arrive
+export const OPEN_PURCHASE_ORDER_STATUSES = ["DRAFT", "ORDERED"];
+
+const purchaseOrderListSelect = {
+  id: true,
+  number: true,
+  status: true,
+  note: true,
+  orderedAt: true,
+  receivedAt: true,
+  createdAt: true,
+  supplier: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  items: {
+    select: {
+      quantityOrdered: true,
+      unitCost: true,
+    },
+  },
+};
+
+const purchaseOrderDetailInclude = {
+  supplier: {
+    select: {
+      id: true,
+      name: true,
+      phone: true,
+      leadTimeDays: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  purchase: {
+    select: {
+      id: true,
+      reference: true,
+      receivedAt: true,
+    },
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          unit: true,
+          stock: true,
+          purchasePrice: true,
+        },
+      },
+    },
+    orderBy: { product: { name: "asc" } },
+  },
+};
+
+/**
+ * Inserts a purchase order together with its lines.
+ * @param {PurchaseOrderRecordInput} orderData - The order to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').PurchaseOrder>} The created purchase order.
+ */
+export async function createPurchaseOrderRecord(
+  { items, ...orderData },
+  db = prisma
+) {
+  return db.purchaseOrder.create({
+    data: {
+      ...orderData,
+      items: {
+        create: items,
+      },
+    },
+  });
+}
+
+/**
+ * Fetches a single purchase order with its lines for a specific shop.
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @param {string} shopId - The ID of the shop the order belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<object|null>} The purchase order with items, or null if not found in the shop.
+ */
+export async function getPurchaseOrderById(purchaseOrderId, shopId, db = prisma) {
+  return db.purchaseOrder.findFirst({
+    where: {
+      id: purchaseOrderId,
+      shopId,
+    },
+    include: purchaseOrderDetailInclude,
+  });
+}
+
+/**
+ * Fetches the purchase orders of a shop, newest first.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{
+ *   status?: import('@prisma/client').PurchaseOrderStatus,
+ *   supplierId?: string,
+ *   cursor?: string,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filtering and pagination options.
+ * @returns {Promise<{purchaseOrders: Array<object>} & import('./cursor-pagination').CursorPage>} Purchase orders with cursor pagination metadata.
+ */
+export async function getPurchaseOrdersCursor(
+  shopId,
+  { status, supplierId, cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.purchaseOrder,
+      {
+        where: {
+          shopId,
+          ...(status && { status }),
+          ...(supplierId && { supplierId }),
+        },
+        select: purchaseOrderListSelect,
+        cursor,
+        direction,
+        limit,
+        sortBy: "createdAt",
+      }
+    );
+
+    return {
+      purchaseOrders: items.map(({ items: lines, ...order }) => ({
+        ...order,
+        itemCount: lines.length,
+        totalAmount: lines.reduce(
+          (sum, line) => sum + line.quantityOrdered * line.unitCost,
+          0
+        ),
+      })),
+      ...pagination,
+    };
+  } catch (error) {
+    console.error("Error fetching purchase orders:", error);
+    throw new Error("Failed to fetch purchase orders");
+  }
+}
+
+/**
+ * Replaces all lines of a purchase order.
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @param {Array<{productId: string, quantityOrdered: number, unitCost: number}>} items - The new lines.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<void>}
+ */
+export async function replacePurchaseOrderItems(purchaseOrderId, items, db = prisma) {
+  await db.purchaseOrderItem.deleteMany({ where: { purchaseOrderId } });
+  await db.purchaseOrderItem.createMany({
+    data: items.map((item) => ({ ...item, purchaseOrderId })),
+  });
+}
+
+/**
+ * Updates a purchase order only while it is still in one of the expected
+ * statuses, so concurrent status changes cannot overwrite each other.
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @param {string} shopId - The ID of the shop the order belongs to.
+ * @param {Array<import('@prisma/client').PurchaseOrderStatus>} expectedStatuses - Statuses the order must currently have.
+ * @param {object} data - The fields to update.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<boolean>} Whether the order was updated.
+ */
+export async function updatePurchaseOrderIfStatus(
+  purchaseOrderId,
+  shopId,
+  expectedStatuses,
+  data,
+  db = prisma
+) {
+  const { count } = await db.purchaseOrder.updateMany({
+    where: {
+      id: purchaseOrderId,
+      shopId,
+      status: { in: expectedStatuses },
+    },
+    data,
+  });
+  return count > 0;
+}
+
+/**
+ * Records the quantity actually received on a purchase order line.
+ * @param {string} purchaseOrderItemId - The ID of the order line.
+ * @param {number} quantityReceived - The quantity received.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').PurchaseOrderItem>} The updated line.
+ */
+export async function setPurchaseOrderItemReceived(
+  purchaseOrderItemId,
+  quantityReceived,
+  db = prisma
+) {
+  return db.purchaseOrderItem.update({
+    where: { id: purchaseOrderItemId },
+    data: { quantityReceived },
+  });
+}
+
+/**
+ * Sums the quantities of each product on open (draft or ordered) purchase orders.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<Map<string, number>>} Quantities on order keyed by product ID.
+ */
+export async function getOpenOrderQuantities(shopId) {
+  const totals = await prisma.purchaseOrderItem.groupBy({
+    by: ["productId"],
+    where: {
+      purchaseOrder: {
+        shopId,
+        status: { in: OPEN_PURCHASE_ORDER_STATUSES },
+      },
+    },
+    _sum: { quantityOrdered: true },
+  });
+
+  return new Map(
+    totals.map((total) => [total.productId, total._sum.quantityOrdered ?? 0])
+  );
+}
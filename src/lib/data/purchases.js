@@ -0,0 +1,157 @@
+// src/lib/data/purchases.js
+
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} PurchaseRecordInput
+ * @property {string} shopId - The shop receiving the goods.
+ * @property {string} [supplierId] - The supplier the goods came from.
+ * @property {string} [userId] - The user recording the purchase.
+ * @property {import('@prisma/client').PurchasePaymentStatus} paymentStatus - How the purchase was settled.
+ * @property {number} totalAmount - Sum of all line totals.
+ * @property {string} [reference] - Supplier invoice or delivery note number.
+ * @property {string} [note] - Free-form note.
+ * @property {Array<{productId: string, quantity: number, unitCost: number, lineTotal: number}>} items - Purchase lines.
+ */
+
+const purchaseListSelect = {
+  id: true,
+  reference: true,
+  paymentStatus: true,
+  totalAmount: true,
+  note: true,
+  receivedAt: true,
+  createdAt: true,
+  supplier: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  _count: {
+    select: {
+      items: true,
+    },
+  },
+};
+
+/**
+ * Inserts a purchase together with its lines.
+ * Stock is not touched here; the purchase service applies the matching stock movements.
+ * @param {PurchaseRecordInput} purchaseData - The purchase to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Purchase>} The created purchase.
+ */
+export async function createPurchaseRecord({ items, ...purchaseData }, db = prisma) {
+  return db.purchase.create({
+    data: {
+      ...purchaseData,
+      items: {
+        create: items,
+      },
+    },
+  });
+}
+
+/**
+ * Fetches the purchase ledger of a shop, newest first.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{
+ *   receivedAt?: {gte?: Date, lt?: Date},
+ *   supplierId?: string,
+ *   paymentStatus?: import('@prisma/client').PurchasePaymentStatus,
+ *   cursor?: string,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filtering and pagination options.
+ * @returns {Promise<{purchases: Array<object>} & import('./cursor-pagination').CursorPage>} Purchases with cursor pagination metadata.
+ */
+export async function getPurchasesCursor(
+  shopId,
+  {
+    receivedAt,
+    supplierId,
+    paymentStatus,
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.purchase,
+      {
+        where: {
+          shopId,
+          ...(receivedAt && { receivedAt }),
+          ...(supplierId && { supplierId }),
+          ...(paymentStatus && { paymentStatus }),
+        },
+        select: purchaseListSelect,
+        cursor,
+        direction,
+        limit,
+        sortBy: "receivedAt",
+      }
+    );
+
+    return {
+      purchases: items.map(({ _count, ...purchase }) => ({
+        ...purchase,
+        itemCount: _count.items,
+      })),
+      ...pagination,
+    };
+  } catch (error) {
+    console.error("Error fetching purchases:", error);
+    throw new Error("Failed to fetch purchases");
+  }
+}
+
+/**
+ * Fetches a single purchase with its lines for a specific shop.
+ * @param {string} purchaseId - The ID of the purchase.
+ * @param {string} shopId - The ID of the shop the purchase belongs to.
+ * @returns {Promise<object|null>} The purchase with items, or null if not found in the shop.
+ */
+export async function getPurchaseById(purchaseId, shopId) {
+  return prisma.purchase.findFirst({
+    where: {
+      id: purchaseId,
+      shopId,
+    },
+    include: {
+      supplier: {
+        select: {
+          id: true,
+          name: true,
+          phone: true,
+        },
+      },
+      user: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      items: {
+        include: {
+          product: {
+            select: {
+              id: true,
+              name: true,
+              unit: true,
+            },
+          },
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,370 @@
+// src/lib/data/reports.js
+
+import { Prisma } from "@prisma/client";
+import prisma from "@/lib/prisma";
+import { SHOP_TIME_ZONE } from "@/lib/config/shop-config";
+
+/**
+ * @typedef {object} ProfitAndLossFigures
+ * @property {number} grossSales - Amount charged on sold lines.
+ * @property {number} returns - Amount refunded on returned lines (a positive amount).
+ * @property {number} netSales - grossSales minus returns.
+ * @property {number} cogs - Cost of goods sold, net of returned goods, at the cost recorded on each sale line.
+ * @property {number} grossProfit - netSales minus cogs.
+ * @property {number|null} grossMarginPercent - grossProfit as a percentage of netSales, null without net sales.
+ * @property {number} unitsSold - Net units sold.
+ */
+
+/**
+ * @typedef {object} ProfitAndLossReport
+ * @property {ProfitAndLossFigures & {saleCount: number, returnCount: number}} totals - Figures for the whole range.
+ * @property {Array<ProfitAndLossFigures & {date: string}>} byDay - One row per day with sales, oldest first.
+ * @property {Array<ProfitAndLossFigures & {categoryId: string|null, categoryName: string|null}>} byCategory - One row per category, highest profit first.
+ * @property {Array<ProfitAndLossFigures & {productId: string, productName: string, unit: string|null}>} byProduct - One row per product, highest profit first.
+ */
+
+/**
+ * @typedef {object} ValuationFigures
+ * @property {number} stock - Units on hand.
+ * @property {number} costValue - Stock valued at purchase price.
+ * @property {number} retailValue - Stock valued at selling price.
+ * @property {number} potentialMargin - retailValue minus costValue.
+ * @property {number|null} potentialMarginPercent - potentialMargin as a percentage of retailValue, null without retail value.
+ */
+
+/**
+ * @typedef {object} InventoryValuation
+ * @property {string|null} asOf - The valuation date (YYYY-MM-DD), null for the current valuation.
+ * @property {ValuationFigures & {productCount: number}} totals - Figures for the whole shop.
+ * @property {Array<ValuationFigures & {categoryId: string|null, categoryName: string|null, productCount: number}>} byCategory - One row per category, highest cost value first.
+ * @property {Array<ValuationFigures & {id: string, name: string, sku: string|null, unit: string|null, purchasePrice: number, sellingPrice: number, isActive: boolean, categoryId: string|null, categoryName: string|null}>} products - One row per product with stock, highest cost value first.
+ */
+
+// Maximum number of products in the product breakdown
+const PRODUCT_BREAKDOWN_LIMIT = 200;
+
+// Returned lines have negative quantities and line totals, so they are split
+// out of gross sales and net out of COGS automatically
+const profitAndLossMeasures = Prisma.sql`
+  COALESCE(SUM(CASE WHEN si."quantity" > 0 THEN si."lineTotal" ELSE 0 END), 0)::bigint AS "grossSales",
+  COALESCE(SUM(CASE WHEN si."quantity" < 0 THEN -si."lineTotal" ELSE 0 END), 0)::bigint AS "returns",
+  COALESCE(SUM(si."quantity" * si."unitCost"), 0)::bigint AS "cogs",
+  COALESCE(SUM(si."quantity"), 0)::int AS "unitsSold"
+`;
+
+/**
+ * Derives net sales, gross profit and margin from raw aggregate columns.
+ * BIGINT sums come back as BigInt, which JSON cannot serialize.
+ * @param {object} row - A row selected with `profitAndLossMeasures`.
+ * @returns {object} The row with numeric figures.
+ */
+function toProfitAndLossFigures({ grossSales, returns, cogs, ...row }) {
+  const netSales = Number(grossSales) - Number(returns);
+  const grossProfit = netSales - Number(cogs);
+
+  return {
+    ...row,
+    grossSales: Number(grossSales),
+    returns: Number(returns),
+    netSales,
+    cogs: Number(cogs),
+    grossProfit,
+    grossMarginPercent:
+      netSales !== 0
+        ? Math.round((grossProfit / netSales) * 1000) / 10
+        : null,
+  };
+}
+
+/**
+ * Builds the WHERE conditions shared by every profit and loss query.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{gte?: Date, lt?: Date}} [createdAt] - Optional date range filter.
+ * @returns {Prisma.Sql} The joined conditions.
+ */
+function profitAndLossConditions(shopId, createdAt) {
+  const conditions = [Prisma.sql`s."shopId" = ${shopId}`];
+
+  if (createdAt?.gte) {
+    conditions.push(Prisma.sql`s."createdAt" >= ${createdAt.gte}`);
+  }
+  if (createdAt?.lt) {
+    conditions.push(Prisma.sql`s."createdAt" < ${createdAt.lt}`);
+  }
+
+  return Prisma.join(conditions, " AND ");
+}
+
+/**
+ * Totals sales revenue, returns, cost of goods sold and gross margin for a
+ * shop over a date range, with the number of sales and returns.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {{gte?: Date, lt?: Date}} [createdAt] - Optional date range filter.
+ * @returns {Promise<ProfitAndLossReport['totals']>} The totals.
+ */
+export async function getProfitAndLossTotals(shopId, createdAt) {
+  try {
+    const [[totalsRow], saleCounts] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT ${profitAndLossMeasures}
+        FROM "SaleItem" si
+        JOIN "Sale" s ON s."id" = si."saleId"
+        WHERE ${profitAndLossConditions(shopId, createdAt)}
+      `,
+      prisma.sale.groupBy({
+        by: ["type"],
+        where: {
+          shopId,
+          ...(createdAt && { createdAt }),
+        },
+        _count: { _all: true },
+      }),
+    ]);
+
+    const countByType = Object.fromEntries(
+      saleCounts.map((group) => [group.type, group._count._all])
+    );
+
+    return {
+      ...toProfitAndLossFigures(totalsRow),
+      saleCount: countByType.SALE ?? 0,
+      returnCount: countByType.RETURN ?? 0,
+    };
+  } catch (error) {
+    console.error("Error totalling profit and loss:", error);
+    throw new Error("Failed to build profit and loss report");
+  }
+}
+
+/**
+ * Totals sales revenue, returns, cost of goods sold and gross margin per day.
+ * Days are calendar days in the shop's time zone, matching the bounds of
+ * `toDateRangeFilter`. Days without sales are left out.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {{gte?: Date, lt?: Date}} [createdAt] - Optional date range filter.
+ * @returns {Promise<ProfitAndLossReport['byDay']>} One row per day with sales, oldest first.
+ */
+export async function getDailyProfitAndLoss(shopId, createdAt) {
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT
+        to_char(
+          date_trunc('day', s."createdAt" AT TIME ZONE 'UTC' AT TIME ZONE ${SHOP_TIME_ZONE}),
+          'YYYY-MM-DD'
+        ) AS "date",
+        ${profitAndLossMeasures}
+      FROM "SaleItem" si
+      JOIN "Sale" s ON s."id" = si."saleId"
+      WHERE ${profitAndLossConditions(shopId, createdAt)}
+      GROUP BY 1
+      ORDER BY 1
+    `;
+
+    return rows.map(toProfitAndLossFigures);
+  } catch (error) {
+    console.error("Error totalling daily profit and loss:", error);
+    throw new Error("Failed to build profit and loss report");
+  }
+}
+
+/**
+ * Aggregates sales revenue, returns, cost of goods sold and gross margin for
+ * a shop over a date range, in total and broken down by day, category and
+ * product. COGS uses the unit cost recorded on each sale line when the sale
+ * was made, so later purchase price changes do not rewrite past profit.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {{gte?: Date, lt?: Date}} [createdAt] - Optional date range filter.
+ * @returns {Promise<ProfitAndLossReport>} The report.
+ */
+export async function getProfitAndLoss(shopId, createdAt) {
+  const where = profitAndLossConditions(shopId, createdAt);
+
+  try {
+    const [totals, dayRows, categoryRows, productRows] = await Promise.all([
+      getProfitAndLossTotals(shopId, createdAt),
+      getDailyProfitAndLoss(shopId, createdAt),
+      prisma.$queryRaw`
+        SELECT
+          c."id" AS "categoryId",
+          c."name" AS "categoryName",
+          ${profitAndLossMeasures}
+        FROM "SaleItem" si
+        JOIN "Sale" s ON s."id" = si."saleId"
+        JOIN "Product" p ON p."id" = si."productId"
+        LEFT JOIN "Category" c ON c."id" = p."categoryId"
+        WHERE ${where}
+        GROUP BY c."id", c."name"
+      `,
+      prisma.$queryRaw`
+        SELECT
+          p."id" AS "productId",
+          p."name" AS "productName",
+          p."unit" AS "unit",
+          ${profitAndLossMeasures}
+        FROM "SaleItem" si
+        JOIN "Sale" s ON s."id" = si."saleId"
+        JOIN "Product" p ON p."id" = si."productId"
+        WHERE ${where}
+        GROUP BY p."id", p."name", p."unit"
+      `,
+    ]);
+
+    const byGrossProfit = (a, b) => b.grossProfit - a.grossProfit;
+
+    return {
+      totals,
+      byDay: dayRows,
+      byCategory: categoryRows.map(toProfitAndLossFigures).sort(byGrossProfit),
+      byProduct: productRows
+        .map(toProfitAndLossFigures)
+        .sort(byGrossProfit)
+        .slice(0, PRODUCT_BREAKDOWN_LIMIT),
+    };
+  } catch (error) {
+    console.error("Error building profit and loss report:", error);
+    throw new Error("Failed to build profit and loss report");
+  }
+}
+
+/**
+ * Adds the potential margin and its percentage to valuation totals.
+ * @param {{costValue: number, retailValue: number}} figures - The totals.
+ * @returns {object} The totals with margin figures.
+ */
+function withPotentialMargin(figures) {
+  const potentialMargin = figures.retailValue - figures.costValue;
+
+  return {
+    ...figures,
+    potentialMargin,
+    potentialMarginPercent:
+      figures.retailValue !== 0
+        ? Math.round((potentialMargin / figures.retailValue) * 1000) / 10
+        : null,
+  };
+}
+
+/**
+ * Values the stock of a shop at purchase price and at selling price, per
+ * product, per category and in total. Products without stock are left out.
+ *
+ * For a past valuation the stock of each product is reconstructed by undoing
+ * every stock movement recorded from the cutoff onwards, and products created
+ * after the cutoff are left out. Cost uses the unit cost recorded on the last
+ * stock movement before the cutoff, falling back to the current purchase
+ * price; selling prices have no history, so retail value always uses the
+ * current selling price.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {Date} [before] - Cutoff instant for a past valuation; omit for the current stock.
+ * @returns {Promise<Omit<InventoryValuation, 'asOf'>>} The valuation.
+ */
+export async function getInventoryValuation(shopId, before) {
+  const conditions = [Prisma.sql`p."shopId" = ${shopId}`];
+  if (before) {
+    conditions.push(Prisma.sql`p."createdAt" < ${before}`);
+  }
+
+  // Movements from the cutoff onwards are subtracted from the current stock
+  const laterMovementsJoin = before
+    ? Prisma.sql`
+        LEFT JOIN (
+          SELECT "productId", SUM("quantity") AS "quantity"
+          FROM "StockMovement"
+          WHERE "shopId" = ${shopId} AND "createdAt" >= ${before}
+          GROUP BY "productId"
+        ) m ON m."productId" = p."id"
+      `
+    : Prisma.empty;
+  const stock = before
+    ? Prisma.sql`(p."stock" - COALESCE(m."quantity", 0))::int`
+    : Prisma.sql`p."stock"`;
+
+  // Purchase price as recorded by the last movement before the cutoff
+  const costAtCutoffJoin = before
+    ? Prisma.sql`
+        LEFT JOIN LATERAL (
+          SELECT sm."unitCost"
+          FROM "StockMovement" sm
+          WHERE sm."productId" = p."id"
+            AND sm."createdAt" < ${before}
+            AND sm."unitCost" IS NOT NULL
+          ORDER BY sm."createdAt" DESC
+          LIMIT 1
+        ) lc ON true
+      `
+    : Prisma.empty;
+  const purchasePrice = before
+    ? Prisma.sql`COALESCE(lc."unitCost", p."purchasePrice")`
+    : Prisma.sql`p."purchasePrice"`;
+
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT
+        p."id",
+        p."name",
+        p."sku",
+        p."unit",
+        ${purchasePrice} AS "purchasePrice",
+        p."sellingPrice",
+        p."isActive",
+        c."id" AS "categoryId",
+        c."name" AS "categoryName",
+        ${stock} AS "stock"
+      FROM "Product" p
+      LEFT JOIN "Category" c ON c."id" = p."categoryId"
+      ${laterMovementsJoin}
+      ${costAtCutoffJoin}
+      WHERE ${Prisma.join(conditions, " AND ")}
+    `;
+
+    const totals = { productCount: 0, stock: 0, costValue: 0, retailValue: 0 };
+    const categories = new Map();
+
+    const products = rows
+      .filter((row) => row.stock !== 0)
+      .map((row) =>
+        withPotentialMargin({
+          ...row,
+          costValue: row.stock * row.purchasePrice,
+          retailValue: row.stock * row.sellingPrice,
+        })
+      )
+      .sort((a, b) => b.costValue - a.costValue);
+
+    for (const product of products) {
+      const key = product.categoryId ?? "";
+      if (!categories.has(key)) {
+        categories.set(key, {
+          categoryId: product.categoryId,
+          categoryName: product.categoryName,
+          productCount: 0,
+          stock: 0,
+          costValue: 0,
+          retailValue: 0,
+        });
+      }
+
+      for (const bucket of [totals, categories.get(key)]) {
+        bucket.productCount += 1;
+        bucket.stock += product.stock;
+        bucket.costValue += product.costValue;
+        bucket.retailValue += product.retailValue;
+      }
+    }
+
+    return {
+      totals: withPotentialMargin(totals),
+      byCategory: [...categories.values()]
+        .map(withPotentialMargin)
+        .sort((a, b) => b.costValue - a.costValue),
+      products,
+    };
+  } catch (error) {
+    console.error("Error building inventory valuation:", error);
+    throw new Error("Failed to build inventory valuation");
+  }
+}
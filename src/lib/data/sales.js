@@ -0,0 +1,266 @@
+// src/lib/data/sales.js
+
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} SaleRecordInput
+ * @property {string} shopId - The shop making the sale.
+ * @property {string} [userId] - The cashier completing the sale.
+ * @property {number} number - Sequential sale number within the shop.
+ * @property {import('@prisma/client').SaleType} [type] - SALE, or RETURN for returns/exchanges.
+ * @property {import('@prisma/client').SalePaymentType} paymentType - How the sale was settled.
+ * @property {string} [customerId] - The customer of a sale on account.
+ * @property {string} [originalSaleId] - The sale being returned, for returns.
+ * @property {number} totalAmount - Sum of all line totals.
+ * @property {string} [note] - Free-form note.
+ * @property {Array<{productId: string, quantity: number, unitPrice: number, lineTotal: number, unitCost: number, originalItemId?: string}>} items - Sale lines.
+ */
+
+/**
+ * Inserts a sale together with its lines.
+ * Stock is not touched here; the sale service applies the matching stock movements.
+ * @param {SaleRecordInput} saleData - The sale to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Sale>} The created sale.
+ */
+export async function createSaleRecord({ items, ...saleData }, db = prisma) {
+  return db.sale.create({
+    data: {
+      ...saleData,
+      items: {
+        create: items,
+      },
+    },
+  });
+}
+
+// Everything needed to show a sale and work out what can still be returned from it
+const saleDetailInclude = {
+  user: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  customer: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  originalSale: {
+    select: {
+      id: true,
+      number: true,
+    },
+  },
+  returns: {
+    select: {
+      id: true,
+      number: true,
+      totalAmount: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "asc" },
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          unit: true,
+          sellingPrice: true,
+        },
+      },
+      returnItems: {
+        select: {
+          quantity: true,
+          lineTotal: true,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Fetches a single sale with its lines for a specific shop.
+ * Each line includes the lines that returned it, and the sale includes its returns.
+ * @param {string} saleId - The ID of the sale.
+ * @param {string} shopId - The ID of the shop the sale belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<object|null>} The sale with items, or null if not found in the shop.
+ */
+export async function getSaleById(saleId, shopId, db = prisma) {
+  return db.sale.findFirst({
+    where: {
+      id: saleId,
+      shopId,
+    },
+    include: saleDetailInclude,
+  });
+}
+
+/**
+ * Fetches a single sale by its receipt number for a specific shop.
+ * @param {number} number - The sequential sale number.
+ * @param {string} shopId - The ID of the shop the sale belongs to.
+ * @returns {Promise<object|null>} The sale with items, or null if not found in the shop.
+ */
+export async function getSaleByNumber(number, shopId) {
+  return prisma.sale.findUnique({
+    where: {
+      shopId_number: { shopId, number },
+    },
+    include: saleDetailInclude,
+  });
+}
+
+/**
+ * Sums the units sold of each product since a given date, net of returns
+ * (returned lines have negative quantities).
+ * @param {string} shopId - The ID of the shop.
+ * @param {Date} since - Only sales made at or after this date are counted.
+ * @returns {Promise<Map<string, number>>} Net units sold keyed by product ID.
+ */
+export async function getUnitsSoldByProduct(shopId, since) {
+  const totals = await prisma.saleItem.groupBy({
+    by: ["productId"],
+    where: {
+      sale: {
+        shopId,
+        createdAt: { gte: since },
+      },
+    },
+    _sum: { quantity: true },
+  });
+
+  return new Map(
+    totals.map((total) => [total.productId, total._sum.quantity ?? 0])
+  );
+}
+
+const saleListSelect = {
+  id: true,
+  number: true,
+  type: true,
+  paymentType: true,
+  totalAmount: true,
+  note: true,
+  createdAt: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  customer: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  originalSale: {
+    select: {
+      id: true,
+      number: true,
+    },
+  },
+  _count: {
+    select: {
+      items: true,
+      returns: true,
+    },
+  },
+};
+
+/**
+ * Fetches a page of a shop's sales and returns for the sales ledger.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{
+ *   createdAt?: {gte?: Date, lt?: Date},
+ *   number?: number,
+ *   type?: import('@prisma/client').SaleType,
+ *   paymentType?: import('@prisma/client').SalePaymentType,
+ *   customerId?: string,
+ *   userId?: string,
+ *   productId?: string,
+ *   sortOrder?: 'asc'|'desc',
+ *   cursor?: string,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} [options] - Filtering and pagination options. `productId` keeps sales with a line for that product.
+ * @returns {Promise<{sales: Array<object>, totalSales: number} & import('./cursor-pagination').CursorPage>} Sales with cursor pagination metadata.
+ */
+export async function getSalesCursor(
+  shopId,
+  {
+    createdAt,
+    number,
+    type,
+    paymentType,
+    customerId,
+    userId,
+    productId,
+    sortOrder = "desc",
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = {}
+) {
+  const where = {
+    shopId,
+    ...(createdAt && { createdAt }),
+    ...(number && { number }),
+    ...(type && { type }),
+    ...(paymentType && { paymentType }),
+    ...(customerId && { customerId }),
+    ...(userId && { userId }),
+    ...(productId && { items: { some: { productId } } }),
+  };
+
+  try {
+    const [{ items, ...pagination }, totalSales] = await Promise.all([
+      findManyWithCursor(prisma.sale, {
+        where,
+        select: saleListSelect,
+        cursor,
+        direction,
+        limit,
+        sortBy: "createdAt",
+        sortOrder,
+      }),
+      prisma.sale.count({ where }),
+    ]);
+
+    return {
+      sales: items.map(({ _count, ...sale }) => ({
+        ...sale,
+        itemCount: _count.items,
+        returnCount: _count.returns,
+      })),
+      totalSales,
+      ...pagination,
+    };
+  } catch (error) {
+    console.error("Error fetching sales:", error);
+    throw new Error("Failed to fetch sales");
+  }
+}
+
+/**
+ * Lists the users who have recorded sales in a shop, for the ledger's staff filter.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<Array<{id: string, name: string|null}>>} The users, ordered by name.
+ */
+export async function getSalesStaff(shopId) {
+  return prisma.user.findMany({
+    where: { sales: { some: { shopId } } },
+    select: {
+      id: true,
+      name: true,
+    },
+    orderBy: { name: "asc" },
+  });
+}
@@ -0,0 +1,91 @@
+// src/lib/data/shops.js
+
+import prisma from "@/lib/prisma";
+
+/**
+ * Fetches a shop by its ID.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Shop|null>} The shop, or null if not found.
+ */
+export async function getShopById(shopId, db = prisma) {
+  return db.shop.findUnique({
+    where: { id: shopId },
+  });
+}
+
+/**
+ * Updates a shop's settings.
+ * @param {string} shopId - The ID of the shop.
+ * @param {object} shopData - The validated settings to update.
+ * @returns {Promise<import('@prisma/client').Shop>} The updated shop.
+ */
+export async function updateShop(shopId, shopData) {
+  return prisma.shop.update({
+    where: { id: shopId },
+    data: shopData,
+  });
+}
+
+/**
+ * Reserves the next sequential sale number for a shop.
+ * The increment is atomic, so concurrent sales never share a number.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The reserved sale number.
+ */
+export async function incrementSaleCounter(shopId, db = prisma) {
+  const shop = await db.shop.update({
+    where: { id: shopId },
+    data: { saleCounter: { increment: 1 } },
+    select: { saleCounter: true },
+  });
+  return shop.saleCounter;
+}
+
+/**
+ * Reserves the next sequential purchase order number for a shop.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The reserved purchase order number.
+ */
+export async function incrementPurchaseOrderCounter(shopId, db = prisma) {
+  const shop = await db.shop.update({
+    where: { id: shopId },
+    data: { purchaseOrderCounter: { increment: 1 } },
+    select: { purchaseOrderCounter: true },
+  });
+  return shop.purchaseOrderCounter;
+}
+
+/**
+ * Reserves the next sequential stocktake number for a shop.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The reserved stocktake number.
+ */
+export async function incrementStocktakeCounter(shopId, db = prisma) {
+  const shop = await db.shop.update({
+    where: { id: shopId },
+    data: { stocktakeCounter: { increment: 1 } },
+    select: { stocktakeCounter: true },
+  });
+  return shop.stocktakeCounter;
+}
+
+/**
+ * Reports how far a shop has got with its initial setup.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<{hasProducts: boolean, hasSales: boolean}>} Whether the shop has any products and any sales.
+ */
+export async function getShopSetupProgress(shopId) {
+  const [product, sale] = await Promise.all([
+    prisma.product.findFirst({ where: { shopId }, select: { id: true } }),
+    prisma.sale.findFirst({
+      where: { shopId, type: "SALE" },
+      select: { id: true },
+    }),
+  ]);
+
+  return { hasProducts: Boolean(product), hasSales: Boolean(sale) };
+}
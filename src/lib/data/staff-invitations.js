@@ -0,0 +1,138 @@
+// src/lib/data/staff-invitations.js
+
+import prisma from "@/lib/prisma";
+
+// Staff invitations are stored as verification tokens whose identifier
+// encodes the inviting shop and the invited email address
+const IDENTIFIER_PREFIX = "staff-invite";
+
+/**
+ * Builds the verification token identifier of an invitation.
+ * @param {string} shopId - The ID of the inviting shop.
+ * @param {string} email - The invited email address.
+ * @returns {string} The identifier.
+ */
+function toIdentifier(shopId, email) {
+  return `${IDENTIFIER_PREFIX}:${shopId}:${email}`;
+}
+
+/**
+ * Splits a verification token back into an invitation.
+ * @param {{identifier: string, token: string, expires: Date}} verificationToken - The stored token.
+ * @returns {{token: string, shopId: string, email: string, expires: Date}} The invitation.
+ */
+function toInvitation({ identifier, token, expires }) {
+  const [, shopId, ...emailParts] = identifier.split(":");
+  return { token, shopId, email: emailParts.join(":"), expires };
+}
+
+/**
+ * Stores a staff invitation, replacing any earlier invitation of the same
+ * email address to the same shop.
+ * @param {{shopId: string, email: string, token: string, expires: Date}} invitation - The invitation to store.
+ * @returns {Promise<{token: string, shopId: string, email: string, expires: Date}>} The stored invitation.
+ */
+export async function createStaffInvitation({ shopId, email, token, expires }) {
+  const identifier = toIdentifier(shopId, email);
+
+  const [, created] = await prisma.$transaction([
+    prisma.verificationToken.deleteMany({ where: { identifier } }),
+    prisma.verificationToken.create({
+      data: { identifier, token, expires },
+    }),
+  ]);
+
+  return toInvitation(created);
+}
+
+/**
+ * Lists the invitations of a shop that have not been accepted or expired.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<Array<{token: string, shopId: string, email: string, expires: Date}>>} The pending invitations, newest first.
+ */
+export async function getPendingStaffInvitations(shopId) {
+  const tokens = await prisma.verificationToken.findMany({
+    where: {
+      identifier: { startsWith: `${IDENTIFIER_PREFIX}:${shopId}:` },
+      expires: { gt: new Date() },
+    },
+    orderBy: { expires: "desc" },
+  });
+
+  return tokens.map(toInvitation);
+}
+
+/**
+ * Fetches a pending invitation by its token.
+ * @param {string} token - The invitation token.
+ * @returns {Promise<{token: string, shopId: string, email: string, expires: Date}|null>} The invitation, or null if it does not exist or has expired.
+ */
+export async function getStaffInvitationByToken(token) {
+  const verificationToken = await prisma.verificationToken.findUnique({
+    where: { token },
+  });
+  if (
+    !verificationToken ||
+    !verificationToken.identifier.startsWith(`${IDENTIFIER_PREFIX}:`) ||
+    verificationToken.expires <= new Date()
+  ) {
+    return null;
+  }
+
+  return toInvitation(verificationToken);
+}
+
+/**
+ * Fetches the most recent pending invitation of an email address to any shop.
+ * @param {string} email - The invited email address.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{token: string, shopId: string, email: string, expires: Date}|null>} The invitation, or null if there is none.
+ */
+export async function getPendingStaffInvitationForEmail(email, db = prisma) {
+  const verificationToken = await db.verificationToken.findFirst({
+    where: {
+      identifier: {
+        startsWith: `${IDENTIFIER_PREFIX}:`,
+        endsWith: `:${email}`,
+      },
+      expires: { gt: new Date() },
+    },
+    orderBy: { expires: "desc" },
+  });
+
+  return verificationToken ? toInvitation(verificationToken) : null;
+}
+
+/**
+ * Deletes every invitation of an email address, once it has been accepted.
+ * @param {string} email - The invited email address.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The number of invitations deleted.
+ */
+export async function deleteStaffInvitationsForEmail(email, db = prisma) {
+  const { count } = await db.verificationToken.deleteMany({
+    where: {
+      identifier: {
+        startsWith: `${IDENTIFIER_PREFIX}:`,
+        endsWith: `:${email}`,
+      },
+    },
+  });
+  return count;
+}
+
+/**
+ * Revokes a pending invitation of a shop.
+ * @param {string} token - The invitation token.
+ * @param {string} shopId - The ID of the shop that sent the invitation.
+ * @returns {Promise<number>} The number of invitations deleted (0 if not found in the shop).
+ */
+export async function deleteStaffInvitation(token, shopId) {
+  const { count } = await prisma.verificationToken.deleteMany({
+    where: {
+      token,
+      identifier: { startsWith: `${IDENTIFIER_PREFIX}:${shopId}:` },
+    },
+  });
+  return count;
+}
@@ -0,0 +1,207 @@
+// src/lib/data/stock-movements.js
+
+import { Prisma } from "@prisma/client";
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} StockMovementInput
+ * @property {string} productId - The product whose stock changed.
+ * @property {string} shopId - The shop the product belongs to.
+ * @property {import('@prisma/client').StockMovementType} type - The source of the change.
+ * @property {number} quantity - Signed stock delta.
+ * @property {number} balanceAfter - Product stock after applying the delta.
+ * @property {string} [userId] - The user who performed the change.
+ * @property {string} [referenceType] - Originating document type (e.g. "Sale").
+ * @property {string} [referenceId] - Originating document ID.
+ * @property {import('@prisma/client').StockAdjustmentReason} [reason] - Reason for manual adjustments.
+ * @property {number} [unitCost] - Unit cost snapshot used to value the movement.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * @typedef {object} CursorPaginatedStockMovementsResult
+ * @property {Array<object>} movements - The array of fetched stock movements.
+ * @property {string|null} nextCursor - Cursor for the next page, null if no more pages.
+ * @property {string|null} prevCursor - Cursor for the previous page, null if first page.
+ * @property {boolean} hasNextPage - Whether there are more pages after this one.
+ * @property {boolean} hasPrevPage - Whether there are pages before this one.
+ */
+
+/**
+ * Inserts a single stock movement ledger entry.
+ * Callers are responsible for keeping `Product.stock` in sync, which is why this
+ * should only be invoked through the stock service inside a transaction.
+ * @param {StockMovementInput} movementData - The movement to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').StockMovement>} The created movement.
+ */
+export async function createStockMovement(movementData, db = prisma) {
+  return db.stockMovement.create({
+    data: movementData,
+  });
+}
+
+/**
+ * Fetches the stock movement history of a product, newest first.
+ * @param {string} productId - The ID of the product.
+ * @param {string} shopId - The ID of the shop the product belongs to.
+ * @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number}} options - Pagination options.
+ * @returns {Promise<CursorPaginatedStockMovementsResult>} Movements with cursor pagination metadata.
+ */
+export async function getStockMovementsByProductIdCursor(
+  productId,
+  shopId,
+  { cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.stockMovement,
+      {
+        where: { productId, shopId },
+        select: {
+          id: true,
+          type: true,
+          quantity: true,
+          balanceAfter: true,
+          referenceType: true,
+          referenceId: true,
+          reason: true,
+          unitCost: true,
+          note: true,
+          createdAt: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+        cursor,
+        direction,
+        limit,
+      }
+    );
+
+    return { movements: items, ...pagination };
+  } catch (error) {
+    console.error("Error fetching stock movements:", error);
+    throw new Error("Failed to fetch stock movements");
+  }
+}
+
+/**
+ * Fetches manual stock adjustments for a shop, newest first.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{
+ *   createdAt?: {gte?: Date, lt?: Date},
+ *   reason?: import('@prisma/client').StockAdjustmentReason,
+ *   cursor?: string,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filtering and pagination options.
+ * @returns {Promise<{adjustments: Array<object>} & import('./cursor-pagination').CursorPage>} Adjustments with cursor pagination metadata.
+ */
+export async function getStockAdjustmentsCursor(
+  shopId,
+  { createdAt, reason, cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.stockMovement,
+      {
+        where: {
+          shopId,
+          type: "ADJUSTMENT",
+          ...(createdAt && { createdAt }),
+          ...(reason && { reason }),
+        },
+        select: {
+          id: true,
+          quantity: true,
+          balanceAfter: true,
+          reason: true,
+          unitCost: true,
+          note: true,
+          createdAt: true,
+          product: {
+            select: {
+              id: true,
+              name: true,
+              unit: true,
+            },
+          },
+          user: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+        cursor,
+        direction,
+        limit,
+      }
+    );
+
+    return { adjustments: items, ...pagination };
+  } catch (error) {
+    console.error("Error fetching stock adjustments:", error);
+    throw new Error("Failed to fetch stock adjustments");
+  }
+}
+
+/**
+ * @typedef {object} StockAdjustmentReasonSummary
+ * @property {import('@prisma/client').StockAdjustmentReason} reason - The adjustment reason.
+ * @property {number} adjustmentCount - Number of adjustments recorded.
+ * @property {number} unitsAdded - Total units added to stock.
+ * @property {number} unitsRemoved - Total units removed from stock (positive number).
+ * @property {number} netQuantity - Net stock change.
+ * @property {number} costValue - Net change valued at the unit cost snapshot of each movement.
+ */
+
+/**
+ * Aggregates manual stock adjustments by reason for reporting.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{gte?: Date, lt?: Date}} [createdAt] - Optional date range filter.
+ * @returns {Promise<StockAdjustmentReasonSummary[]>} One row per reason that has adjustments.
+ */
+export async function getStockAdjustmentSummary(shopId, createdAt) {
+  const conditions = [
+    Prisma.sql`"shopId" = ${shopId}`,
+    Prisma.sql`"type" = 'ADJUSTMENT'`,
+  ];
+
+  if (createdAt?.gte) {
+    conditions.push(Prisma.sql`"createdAt" >= ${createdAt.gte}`);
+  }
+  if (createdAt?.lt) {
+    conditions.push(Prisma.sql`"createdAt" < ${createdAt.lt}`);
+  }
+
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT
+        "reason",
+        COUNT(*)::int AS "adjustmentCount",
+        COALESCE(SUM(GREATEST("quantity", 0)), 0)::int AS "unitsAdded",
+        COALESCE(SUM(GREATEST(-"quantity", 0)), 0)::int AS "unitsRemoved",
+        COALESCE(SUM("quantity"), 0)::int AS "netQuantity",
+        COALESCE(SUM("quantity" * COALESCE("unitCost", 0)), 0)::bigint AS "costValue"
+      FROM "StockMovement"
+      WHERE ${Prisma.join(conditions, " AND ")}
+      GROUP BY "reason"
+      ORDER BY "reason"
+    `;
+
+    // BIGINT sums come back as BigInt, which JSON cannot serialize
+    return rows.map((row) => ({
+      ...row,
+      costValue: Number(row.costValue),
+    }));
+  } catch (error) {
+    console.error("Error summarizing stock adjustments:", error);
+    throw new Error("Failed to summarize stock adjustments");
+  }
+}
@@ -0,0 +1,218 @@
+// src/lib/data/stocktakes.js
+
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} StocktakeRecordInput
+ * @property {string} shopId - The shop being counted.
+ * @property {number} number - Sequential stocktake number within the shop.
+ * @property {string} [categoryId] - The counted category, omitted for the whole shop.
+ * @property {string} [userId] - The user starting the session.
+ * @property {string} [note] - Free-form note.
+ * @property {Array<{productId: string, expectedStock: number, unitCost: number}>} items - Snapshot of the products to count.
+ */
+
+const stocktakeListSelect = {
+  id: true,
+  number: true,
+  status: true,
+  note: true,
+  createdAt: true,
+  approvedAt: true,
+  category: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  items: {
+    select: {
+      countedQuantity: true,
+    },
+  },
+};
+
+const stocktakeDetailInclude = {
+  category: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  approvedBy: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true,
+        },
+      },
+      countedBy: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+    orderBy: { product: { name: "asc" } },
+  },
+};
+
+/**
+ * Inserts a stocktake together with its snapshot lines.
+ * @param {StocktakeRecordInput} stocktakeData - The stocktake to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Stocktake>} The created stocktake.
+ */
+export async function createStocktakeRecord({ items, ...stocktakeData }, db = prisma) {
+  return db.stocktake.create({
+    data: {
+      ...stocktakeData,
+      items: {
+        create: items,
+      },
+    },
+  });
+}
+
+/**
+ * Fetches a single stocktake with its lines for a specific shop.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {string} shopId - The ID of the shop the stocktake belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<object|null>} The stocktake with items, or null if not found in the shop.
+ */
+export async function getStocktakeById(stocktakeId, shopId, db = prisma) {
+  return db.stocktake.findFirst({
+    where: {
+      id: stocktakeId,
+      shopId,
+    },
+    include: stocktakeDetailInclude,
+  });
+}
+
+/**
+ * Fetches the stocktakes of a shop, newest first.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{
+ *   status?: import('@prisma/client').StocktakeStatus,
+ *   cursor?: string,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} options - Filtering and pagination options.
+ * @returns {Promise<{stocktakes: Array<object>} & import('./cursor-pagination').CursorPage>} Stocktakes with cursor pagination metadata.
+ */
+export async function getStocktakesCursor(
+  shopId,
+  { status, cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.stocktake,
+      {
+        where: {
+          shopId,
+          ...(status && { status }),
+        },
+        select: stocktakeListSelect,
+        cursor,
+        direction,
+        limit,
+        sortBy: "createdAt",
+      }
+    );
+
+    return {
+      stocktakes: items.map(({ items: lines, ...stocktake }) => ({
+        ...stocktake,
+        itemCount: lines.length,
+        countedCount: lines.filter((line) => line.countedQuantity !== null)
+          .length,
+      })),
+      ...pagination,
+    };
+  } catch (error) {
+    console.error("Error fetching stocktakes:", error);
+    throw new Error("Failed to fetch stocktakes");
+  }
+}
+
+/**
+ * Saves counted quantities on the lines of a stocktake and records who
+ * counted them. A null quantity clears the count. A given `expectedStock`
+ * replaces the line's expected stock.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {Array<{productId: string, countedQuantity: number|null, expectedStock?: number}>} counts - The counts to save.
+ * @param {string} userId - The user who counted.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The number of lines updated.
+ */
+export async function setStocktakeItemCounts(stocktakeId, counts, userId, db = prisma) {
+  let updatedCount = 0;
+
+  for (const { productId, countedQuantity, expectedStock } of counts) {
+    const cleared = countedQuantity === null;
+    const { count } = await db.stocktakeItem.updateMany({
+      where: { stocktakeId, productId },
+      data: {
+        ...(expectedStock !== undefined && { expectedStock }),
+        countedQuantity,
+        countedAt: cleared ? null : new Date(),
+        countedById: cleared ? null : userId,
+      },
+    });
+    updatedCount += count;
+  }
+
+  return updatedCount;
+}
+
+/**
+ * Updates a stocktake only while it is still in one of the expected
+ * statuses, so concurrent approvals cannot post the variances twice.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {string} shopId - The ID of the shop the stocktake belongs to.
+ * @param {Array<import('@prisma/client').StocktakeStatus>} expectedStatuses - Statuses the stocktake must currently have.
+ * @param {object} data - The fields to update.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<boolean>} Whether the stocktake was updated.
+ */
+export async function updateStocktakeIfStatus(
+  stocktakeId,
+  shopId,
+  expectedStatuses,
+  data,
+  db = prisma
+) {
+  const { count } = await db.stocktake.updateMany({
+    where: {
+      id: stocktakeId,
+      shopId,
+      status: { in: expectedStatuses },
+    },
+    data,
+  });
+  return count > 0;
+}
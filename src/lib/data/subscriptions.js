@@ -0,0 +1,68 @@
+// src/lib/data/subscriptions.js
+
+import prisma from "@/lib/prisma";
+
+/**
+ * Fetches the subscription of a shop.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Subscription|null>} The subscription, or null if the shop has none.
+ */
+export async function getSubscriptionByShopId(shopId, db = prisma) {
+  return db.subscription.findUnique({
+    where: { shopId },
+  });
+}
+
+/**
+ * Marks a shop's free trial as expired once its end date has passed.
+ * @param {string} shopId - The ID of the shop.
+ * @param {Date} now - The current time.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The number of subscriptions expired (0 or 1).
+ */
+export async function expireLapsedTrial(shopId, now, db = prisma) {
+  const { count } = await db.subscription.updateMany({
+    where: { shopId, status: "TRIALING", endDate: { lte: now } },
+    data: { status: "EXPIRED" },
+  });
+  return count;
+}
+
+/**
+ * Updates the subscription of a shop.
+ * @param {string} shopId - The ID of the shop.
+ * @param {object} subscriptionData - The fields to update.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Subscription>} The updated subscription.
+ */
+export async function updateSubscription(shopId, subscriptionData, db = prisma) {
+  return db.subscription.update({
+    where: { shopId },
+    data: subscriptionData,
+  });
+}
+
+/**
+ * Records an invoice for a billing period of a subscription.
+ * @param {object} invoiceData - The invoice, including `subscriptionId`.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').SubscriptionInvoice>} The created invoice.
+ */
+export async function createSubscriptionInvoice(invoiceData, db = prisma) {
+  return db.subscriptionInvoice.create({
+    data: invoiceData,
+  });
+}
+
+/**
+ * Lists the invoices of a subscription, newest first.
+ * @param {string} subscriptionId - The ID of the subscription.
+ * @returns {Promise<Array<import('@prisma/client').SubscriptionInvoice>>} The invoices.
+ */
+export async function getSubscriptionInvoices(subscriptionId) {
+  return prisma.subscriptionInvoice.findMany({
+    where: { subscriptionId },
+    orderBy: { createdAt: "desc" },
+  });
+}
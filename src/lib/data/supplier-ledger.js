@@ -0,0 +1,77 @@
+// src/lib/data/supplier-ledger.js
+
+import prisma from "@/lib/prisma";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {object} SupplierLedgerEntryInput
+ * @property {string} supplierId - The supplier whose debt changed.
+ * @property {string} shopId - The shop the supplier belongs to.
+ * @property {import('@prisma/client').SupplierLedgerEntryType} type - The source of the change.
+ * @property {number} amount - Signed debt change.
+ * @property {number} balanceAfter - Amount owed to the supplier after applying the change.
+ * @property {string} [userId] - The user who recorded the change.
+ * @property {string} [referenceType] - Originating document type (e.g. "Purchase").
+ * @property {string} [referenceId] - Originating document ID.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * Inserts a single supplier ledger entry.
+ * Callers are responsible for keeping `Supplier.outstandingDebt` in sync, which
+ * is why this should only be invoked through the supplier ledger service.
+ * @param {SupplierLedgerEntryInput} entryData - The entry to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').SupplierLedgerEntry>} The created entry.
+ */
+export async function createSupplierLedgerEntry(entryData, db = prisma) {
+  return db.supplierLedgerEntry.create({
+    data: entryData,
+  });
+}
+
+/**
+ * Fetches the ledger of a supplier, newest first.
+ * @param {string} supplierId - The ID of the supplier.
+ * @param {string} shopId - The ID of the shop the supplier belongs to.
+ * @param {{cursor?: string, direction?: 'forward'|'backward', limit?: number}} options - Pagination options.
+ * @returns {Promise<{entries: Array<object>} & import('./cursor-pagination').CursorPage>} Entries with cursor pagination metadata.
+ */
+export async function getSupplierLedgerCursor(
+  supplierId,
+  shopId,
+  { cursor = null, direction = "forward", limit = 20 } = {}
+) {
+  try {
+    const { items, ...pagination } = await findManyWithCursor(
+      prisma.supplierLedgerEntry,
+      {
+        where: { supplierId, shopId },
+        select: {
+          id: true,
+          type: true,
+          amount: true,
+          balanceAfter: true,
+          referenceType: true,
+          referenceId: true,
+          note: true,
+          createdAt: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+        cursor,
+        direction,
+        limit,
+      }
+    );
+
+    return { entries: items, ...pagination };
+  } catch (error) {
+    console.error("Error fetching supplier ledger:", error);
+    throw new Error("Failed to fetch supplier ledger");
+  }
+}
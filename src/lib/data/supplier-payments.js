@@ -0,0 +1,27 @@
+// src/lib/data/supplier-payments.js
+
+import prisma from "@/lib/prisma";
+
+/**
+ * @typedef {object} SupplierPaymentRecordInput
+ * @property {string} supplierId - The supplier being paid.
+ * @property {string} shopId - The shop making the payment.
+ * @property {string} [userId] - The user recording the payment.
+ * @property {number} amount - Amount paid.
+ * @property {import('@prisma/client').PaymentMethod} method - How the supplier was paid.
+ * @property {string} [reference] - Bank or receipt reference.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * Inserts a supplier payment.
+ * The debt is not touched here; the payment service applies the matching ledger entry.
+ * @param {SupplierPaymentRecordInput} paymentData - The payment to record.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').SupplierPayment>} The created payment.
+ */
+export async function createSupplierPaymentRecord(paymentData, db = prisma) {
+  return db.supplierPayment.create({
+    data: paymentData,
+  });
+}
@@ -0,0 +1,220 @@
+// src/lib/data/suppliers.js
+
+import prisma from "@/lib/prisma";
+import { normalizeSupplierName } from "@/lib/utils";
+import { findManyWithCursor } from "./cursor-pagination";
+
+/**
+ * @typedef {import('@/lib/zod-schemas').supplierCreateSchema} SupplierCreateInput
+ */
+
+/**
+ * Creates a new supplier for a specific shop.
+ * @param {z.infer<SupplierCreateInput>} supplierData - The validated supplier data.
+ * @param {string} shopId - The ID of the shop this supplier belongs to.
+ * @returns {Promise<import('@prisma/client').Supplier>} The newly created supplier.
+ */
+export async function createSupplier(supplierData, shopId) {
+  return prisma.supplier.create({
+    data: {
+      ...supplierData,
+      name: normalizeSupplierName(supplierData.name),
+      email: supplierData.email || null,
+      shopId,
+    },
+  });
+}
+
+/**
+ * Fetches a single supplier for a specific shop.
+ * @param {string} supplierId - The ID of the supplier.
+ * @param {string} shopId - The ID of the shop the supplier belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').Supplier|null>} The supplier, or null if not found in the shop.
+ */
+export async function getSupplierById(supplierId, shopId, db = prisma) {
+  return db.supplier.findFirst({
+    where: {
+      id: supplierId,
+      shopId,
+    },
+  });
+}
+
+/**
+ * Fetches a page of a shop's suppliers, ordered by name by default, for the supplier table and pickers.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{
+ *   search?: string,
+ *   owedOnly?: boolean,
+ *   sortBy?: 'name'|'createdAt',
+ *   sortOrder?: 'asc'|'desc',
+ *   cursor?: string,
+ *   direction?: 'forward'|'backward',
+ *   limit?: number
+ * }} [options] - Filtering and pagination options.
+ * @returns {Promise<{suppliers: Array<object>, totalSuppliers: number} & import('./cursor-pagination').CursorPage>} Suppliers with cursor pagination metadata.
+ */
+export async function getSuppliersCursor(
+  shopId,
+  {
+    search = "",
+    owedOnly = false,
+    sortBy = "name",
+    sortOrder = "asc",
+    cursor = null,
+    direction = "forward",
+    limit = 20,
+  } = {}
+) {
+  const trimmedSearch = search ? search.trim() : "";
+  const where = {
+    shopId,
+    ...(trimmedSearch && {
+      OR: [
+        { name: { contains: trimmedSearch, mode: "insensitive" } },
+        { contactPerson: { contains: trimmedSearch, mode: "insensitive" } },
+        { phone: { contains: trimmedSearch } },
+      ],
+    }),
+    ...(owedOnly && { outstandingDebt: { gt: 0 } }),
+  };
+
+  try {
+    const [{ items, ...pagination }, totalSuppliers] = await Promise.all([
+      findManyWithCursor(prisma.supplier, {
+        where,
+        cursor,
+        direction,
+        limit,
+        sortBy,
+        sortOrder,
+      }),
+      prisma.supplier.count({ where }),
+    ]);
+
+    return { suppliers: items, totalSuppliers, ...pagination };
+  } catch (error) {
+    console.error("Error fetching suppliers:", error);
+    throw new Error("Failed to fetch suppliers");
+  }
+}
+
+/**
+ * Updates a supplier's contact details.
+ * @param {string} supplierId - The ID of the supplier to update.
+ * @param {object} supplierData - The validated fields to update.
+ * @param {string} shopId - The ID of the shop the supplier belongs to.
+ * @returns {Promise<import('@prisma/client').Supplier>} The updated supplier.
+ */
+export async function updateSupplier(supplierId, supplierData, shopId) {
+  return prisma.supplier.update({
+    where: {
+      id: supplierId,
+      shopId, // Ensure the supplier belongs to the shop
+    },
+    data: {
+      ...supplierData,
+      ...(supplierData.name !== undefined && {
+        name: normalizeSupplierName(supplierData.name),
+      }),
+      ...(supplierData.email !== undefined && {
+        email: supplierData.email || null,
+      }),
+    },
+  });
+}
+
+/**
+ * Deletes a supplier that has never been purchased from or ordered from.
+ * Suppliers with purchase history must be kept so past purchases and
+ * purchase orders stay explainable.
+ * @param {string} supplierId - The ID of the supplier to delete.
+ * @param {string} shopId - The ID of the shop the supplier belongs to.
+ * @returns {Promise<import('@prisma/client').Supplier>} The deleted supplier.
+ * @throws {Error} If the supplier has purchases or purchase orders.
+ */
+export async function deleteSupplier(supplierId, shopId) {
+  const [purchaseCount, purchaseOrderCount] = await Promise.all([
+    prisma.purchase.count({ where: { supplierId, shopId } }),
+    prisma.purchaseOrder.count({ where: { supplierId, shopId } }),
+  ]);
+
+  const history = [
+    [purchaseCount, "purchase"],
+    [purchaseOrderCount, "purchase order"],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count > 1 ? "s" : ""}`);
+
+  if (history.length > 0) {
+    throw new Error(
+      `Cannot delete supplier. It has ${history.join(" and ")} on record.`
+    );
+  }
+
+  return prisma.supplier.delete({
+    where: {
+      id: supplierId,
+      shopId, // Ensure the supplier belongs to the shop
+    },
+  });
+}
+
+/**
+ * Atomically changes what the shop owes a supplier.
+ * Callers are responsible for recording the matching ledger entry, which is why
+ * this should only be invoked through the supplier ledger service.
+ * @param {string} supplierId - The ID of the supplier.
+ * @param {string} shopId - The ID of the shop the supplier belongs to.
+ * @param {number} amount - Signed debt change.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<{id: string, name: string, outstandingDebt: number}>} The supplier after the change.
+ */
+export async function updateSupplierDebt(supplierId, shopId, amount, db = prisma) {
+  return db.supplier.update({
+    where: {
+      id: supplierId,
+      shopId, // Ensure the supplier belongs to the shop
+    },
+    data: {
+      outstandingDebt: { increment: amount },
+    },
+    select: {
+      id: true,
+      name: true,
+      outstandingDebt: true,
+    },
+  });
+}
+
+/**
+ * Lists the suppliers the shop currently owes money to, largest debt first.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<{suppliers: Array<{id: string, name: string, phone: string|null, outstandingDebt: number}>, totalOutstanding: number}>} The suppliers owed and the total owed.
+ */
+export async function getSupplierPayables(shopId) {
+  const where = { shopId, outstandingDebt: { gt: 0 } };
+
+  const [suppliers, totals] = await Promise.all([
+    prisma.supplier.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        phone: true,
+        outstandingDebt: true,
+      },
+      orderBy: [{ outstandingDebt: "desc" }, { name: "asc" }],
+    }),
+    prisma.supplier.aggregate({
+      where,
+      _sum: { outstandingDebt: true },
+    }),
+  ]);
+
+  return {
+    suppliers,
+    totalOutstanding: totals._sum.outstandingDebt ?? 0,
+  };
+}
@@ -0,0 +1,138 @@
+// src/lib/data/users.js
+
+import prisma from "@/lib/prisma";
+
+/**
+ * @typedef {object} UserAccess
+ * @property {string} id - The user's ID.
+ * @property {import('@prisma/client').Role} role - The user's role.
+ * @property {string|undefined} shopId - The shop the user owns or works in, if any.
+ */
+
+// Fields needed to work out a user's access
+const userAccessSelect = {
+  id: true,
+  role: true,
+  staffShopId: true,
+  shop: { select: { id: true } },
+};
+
+/**
+ * Resolves which shop a user can access and in which role: the shop they own,
+ * or the shop they were invited to as staff.
+ * @param {{id: string, role: import('@prisma/client').Role, staffShopId: string|null, shop: {id: string}|null}|null} user - The user, selected with `userAccessSelect`.
+ * @returns {UserAccess|null} The user's access, or null if there is no such user.
+ */
+function toUserAccess(user) {
+  if (!user) {
+    return null;
+  }
+
+  return {
+    id: user.id,
+    role: user.role,
+    shopId:
+      user.role === "SHOP_STAFF"
+        ? user.staffShopId ?? undefined
+        : user.shop?.id,
+  };
+}
+
+/**
+ * Resolves which shop a user can access and in which role, by email.
+ * @param {string} email - The user's email address.
+ * @returns {Promise<UserAccess|null>} The user's access, or null if there is no such user.
+ */
+export async function getUserAccessByEmail(email) {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: userAccessSelect,
+  });
+  return toUserAccess(user);
+}
+
+/**
+ * Resolves which shop a user can access and in which role, by ID.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<UserAccess|null>} The user's access, or null if there is no such user.
+ */
+export async function getUserAccessById(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: userAccessSelect,
+  });
+  return toUserAccess(user);
+}
+
+/**
+ * Fetches a user by email with the shop they own and the shop they work in.
+ * @param {string} email - The user's email address.
+ * @returns {Promise<object|null>} The user, or null if not found.
+ */
+export async function getUserByEmail(email) {
+  return prisma.user.findUnique({
+    where: { email },
+    select: {
+      id: true,
+      role: true,
+      staffShopId: true,
+      shop: { select: { id: true } },
+    },
+  });
+}
+
+/**
+ * Lists the staff members of a shop, alphabetically.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<Array<{id: string, name: string|null, email: string|null, image: string|null}>>} The staff members.
+ */
+export async function getShopStaff(shopId) {
+  return prisma.user.findMany({
+    where: { staffShopId: shopId, role: "SHOP_STAFF" },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      image: true,
+    },
+    orderBy: [{ name: "asc" }, { email: "asc" }],
+  });
+}
+
+/**
+ * Counts the staff members of a shop.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<number>} The number of staff members.
+ */
+export async function countShopStaff(shopId, db = prisma) {
+  return db.user.count({ where: { staffShopId: shopId, role: "SHOP_STAFF" } });
+}
+
+/**
+ * Makes a user a staff member of a shop.
+ * @param {string} userId - The ID of the user.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<import('@prisma/client').User>} The updated user.
+ */
+export async function addShopStaff(userId, shopId, db = prisma) {
+  return db.user.update({
+    where: { id: userId },
+    data: { role: "SHOP_STAFF", staffShopId: shopId },
+  });
+}
+
+/**
+ * Detaches a staff member from a shop.
+ * @param {string} userId - The ID of the staff member.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<number>} The number of users detached (0 if they were not staff of the shop).
+ */
+export async function removeShopStaff(userId, shopId) {
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, staffShopId: shopId, role: "SHOP_STAFF" },
+    data: { staffShopId: null },
+  });
+  return count;
+}
@@ -18,6 +18,18 @@ import {
   BarChart3,
   Users2,
   Building2,
+  ClipboardList,
+  PackagePlus,
+  ScrollText,
+  Undo2,
+  AlertTriangle,
+  ClipboardCheck,
+  RefreshCcw,
+  ListChecks,
+  Coins,
+  UserCog,
+  FileUp,
+  CreditCard,
 } from "lucide-react";
 
 /**
@@ -67,11 +79,51 @@ export const navigationGroups = [
             url: "/inventory/products/new",
             icon: Package,
           },
+          {
+            title: "Import Products",
+            url: "/inventory/products/import",
+            icon: FileUp,
+          },
           {
             title: "Categories",
             url: "/inventory/categories",
             icon: Tags,
           },
+          {
+            title: "Receive Stock",
+            url: "/inventory/receive",
+            icon: PackagePlus,
+          },
+          {
+            title: "Purchases",
+            url: "/inventory/purchases",
+            icon: ScrollText,
+          },
+          {
+            title: "Stock Adjustments",
+            url: "/inventory/adjustments",
+            icon: ClipboardList,
+          },
+          {
+            title: "Stocktakes",
+            url: "/inventory/stocktakes",
+            icon: ListChecks,
+          },
+          {
+            title: "Low Stock",
+            url: "/inventory/low-stock",
+            icon: AlertTriangle,
+          },
+          {
+            title: "Reorder",
+            url: "/inventory/reorder",
+            icon: RefreshCcw,
+          },
+          {
+            title: "Purchase Orders",
+            url: "/inventory/purchase-orders",
+            icon: ClipboardCheck,
+          },
         ],
       },
       {
@@ -88,6 +140,11 @@ export const navigationGroups = [
             url: "/dashboard/sales/new",
             icon: FileText,
           },
+          {
+            title: "Returns",
+            url: "/dashboard/sales/returns/new",
+            icon: Undo2,
+          },
         ],
       },
       {
@@ -108,8 +165,19 @@ export const navigationGroups = [
       },
       {
         title: "Reports",
-        url: "/dashboard/reports",
         icon: BarChart3,
+        items: [
+          {
+            title: "Profit & Loss",
+            url: "/dashboard/reports",
+            icon: TrendingUp,
+          },
+          {
+            title: "Inventory Valuation",
+            url: "/dashboard/reports/inventory-valuation",
+            icon: Coins,
+          },
+        ],
       },
     ],
   },
@@ -121,10 +189,41 @@ export const navigationGroups = [
         url: "/dashboard/settings",
         icon: Settings,
       },
+      {
+        title: "Staff",
+        url: "/dashboard/settings/staff",
+        icon: UserCog,
+      },
+      {
+        title: "Subscription",
+        url: "/dashboard/settings/subscription",
+        icon: CreditCard,
+      },
     ],
   },
 ];
 
+/**
+ * Returns a copy of the navigation groups with live badges applied.
+ * Badges are matched by item URL, so static navigation data stays untouched.
+ * @param {NavGroup[]} groups - Navigation groups
+ * @param {Object<string, string>} badges - Badge text keyed by item URL
+ * @returns {NavGroup[]} Navigation groups with badges
+ */
+export function withNavBadges(groups, badges) {
+  /** @param {NavItem} item */
+  const applyBadge = (item) => ({
+    ...item,
+    ...(item.url && badges[item.url] ? { badge: badges[item.url] } : {}),
+    ...(item.items ? { items: item.items.map(applyBadge) } : {}),
+  });
+
+  return groups.map((group) => ({
+    ...group,
+    items: group.items.map(applyBadge),
+  }));
+}
+
 /**
  * Company/team information for the header
  */
@@ -13,9 +13,16 @@ export const queryKeys = {
     cursorList: (filters) => [...queryKeys.products.cursorLists(), { filters }],
     details: () => [...queryKeys.products.all(), "detail"],
     detail: (id) => [...queryKeys.products.details(), id],
+    stockMovements: (id, filters) => [
+      ...queryKeys.products.detail(id),
+      "stockMovements",
+      { filters },
+    ],
     checkName: (name) => [...queryKeys.products.all(), "checkName", name],
+    search: (query) => [...queryKeys.products.all(), "search", query],
     sessionCreations: () => [...queryKeys.products.all(), "session-creations"],
     units: () => [...queryKeys.products.all(), "units"],
+    lowStock: (limit) => [...queryKeys.products.all(), "lowStock", { limit }],
   },
   categories: {
     all: () => ["categories"],
@@ -31,5 +38,109 @@ export const queryKeys = {
     checkName: (name) => [...queryKeys.categories.all(), "checkName", name],
     usage: (categoryId) => [...queryKeys.categories.all(), "usage", categoryId],
   },
+  inventory: {
+    all: () => ["inventory"],
+    adjustments: (filters) => [
+      ...queryKeys.inventory.all(),
+      "adjustments",
+      { filters },
+    ],
+    adjustmentSummary: (filters) => [
+      ...queryKeys.inventory.all(),
+      "adjustmentSummary",
+      { filters },
+    ],
+  },
+  stocktakes: {
+    all: () => ["stocktakes"],
+    lists: () => [...queryKeys.stocktakes.all(), "list"],
+    list: (filters) => [...queryKeys.stocktakes.lists(), { filters }],
+    details: () => [...queryKeys.stocktakes.all(), "detail"],
+    detail: (id) => [...queryKeys.stocktakes.details(), id],
+  },
+  shop: {
+    all: () => ["shop"],
+    detail: () => [...queryKeys.shop.all(), "detail"],
+  },
+  staff: {
+    all: () => ["staff"],
+    team: () => [...queryKeys.staff.all(), "team"],
+  },
+  subscription: {
+    all: () => ["subscription"],
+    detail: () => [...queryKeys.subscription.all(), "detail"],
+    usage: () => [...queryKeys.subscription.all(), "usage"],
+  },
+  suppliers: {
+    all: () => ["suppliers"],
+    lists: () => [...queryKeys.suppliers.all(), "list"],
+    list: (filters) => [...queryKeys.suppliers.lists(), { filters }],
+    payables: () => [...queryKeys.suppliers.all(), "payables"],
+    details: () => [...queryKeys.suppliers.all(), "detail"],
+    detail: (id) => [...queryKeys.suppliers.details(), id],
+    ledger: (id, filters) => [
+      ...queryKeys.suppliers.detail(id),
+      "ledger",
+      { filters },
+    ],
+  },
+  purchases: {
+    all: () => ["purchases"],
+    lists: () => [...queryKeys.purchases.all(), "list"],
+    list: (filters) => [...queryKeys.purchases.lists(), { filters }],
+    details: () => [...queryKeys.purchases.all(), "detail"],
+    detail: (id) => [...queryKeys.purchases.details(), id],
+  },
+  purchaseOrders: {
+    all: () => ["purchaseOrders"],
+    lists: () => [...queryKeys.purchaseOrders.all(), "list"],
+    list: (filters) => [...queryKeys.purchaseOrders.lists(), { filters }],
+    details: () => [...queryKeys.purchaseOrders.all(), "detail"],
+    detail: (id) => [...queryKeys.purchaseOrders.details(), id],
+    suggestions: () => [...queryKeys.purchaseOrders.all(), "suggestions"],
+  },
+  sales: {
+    all: () => ["sales"],
+    lists: () => [...queryKeys.sales.all(), "list"],
+    list: (filters) => [...queryKeys.sales.lists(), { filters }],
+    details: () => [...queryKeys.sales.all(), "detail"],
+    detail: (id) => [...queryKeys.sales.details(), id],
+    lookup: (number) => [...queryKeys.sales.all(), "lookup", number],
+    staff: () => [...queryKeys.sales.all(), "staff"],
+  },
+  customers: {
+    all: () => ["customers"],
+    lists: () => [...queryKeys.customers.all(), "list"],
+    list: (filters) => [...queryKeys.customers.lists(), { filters }],
+    details: () => [...queryKeys.customers.all(), "detail"],
+    detail: (id) => [...queryKeys.customers.details(), id],
+    ledger: (id, filters) => [
+      ...queryKeys.customers.detail(id),
+      "ledger",
+      { filters },
+    ],
+    statement: (id, range) => [
+      ...queryKeys.customers.detail(id),
+      "statement",
+      { range },
+    ],
+  },
+  dashboard: {
+    all: () => ["dashboard"],
+    summary: () => [...queryKeys.dashboard.all(), "summary"],
+  },
+  reports: {
+    all: () => ["reports"],
+    profitAndLoss: (range) => [
+      ...queryKeys.reports.all(),
+      "profitAndLoss",
+      { range },
+    ],
+    inventoryValuation: (asOf) => [
+      ...queryKeys.reports.all(),
+      "inventoryValuation",
+      { asOf },
+    ],
+  },
   // ... other resource keys will be added here in the future
 };
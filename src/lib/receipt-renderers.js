@@ -0,0 +1,358 @@
+// src/lib/receipt-renderers.js
+
+import { format } from "date-fns";
+import { formatAmount, formatCurrency } from "@/lib/config/shop-config";
+
+/**
+ * Characters per line of the standard font on common thermal printers,
+ * keyed by paper width in millimetres.
+ * @type {Record<number, number>}
+ */
+export const RECEIPT_LINE_WIDTHS = { 58: 32, 80: 48 };
+
+// ESC/POS control sequences
+const ESC_POS = {
+  init: [0x1b, 0x40], // ESC @
+  codePageCp866: [0x1b, 0x74, 0x11], // ESC t 17
+  boldOn: [0x1b, 0x45, 0x01], // ESC E 1
+  boldOff: [0x1b, 0x45, 0x00], // ESC E 0
+  feedAndCut: [0x1b, 0x64, 0x04, 0x1d, 0x56, 0x01], // ESC d 4, GS V 1
+};
+
+/**
+ * Escapes text for safe use in HTML.
+ * @param {unknown} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Breaks text into lines of at most `width` characters, on word boundaries
+ * where possible. Explicit line breaks are kept.
+ * @param {string} text - The text to wrap.
+ * @param {number} width - Maximum characters per line.
+ * @returns {string[]} The wrapped lines.
+ */
+function wrapText(text, width) {
+  return text.split(/\r?\n/).flatMap((paragraph) => {
+    const lines = [];
+    let current = "";
+
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      let rest = word;
+      while (rest.length > width) {
+        if (current) {
+          lines.push(current);
+          current = "";
+        }
+        lines.push(rest.slice(0, width));
+        rest = rest.slice(width);
+      }
+
+      if (!current) {
+        current = rest;
+      } else if (current.length + 1 + rest.length <= width) {
+        current = `${current} ${rest}`;
+      } else {
+        lines.push(current);
+        current = rest;
+      }
+    }
+
+    return current ? [...lines, current] : lines;
+  });
+}
+
+/**
+ * Centres each wrapped line of the text.
+ * @param {string} text - The text to centre.
+ * @param {number} width - Characters per line.
+ * @returns {string[]} The centred lines.
+ */
+function centerText(text, width) {
+  return wrapText(text, width).map((line) =>
+    line.padStart(Math.floor((width + line.length) / 2)).padEnd(width)
+  );
+}
+
+/**
+ * Puts `left` and `right` on one line, right-aligning `right`. When they do
+ * not fit together, `left` is wrapped above a line holding `right`.
+ * @param {string} left - Left-hand text.
+ * @param {string} right - Right-hand text.
+ * @param {number} width - Characters per line.
+ * @returns {string[]} The resulting lines.
+ */
+function justifyText(left, right, width) {
+  if (left.length + 1 + right.length <= width) {
+    return [left + right.padStart(width - left.length)];
+  }
+
+  return [...wrapText(left, width), right.padStart(width)];
+}
+
+/**
+ * Lines with the shop's contact details, printed under its name.
+ * @param {import('@/lib/services/receipt-service').Receipt} receipt - The receipt.
+ * @returns {string[]} The address, phone and tax ID lines that are set.
+ */
+function shopContactLines(receipt) {
+  return [
+    receipt.address,
+    receipt.phone && `Tel: ${receipt.phone}`,
+    receipt.taxId && `Tax ID: ${receipt.taxId}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Lays out a receipt as fixed-width lines for a thermal printer.
+ * @param {import('@/lib/services/receipt-service').Receipt} receipt - The receipt to lay out.
+ * @param {number} width - Characters per line.
+ * @returns {Array<{text: string, bold?: boolean}>} The lines, top to bottom.
+ */
+function layoutReceipt(receipt, width) {
+  const rule = { text: "-".repeat(width) };
+  const plain = (lines) => lines.map((text) => ({ text }));
+  const bold = (lines) => lines.map((text) => ({ text, bold: true }));
+  const amount = (value) => formatAmount(value, receipt.currencyFormat);
+
+  const lines = [
+    ...bold(centerText(receipt.shopName, width)),
+    ...shopContactLines(receipt).flatMap((text) =>
+      plain(centerText(text, width))
+    ),
+    ...(receipt.header ? plain(centerText(receipt.header, width)) : []),
+    rule,
+    ...plain(
+      justifyText(
+        `${receipt.isReturn ? "Return" : "Sale"} #${receipt.number}`,
+        format(receipt.createdAt, "dd.MM.yyyy HH:mm"),
+        width
+      )
+    ),
+  ];
+
+  if (receipt.originalSaleNumber) {
+    lines.push(
+      ...plain(wrapText(`Return of sale #${receipt.originalSaleNumber}`, width))
+    );
+  }
+  if (receipt.cashier) {
+    lines.push(...plain(justifyText("Cashier", receipt.cashier, width)));
+  }
+
+  lines.push(rule);
+  for (const line of receipt.lines) {
+    lines.push(
+      ...plain(wrapText(line.name, width)),
+      ...plain(
+        justifyText(
+          `  ${line.quantity} ${line.unit} x ${amount(line.unitPrice)}`,
+          amount(line.lineTotal),
+          width
+        )
+      )
+    );
+  }
+  lines.push(rule);
+
+  lines.push(
+    ...bold(
+      justifyText(
+        receipt.isReturn ? "REFUND" : "TOTAL",
+        formatCurrency(receipt.totalAmount, receipt.currencyFormat),
+        width
+      )
+    ),
+    ...plain(justifyText("Payment", receipt.paymentLabel, width))
+  );
+  if (receipt.customerName) {
+    lines.push(...plain(justifyText("Customer", receipt.customerName, width)));
+  }
+  if (receipt.customerBalance !== null) {
+    lines.push(
+      ...plain(
+        justifyText(
+          "Balance due",
+          formatCurrency(receipt.customerBalance, receipt.currencyFormat),
+          width
+        )
+      )
+    );
+  }
+
+  if (receipt.footer) {
+    lines.push(rule, ...plain(centerText(receipt.footer, width)));
+  }
+
+  return lines;
+}
+
+/**
+ * Renders a receipt as fixed-width plain text.
+ * @param {import('@/lib/services/receipt-service').Receipt} receipt - The receipt to render.
+ * @param {number} paperWidth - Paper width in millimetres (58 or 80).
+ * @returns {string} The receipt text.
+ */
+export function renderReceiptText(receipt, paperWidth) {
+  const width = RECEIPT_LINE_WIDTHS[paperWidth];
+  return layoutReceipt(receipt, width)
+    .map((line) => line.text.trimEnd())
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * Encodes text in code page 866, which thermal printers use for Cyrillic.
+ * Characters outside the code page are printed as "?".
+ * @param {string} text - The text to encode.
+ * @returns {number[]} The encoded bytes.
+ */
+function encodeCp866(text) {
+  return Array.from(text.normalize("NFC"), (char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return code;
+    if (code >= 0x410 && code <= 0x43f) return code - 0x410 + 0x80; // А-п
+    if (code >= 0x440 && code <= 0x44f) return code - 0x440 + 0xe0; // р-я
+    if (code === 0x401) return 0xf0; // Ё
+    if (code === 0x451) return 0xf1; // ё
+    if (code === 0x2bb || code === 0x2bc || code === 0x2018 || code === 0x2019) {
+      return 0x27; // Uzbek o‘ and g‘ apostrophes
+    }
+    return 0x3f;
+  });
+}
+
+/**
+ * Renders a receipt as an ESC/POS byte stream for a thermal printer:
+ * initialises the printer, prints the fixed-width text and cuts the paper.
+ * @param {import('@/lib/services/receipt-service').Receipt} receipt - The receipt to render.
+ * @param {number} paperWidth - Paper width in millimetres (58 or 80).
+ * @returns {Buffer} The printer commands.
+ */
+export function renderReceiptEscPos(receipt, paperWidth) {
+  const width = RECEIPT_LINE_WIDTHS[paperWidth];
+  const bytes = [...ESC_POS.init, ...ESC_POS.codePageCp866];
+
+  for (const line of layoutReceipt(receipt, width)) {
+    if (line.bold) bytes.push(...ESC_POS.boldOn);
+    bytes.push(...encodeCp866(line.text.trimEnd()), 0x0a);
+    if (line.bold) bytes.push(...ESC_POS.boldOff);
+  }
+
+  bytes.push(...ESC_POS.feedAndCut);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Renders a receipt as a standalone HTML page laid out for A4 paper.
+ * @param {import('@/lib/services/receipt-service').Receipt} receipt - The receipt to render.
+ * @returns {string} The HTML document.
+ */
+export function renderReceiptHtml(receipt) {
+  const title = `${receipt.isReturn ? "Return" : "Sale"} #${receipt.number}`;
+  const multiline = (text) => escapeHtml(text).replace(/\r?\n/g, "<br>");
+  const amount = (value) => formatAmount(value, receipt.currencyFormat);
+  const money = (value) =>
+    escapeHtml(formatCurrency(value, receipt.currencyFormat));
+  const contact = shopContactLines(receipt);
+
+  const rows = receipt.lines
+    .map(
+      (line) => `<tr>
+          <td>${escapeHtml(line.name)}</td>
+          <td class="num">${line.quantity} ${escapeHtml(line.unit)}</td>
+          <td class="num">${escapeHtml(amount(line.unitPrice))}</td>
+          <td class="num">${escapeHtml(amount(line.lineTotal))}</td>
+        </tr>`
+    )
+    .join("\n        ");
+
+  const details = [
+    ["Date", format(receipt.createdAt, "dd.MM.yyyy HH:mm")],
+    receipt.originalSaleNumber && [
+      "Return of",
+      `Sale #${receipt.originalSaleNumber}`,
+    ],
+    receipt.cashier && ["Cashier", receipt.cashier],
+    receipt.customerName && ["Customer", receipt.customerName],
+    ["Payment", receipt.paymentLabel],
+  ]
+    .filter(Boolean)
+    .map(
+      ([label, value]) =>
+        `<div><span>${label}</span> ${escapeHtml(value)}</div>`
+    )
+    .join("\n      ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(`${title} · ${receipt.shopName}`)}</title>
+  <style>
+    @page { size: A4; margin: 20mm; }
+    body { font-family: system-ui, sans-serif; font-size: 12pt; color: #111; max-width: 170mm; margin: 0 auto; padding: 16px; }
+    h1 { font-size: 20pt; margin: 0; }
+    h2 { font-size: 14pt; margin: 24px 0 8px; }
+    .contact, .header, .footer { color: #555; margin-top: 4px; }
+    .footer { margin-top: 32px; text-align: center; }
+    .details div { margin: 2px 0; }
+    .details span { display: inline-block; width: 100px; color: #555; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { border-bottom: 2px solid #111; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { border-bottom: 0; font-weight: bold; }
+    .print { margin-bottom: 16px; }
+    @media print { .print { display: none; } body { padding: 0; } }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print</button>
+  <h1>${escapeHtml(receipt.shopName)}</h1>
+  ${contact.length ? `<div class="contact">${contact.map(escapeHtml).join("<br>")}</div>` : ""}
+  ${receipt.header ? `<div class="header">${multiline(receipt.header)}</div>` : ""}
+  <h2>${title}</h2>
+  <div class="details">
+      ${details}
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Product</th>
+        <th class="num">Qty</th>
+        <th class="num">Price</th>
+        <th class="num">Total</th>
+      </tr>
+    </thead>
+    <tbody>
+        ${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="3">${receipt.isReturn ? "Refund" : "Total"}</td>
+        <td class="num">${money(receipt.totalAmount)}</td>
+      </tr>
+      ${
+        receipt.customerBalance !== null
+          ? `<tr>
+        <td colspan="3">Customer balance due</td>
+        <td class="num">${money(receipt.customerBalance)}</td>
+      </tr>`
+          : ""
+      }
+    </tfoot>
+  </table>
+  ${receipt.footer ? `<div class="footer">${multiline(receipt.footer)}</div>` : ""}
+</body>
+</html>
+`;
+}
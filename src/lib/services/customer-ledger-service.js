@@ -0,0 +1,163 @@
+import prisma from "@/lib/prisma";
+import { getCustomerById, updateCustomerBalance } from "@/lib/data/customers";
+import {
+  createCustomerLedgerEntry,
+  getCustomerBalanceBefore,
+  getCustomerLedgerEntries,
+} from "@/lib/data/customer-ledger";
+import { createCustomerPaymentRecord } from "@/lib/data/customer-payments";
+import { getPaymentMethodLabel } from "@/lib/config/sales-config";
+import { toDateRangeFilter } from "@/lib/utils";
+
+/**
+ * @typedef {object} ApplyCustomerLedgerEntryInput
+ * @property {string} customerId - The customer whose balance changes.
+ * @property {string} shopId - The shop the customer belongs to.
+ * @property {import('@prisma/client').CustomerLedgerEntryType} type - The source of the change.
+ * @property {number} amount - Signed, non-zero balance change. Positive increases what the customer owes.
+ * @property {string} [userId] - The user recording the change.
+ * @property {string} [referenceType] - Originating document type (e.g. "Sale").
+ * @property {string} [referenceId] - Originating document ID.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * The single entry point for changing a customer's outstanding balance. Applies
+ * the change to `Customer.outstandingBalance` and records the matching ledger
+ * entry using the supplied transaction client, so the balance is always
+ * explained by the customer's ledger.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @param {ApplyCustomerLedgerEntryInput} entry - The entry to apply.
+ * @returns {Promise<import('@prisma/client').CustomerLedgerEntry>} The recorded entry.
+ * @throws {Error} If the amount is not a non-zero integer.
+ */
+export async function applyCustomerLedgerEntry(tx, entry) {
+  if (!Number.isInteger(entry.amount) || entry.amount === 0) {
+    throw new Error("Customer ledger amount must be a non-zero integer.");
+  }
+
+  const customer = await updateCustomerBalance(
+    entry.customerId,
+    entry.shopId,
+    entry.amount,
+    tx
+  );
+
+  return createCustomerLedgerEntry(
+    {
+      ...entry,
+      balanceAfter: customer.outstandingBalance,
+    },
+    tx
+  );
+}
+
+/**
+ * Records a payment received from a customer and reduces their balance through
+ * a PAYMENT ledger entry, in a single transaction. Partial payments are allowed,
+ * but a payment can never take the balance below zero.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').customerPaymentSchema>} paymentData - The validated payment.
+ * @param {string} customerId - The paying customer.
+ * @param {string} shopId - The shop receiving the payment.
+ * @param {string} userId - The user recording the payment.
+ * @returns {Promise<import('@prisma/client').CustomerPayment>} The recorded payment.
+ * @throws {Error} If the customer does not belong to the shop or the payment exceeds the balance.
+ */
+export async function recordCustomerPayment(
+  { amount, method, note },
+  customerId,
+  shopId,
+  userId
+) {
+  return prisma.$transaction(async (tx) => {
+    const customer = await getCustomerById(customerId, shopId, tx);
+    if (!customer) {
+      throw new Error(
+        "Invalid customer specified. The customer must belong to your shop."
+      );
+    }
+
+    const payment = await createCustomerPaymentRecord(
+      {
+        customerId,
+        shopId,
+        userId,
+        amount,
+        method,
+        note: note || null,
+      },
+      tx
+    );
+
+    const entry = await applyCustomerLedgerEntry(tx, {
+      customerId,
+      shopId,
+      userId,
+      type: "PAYMENT",
+      amount: -amount,
+      referenceType: "CustomerPayment",
+      referenceId: payment.id,
+      note: [getPaymentMethodLabel(method), note].filter(Boolean).join(" — "),
+    });
+
+    if (entry.balanceAfter < 0) {
+      throw new Error(
+        `Payment exceeds outstanding balance. Outstanding: ${
+          entry.balanceAfter + amount
+        }.`
+      );
+    }
+
+    return payment;
+  });
+}
+
+/**
+ * @typedef {object} CustomerStatement
+ * @property {string|undefined} from - Inclusive start date (YYYY-MM-DD).
+ * @property {string|undefined} to - Inclusive end date (YYYY-MM-DD).
+ * @property {number} openingBalance - Balance before the first day of the period.
+ * @property {number} totalCharges - Sum of charges in the period (including exchange differences).
+ * @property {number} totalPayments - Sum of payments and return credits in the period (positive number).
+ * @property {number} closingBalance - Balance at the end of the period.
+ * @property {Array<object>} entries - Ledger entries in the period, oldest first.
+ */
+
+/**
+ * Builds an account statement for a customer over an inclusive date range.
+ * Without a start date the statement covers the customer's whole history.
+ *
+ * @param {string} customerId - The ID of the customer.
+ * @param {string} shopId - The ID of the shop the customer belongs to.
+ * @param {{from?: string, to?: string}} range - Inclusive ISO date range.
+ * @returns {Promise<CustomerStatement>} The statement.
+ */
+export async function getCustomerStatement(customerId, shopId, { from, to } = {}) {
+  const createdAt = toDateRangeFilter({ from, to });
+
+  const [openingBalance, entries] = await Promise.all([
+    createdAt?.gte
+      ? getCustomerBalanceBefore(customerId, shopId, createdAt.gte)
+      : 0,
+    getCustomerLedgerEntries(customerId, shopId, createdAt),
+  ]);
+
+  const totalCharges = entries
+    .filter((entry) => entry.amount > 0)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const totalPayments = entries
+    .filter((entry) => entry.amount < 0)
+    .reduce((sum, entry) => sum - entry.amount, 0);
+
+  return {
+    from,
+    to,
+    openingBalance,
+    totalCharges,
+    totalPayments,
+    closingBalance: openingBalance + totalCharges - totalPayments,
+    entries,
+  };
+}
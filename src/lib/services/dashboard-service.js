@@ -0,0 +1,102 @@
+import { addDays, format, subDays } from "date-fns";
+import { getCustomerReceivables } from "@/lib/data/customers";
+import {
+  getDailyProfitAndLoss,
+  getProfitAndLossTotals,
+} from "@/lib/data/reports";
+import { getShopSetupProgress } from "@/lib/data/shops";
+import { getSupplierPayables } from "@/lib/data/suppliers";
+import { toDateRangeFilter, toShopTime } from "@/lib/utils";
+
+// Number of days, including today, in the revenue trend
+const REVENUE_TREND_DAYS = 30;
+
+/**
+ * @typedef {object} DashboardSummary
+ * @property {{hasProducts: boolean, hasSales: boolean}} setup - Onboarding progress of the shop.
+ * @property {{saleCount: number, returnCount: number, unitsSold: number}} today - Today's activity.
+ * @property {object} [financials] - Money figures, only included for the shop owner.
+ * @property {number} financials.revenue - Today's net sales.
+ * @property {number} financials.grossProfit - Today's gross profit.
+ * @property {number|null} financials.grossMarginPercent - Today's gross margin.
+ * @property {number} financials.averageBasket - Today's average sale amount.
+ * @property {number} financials.receivables - What customers owe the shop.
+ * @property {number} financials.payables - What the shop owes suppliers.
+ * @property {Array<{date: string, revenue: number}>} financials.revenueTrend - Net sales per day for the last 30 days, oldest first.
+ */
+
+/**
+ * Fills in the days without sales so the trend has one point per day.
+ * @param {Array<{date: string, netSales: number}>} dayRows - Days with sales.
+ * @param {Date} start - The first day of the trend, in the shop's time zone (see toShopTime).
+ * @returns {Array<{date: string, revenue: number}>} One point per day.
+ */
+function buildRevenueTrend(dayRows, start) {
+  const revenueByDate = new Map(dayRows.map((row) => [row.date, row.netSales]));
+
+  return Array.from({ length: REVENUE_TREND_DAYS }, (_, i) => {
+    const date = format(addDays(start, i), "yyyy-MM-dd");
+    return { date, revenue: revenueByDate.get(date) ?? 0 };
+  });
+}
+
+/**
+ * Gathers the figures shown on the dashboard. Staff get today's activity
+ * only; the shop owner also gets revenue, profit, balances and the trend.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {{includeFinancials?: boolean}} [options] - Whether to include money figures.
+ * @returns {Promise<DashboardSummary>} The dashboard summary.
+ */
+export async function getDashboardSummary(
+  shopId,
+  { includeFinancials = false } = {}
+) {
+  // Day keys must use the same time zone as the SQL day grouping
+  const now = toShopTime();
+  const today = format(now, "yyyy-MM-dd");
+  const trendStart = subDays(now, REVENUE_TREND_DAYS - 1);
+
+  const [setup, todayTotals] = await Promise.all([
+    getShopSetupProgress(shopId),
+    getProfitAndLossTotals(shopId, toDateRangeFilter({ from: today, to: today })),
+  ]);
+
+  const summary = {
+    setup,
+    today: {
+      saleCount: todayTotals.saleCount,
+      returnCount: todayTotals.returnCount,
+      unitsSold: todayTotals.unitsSold,
+    },
+  };
+
+  if (!includeFinancials) {
+    return summary;
+  }
+
+  const [receivables, payables, trendRows] = await Promise.all([
+    getCustomerReceivables(shopId),
+    getSupplierPayables(shopId),
+    getDailyProfitAndLoss(
+      shopId,
+      toDateRangeFilter({ from: format(trendStart, "yyyy-MM-dd"), to: today })
+    ),
+  ]);
+
+  return {
+    ...summary,
+    financials: {
+      revenue: todayTotals.netSales,
+      grossProfit: todayTotals.grossProfit,
+      grossMarginPercent: todayTotals.grossMarginPercent,
+      averageBasket:
+        todayTotals.saleCount > 0
+          ? Math.round(todayTotals.grossSales / todayTotals.saleCount)
+          : 0,
+      receivables: receivables.totalOutstanding,
+      payables: payables.totalOutstanding,
+      revenueTrend: buildRevenueTrend(trendRows, trendStart),
+    },
+  };
+}
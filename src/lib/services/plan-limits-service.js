@@ -0,0 +1,164 @@
+import prisma from "@/lib/prisma";
+import { countProducts } from "@/lib/data/products";
+import { getPendingStaffInvitations } from "@/lib/data/staff-invitations";
+import { getSubscriptionByShopId } from "@/lib/data/subscriptions";
+import { countShopStaff } from "@/lib/data/users";
+import {
+  planLimitResources,
+  planLimits,
+  subscriptionPlanLabels,
+} from "@/lib/config/subscription-config";
+
+/**
+ * Error code of a plan limit error. Routes answer it with 402 Payment Required.
+ * @type {string}
+ */
+export const UPGRADE_REQUIRED = "UPGRADE_REQUIRED";
+
+/**
+ * @typedef {object} ResourceUsage
+ * @property {number} usage - How many the shop has.
+ * @property {number|null} limit - How many the plan allows; null when unlimited.
+ */
+
+/**
+ * @typedef {object} PlanUsage
+ * @property {import('@prisma/client').SubscriptionPlan} plan - The shop's plan.
+ * @property {string} planLabel - Display name of the plan.
+ * @property {import('@prisma/client').SubscriptionStatus|null} status - Subscription status.
+ * @property {Date|null} endDate - When the trial or billing period ends.
+ * @property {Record<string, ResourceUsage>} resources - Usage per limited resource.
+ */
+
+/**
+ * Formats a count of a limited resource, e.g. "1 user account" or "300 products".
+ * @param {number} count - The count.
+ * @param {string} resource - The limited resource.
+ * @returns {string} The formatted count.
+ */
+function formatResourceCount(count, resource) {
+  const { one, other } = planLimitResources[resource];
+  return `${count} ${count === 1 ? one : other}`;
+}
+
+/**
+ * Counts how much of a limited resource a shop uses. User accounts are the
+ * owner, the staff and the pending invitations, which become staff when
+ * accepted.
+ * @param {string} shopId - The ID of the shop.
+ * @param {string} resource - The limited resource ("products" or "users").
+ * @param {import('@prisma/client').Prisma.TransactionClient} db - Prisma client or transaction client.
+ * @returns {Promise<number>} The current usage.
+ */
+async function countResourceUsage(shopId, resource, db) {
+  switch (resource) {
+    case "products":
+      return countProducts(shopId, db);
+    case "users": {
+      const [staffCount, invitations] = await Promise.all([
+        countShopStaff(shopId, db),
+        getPendingStaffInvitations(shopId),
+      ]);
+      return 1 + staffCount + invitations.length;
+    }
+    default:
+      throw new Error(`Unknown plan limit resource: ${resource}`);
+  }
+}
+
+/**
+ * Reports a shop's plan and its usage against every plan limit.
+ * Shops without a subscription record are treated as on the free trial.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<PlanUsage>} The plan and usage.
+ */
+export async function getPlanUsage(shopId) {
+  const subscription = await getSubscriptionByShopId(shopId);
+  const plan = subscription?.plan ?? "FREE_TRIAL";
+  const limits = planLimits[plan];
+
+  const resourceNames = Object.keys(limits);
+  const usages = await Promise.all(
+    resourceNames.map((resource) => countResourceUsage(shopId, resource, prisma))
+  );
+
+  return {
+    plan,
+    planLabel: subscriptionPlanLabels[plan],
+    status: subscription?.status ?? null,
+    endDate: subscription?.endDate ?? null,
+    resources: Object.fromEntries(
+      resourceNames.map((resource, index) => [
+        resource,
+        { usage: usages[index], limit: limits[resource] },
+      ])
+    ),
+  };
+}
+
+/**
+ * Checks that a shop's current usage fits within the limits of another plan,
+ * so switching to it does not leave the shop over a limit.
+ * @param {string} shopId - The ID of the shop.
+ * @param {import('@prisma/client').SubscriptionPlan} plan - The plan to switch to.
+ * @returns {Promise<void>}
+ * @throws {Error} If the shop uses more of a resource than the plan allows.
+ */
+export async function assertPlanFitsUsage(shopId, plan) {
+  const { resources } = await getPlanUsage(shopId);
+
+  for (const [resource, limit] of Object.entries(planLimits[plan])) {
+    const usage = resources[resource]?.usage ?? 0;
+    if (limit !== null && usage > limit) {
+      throw new Error(
+        `Your shop has ${formatResourceCount(usage, resource)}, more than the ${
+          subscriptionPlanLabels[plan]
+        } plan allows (${limit}). Remove some before switching plans.`
+      );
+    }
+  }
+}
+
+/**
+ * Checks that a shop's plan leaves room for more of a limited resource.
+ * Call it before creating the records, inside the same transaction when
+ * there is one.
+ *
+ * The thrown error has `code` set to {@link UPGRADE_REQUIRED} and `details`
+ * holding `{resource, plan, limit, usage}`.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {string} resource - The limited resource ("products" or "users").
+ * @param {number} [additional=1] - How many are about to be added.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<void>}
+ * @throws {Error} If adding them would exceed the plan limit.
+ */
+export async function assertWithinPlanLimit(
+  shopId,
+  resource,
+  additional = 1,
+  db = prisma
+) {
+  const subscription = await getSubscriptionByShopId(shopId, db);
+  const plan = subscription?.plan ?? "FREE_TRIAL";
+  const limit = planLimits[plan][resource];
+  if (limit === null) {
+    return;
+  }
+
+  const usage = await countResourceUsage(shopId, resource, db);
+  if (usage + additional <= limit) {
+    return;
+  }
+
+  const error = new Error(
+    `Your ${subscriptionPlanLabels[plan]} plan allows up to ${formatResourceCount(
+      limit,
+      resource
+    )} and you have ${usage}. Upgrade your plan to add more.`
+  );
+  error.code = UPGRADE_REQUIRED;
+  error.details = { resource, plan, limit, usage };
+  throw error;
+}
@@ -0,0 +1,185 @@
+import { format as formatDate } from "date-fns";
+import { toCsvLine } from "@/lib/utils";
+import { writeXlsxRows } from "@/lib/xlsx";
+import {
+  getProductDetailsByIds,
+  getProductsByShopIdCursor,
+} from "@/lib/data/products";
+import {
+  EXPORT_PAGE_SIZE,
+  productExportColumns,
+  productExportFormats,
+} from "@/lib/config/product-export-config";
+
+/**
+ * Reads each export column from a product. `forSheet` asks for the text a
+ * spreadsheet shows rather than the JSON value.
+ * @type {Record<string, (product: object, forSheet: boolean) => *>}
+ */
+const COLUMN_VALUES = {
+  name: (product) => product.name,
+  category: (product) => product.category?.name ?? null,
+  sellingPrice: (product) => product.sellingPrice,
+  stock: (product) => product.stock,
+  unit: (product) => product.unit || null,
+  purchasePrice: (product) => product.purchasePrice,
+  createdAt: (product, forSheet) =>
+    forSheet
+      ? formatDate(new Date(product.createdAt), "yyyy-MM-dd HH:mm")
+      : new Date(product.createdAt).toISOString(),
+  isActive: (product, forSheet) =>
+    forSheet ? (product.isActive ? "Active" : "Inactive") : product.isActive,
+};
+
+/**
+ * Reads the products to export in batches: the selected products at once,
+ * or every product matching the table filters page by page, so a large
+ * catalog is never loaded whole.
+ * @param {string} shopId - The ID of the shop.
+ * @param {object} options - Validated export query (see productExportQuerySchema).
+ * @returns {AsyncGenerator<Array<object>>} Batches of products, in table order.
+ */
+async function* productBatches(shopId, { ids, sortBy, sortOrder, ...filters }) {
+  if (ids) {
+    yield await getProductDetailsByIds(ids, shopId, { sortBy, sortOrder });
+    return;
+  }
+
+  let cursor = null;
+  do {
+    const page = await getProductsByShopIdCursor(shopId, {
+      ...filters,
+      cursor,
+      limit: EXPORT_PAGE_SIZE,
+      sortBy,
+      sortOrder,
+    });
+    yield page.products;
+    cursor = page.hasNextPage ? page.nextCursor : null;
+  } while (cursor);
+}
+
+/**
+ * Maps batches of products to rows of cell values.
+ * @param {AsyncIterable<Array<object>>} batches - Batches of products.
+ * @param {Array<{id: string}>} columns - The columns to write, in order.
+ * @returns {AsyncGenerator<Array<Array<*>>>} Batches of rows.
+ */
+async function* sheetRows(batches, columns) {
+  for await (const products of batches) {
+    yield products.map((product) =>
+      columns.map((column) => COLUMN_VALUES[column.id](product, true))
+    );
+  }
+}
+
+/**
+ * Writes products as CSV, starting with a byte order mark so spreadsheet
+ * apps read non-Latin names as UTF-8.
+ * @param {AsyncIterable<Array<object>>} batches - Batches of products.
+ * @param {Array<{id: string, header: string}>} columns - The columns to write.
+ * @returns {AsyncGenerator<string>} The CSV text.
+ */
+async function* writeCsv(batches, columns) {
+  yield `\uFEFF${toCsvLine(columns.map((column) => column.header))}`;
+  for await (const rows of sheetRows(batches, columns)) {
+    if (rows.length > 0) {
+      yield `\r\n${rows.map(toCsvLine).join("\r\n")}`;
+    }
+  }
+}
+
+/**
+ * Writes products as a JSON array of objects keyed by column ID.
+ * @param {AsyncIterable<Array<object>>} batches - Batches of products.
+ * @param {Array<{id: string}>} columns - The columns to write.
+ * @returns {AsyncGenerator<string>} The JSON text.
+ */
+async function* writeJson(batches, columns) {
+  let separator = "\n";
+  yield "[";
+  for await (const products of batches) {
+    for (const product of products) {
+      const item = Object.fromEntries(
+        columns.map((column) => [
+          column.id,
+          COLUMN_VALUES[column.id](product, false),
+        ])
+      );
+      yield `${separator}${JSON.stringify(item)}`;
+      separator = ",\n";
+    }
+  }
+  yield "\n]\n";
+}
+
+/**
+ * Wraps a chunk generator in a web stream that pulls the next chunk only
+ * when the client is ready for it. Errors end the download and are logged,
+ * since the response status has already been sent.
+ * @param {AsyncGenerator<string|Uint8Array>} chunks - The response body.
+ * @returns {ReadableStream<Uint8Array>} The stream.
+ */
+function toReadableStream(chunks) {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(
+            typeof value === "string" ? encoder.encode(value) : value
+          );
+        }
+      } catch (error) {
+        console.error("Product export failed:", error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+}
+
+/**
+ * Streams the product catalog of a shop as CSV, XLSX or JSON: either the
+ * selected products or every product matching the product table filters,
+ * in the table's sort order.
+ * @param {string} shopId - The ID of the shop.
+ * @param {object} query - Validated export query (see productExportQuerySchema).
+ * @returns {{body: ReadableStream<Uint8Array>, contentType: string, fileName: string}} The download.
+ */
+export function exportProducts(shopId, { format, columns: columnIds, ...options }) {
+  const exportFormat = productExportFormats.find(
+    (candidate) => candidate.value === format
+  );
+  const columns = columnIds
+    ? columnIds
+        .filter((id, index) => columnIds.indexOf(id) === index)
+        .map((id) => productExportColumns.find((column) => column.id === id))
+    : productExportColumns;
+
+  const batches = productBatches(shopId, options);
+  let chunks;
+  if (format === "xlsx") {
+    chunks = writeXlsxRows(
+      columns.map((column) => column.header),
+      sheetRows(batches, columns),
+      { sheetName: "Products" }
+    );
+  } else if (format === "json") {
+    chunks = writeJson(batches, columns);
+  } else {
+    chunks = writeCsv(batches, columns);
+  }
+
+  return {
+    body: toReadableStream(chunks),
+    contentType: exportFormat.contentType,
+    fileName: `products-${formatDate(new Date(), "yyyy-MM-dd")}.${exportFormat.extension}`,
+  };
+}
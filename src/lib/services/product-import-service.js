@@ -0,0 +1,407 @@
+import prisma from "@/lib/prisma";
+import {
+  normalizeCategoryName,
+  normalizeProductName,
+  parseCsv,
+} from "@/lib/utils";
+import { productCreateSchema, productUpdateSchema } from "@/lib/zod-schemas";
+import { readXlsxRows } from "@/lib/xlsx";
+import { getProductsByNamesOrSkus, updateProduct } from "@/lib/data/products";
+import { createCategory, getCategoriesByNames } from "@/lib/data/categories";
+import { insertProductWithInitialStock } from "@/lib/services/stock-service";
+import {
+  UPGRADE_REQUIRED,
+  assertWithinPlanLimit,
+} from "@/lib/services/plan-limits-service";
+import {
+  IMPORT_BATCH_SIZE,
+  MAX_IMPORT_ROWS,
+  productImportFields,
+} from "@/lib/config/product-import-config";
+
+/**
+ * Error code of an unreadable import file. Routes answer it with 400.
+ * @type {string}
+ */
+export const INVALID_IMPORT_FILE = "INVALID_IMPORT_FILE";
+
+// Fields holding whole numbers, written with thousands separators in many sheets
+const NUMBER_FIELDS = ["sellingPrice", "purchasePrice", "stock", "reorderPoint"];
+
+/**
+ * Creates an error for a file that cannot be imported.
+ * @param {string} message - What is wrong with the file.
+ * @returns {Error} The error, with code "INVALID_IMPORT_FILE".
+ */
+function invalidImportFile(message) {
+  const error = new Error(message);
+  error.code = INVALID_IMPORT_FILE;
+  return error;
+}
+
+/**
+ * Checks whether every cell of a row is empty.
+ * @param {string[]} row - The row.
+ * @returns {boolean} True if the row is blank.
+ */
+function isBlankRow(row) {
+  return row.every((cell) => !String(cell ?? "").trim());
+}
+
+/**
+ * Reads the rows of an uploaded CSV or XLSX file. The first non-blank row
+ * holds the column headers.
+ * @param {string} fileName - The uploaded file name; its extension picks the format.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Promise<{headers: string[], rows: string[][], firstRowNumber: number}>}
+ *   The headers, the data rows and the spreadsheet row number of the first data row.
+ * @throws {Error} With code "INVALID_IMPORT_FILE" if the file cannot be read or is too long.
+ */
+export async function readProductImportFile(fileName, buffer) {
+  const extension = fileName.toLowerCase().slice(fileName.lastIndexOf("."));
+
+  let rows;
+  try {
+    if (extension === ".csv") {
+      rows = parseCsv(buffer.toString("utf8"));
+    } else if (extension === ".xlsx") {
+      rows = await readXlsxRows(buffer);
+    }
+  } catch {
+    throw invalidImportFile(
+      "The file could not be read. Save it again as CSV or XLSX and retry."
+    );
+  }
+  if (!rows) {
+    throw invalidImportFile("Upload a .csv or .xlsx file.");
+  }
+
+  const headerIndex = rows.findIndex((row) => !isBlankRow(row));
+  if (headerIndex === -1) {
+    throw invalidImportFile("The file is empty.");
+  }
+
+  const dataRows = rows.slice(headerIndex + 1);
+  while (dataRows.length && isBlankRow(dataRows[dataRows.length - 1])) {
+    dataRows.pop();
+  }
+  if (dataRows.length === 0) {
+    throw invalidImportFile("The file has a header row but no products.");
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw invalidImportFile(
+      `The file has ${dataRows.length} rows; you can import up to ${MAX_IMPORT_ROWS} at a time.`
+    );
+  }
+
+  const width = Math.max(...rows.map((row) => row.length));
+  const headers = Array.from(
+    { length: width },
+    (_, index) =>
+      String(rows[headerIndex][index] ?? "").trim() || `Column ${index + 1}`
+  );
+
+  return {
+    headers,
+    rows: dataRows.map((row) => row.map((cell) => String(cell ?? ""))),
+    firstRowNumber: headerIndex + 2,
+  };
+}
+
+/**
+ * Turns schema issues into messages naming the import field.
+ * @param {import('zod').ZodIssue[]} issues - The validation issues.
+ * @returns {string[]} One message per issue.
+ */
+function describeIssues(issues) {
+  return issues.map((issue) => {
+    const label =
+      productImportFields.find((field) => field.value === issue.path[0])
+        ?.label ?? String(issue.path[0]);
+    if (issue.code === "invalid_type" && issue.received === "undefined") {
+      return `${label} is required.`;
+    }
+    if (issue.code === "invalid_type" && issue.received === "nan") {
+      return `${label} must be a number.`;
+    }
+    return issue.message;
+  });
+}
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} rowNumber - Row number in the spreadsheet.
+ * @property {"create"|"update"} action - What importing the row does.
+ * @property {string|null} productId - The matched product, for updates.
+ * @property {string|null} categoryName - Category to assign; created if missing.
+ * @property {object} data - The validated product fields.
+ * @property {string[]} errors - Why the row cannot be imported; empty when valid.
+ * @property {string[]} warnings - Values that will be ignored.
+ */
+
+/**
+ * @typedef {object} ImportPreview
+ * @property {ImportRow[]} rows - The non-blank rows, in file order.
+ * @property {{total: number, toCreate: number, toUpdate: number, invalid: number, newCategories: string[]}} summary
+ */
+
+/**
+ * Maps the file rows to product fields and validates them without writing
+ * anything: every row is checked with the product schema, against the other
+ * rows of the file and against the shop's existing products.
+ *
+ * @param {string} shopId - The ID of the shop importing.
+ * @param {object} input - The validated import request.
+ * @param {"CREATE_ONLY"|"UPSERT"} input.mode - How rows are matched to existing products.
+ * @param {Record<string, number>} input.mapping - Column index per product field.
+ * @param {string[][]} input.rows - The data rows.
+ * @param {number} [input.firstRowNumber=2] - Spreadsheet row number of the first data row.
+ * @returns {Promise<ImportPreview>} The row-level result and a summary.
+ */
+export async function prepareProductImport(
+  shopId,
+  { mode, mapping, rows, firstRowNumber = 2 }
+) {
+  const cell = (row, field) =>
+    mapping[field] === undefined ? "" : String(row[mapping[field]] ?? "").trim();
+
+  const records = rows
+    .map((row, index) => ({ row, rowNumber: firstRowNumber + index }))
+    .filter(({ row }) => !isBlankRow(row))
+    .map(({ row, rowNumber }) => {
+      const values = Object.fromEntries(
+        productImportFields
+          .filter((field) => field.value !== "category")
+          .map((field) => {
+            const text = cell(row, field.value);
+            return [
+              field.value,
+              NUMBER_FIELDS.includes(field.value)
+                ? text.replace(/[\s,']/g, "")
+                : text,
+            ];
+          })
+      );
+
+      return {
+        rowNumber,
+        values,
+        name: normalizeProductName(values.name),
+        sku: values.sku || null,
+        categoryName: normalizeCategoryName(cell(row, "category")) || null,
+      };
+    });
+
+  const [existingProducts, existingCategories] = await Promise.all([
+    getProductsByNamesOrSkus(shopId, {
+      names: [...new Set(records.map((record) => record.name).filter(Boolean))],
+      skus: [...new Set(records.map((record) => record.sku).filter(Boolean))],
+    }),
+    getCategoriesByNames(shopId, [
+      ...new Set(records.map((record) => record.categoryName).filter(Boolean)),
+    ]),
+  ]);
+  const productsByName = new Map(
+    existingProducts.map((product) => [product.name, product])
+  );
+  const productsBySku = new Map(
+    existingProducts
+      .filter((product) => product.sku)
+      .map((product) => [product.sku, product])
+  );
+  const categoryNames = new Set(
+    existingCategories.map((category) => category.name)
+  );
+
+  const rowsByName = new Map();
+  const rowsBySku = new Map();
+  const newCategories = new Set();
+  const importRows = [];
+
+  for (const { rowNumber, values, name, sku, categoryName } of records) {
+    const errors = [];
+    const warnings = [];
+
+    if (name && rowsByName.has(name)) {
+      errors.push(`Same name as row ${rowsByName.get(name)}.`);
+    } else if (name) {
+      rowsByName.set(name, rowNumber);
+    }
+    if (sku && rowsBySku.has(sku)) {
+      errors.push(`Same SKU as row ${rowsBySku.get(sku)}.`);
+    } else if (sku) {
+      rowsBySku.set(sku, rowNumber);
+    }
+
+    const match =
+      mode === "UPSERT"
+        ? (sku && productsBySku.get(sku)) || productsByName.get(name)
+        : null;
+
+    if (mode === "CREATE_ONLY") {
+      if (productsByName.has(name)) {
+        errors.push(`A product named "${name}" already exists.`);
+      }
+      if (sku && productsBySku.has(sku)) {
+        errors.push(
+          `SKU ${sku} is already used by "${productsBySku.get(sku).name}".`
+        );
+      }
+    } else if (match) {
+      const nameOwner = name && productsByName.get(name);
+      if (nameOwner && nameOwner.id !== match.id) {
+        errors.push(`A product named "${name}" already exists.`);
+      }
+      const skuOwner = sku && productsBySku.get(sku);
+      if (skuOwner && skuOwner.id !== match.id) {
+        errors.push(`SKU ${sku} is already used by "${skuOwner.name}".`);
+      }
+    }
+
+    let data = {};
+    if (match) {
+      const { stock, ...fields } = values;
+      if (stock) {
+        warnings.push(
+          "Stock of existing products is not changed; use a stocktake instead."
+        );
+      }
+      const result = productUpdateSchema.safeParse(
+        Object.fromEntries(Object.entries(fields).filter(([, value]) => value))
+      );
+      if (result.success) data = result.data;
+      else errors.push(...describeIssues(result.error.issues));
+    } else {
+      const result = productCreateSchema.safeParse({
+        ...values,
+        unit: values.unit || undefined,
+      });
+      if (result.success) data = result.data;
+      else errors.push(...describeIssues(result.error.issues));
+    }
+
+    if (categoryName && !categoryNames.has(categoryName) && !errors.length) {
+      newCategories.add(categoryName);
+    }
+
+    importRows.push({
+      rowNumber,
+      action: match ? "update" : "create",
+      productId: match?.id ?? null,
+      categoryName,
+      data,
+      errors,
+      warnings,
+    });
+  }
+
+  const validRows = importRows.filter((row) => row.errors.length === 0);
+  return {
+    rows: importRows,
+    summary: {
+      total: importRows.length,
+      toCreate: validRows.filter((row) => row.action === "create").length,
+      toUpdate: validRows.filter((row) => row.action === "update").length,
+      invalid: importRows.length - validRows.length,
+      newCategories: [...newCategories],
+    },
+  };
+}
+
+/**
+ * Explains why a batch of rows could not be saved. Unexpected errors are logged.
+ * @param {Error & {code?: string}} error - The error the batch failed with.
+ * @returns {string} The message reported for each row of the batch.
+ */
+function describeBatchError(error) {
+  if (error.code === UPGRADE_REQUIRED) {
+    return error.message;
+  }
+  if (error.code === "P2002") {
+    return "A product with the same name or SKU was added during the import.";
+  }
+
+  console.error("Product import batch failed:", error);
+  return "The row could not be saved.";
+}
+
+/**
+ * Imports the valid rows of a file; rows with errors are skipped. Missing
+ * categories are created first, then products are written in batches of
+ * `IMPORT_BATCH_SIZE`, each in its own transaction, so a failing batch does
+ * not undo the ones before it. Initial stock of new products is recorded in
+ * the stock ledger.
+ *
+ * @param {string} shopId - The ID of the shop importing.
+ * @param {string} userId - The user running the import.
+ * @param {object} input - The validated import request, as for `prepareProductImport`.
+ * @returns {Promise<{created: number, updated: number, skipped: number, categoriesCreated: number, failed: Array<{rowNumber: number, message: string}>}>}
+ *   What was imported, and the rows that failed to save.
+ * @throws {Error} With code "UPGRADE_REQUIRED" if the new products do not fit the plan.
+ */
+export async function importProducts(shopId, userId, input) {
+  const { rows, summary } = await prepareProductImport(shopId, input);
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  // Refuse up front rather than stopping halfway through
+  await assertWithinPlanLimit(shopId, "products", summary.toCreate);
+
+  if (summary.newCategories.length) {
+    await prisma.$transaction(async (tx) => {
+      for (const name of summary.newCategories) {
+        await createCategory({ name }, shopId, tx);
+      }
+    });
+  }
+  const categories = await getCategoriesByNames(shopId, [
+    ...new Set(validRows.map((row) => row.categoryName).filter(Boolean)),
+  ]);
+  const categoryIds = new Map(
+    categories.map((category) => [category.name, category.id])
+  );
+
+  const result = {
+    created: 0,
+    updated: 0,
+    skipped: rows.length - validRows.length,
+    categoriesCreated: summary.newCategories.length,
+    failed: [],
+  };
+
+  for (let start = 0; start < validRows.length; start += IMPORT_BATCH_SIZE) {
+    const batch = validRows.slice(start, start + IMPORT_BATCH_SIZE);
+    const creates = batch.filter((row) => row.action === "create").length;
+
+    try {
+      await prisma.$transaction(
+        async (tx) => {
+          await assertWithinPlanLimit(shopId, "products", creates, tx);
+
+          for (const row of batch) {
+            const data = {
+              ...row.data,
+              categoryId: row.categoryName
+                ? categoryIds.get(row.categoryName)
+                : undefined,
+            };
+            if (row.action === "create") {
+              await insertProductWithInitialStock(tx, data, shopId, userId);
+            } else {
+              await updateProduct(row.productId, data, shopId, tx);
+            }
+          }
+        },
+        { timeout: 30000 }
+      );
+      result.created += creates;
+      result.updated += batch.length - creates;
+    } catch (error) {
+      const message = describeBatchError(error);
+      result.failed.push(
+        ...batch.map((row) => ({ rowNumber: row.rowNumber, message }))
+      );
+    }
+  }
+
+  return result;
+}
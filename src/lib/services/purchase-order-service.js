@@ -0,0 +1,395 @@
+import prisma from "@/lib/prisma";
+import { getProductsByIds } from "@/lib/data/products";
+import {
+  OPEN_PURCHASE_ORDER_STATUSES,
+  createPurchaseOrderRecord,
+  getOpenOrderQuantities,
+  getPurchaseOrderById,
+  replacePurchaseOrderItems,
+  setPurchaseOrderItemReceived,
+  updatePurchaseOrderIfStatus,
+} from "@/lib/data/purchase-orders";
+import { getUnitsSoldByProduct } from "@/lib/data/sales";
+import { incrementPurchaseOrderCounter } from "@/lib/data/shops";
+import { getSupplierById } from "@/lib/data/suppliers";
+import { reorderSettings } from "@/lib/config/inventory-config";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out how many units of a product to reorder.
+ *
+ * A product needs reordering when the stock expected to be left by the time a
+ * new order arrives (stock on hand plus open orders, minus sales during the
+ * lead time) is at or below its reorder point. The suggested quantity tops the
+ * product up to its reorder point plus enough stock to cover the lead time and
+ * the coverage period at the current sales velocity.
+ *
+ * Products without a reorder point are only suggested when they are selling.
+ *
+ * @param {{
+ *   stock: number,
+ *   onOrder: number,
+ *   reorderPoint: number|null,
+ *   dailyVelocity: number,
+ *   leadTimeDays: number,
+ *   coverageDays: number
+ * }} values - Current stock position and sales rate.
+ * @returns {number} The quantity to order, or 0 when no order is needed.
+ */
+export function calculateReorderQuantity({
+  stock,
+  onOrder,
+  reorderPoint,
+  dailyVelocity,
+  leadTimeDays,
+  coverageDays,
+}) {
+  if (reorderPoint === null && dailyVelocity <= 0) {
+    return 0;
+  }
+
+  const threshold = reorderPoint ?? 0;
+  const expectedAtArrival = stock + onOrder - dailyVelocity * leadTimeDays;
+  if (expectedAtArrival > threshold) {
+    return 0;
+  }
+
+  const target =
+    Math.ceil(dailyVelocity * (leadTimeDays + coverageDays)) + threshold;
+  return Math.max(1, Math.ceil(target - stock - onOrder));
+}
+
+/**
+ * @typedef {object} ReorderSuggestion
+ * @property {string} productId
+ * @property {string} name
+ * @property {string|null} sku
+ * @property {string|null} unit
+ * @property {number} stock - Stock on hand.
+ * @property {number} onOrder - Units on open (draft or ordered) purchase orders.
+ * @property {number|null} reorderPoint
+ * @property {number} dailyVelocity - Average net units sold per day over the sales window.
+ * @property {number} suggestedQuantity
+ * @property {number} unitCost - The product's current purchase price.
+ */
+
+/**
+ * @typedef {object} ReorderSuggestionGroup
+ * @property {{id: string, name: string, leadTimeDays: number|null}|null} supplier - Null for products without a supplier.
+ * @property {number} leadTimeDays - The lead time used for the group's suggestions.
+ * @property {ReorderSuggestion[]} items
+ * @property {number} totalCost - Cost of all suggested quantities at current purchase prices.
+ */
+
+/**
+ * Proposes reorder quantities for a shop's active products from recent sales
+ * velocity, supplier lead time and reorder points, grouped by supplier.
+ * Products without a supplier are grouped last under a `null` supplier.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<{groups: ReorderSuggestionGroup[], salesWindowDays: number, coverageDays: number}>} The suggestions.
+ */
+export async function getReorderSuggestions(shopId) {
+  const { defaultLeadTimeDays, salesWindowDays, coverageDays } =
+    reorderSettings;
+  const since = new Date(Date.now() - salesWindowDays * MS_PER_DAY);
+
+  const [unitsSold, onOrderByProduct] = await Promise.all([
+    getUnitsSoldByProduct(shopId, since),
+    getOpenOrderQuantities(shopId),
+  ]);
+
+  // Only products with a reorder point or recent sales can need reordering
+  const products = await prisma.product.findMany({
+    where: {
+      shopId,
+      isActive: true,
+      OR: [
+        { reorderPoint: { not: null } },
+        { id: { in: [...unitsSold.keys()] } },
+      ],
+    },
+    select: {
+      id: true,
+      name: true,
+      sku: true,
+      unit: true,
+      stock: true,
+      reorderPoint: true,
+      purchasePrice: true,
+      supplier: { select: { id: true, name: true, leadTimeDays: true } },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  const groupsByKey = new Map();
+
+  for (const product of products) {
+    const leadTimeDays = product.supplier?.leadTimeDays ?? defaultLeadTimeDays;
+    const dailyVelocity =
+      Math.max(unitsSold.get(product.id) ?? 0, 0) / salesWindowDays;
+    const onOrder = onOrderByProduct.get(product.id) ?? 0;
+
+    const suggestedQuantity = calculateReorderQuantity({
+      stock: product.stock,
+      onOrder,
+      reorderPoint: product.reorderPoint,
+      dailyVelocity,
+      leadTimeDays,
+      coverageDays,
+    });
+    if (suggestedQuantity === 0) continue;
+
+    const key = product.supplier?.id ?? null;
+    if (!groupsByKey.has(key)) {
+      groupsByKey.set(key, {
+        supplier: product.supplier,
+        leadTimeDays,
+        items: [],
+        totalCost: 0,
+      });
+    }
+
+    const group = groupsByKey.get(key);
+    group.items.push({
+      productId: product.id,
+      name: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      stock: product.stock,
+      onOrder,
+      reorderPoint: product.reorderPoint,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      suggestedQuantity,
+      unitCost: product.purchasePrice,
+    });
+    group.totalCost += suggestedQuantity * product.purchasePrice;
+  }
+
+  const groups = [...groupsByKey.values()].sort((a, b) => {
+    if (!a.supplier) return 1;
+    if (!b.supplier) return -1;
+    return a.supplier.name.localeCompare(b.supplier.name);
+  });
+
+  return { groups, salesWindowDays, coverageDays };
+}
+
+/**
+ * Checks that every line's product belongs to the shop.
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @param {Array<{productId: string}>} items - The order lines.
+ * @param {string} shopId - The ID of the shop.
+ * @throws {Error} If any product does not belong to the shop.
+ */
+async function assertProductsInShop(tx, items, shopId) {
+  const products = await getProductsByIds(
+    items.map((item) => item.productId),
+    shopId,
+    tx
+  );
+  if (products.length !== items.length) {
+    throw new Error(
+      "Invalid product specified. All products must belong to your shop."
+    );
+  }
+}
+
+/**
+ * Maps validated order lines to purchase order item rows.
+ * @param {Array<{productId: string, quantity: number, unitCost: number}>} items - The validated lines.
+ * @returns {Array<{productId: string, quantityOrdered: number, unitCost: number}>} The item rows.
+ */
+function toOrderItems(items) {
+  return items.map(({ productId, quantity, unitCost }) => ({
+    productId,
+    quantityOrdered: quantity,
+    unitCost,
+  }));
+}
+
+/**
+ * Creates a draft purchase order with the next order number of the shop.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').purchaseOrderCreateSchema>} orderData - The validated order.
+ * @param {string} shopId - The ID of the shop placing the order.
+ * @param {string} userId - The user creating the order.
+ * @returns {Promise<import('@prisma/client').PurchaseOrder>} The created purchase order.
+ * @throws {Error} If the supplier or any product does not belong to the shop.
+ */
+export async function createPurchaseOrder(orderData, shopId, userId) {
+  const { supplierId, note, items } = orderData;
+
+  return prisma.$transaction(
+    async (tx) => {
+      const supplier = await getSupplierById(supplierId, shopId, tx);
+      if (!supplier) {
+        throw new Error(
+          "Invalid supplier specified. The supplier must belong to your shop."
+        );
+      }
+
+      await assertProductsInShop(tx, items, shopId);
+
+      const number = await incrementPurchaseOrderCounter(shopId, tx);
+
+      return createPurchaseOrderRecord(
+        {
+          shopId,
+          supplierId,
+          userId,
+          number,
+          note: note || null,
+          items: toOrderItems(items),
+        },
+        tx
+      );
+    },
+    { timeout: 20000 }
+  );
+}
+
+/**
+ * Edits the note and/or lines of a draft purchase order. Given lines replace
+ * all existing lines.
+ *
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @param {z.infer<import('@/lib/zod-schemas').purchaseOrderUpdateSchema>} orderData - The validated changes.
+ * @param {string} shopId - The ID of the shop the order belongs to.
+ * @returns {Promise<object>} The updated purchase order with its lines.
+ * @throws {Error} If the order is not found, is no longer a draft, or a product does not belong to the shop.
+ */
+export async function updatePurchaseOrder(purchaseOrderId, orderData, shopId) {
+  const { note, items } = orderData;
+
+  return prisma.$transaction(
+    async (tx) => {
+      // Writing the order first locks it, so a concurrent send or receive
+      // waits for this edit instead of slipping in after a separate check
+      const updated = await updatePurchaseOrderIfStatus(
+        purchaseOrderId,
+        shopId,
+        ["DRAFT"],
+        note !== undefined ? { note: note || null } : { updatedAt: new Date() },
+        tx
+      );
+      if (!updated) {
+        const order = await getPurchaseOrderById(purchaseOrderId, shopId, tx);
+        throw new Error(
+          order
+            ? "Only draft purchase orders can be edited."
+            : "Purchase order not found"
+        );
+      }
+
+      if (items) {
+        await assertProductsInShop(tx, items, shopId);
+        await replacePurchaseOrderItems(
+          purchaseOrderId,
+          toOrderItems(items),
+          tx
+        );
+      }
+
+      return getPurchaseOrderById(purchaseOrderId, shopId, tx);
+    },
+    { timeout: 20000 }
+  );
+}
+
+/**
+ * Marks a draft purchase order as ordered, or cancels an open one.
+ * Orders become RECEIVED only by receiving them as a purchase.
+ *
+ * @param {string} purchaseOrderId - The ID of the purchase order.
+ * @param {'ORDERED'|'CANCELLED'} status - The new status.
+ * @param {string} shopId - The ID of the shop the order belongs to.
+ * @returns {Promise<object>} The updated purchase order with its lines.
+ * @throws {Error} If the order is not found or cannot move to the new status.
+ */
+export async function changePurchaseOrderStatus(purchaseOrderId, status, shopId) {
+  const transitions = {
+    ORDERED: {
+      from: ["DRAFT"],
+      data: { status: "ORDERED", orderedAt: new Date() },
+      error: "Only draft purchase orders can be marked as ordered.",
+    },
+    CANCELLED: {
+      from: OPEN_PURCHASE_ORDER_STATUSES,
+      data: { status: "CANCELLED" },
+      error: "Only open purchase orders can be cancelled.",
+    },
+  };
+  const transition = transitions[status];
+
+  const updated = await updatePurchaseOrderIfStatus(
+    purchaseOrderId,
+    shopId,
+    transition.from,
+    transition.data
+  );
+
+  const order = await getPurchaseOrderById(purchaseOrderId, shopId);
+  if (!order) {
+    throw new Error("Purchase order not found");
+  }
+  if (!updated) {
+    throw new Error(transition.error);
+  }
+  return order;
+}
+
+/**
+ * Closes a purchase order that is being received as a purchase: links the
+ * purchase, marks the order RECEIVED and records the quantity actually
+ * received on every line (0 for lines that did not arrive), so ordered and
+ * received quantities can be compared. Must run inside the purchase's transaction.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @param {{
+ *   purchaseOrderId: string,
+ *   shopId: string,
+ *   supplierId?: string,
+ *   purchaseId: string,
+ *   items: Array<{productId: string, quantity: number}>
+ * }} receipt - The purchase receiving the order.
+ * @returns {Promise<void>}
+ * @throws {Error} If the order is not found, is not open, or is for another supplier.
+ */
+export async function recordPurchaseOrderReceipt(
+  tx,
+  { purchaseOrderId, shopId, supplierId, purchaseId, items }
+) {
+  const order = await getPurchaseOrderById(purchaseOrderId, shopId, tx);
+  if (!order) {
+    throw new Error("Purchase order not found");
+  }
+  if (order.supplierId !== supplierId) {
+    throw new Error(
+      "The purchase must be from the supplier of the purchase order."
+    );
+  }
+
+  const updated = await updatePurchaseOrderIfStatus(
+    purchaseOrderId,
+    shopId,
+    OPEN_PURCHASE_ORDER_STATUSES,
+    { status: "RECEIVED", receivedAt: new Date(), purchaseId },
+    tx
+  );
+  if (!updated) {
+    throw new Error("Only open purchase orders can be received.");
+  }
+
+  const receivedByProduct = new Map(
+    items.map((item) => [item.productId, item.quantity])
+  );
+  for (const line of order.items) {
+    await setPurchaseOrderItemReceived(
+      line.id,
+      receivedByProduct.get(line.productId) ?? 0,
+      tx
+    );
+  }
+}
@@ -0,0 +1,166 @@
+import prisma from "@/lib/prisma";
+import {
+  getProductsByIds,
+  updateProductPurchasePrice,
+} from "@/lib/data/products";
+import { createPurchaseRecord } from "@/lib/data/purchases";
+import { getShopById } from "@/lib/data/shops";
+import { getSupplierById } from "@/lib/data/suppliers";
+import { recordPurchaseOrderReceipt } from "@/lib/services/purchase-order-service";
+import { applyStockMovement } from "@/lib/services/stock-service";
+import { applySupplierLedgerEntry } from "@/lib/services/supplier-ledger-service";
+
+/**
+ * Calculates a product's new purchase price after receiving stock,
+ * according to the shop's costing method.
+ *
+ * - LAST_PURCHASE_PRICE: the cost of the most recent receipt.
+ * - WEIGHTED_AVERAGE: the average cost of stock on hand and stock received.
+ *   When there is no stock on hand the received cost is used as-is.
+ *
+ * @param {import('@prisma/client').CostingMethod} costingMethod - The shop's costing method.
+ * @param {{currentStock: number, currentCost: number, receivedQuantity: number, receivedUnitCost: number}} values - Stock and cost before and of the receipt.
+ * @returns {number} The new purchase price, rounded to a whole so'm.
+ */
+export function calculatePurchasePrice(
+  costingMethod,
+  { currentStock, currentCost, receivedQuantity, receivedUnitCost }
+) {
+  if (costingMethod === "LAST_PURCHASE_PRICE" || currentStock <= 0) {
+    return receivedUnitCost;
+  }
+
+  return Math.round(
+    (currentStock * currentCost + receivedQuantity * receivedUnitCost) /
+      (currentStock + receivedQuantity)
+  );
+}
+
+/**
+ * Finalizes a purchase receipt: records the purchase, increases stock for every
+ * line through the movement ledger and updates product purchase prices, all in
+ * a single transaction. Purchases on credit are added to the supplier's payables.
+ * When the purchase receives a purchase order, the order is closed with the
+ * quantities actually received.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').purchaseCreateSchema>} purchaseData - The validated purchase.
+ * @param {string} shopId - The ID of the shop receiving the goods.
+ * @param {string} userId - The user recording the purchase.
+ * @returns {Promise<import('@prisma/client').Purchase>} The created purchase.
+ * @throws {Error} If the supplier or any product does not belong to the shop,
+ * a product is inactive, or the purchase order cannot be received.
+ */
+export async function receivePurchase(purchaseData, shopId, userId) {
+  const { items, supplierId, purchaseOrderId, ...purchaseFields } =
+    purchaseData;
+
+  // Larger receipts touch several rows per line, so allow more than the default 5s
+  return prisma.$transaction(
+    async (tx) => {
+      if (supplierId) {
+        const supplier = await getSupplierById(supplierId, shopId, tx);
+        if (!supplier) {
+          throw new Error(
+            "Invalid supplier specified. The supplier must belong to your shop."
+          );
+        }
+      }
+
+      const products = await getProductsByIds(
+        items.map((item) => item.productId),
+        shopId,
+        tx
+      );
+      if (products.length !== items.length) {
+        throw new Error(
+          "Invalid product specified. All products must belong to your shop."
+        );
+      }
+      const inactiveProduct = products.find((product) => !product.isActive);
+      if (inactiveProduct) {
+        throw new Error(
+          `Product "${inactiveProduct.name}" is inactive and cannot be received.`
+        );
+      }
+      const productsById = new Map(
+        products.map((product) => [product.id, product])
+      );
+
+      const shop = await getShopById(shopId, tx);
+
+      const lines = items.map((item) => ({
+        ...item,
+        lineTotal: item.quantity * item.unitCost,
+      }));
+
+      const purchase = await createPurchaseRecord(
+        {
+          ...purchaseFields,
+          shopId,
+          supplierId: supplierId || null,
+          userId,
+          totalAmount: lines.reduce((sum, line) => sum + line.lineTotal, 0),
+          items: lines,
+        },
+        tx
+      );
+
+      if (purchaseOrderId) {
+        await recordPurchaseOrderReceipt(tx, {
+          purchaseOrderId,
+          shopId,
+          supplierId,
+          purchaseId: purchase.id,
+          items,
+        });
+      }
+
+      for (const line of lines) {
+        const product = productsById.get(line.productId);
+
+        const movement = await applyStockMovement(tx, {
+          productId: line.productId,
+          shopId,
+          userId,
+          type: "PURCHASE",
+          quantity: line.quantity,
+          unitCost: line.unitCost,
+          referenceType: "Purchase",
+          referenceId: purchase.id,
+        });
+
+        const newPurchasePrice = calculatePurchasePrice(shop.costingMethod, {
+          currentStock: movement.balanceAfter - line.quantity,
+          currentCost: product.purchasePrice,
+          receivedQuantity: line.quantity,
+          receivedUnitCost: line.unitCost,
+        });
+
+        if (newPurchasePrice !== product.purchasePrice) {
+          await updateProductPurchasePrice(
+            line.productId,
+            shopId,
+            newPurchasePrice,
+            tx
+          );
+        }
+      }
+
+      if (purchase.paymentStatus === "ON_CREDIT" && purchase.totalAmount > 0) {
+        await applySupplierLedgerEntry(tx, {
+          supplierId: purchase.supplierId,
+          shopId,
+          userId,
+          type: "PURCHASE",
+          amount: purchase.totalAmount,
+          referenceType: "Purchase",
+          referenceId: purchase.id,
+          note: purchase.reference || null,
+        });
+      }
+
+      return purchase;
+    },
+    { timeout: 20000 }
+  );
+}
@@ -0,0 +1,83 @@
+import { getCustomerBalanceAfterReference } from "@/lib/data/customer-ledger";
+import { getSaleById } from "@/lib/data/sales";
+import { getShopById } from "@/lib/data/shops";
+import { salePaymentTypes } from "@/lib/config/sales-config";
+
+/**
+ * @typedef {object} ReceiptLine
+ * @property {string} name - Product name.
+ * @property {number} quantity - Units sold; negative on returns.
+ * @property {string} unit - Unit of measure.
+ * @property {number} unitPrice - Price per unit charged.
+ * @property {number} lineTotal - Amount charged for the line.
+ */
+
+/**
+ * @typedef {object} Receipt
+ * @property {string} shopName - Name of the shop.
+ * @property {string|null} address - Shop address.
+ * @property {string|null} phone - Shop phone number.
+ * @property {string|null} taxId - Shop taxpayer identification number.
+ * @property {string} currencyFormat - How amounts are displayed, a `CurrencyFormat` value.
+ * @property {string|null} header - Receipt header text from the shop settings.
+ * @property {string|null} footer - Receipt footer text from the shop settings.
+ * @property {boolean} isReturn - Whether the document is a return.
+ * @property {number} number - Sequential sale number.
+ * @property {Date} createdAt - When the sale was made.
+ * @property {number|null} originalSaleNumber - For returns, the number of the returned sale.
+ * @property {string|null} cashier - Name of the staff member who made the sale.
+ * @property {string|null} customerName - Name of the customer, if any.
+ * @property {string} paymentLabel - How the sale was settled.
+ * @property {ReceiptLine[]} lines - The line items.
+ * @property {number} totalAmount - Sale total; negative when money was refunded.
+ * @property {number|null} customerBalance - Customer balance right after an on-account sale or return.
+ */
+
+/**
+ * Collects everything printed on the receipt of a sale or return.
+ * @param {string} saleId - The ID of the sale.
+ * @param {string} shopId - The ID of the shop the sale belongs to.
+ * @returns {Promise<Receipt|null>} The receipt, or null if the sale is not found in the shop.
+ */
+export async function getSaleReceipt(saleId, shopId) {
+  const [sale, shop] = await Promise.all([
+    getSaleById(saleId, shopId),
+    getShopById(shopId),
+  ]);
+  if (!sale || !shop) {
+    return null;
+  }
+
+  const customerBalance =
+    sale.paymentType === "ON_ACCOUNT"
+      ? await getCustomerBalanceAfterReference(shopId, "Sale", sale.id)
+      : null;
+
+  return {
+    shopName: shop.name,
+    address: shop.address,
+    phone: shop.phone,
+    taxId: shop.taxId,
+    currencyFormat: shop.currencyFormat,
+    header: shop.receiptHeader,
+    footer: shop.receiptFooter,
+    isReturn: sale.type === "RETURN",
+    number: sale.number,
+    createdAt: sale.createdAt,
+    originalSaleNumber: sale.originalSale?.number ?? null,
+    cashier: sale.user?.name ?? null,
+    customerName: sale.customer?.name ?? null,
+    paymentLabel:
+      salePaymentTypes.find((option) => option.value === sale.paymentType)
+        ?.label ?? sale.paymentType,
+    lines: sale.items.map((item) => ({
+      name: item.product?.name ?? "Deleted product",
+      quantity: item.quantity,
+      unit: item.product?.unit ?? "",
+      unitPrice: item.unitPrice,
+      lineTotal: item.lineTotal,
+    })),
+    totalAmount: sale.totalAmount,
+    customerBalance,
+  };
+}
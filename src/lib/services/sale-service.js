@@ -0,0 +1,296 @@
+import prisma from "@/lib/prisma";
+import { getProductsByIds } from "@/lib/data/products";
+import { createSaleRecord, getSaleById } from "@/lib/data/sales";
+import { getCustomerById } from "@/lib/data/customers";
+import { incrementSaleCounter } from "@/lib/data/shops";
+import { applyStockMovement } from "@/lib/services/stock-service";
+import { hasPermission } from "@/lib/config/permissions-config";
+import { applyCustomerLedgerEntry } from "@/lib/services/customer-ledger-service";
+import { calculateReturnRefund, getReturnableQuantity } from "@/lib/utils";
+
+/**
+ * Validates the products of sale lines and snapshots their cost. Only roles
+ * with the `sales:overridePrice` permission may override selling prices; for
+ * other roles every line must be charged at the product's current selling price.
+ *
+ * @param {Array<{productId: string, quantity: number, unitPrice: number, lineTotal: number}>} items - The validated sale lines.
+ * @param {string} shopId - The ID of the shop making the sale.
+ * @param {{id: string, role: import('@prisma/client').Role}} user - The cashier.
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @returns {Promise<Array<object>>} The lines with `unitCost` set.
+ * @throws {Error} If a product does not belong to the shop, is inactive, or a price is overridden without permission.
+ */
+async function priceSaleLines(items, shopId, user, tx) {
+  const canOverridePrice = hasPermission(user.role, "sales:overridePrice");
+
+  const productIds = [...new Set(items.map((item) => item.productId))];
+  const products = await getProductsByIds(productIds, shopId, tx);
+  if (products.length !== productIds.length) {
+    throw new Error(
+      "Invalid product specified. All products must belong to your shop."
+    );
+  }
+  const inactiveProduct = products.find((product) => !product.isActive);
+  if (inactiveProduct) {
+    throw new Error(
+      `Product "${inactiveProduct.name}" is inactive and cannot be sold.`
+    );
+  }
+  const productsById = new Map(
+    products.map((product) => [product.id, product])
+  );
+
+  return items.map((item) => {
+    const product = productsById.get(item.productId);
+
+    if (
+      !canOverridePrice &&
+      (item.unitPrice !== product.sellingPrice ||
+        item.lineTotal !== item.quantity * item.unitPrice)
+    ) {
+      throw new Error(
+        `Price override not allowed for "${product.name}". Only the shop owner can change selling prices.`
+      );
+    }
+
+    return {
+      ...item,
+      unitCost: product.purchasePrice,
+    };
+  });
+}
+
+/**
+ * Completes a point-of-sale transaction: reserves the next sale number, records
+ * the sale with a cost snapshot per line and decreases stock through the
+ * movement ledger, all in a single transaction. Nothing is written if any line
+ * is out of stock.
+ *
+ * Sales on account are additionally charged to the customer through the
+ * customer ledger, so the customer's balance always matches their statement.
+ *
+ * Only roles with the `sales:overridePrice` permission may override selling
+ * prices; for other roles every line must be charged at the product's current
+ * selling price.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').saleCreateSchema>} saleData - The validated sale.
+ * @param {string} shopId - The ID of the shop making the sale.
+ * @param {{id: string, role: import('@prisma/client').Role}} user - The cashier completing the sale.
+ * @returns {Promise<import('@prisma/client').Sale>} The created sale.
+ * @throws {Error} If a product or customer does not belong to the shop, a product is inactive, a price is overridden without permission, or stock is insufficient.
+ */
+export async function completeSale(saleData, shopId, user) {
+  const { items, note, paymentType = "CASH", customerId } = saleData;
+  const isOnAccount = paymentType === "ON_ACCOUNT";
+
+  return prisma.$transaction(
+    async (tx) => {
+      if (isOnAccount) {
+        const customer = await getCustomerById(customerId, shopId, tx);
+        if (!customer) {
+          throw new Error(
+            "Invalid customer specified. The customer must belong to your shop."
+          );
+        }
+      }
+
+      const lines = await priceSaleLines(items, shopId, user, tx);
+
+      const number = await incrementSaleCounter(shopId, tx);
+
+      const sale = await createSaleRecord(
+        {
+          shopId,
+          userId: user.id,
+          number,
+          paymentType,
+          customerId: isOnAccount ? customerId : null,
+          totalAmount: lines.reduce((sum, line) => sum + line.lineTotal, 0),
+          note: note || null,
+          items: lines,
+        },
+        tx
+      );
+
+      for (const line of lines) {
+        await applyStockMovement(tx, {
+          productId: line.productId,
+          shopId,
+          userId: user.id,
+          type: "SALE",
+          quantity: -line.quantity,
+          unitCost: line.unitCost,
+          referenceType: "Sale",
+          referenceId: sale.id,
+        });
+      }
+
+      if (isOnAccount && sale.totalAmount > 0) {
+        await applyCustomerLedgerEntry(tx, {
+          customerId,
+          shopId,
+          userId: user.id,
+          type: "CHARGE",
+          amount: sale.totalAmount,
+          referenceType: "Sale",
+          referenceId: sale.id,
+          note: `Sale #${sale.number}`,
+        });
+      }
+
+      return sale;
+    },
+    { timeout: 20000 }
+  );
+}
+
+/**
+ * Processes a return, optionally with exchange items, against an earlier sale.
+ * The original sale is never edited: a new sale of type RETURN is recorded and
+ * linked to it, with negative lines for the returned goods (refunded pro rata
+ * to what was charged) and regular lines for any exchange items. Returned goods
+ * go back into stock and exchange items leave it, all in one transaction.
+ *
+ * The return's total is the net amount: negative when the shop owes the
+ * customer a refund, positive when the customer pays the difference. For sales
+ * on account the net amount is settled against the customer's balance: amounts
+ * due are charged to the account, and refunds are credited to the account up to
+ * what the customer owes, with any excess refunded in cash.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').saleReturnSchema>} returnData - The validated return.
+ * @param {string} saleId - The ID of the sale being returned.
+ * @param {string} shopId - The ID of the shop.
+ * @param {{id: string, role: import('@prisma/client').Role}} user - The cashier processing the return.
+ * @returns {Promise<{sale: import('@prisma/client').Sale, accountAmount: number, cashAmount: number}>} The return and how it was settled (positive amounts are collected, negative amounts refunded).
+ * @throws {Error} If the sale or a line is invalid, more is returned than was sold, a price is overridden without permission, or exchange stock is insufficient.
+ */
+export async function processSaleReturn(returnData, saleId, shopId, user) {
+  const { items, exchangeItems = [], note } = returnData;
+
+  return prisma.$transaction(
+    async (tx) => {
+      // Reserving the number first locks the shop's counter, so concurrent
+      // returns of the same sale see each other's lines when checking quantities
+      const number = await incrementSaleCounter(shopId, tx);
+
+      const originalSale = await getSaleById(saleId, shopId, tx);
+      if (!originalSale || originalSale.type !== "SALE") {
+        throw new Error(
+          "Invalid sale specified. The sale must belong to your shop."
+        );
+      }
+      const saleItemsById = new Map(
+        originalSale.items.map((saleItem) => [saleItem.id, saleItem])
+      );
+
+      const returnLines = items.map((item) => {
+        const saleItem = saleItemsById.get(item.saleItemId);
+        if (!saleItem) {
+          throw new Error(
+            "Invalid sale item specified. Returned lines must belong to the sale."
+          );
+        }
+
+        const returnableQuantity = getReturnableQuantity(saleItem);
+        if (item.quantity > returnableQuantity) {
+          throw new Error(
+            `Return quantity exceeds what was sold for "${saleItem.product.name}". Returnable: ${returnableQuantity}.`
+          );
+        }
+
+        return {
+          productId: saleItem.productId,
+          quantity: -item.quantity,
+          unitPrice: saleItem.unitPrice,
+          lineTotal: -calculateReturnRefund(saleItem, item.quantity),
+          unitCost: saleItem.unitCost,
+          originalItemId: saleItem.id,
+        };
+      });
+
+      const exchangeLines =
+        exchangeItems.length > 0
+          ? await priceSaleLines(exchangeItems, shopId, user, tx)
+          : [];
+
+      const lines = [...returnLines, ...exchangeLines];
+
+      const sale = await createSaleRecord(
+        {
+          shopId,
+          userId: user.id,
+          number,
+          type: "RETURN",
+          paymentType: originalSale.paymentType,
+          customerId: originalSale.customerId,
+          originalSaleId: originalSale.id,
+          totalAmount: lines.reduce((sum, line) => sum + line.lineTotal, 0),
+          note: note || null,
+          items: lines,
+        },
+        tx
+      );
+
+      // Put returned goods back first so an item can be exchanged for the same product
+      for (const line of returnLines) {
+        await applyStockMovement(tx, {
+          productId: line.productId,
+          shopId,
+          userId: user.id,
+          type: "RETURN",
+          quantity: -line.quantity,
+          unitCost: line.unitCost,
+          referenceType: "Sale",
+          referenceId: sale.id,
+        });
+      }
+
+      for (const line of exchangeLines) {
+        await applyStockMovement(tx, {
+          productId: line.productId,
+          shopId,
+          userId: user.id,
+          type: "SALE",
+          quantity: -line.quantity,
+          unitCost: line.unitCost,
+          referenceType: "Sale",
+          referenceId: sale.id,
+        });
+      }
+
+      let accountAmount = 0;
+      if (originalSale.paymentType === "ON_ACCOUNT" && sale.totalAmount !== 0) {
+        const customer = await getCustomerById(
+          originalSale.customerId,
+          shopId,
+          tx
+        );
+        // Never credit more than the customer owes; the rest is refunded in cash
+        accountAmount = Math.max(
+          sale.totalAmount,
+          -Math.max(customer.outstandingBalance, 0)
+        );
+
+        if (accountAmount !== 0) {
+          await applyCustomerLedgerEntry(tx, {
+            customerId: originalSale.customerId,
+            shopId,
+            userId: user.id,
+            type: "RETURN",
+            amount: accountAmount,
+            referenceType: "Sale",
+            referenceId: sale.id,
+            note: `Return #${sale.number} for sale #${originalSale.number}`,
+          });
+        }
+      }
+
+      return {
+        sale,
+        accountAmount,
+        cashAmount: sale.totalAmount - accountAmount,
+      };
+    },
+    { timeout: 20000 }
+  );
+}
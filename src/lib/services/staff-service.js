@@ -0,0 +1,93 @@
+import { randomBytes } from "crypto";
+import {
+  createStaffInvitation,
+  deleteStaffInvitation,
+  getPendingStaffInvitations,
+} from "@/lib/data/staff-invitations";
+import { getShopStaff, getUserByEmail, removeShopStaff } from "@/lib/data/users";
+import { assertWithinPlanLimit } from "@/lib/services/plan-limits-service";
+
+// Days an invitation can be accepted for
+const INVITATION_VALID_DAYS = 7;
+
+/**
+ * Lists the staff of a shop together with the invitations not yet accepted.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<{staff: Array<object>, invitations: Array<object>}>} Staff members and pending invitations.
+ */
+export async function getShopTeam(shopId) {
+  const [staff, invitations] = await Promise.all([
+    getShopStaff(shopId),
+    getPendingStaffInvitations(shopId),
+  ]);
+
+  return { staff, invitations };
+}
+
+/**
+ * Invites someone to join a shop as staff. Signing in with Google using the
+ * invited email address adds them to the shop instead of creating a new one.
+ * Inviting the same address again replaces the earlier invitation. Pending
+ * invitations count towards the plan's user account limit.
+ *
+ * @param {string} shopId - The ID of the inviting shop.
+ * @param {string} email - The email address to invite.
+ * @returns {Promise<{token: string, shopId: string, email: string, expires: Date}>} The invitation.
+ * @throws {Error} If the address already belongs to a shop owner or staff member.
+ * @throws {Error} With code "UPGRADE_REQUIRED" if the plan's user account limit is reached.
+ */
+export async function inviteStaffMember(shopId, email) {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existingUser = await getUserByEmail(normalizedEmail);
+  if (existingUser?.shop || existingUser?.staffShopId) {
+    throw new Error("This email address already belongs to a shop account.");
+  }
+
+  const pendingInvitations = await getPendingStaffInvitations(shopId);
+  const isReinvite = pendingInvitations.some(
+    (invitation) => invitation.email === normalizedEmail
+  );
+  if (!isReinvite) {
+    await assertWithinPlanLimit(shopId, "users");
+  }
+
+  const expires = new Date();
+  expires.setDate(expires.getDate() + INVITATION_VALID_DAYS);
+
+  return createStaffInvitation({
+    shopId,
+    email: normalizedEmail,
+    token: randomBytes(32).toString("hex"),
+    expires,
+  });
+}
+
+/**
+ * Withdraws an invitation that has not been accepted yet.
+ * @param {string} shopId - The ID of the shop that sent the invitation.
+ * @param {string} token - The invitation token.
+ * @returns {Promise<void>}
+ * @throws {Error} If the invitation is not found in the shop.
+ */
+export async function revokeStaffInvitation(shopId, token) {
+  const count = await deleteStaffInvitation(token, shopId);
+  if (count === 0) {
+    throw new Error("Invitation not found");
+  }
+}
+
+/**
+ * Removes a staff member from a shop. They lose access on their next
+ * request, since sessions re-check shop membership.
+ * @param {string} shopId - The ID of the shop.
+ * @param {string} userId - The ID of the staff member.
+ * @returns {Promise<void>}
+ * @throws {Error} If the user is not a staff member of the shop.
+ */
+export async function removeStaffMember(shopId, userId) {
+  const count = await removeShopStaff(userId, shopId);
+  if (count === 0) {
+    throw new Error("Staff member not found");
+  }
+}
@@ -0,0 +1,152 @@
+import prisma from "@/lib/prisma";
+import { createProduct, updateProductStock } from "@/lib/data/products";
+import { createStockMovement } from "@/lib/data/stock-movements";
+import { assertWithinPlanLimit } from "@/lib/services/plan-limits-service";
+
+/**
+ * @typedef {object} ApplyStockMovementInput
+ * @property {string} productId - The product whose stock changes.
+ * @property {string} shopId - The shop the product belongs to.
+ * @property {import('@prisma/client').StockMovementType} type - The source of the change.
+ * @property {number} quantity - Signed, non-zero stock delta.
+ * @property {string} [userId] - The user performing the change.
+ * @property {string} [referenceType] - Originating document type (e.g. "Sale").
+ * @property {string} [referenceId] - Originating document ID.
+ * @property {string} [note] - Free-form note.
+ * @property {import('@prisma/client').StockAdjustmentReason} [reason] - Reason for manual adjustments.
+ * @property {number} [unitCost] - Unit cost to value the movement at. Defaults to the product's current purchase price.
+ * @property {boolean} [allowNegativeStock=false] - Whether the resulting stock may drop below zero.
+ */
+
+/**
+ * The single entry point for changing a product's stock level. Applies the delta
+ * to `Product.stock` and records the matching ledger entry using the supplied
+ * transaction client, so it can be composed into larger transactions
+ * (sales, purchases, returns) that must commit or roll back as a whole.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @param {ApplyStockMovementInput} input - The movement to apply.
+ * @returns {Promise<import('@prisma/client').StockMovement>} The recorded movement.
+ * @throws {Error} If the quantity is not a non-zero integer or stock would become negative.
+ */
+export async function applyStockMovement(
+  tx,
+  { allowNegativeStock = false, ...movement }
+) {
+  if (!Number.isInteger(movement.quantity) || movement.quantity === 0) {
+    throw new Error("Stock movement quantity must be a non-zero integer.");
+  }
+
+  // The increment is atomic at the database level, so concurrent movements
+  // on the same product cannot overwrite each other.
+  const product = await updateProductStock(
+    movement.productId,
+    movement.shopId,
+    movement.quantity,
+    tx
+  );
+
+  if (product.stock < 0 && !allowNegativeStock) {
+    throw new Error(
+      `Insufficient stock for "${product.name}". Available: ${
+        product.stock - movement.quantity
+      }.`
+    );
+  }
+
+  return createStockMovement(
+    {
+      ...movement,
+      unitCost: movement.unitCost ?? product.purchasePrice,
+      balanceAfter: product.stock,
+    },
+    tx
+  );
+}
+
+/**
+ * Records a standalone stock movement in its own transaction.
+ * @param {ApplyStockMovementInput} input - The movement to apply.
+ * @returns {Promise<import('@prisma/client').StockMovement>} The recorded movement.
+ */
+export async function recordStockMovement(input) {
+  return prisma.$transaction((tx) => applyStockMovement(tx, input));
+}
+
+/**
+ * Creates a product inside a transaction and records its initial stock as an
+ * opening ledger entry, so a product's stock is always explained by its
+ * movement history. Plan limits are left to the caller.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @param {object} productData - The validated product creation data.
+ * @param {string} shopId - The ID of the shop the product belongs to.
+ * @param {string} [userId] - The user creating the product.
+ * @returns {Promise<import('@prisma/client').Product>} The created product with its stock applied.
+ */
+export async function insertProductWithInitialStock(
+  tx,
+  productData,
+  shopId,
+  userId
+) {
+  const { stock: initialStock = 0, ...productFields } = productData;
+  const product = await createProduct({ ...productFields, stock: 0 }, shopId, tx);
+
+  if (!initialStock) {
+    return product;
+  }
+
+  const movement = await applyStockMovement(tx, {
+    productId: product.id,
+    shopId,
+    userId,
+    type: "INITIAL",
+    quantity: initialStock,
+    note: "Initial stock",
+  });
+
+  return { ...product, stock: movement.balanceAfter };
+}
+
+/**
+ * Creates a product with its initial stock in its own transaction.
+ * The shop's plan must leave room for another product.
+ *
+ * @param {object} productData - The validated product creation data.
+ * @param {string} shopId - The ID of the shop the product belongs to.
+ * @param {string} [userId] - The user creating the product.
+ * @returns {Promise<import('@prisma/client').Product>} The created product with its stock applied.
+ * @throws {Error} With code "UPGRADE_REQUIRED" if the plan's product limit is reached.
+ */
+export async function createProductWithInitialStock(productData, shopId, userId) {
+  return prisma.$transaction(async (tx) => {
+    await assertWithinPlanLimit(shopId, "products", 1, tx);
+    return insertProductWithInitialStock(tx, productData, shopId, userId);
+  });
+}
+
+/**
+ * @typedef {object} StockAdjustmentInput
+ * @property {string} productId - The product to adjust.
+ * @property {string} shopId - The shop the product belongs to.
+ * @property {string} userId - The shop owner performing the adjustment.
+ * @property {number} quantity - Signed, non-zero stock delta.
+ * @property {import('@prisma/client').StockAdjustmentReason} reason - Why the stock changed.
+ * @property {string} [note] - Explanation, required when the reason is "OTHER".
+ */
+
+/**
+ * Records a manual stock adjustment (damage, shrinkage, count correction...).
+ * Adjustments can never take stock below zero.
+ * @param {StockAdjustmentInput} input - The validated adjustment.
+ * @returns {Promise<import('@prisma/client').StockMovement>} The recorded movement.
+ * @throws {Error} If the adjustment would make stock negative.
+ */
+export async function adjustStock({ note, ...adjustment }) {
+  return recordStockMovement({
+    ...adjustment,
+    type: "ADJUSTMENT",
+    note: note || null,
+  });
+}
@@ -0,0 +1,269 @@
+import prisma from "@/lib/prisma";
+import { getCategoryById } from "@/lib/data/categories";
+import {
+  getProductsByIds,
+  getProductsForStocktake,
+} from "@/lib/data/products";
+import { incrementStocktakeCounter } from "@/lib/data/shops";
+import {
+  createStocktakeRecord,
+  getStocktakeById,
+  setStocktakeItemCounts,
+  updateStocktakeIfStatus,
+} from "@/lib/data/stocktakes";
+import { applyStockMovement } from "@/lib/services/stock-service";
+
+/**
+ * @typedef {object} StocktakeSummary
+ * @property {number} itemCount - Products in the session.
+ * @property {number} countedCount - Products counted so far.
+ * @property {number} varianceCount - Counted products whose count differs from the expected stock.
+ * @property {number} shortageValue - Cost of missing stock (a positive amount).
+ * @property {number} surplusValue - Cost of extra stock found.
+ * @property {number} netVarianceValue - surplusValue minus shortageValue.
+ */
+
+/**
+ * Adds the variance and its cost value to every counted line and totals them.
+ * Uncounted lines have a null variance and are left out of the totals.
+ *
+ * @param {Array<{expectedStock: number, countedQuantity: number|null, unitCost: number}>} items - The stocktake lines.
+ * @returns {{items: Array<object>, summary: StocktakeSummary}} The lines with variances and the totals.
+ */
+export function summarizeStocktakeItems(items) {
+  const summary = {
+    itemCount: items.length,
+    countedCount: 0,
+    varianceCount: 0,
+    shortageValue: 0,
+    surplusValue: 0,
+    netVarianceValue: 0,
+  };
+
+  const itemsWithVariance = items.map((item) => {
+    if (item.countedQuantity === null) {
+      return { ...item, variance: null, varianceValue: null };
+    }
+
+    const variance = item.countedQuantity - item.expectedStock;
+    const varianceValue = variance * item.unitCost;
+
+    summary.countedCount += 1;
+    if (variance !== 0) summary.varianceCount += 1;
+    if (varianceValue < 0) summary.shortageValue -= varianceValue;
+    if (varianceValue > 0) summary.surplusValue += varianceValue;
+
+    return { ...item, variance, varianceValue };
+  });
+
+  summary.netVarianceValue = summary.surplusValue - summary.shortageValue;
+
+  return { items: itemsWithVariance, summary };
+}
+
+/**
+ * Fetches a stocktake with the variance of every counted line and the
+ * session totals.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {string} shopId - The ID of the shop the stocktake belongs to.
+ * @param {import('@prisma/client').Prisma.TransactionClient} [db=prisma] - Prisma client or transaction client.
+ * @returns {Promise<object|null>} The stocktake with variances and summary, or null if not found in the shop.
+ */
+export async function getStocktakeWithVariances(stocktakeId, shopId, db = prisma) {
+  const stocktake = await getStocktakeById(stocktakeId, shopId, db);
+  if (!stocktake) return null;
+
+  return { ...stocktake, ...summarizeStocktakeItems(stocktake.items) };
+}
+
+/**
+ * Starts a stocktake session by snapshotting the expected stock and unit cost
+ * of every active product in the chosen category, or in the whole shop.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').stocktakeCreateSchema>} stocktakeData - The validated session options.
+ * @param {string} shopId - The ID of the shop being counted.
+ * @param {string} userId - The user starting the session.
+ * @returns {Promise<import('@prisma/client').Stocktake>} The created stocktake.
+ * @throws {Error} If the category does not belong to the shop or there is nothing to count.
+ */
+export async function startStocktake({ categoryId, note }, shopId, userId) {
+  // Large shops snapshot many lines, so allow more than the default 5s
+  return prisma.$transaction(
+    async (tx) => {
+      if (categoryId) {
+        const category = await getCategoryById(categoryId, shopId, tx);
+        if (!category) {
+          throw new Error(
+            "Invalid category specified. The category must belong to your shop."
+          );
+        }
+      }
+
+      const products = await getProductsForStocktake(shopId, categoryId, tx);
+      if (products.length === 0) {
+        throw new Error("There are no active products to count.");
+      }
+
+      const number = await incrementStocktakeCounter(shopId, tx);
+
+      return createStocktakeRecord(
+        {
+          shopId,
+          number,
+          categoryId: categoryId || null,
+          userId,
+          note: note || null,
+          items: products.map((product) => ({
+            productId: product.id,
+            expectedStock: product.stock,
+            unitCost: product.purchasePrice,
+          })),
+        },
+        tx
+      );
+    },
+    { timeout: 20000 }
+  );
+}
+
+/**
+ * Saves counted quantities for a stocktake that is still in progress and
+ * records who counted each product. The expected stock of each counted line
+ * is re-read at the moment of counting, so sales and receipts recorded
+ * between the start of the session and the count are not counted twice.
+ *
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {Array<{productId: string, countedQuantity: number|null}>} counts - The validated counts.
+ * @param {string} shopId - The ID of the shop the stocktake belongs to.
+ * @param {string} userId - The user who counted.
+ * @returns {Promise<object>} The stocktake with variances and summary.
+ * @throws {Error} If the stocktake is not found, is no longer in progress, or a product is not part of it.
+ */
+export async function recordStocktakeCounts(stocktakeId, counts, shopId, userId) {
+  return prisma.$transaction(
+    async (tx) => {
+      const stocktake = await tx.stocktake.findFirst({
+        where: { id: stocktakeId, shopId },
+        select: { status: true },
+      });
+      if (!stocktake) {
+        throw new Error("Stocktake not found");
+      }
+      if (stocktake.status !== "IN_PROGRESS") {
+        throw new Error("Only stocktakes in progress can be counted.");
+      }
+
+      const countedIds = counts
+        .filter((count) => count.countedQuantity !== null)
+        .map((count) => count.productId);
+      const stockById = new Map(
+        (await getProductsByIds(countedIds, shopId, tx)).map((product) => [
+          product.id,
+          product.stock,
+        ])
+      );
+
+      const updatedCount = await setStocktakeItemCounts(
+        stocktakeId,
+        counts.map((count) => ({
+          ...count,
+          expectedStock: stockById.get(count.productId),
+        })),
+        userId,
+        tx
+      );
+      if (updatedCount !== counts.length) {
+        throw new Error(
+          "Invalid product specified. All products must be part of the stocktake."
+        );
+      }
+
+      return getStocktakeWithVariances(stocktakeId, shopId, tx);
+    },
+    { timeout: 20000 }
+  );
+}
+
+/**
+ * Approves a stocktake: posts a COUNT_CORRECTION adjustment for every counted
+ * product whose count differs from its expected stock, valued at the
+ * snapshotted unit cost, all in one transaction. Uncounted products are left
+ * unchanged.
+ *
+ * The expected stock is the stock when the product was counted, and the
+ * variance is applied as a delta, so sales and receipts recorded after the
+ * count are preserved.
+ *
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {string} shopId - The ID of the shop the stocktake belongs to.
+ * @param {string} userId - The shop owner approving the stocktake.
+ * @returns {Promise<object>} The approved stocktake with variances and summary.
+ * @throws {Error} If the stocktake is not found, is no longer in progress, or a correction would make stock negative.
+ */
+export async function approveStocktake(stocktakeId, shopId, userId) {
+  return prisma.$transaction(
+    async (tx) => {
+      // Claim the stocktake first so a second approval cannot post twice
+      const claimed = await updateStocktakeIfStatus(
+        stocktakeId,
+        shopId,
+        ["IN_PROGRESS"],
+        { status: "APPROVED", approvedAt: new Date(), approvedById: userId },
+        tx
+      );
+
+      const stocktake = await getStocktakeWithVariances(stocktakeId, shopId, tx);
+      if (!stocktake) {
+        throw new Error("Stocktake not found");
+      }
+      if (!claimed) {
+        throw new Error("Only stocktakes in progress can be approved.");
+      }
+
+      for (const item of stocktake.items) {
+        if (!item.variance) continue;
+
+        await applyStockMovement(tx, {
+          productId: item.productId,
+          shopId,
+          userId,
+          type: "ADJUSTMENT",
+          reason: "COUNT_CORRECTION",
+          quantity: item.variance,
+          unitCost: item.unitCost,
+          referenceType: "Stocktake",
+          referenceId: stocktakeId,
+          note: `Stocktake #${stocktake.number}`,
+        });
+      }
+
+      return stocktake;
+    },
+    { timeout: 60000 }
+  );
+}
+
+/**
+ * Cancels a stocktake that is still in progress. No stock is changed.
+ * @param {string} stocktakeId - The ID of the stocktake.
+ * @param {string} shopId - The ID of the shop the stocktake belongs to.
+ * @returns {Promise<object>} The cancelled stocktake with variances and summary.
+ * @throws {Error} If the stocktake is not found or is no longer in progress.
+ */
+export async function cancelStocktake(stocktakeId, shopId) {
+  const cancelled = await updateStocktakeIfStatus(
+    stocktakeId,
+    shopId,
+    ["IN_PROGRESS"],
+    { status: "CANCELLED" }
+  );
+
+  const stocktake = await getStocktakeWithVariances(stocktakeId, shopId);
+  if (!stocktake) {
+    throw new Error("Stocktake not found");
+  }
+  if (!cancelled) {
+    throw new Error("Only stocktakes in progress can be cancelled.");
+  }
+  return stocktake;
+}
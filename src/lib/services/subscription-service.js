@@ -0,0 +1,113 @@
+import prisma from "@/lib/prisma";
+import {
+  createSubscriptionInvoice,
+  expireLapsedTrial,
+  getSubscriptionByShopId,
+  getSubscriptionInvoices,
+  updateSubscription,
+} from "@/lib/data/subscriptions";
+import { assertPlanFitsUsage } from "@/lib/services/plan-limits-service";
+import {
+  subscriptionPlanLabels,
+  subscriptionPlanPrices,
+} from "@/lib/config/subscription-config";
+
+/**
+ * Reads what the session needs to know about a shop's subscription: its
+ * recorded status and, during the free trial, when the trial ends. Nothing
+ * is written, so it is cheap enough to run whenever the session is refreshed.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<{status: import('@prisma/client').SubscriptionStatus|null, trialEndsAt: number|null}>} The status and trial end (milliseconds since the epoch).
+ */
+export async function getSubscriptionAccess(shopId) {
+  const subscription = await getSubscriptionByShopId(shopId);
+  return {
+    status: subscription?.status ?? null,
+    trialEndsAt:
+      subscription?.status === "TRIALING" && subscription.endDate
+        ? subscription.endDate.getTime()
+        : null,
+  };
+}
+
+/**
+ * Records a free trial whose end date has passed as expired. Trials expire
+ * lazily, on the first request after they end, so no scheduled job is needed.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<boolean>} Whether the trial was expired by this call.
+ */
+export async function recordLapsedTrial(shopId) {
+  return (await expireLapsedTrial(shopId, new Date())) > 0;
+}
+
+/**
+ * Collects a shop's subscription with its invoices for the settings page.
+ * @param {string} shopId - The ID of the shop.
+ * @returns {Promise<object|null>} The subscription with `planLabel` and `invoices`, or null if the shop has none.
+ */
+export async function getSubscriptionOverview(shopId) {
+  await expireLapsedTrial(shopId, new Date());
+  const subscription = await getSubscriptionByShopId(shopId);
+  if (!subscription) {
+    return null;
+  }
+
+  const invoices = await getSubscriptionInvoices(subscription.id);
+
+  return {
+    ...subscription,
+    planLabel: subscriptionPlanLabels[subscription.plan],
+    invoices,
+  };
+}
+
+/**
+ * Switches a shop to a paid plan through a simulated checkout: the plan
+ * becomes active straight away for one billing period and an invoice is
+ * recorded. No payment is collected, and the renewal date is informational:
+ * paid plans do not lapse.
+ *
+ * @param {string} shopId - The ID of the shop.
+ * @param {{plan: import('@prisma/client').SubscriptionPlan, billingCycle: import('@prisma/client').BillingCycle}} checkout - The validated checkout.
+ * @returns {Promise<{subscription: import('@prisma/client').Subscription, invoice: import('@prisma/client').SubscriptionInvoice}>} The updated subscription and its invoice.
+ * @throws {Error} If the shop uses more products or users than the plan allows.
+ */
+export async function subscribeToPlan(shopId, { plan, billingCycle }) {
+  await assertPlanFitsUsage(shopId, plan);
+
+  const periodStart = new Date();
+  const periodEnd = new Date(periodStart);
+  if (billingCycle === "ANNUAL") {
+    periodEnd.setFullYear(periodEnd.getFullYear() + 1);
+  } else {
+    periodEnd.setMonth(periodEnd.getMonth() + 1);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const subscription = await updateSubscription(
+      shopId,
+      {
+        plan,
+        billingCycle,
+        status: "ACTIVE",
+        startDate: periodStart,
+        endDate: periodEnd,
+      },
+      tx
+    );
+
+    const invoice = await createSubscriptionInvoice(
+      {
+        subscriptionId: subscription.id,
+        plan,
+        billingCycle,
+        amount: subscriptionPlanPrices[plan][billingCycle],
+        periodStart,
+        periodEnd,
+      },
+      tx
+    );
+
+    return { subscription, invoice };
+  });
+}
@@ -0,0 +1,113 @@
+import prisma from "@/lib/prisma";
+import { getSupplierById, updateSupplierDebt } from "@/lib/data/suppliers";
+import { createSupplierLedgerEntry } from "@/lib/data/supplier-ledger";
+import { createSupplierPaymentRecord } from "@/lib/data/supplier-payments";
+import { getPaymentMethodLabel } from "@/lib/config/sales-config";
+
+/**
+ * @typedef {object} ApplySupplierLedgerEntryInput
+ * @property {string} supplierId - The supplier whose debt changes.
+ * @property {string} shopId - The shop the supplier belongs to.
+ * @property {import('@prisma/client').SupplierLedgerEntryType} type - The source of the change.
+ * @property {number} amount - Signed, non-zero debt change. Positive increases what the shop owes.
+ * @property {string} [userId] - The user recording the change.
+ * @property {string} [referenceType] - Originating document type (e.g. "Purchase").
+ * @property {string} [referenceId] - Originating document ID.
+ * @property {string} [note] - Free-form note.
+ */
+
+/**
+ * The single entry point for changing what the shop owes a supplier. Applies
+ * the change to `Supplier.outstandingDebt` and records the matching ledger
+ * entry using the supplied transaction client, so the debt is always
+ * explained by the supplier's ledger.
+ *
+ * @param {import('@prisma/client').Prisma.TransactionClient} tx - The transaction client.
+ * @param {ApplySupplierLedgerEntryInput} entry - The entry to apply.
+ * @returns {Promise<import('@prisma/client').SupplierLedgerEntry>} The recorded entry.
+ * @throws {Error} If the amount is not a non-zero integer.
+ */
+export async function applySupplierLedgerEntry(tx, entry) {
+  if (!Number.isInteger(entry.amount) || entry.amount === 0) {
+    throw new Error("Supplier ledger amount must be a non-zero integer.");
+  }
+
+  const supplier = await updateSupplierDebt(
+    entry.supplierId,
+    entry.shopId,
+    entry.amount,
+    tx
+  );
+
+  return createSupplierLedgerEntry(
+    {
+      ...entry,
+      balanceAfter: supplier.outstandingDebt,
+    },
+    tx
+  );
+}
+
+/**
+ * Records a payment made to a supplier and reduces the shop's debt through a
+ * PAYMENT ledger entry, in a single transaction. Partial payments are allowed,
+ * but a payment can never take the debt below zero.
+ *
+ * @param {z.infer<import('@/lib/zod-schemas').supplierPaymentSchema>} paymentData - The validated payment.
+ * @param {string} supplierId - The supplier being paid.
+ * @param {string} shopId - The shop making the payment.
+ * @param {string} userId - The user recording the payment.
+ * @returns {Promise<import('@prisma/client').SupplierPayment>} The recorded payment.
+ * @throws {Error} If the supplier does not belong to the shop or the payment exceeds the debt.
+ */
+export async function recordSupplierPayment(
+  { amount, method, reference, note },
+  supplierId,
+  shopId,
+  userId
+) {
+  return prisma.$transaction(async (tx) => {
+    const supplier = await getSupplierById(supplierId, shopId, tx);
+    if (!supplier) {
+      throw new Error(
+        "Invalid supplier specified. The supplier must belong to your shop."
+      );
+    }
+
+    const payment = await createSupplierPaymentRecord(
+      {
+        supplierId,
+        shopId,
+        userId,
+        amount,
+        method,
+        reference: reference || null,
+        note: note || null,
+      },
+      tx
+    );
+
+    const entry = await applySupplierLedgerEntry(tx, {
+      supplierId,
+      shopId,
+      userId,
+      type: "PAYMENT",
+      amount: -amount,
+      referenceType: "SupplierPayment",
+      referenceId: payment.id,
+      note: [getPaymentMethodLabel(method), reference, note]
+        .filter(Boolean)
+        .join(" — "),
+    });
+
+    if (entry.balanceAfter < 0) {
+      throw new Error(
+        `Payment exceeds outstanding balance. Outstanding: ${
+          entry.balanceAfter + amount
+        }.`
+      );
+    }
+
+    return payment;
+  });
+}
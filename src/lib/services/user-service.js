@@ -1,10 +1,18 @@
 import prisma from "@/lib/prisma";
+import {
+  deleteStaffInvitationsForEmail,
+  getPendingStaffInvitationForEmail,
+} from "@/lib/data/staff-invitations";
+import { addShopStaff } from "@/lib/data/users";
 
 /**
  * Service layer function that handles the creation of a new user and their associated
  * shop and subscription in a single atomic transaction. If the user already exists,
  * it checks for and creates a shop and subscription if needed.
  *
+ * Users with a pending staff invitation join the inviting shop as SHOP_STAFF
+ * instead of getting a shop of their own.
+ *
  * This is a complex business operation that spans multiple models (User, Shop, Subscription),
  * which is why it belongs in the service layer rather than the data layer.
  *
@@ -25,36 +33,72 @@ export async function upsertUserAndCreateShop(user) {
       include: { shop: true }, // Eagerly load the shop relation
     });
 
+    const invitation = await getPendingStaffInvitationForEmail(
+      user.email.toLowerCase()
+    );
+
     // --- Case 1: User already exists ---
     if (existingUserWithShop) {
-      // If the user exists but does not have a shop, create one for them
-      // along with the default trial subscription. This ensures data consistency.
-      if (!existingUserWithShop.shop) {
-        await prisma.$transaction(async (tx) => {
-          const newShop = await tx.shop.create({
-            data: {
-              name: `${existingUserWithShop.name}'s Shop`,
-              ownerId: existingUserWithShop.id,
-            },
-          });
-
-          const trialEndDate = new Date();
-          trialEndDate.setDate(trialEndDate.getDate() + 14);
-
-          await tx.subscription.create({
-            data: {
-              shopId: newShop.id,
-              plan: "FREE_TRIAL",
-              status: "TRIALING",
-              endDate: trialEndDate,
-            },
-          });
+      if (existingUserWithShop.shop || existingUserWithShop.staffShopId) {
+        return existingUserWithShop;
+      }
+
+      // A user without a shop (e.g. removed staff) who was invited joins
+      // the inviting shop as staff
+      if (invitation) {
+        return prisma.$transaction(async (tx) => {
+          await deleteStaffInvitationsForEmail(invitation.email, tx);
+          return addShopStaff(existingUserWithShop.id, invitation.shopId, tx);
         });
       }
+
+      // Otherwise they become the owner of a new shop along with the
+      // default trial subscription. This ensures data consistency.
+      await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id: existingUserWithShop.id },
+          data: { role: "SHOP_OWNER" },
+        });
+
+        const newShop = await tx.shop.create({
+          data: {
+            name: `${existingUserWithShop.name}'s Shop`,
+            ownerId: existingUserWithShop.id,
+          },
+        });
+
+        const trialEndDate = new Date();
+        trialEndDate.setDate(trialEndDate.getDate() + 14);
+
+        await tx.subscription.create({
+          data: {
+            shopId: newShop.id,
+            plan: "FREE_TRIAL",
+            status: "TRIALING",
+            endDate: trialEndDate,
+          },
+        });
+      });
       return existingUserWithShop; // Return the existing user
     }
 
-    // --- Case 2: User is new ---
+    // --- Case 2: User is new and was invited to a shop as staff ---
+    if (invitation) {
+      return prisma.$transaction(async (tx) => {
+        await deleteStaffInvitationsForEmail(invitation.email, tx);
+        return tx.user.create({
+          data: {
+            name: user.name,
+            email: user.email,
+            image: user.image,
+            role: "SHOP_STAFF",
+            staffShopId: invitation.shopId,
+          },
+        });
+      });
+    }
+
+    // --- Case 3: User is new ---
     // Create the User, Shop, and Subscription in a single atomic transaction.
     const newUser = await prisma.$transaction(async (tx) => {
       const createdUser = await tx.user.create({
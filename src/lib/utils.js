@@ -1,5 +1,7 @@
 import { clsx } from "clsx";
 import { twMerge } from "tailwind-merge";
+import { TZDate } from "@date-fns/tz";
+import { SHOP_TIME_ZONE } from "@/lib/config/shop-config";
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
@@ -48,3 +50,235 @@ export function normalizeProductName(name) {
 export function normalizeCategoryName(name) {
   return normalizeText(name);
 }
+
+/**
+ * Normalizes a supplier name for consistent storage and comparison.
+ *
+ * @param {string} name - The raw supplier name input
+ * @returns {string} The normalized supplier name
+ */
+export function normalizeSupplierName(name) {
+  return normalizeText(name);
+}
+
+/**
+ * Normalizes a customer name for consistent storage and comparison.
+ *
+ * @param {string} name - The raw customer name input
+ * @returns {string} The normalized customer name
+ */
+export function normalizeCustomerName(name) {
+  return normalizeText(name);
+}
+
+/**
+ * Returns the date as seen in the shop's time zone. date-fns functions keep
+ * working in that zone, so `format` and day arithmetic give the shop's
+ * calendar days.
+ *
+ * @param {Date} [date=new Date()] - The moment to convert.
+ * @returns {TZDate} The same moment in the shop's time zone.
+ */
+export function toShopTime(date = new Date()) {
+  return new TZDate(date, SHOP_TIME_ZONE);
+}
+
+/**
+ * Returns midnight of a "YYYY-MM-DD" day in the shop's time zone.
+ *
+ * @param {string} isoDate - The day.
+ * @param {number} [addDays=0] - Days to move forward from it.
+ * @returns {Date} The start of the day.
+ */
+function startOfShopDay(isoDate, addDays = 0) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return new Date(
+    new TZDate(year, month - 1, day + addDays, SHOP_TIME_ZONE).getTime()
+  );
+}
+
+/**
+ * Converts an inclusive "YYYY-MM-DD" date range into Date bounds suitable for
+ * database filtering. Days start at midnight in the shop's time zone. The
+ * upper bound is exclusive (start of the following day) so records created at
+ * any time on the `to` date are included.
+ *
+ * @param {{from?: string, to?: string}} range - Inclusive ISO date range.
+ * @returns {{gte?: Date, lt?: Date}|undefined} A Prisma date filter, or undefined when no bounds are given.
+ */
+export function toDateRangeFilter({ from, to } = {}) {
+  if (!from && !to) {
+    return undefined;
+  }
+
+  const filter = {};
+
+  if (from) {
+    filter.gte = startOfShopDay(from);
+  }
+
+  if (to) {
+    filter.lt = startOfShopDay(to, 1);
+  }
+
+  return filter;
+}
+
+/**
+ * Works out how much to refund for returning part of a sale line. The refund is
+ * proportional to what was actually charged for the line (so discounts given at
+ * sale time are honoured), and returning the last remaining units refunds
+ * whatever is left of the line total so rounding never over- or under-refunds.
+ *
+ * @param {{quantity: number, lineTotal: number, returnItems?: Array<{quantity: number, lineTotal: number}>}} saleItem - The original sale line and the lines that already returned it (negative quantities/totals).
+ * @param {number} quantity - Units being returned now.
+ * @returns {number} The refund for the returned units, in whole so'm.
+ */
+export function calculateReturnRefund(saleItem, quantity) {
+  const returnItems = saleItem.returnItems || [];
+  const returnedQuantity = returnItems.reduce(
+    (sum, item) => sum - item.quantity,
+    0
+  );
+  const refunded = returnItems.reduce((sum, item) => sum - item.lineTotal, 0);
+
+  if (returnedQuantity + quantity >= saleItem.quantity) {
+    return saleItem.lineTotal - refunded;
+  }
+
+  return Math.round((saleItem.lineTotal * quantity) / saleItem.quantity);
+}
+
+/**
+ * Returns how many units of a sale line have not been returned yet.
+ *
+ * @param {{quantity: number, returnItems?: Array<{quantity: number}>}} saleItem - The original sale line and the lines that already returned it.
+ * @returns {number} The returnable quantity.
+ */
+export function getReturnableQuantity(saleItem) {
+  const returnedQuantity = (saleItem.returnItems || []).reduce(
+    (sum, item) => sum - item.quantity,
+    0
+  );
+
+  return saleItem.quantity - returnedQuantity;
+}
+
+// Text a spreadsheet would run as a formula when opening a CSV file. Text
+// that only follows apostrophes counts too, so that stripping the escaping
+// apostrophe on import gives back exactly what was exported.
+const FORMULA_LIKE = /^'*[=+\-@\t\r]/;
+
+/**
+ * Escapes a single value for a CSV cell. Values containing a comma, quote or
+ * line break are quoted, and embedded quotes are doubled. Text that a
+ * spreadsheet would run as a formula (starting with =, +, -, @, tab or CR)
+ * is prefixed with an apostrophe; numbers are written as they are.
+ *
+ * @private
+ * @param {*} value - The cell value.
+ * @returns {string} The escaped cell.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  const text =
+    typeof value === "string" && FORMULA_LIKE.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes one CSV line, for writers that emit rows as they go.
+ *
+ * @param {Array<*>} values - The cell values, in output order.
+ * @returns {string} The CSV line, without a line break.
+ */
+export function toCsvLine(values) {
+  return values.map(toCsvCell).join(",");
+}
+
+/**
+ * Serializes rows to CSV text with a header line.
+ *
+ * @param {Array<{header: string, value: (row: object) => *}>} columns - Column headers and value getters, in output order.
+ * @param {Array<object>} rows - The rows to serialize.
+ * @returns {string} The CSV text, lines separated by CRLF.
+ */
+export function toCsv(columns, rows) {
+  const lines = [
+    toCsvLine(columns.map((column) => column.header)),
+    ...rows.map((row) => toCsvLine(columns.map((column) => column.value(row)))),
+  ];
+
+  return lines.join("\r\n");
+}
+
+/**
+ * Parses CSV text into rows of cells. Quoted cells may contain delimiters,
+ * doubled quotes and line breaks. The delimiter is a comma, or a semicolon
+ * when the first line has more of those, as spreadsheets export in locales
+ * that use a decimal comma. A leading byte order mark is ignored, and so is
+ * the apostrophe `toCsvLine` puts before formula-like text, so exported
+ * files import back unchanged.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, top to bottom.
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map((cells) =>
+    cells.map((value) =>
+      value.startsWith("'") && FORMULA_LIKE.test(value.slice(1))
+        ? value.slice(1)
+        : value
+    )
+  );
+}
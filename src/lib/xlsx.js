@@ -0,0 +1,163 @@
+// src/lib/xlsx.js
+
+import { PassThrough } from "node:stream";
+import ExcelJS from "exceljs";
+import unzipper from "unzipper";
+
+// Most bytes a workbook may unpack to, so a small "zip bomb" upload cannot
+// exhaust memory. Real sheets within the import row limit stay far below it.
+const MAX_UNPACKED_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Checks that a workbook archive unpacks to at most `MAX_UNPACKED_SIZE`
+ * bytes. The files are inflated as streams and counted, so the check never
+ * holds more than one chunk in memory and stops as soon as the cap is
+ * passed, whatever sizes the archive claims.
+ * @param {Buffer} buffer - The workbook file.
+ * @returns {Promise<void>}
+ * @throws {Error} If the archive cannot be read or unpacks to too much data.
+ */
+async function assertUnpackedSizeWithinLimit(buffer) {
+  const directory = await unzipper.Open.buffer(buffer);
+  let remaining = MAX_UNPACKED_SIZE;
+
+  for (const file of directory.files) {
+    if (file.type !== "File") continue;
+    if (file.uncompressedSize > remaining) {
+      throw new Error("The workbook is too large to read.");
+    }
+
+    const stream = file.stream();
+    for await (const chunk of stream) {
+      remaining -= chunk.length;
+      if (remaining < 0) {
+        stream.destroy();
+        throw new Error("The workbook is too large to read.");
+      }
+    }
+  }
+}
+
+/**
+ * Converts a cell value to the text a spreadsheet shows for it: strings as
+ * they are, numbers as stored, booleans as TRUE/FALSE, and rich text,
+ * hyperlinks and formulas by their text or cached result.
+ * @param {import('exceljs').CellValue} value - The cell value.
+ * @returns {string} The text; empty for blank and error cells.
+ */
+function toCellText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "boolean") {
+    return value ? "TRUE" : "FALSE";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== "object") {
+    return String(value);
+  }
+  if (value.richText) {
+    return value.richText.map((run) => run.text).join("");
+  }
+  if ("result" in value) {
+    return toCellText(value.result);
+  }
+  if ("text" in value) {
+    return toCellText(value.text);
+  }
+  return "";
+}
+
+/**
+ * Reads the cell values of the first worksheet of an XLSX workbook.
+ * Every value is returned as text, as shown for strings and as stored for
+ * numbers; empty cells are empty strings.
+ * @param {Buffer} buffer - The workbook file.
+ * @returns {Promise<string[][]>} The rows, top to bottom.
+ * @throws {Error} If the file is not a readable XLSX workbook or unpacks to too much data.
+ */
+export async function readXlsxRows(buffer) {
+  await assertUnpackedSizeWithinLimit(buffer);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const [sheet] = workbook.worksheets;
+  if (!sheet) {
+    throw new Error("The workbook does not contain a worksheet.");
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = toCellText(cell.value);
+    });
+
+    // Keep blank rows in place so row numbers match the spreadsheet
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows.push(Array.from(cells, (text) => text ?? ""));
+  });
+
+  return rows;
+}
+
+/**
+ * Converts a value to what the sheet stores: numbers and booleans keep
+ * their type, blanks stay empty and everything else is written as text.
+ * @param {*} value - The cell value.
+ * @returns {number|boolean|string|null} The value to write.
+ */
+function toSheetValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (
+    (typeof value === "number" && Number.isFinite(value)) ||
+    typeof value === "boolean"
+  ) {
+    return value;
+  }
+  return String(value);
+}
+
+/**
+ * Streams a single-sheet XLSX workbook. Rows are compressed and sent batch
+ * by batch, so large exports start downloading at once and never sit in
+ * memory whole.
+ * @param {string[]} headers - The column headers.
+ * @param {AsyncIterable<Array<Array<*>>>} rowBatches - Batches of rows of cell values, in column order.
+ * @param {{sheetName?: string}} [options] - Workbook options.
+ * @returns {AsyncGenerator<Buffer>} The workbook bytes.
+ */
+export async function* writeXlsxRows(
+  headers,
+  rowBatches,
+  { sheetName = "Sheet1" } = {}
+) {
+  const output = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+
+  const writing = (async () => {
+    sheet.addRow(headers).commit();
+    for await (const rows of rowBatches) {
+      for (const cells of rows) {
+        sheet.addRow(cells.map(toSheetValue)).commit();
+      }
+    }
+    await workbook.commit();
+  })();
+  writing.catch((error) => output.destroy(error));
+
+  yield* output;
+  await writing;
+}
@@ -1,7 +1,21 @@
 // src/lib/zod-schemas.js
 
 import { z } from "zod";
-import { normalizeProductName, normalizeCategoryName } from "@/lib/utils";
+import {
+  normalizeProductName,
+  normalizeCategoryName,
+  normalizeSupplierName,
+  normalizeCustomerName,
+} from "@/lib/utils";
+import {
+  MAX_IMPORT_ROWS,
+  productImportFields,
+} from "@/lib/config/product-import-config";
+import {
+  MAX_EXPORT_SELECTED_ROWS,
+  productExportColumns,
+  productExportFormats,
+} from "@/lib/config/product-export-config";
 
 /**
  * @description Zod schema for validating the input for creating a new product.
@@ -12,6 +26,15 @@ export const productCreateSchema = z.object({
     (val) => normalizeProductName(val),
     z.string().min(1, { message: "Product name cannot be empty." })
   ),
+  sku: z
+    .preprocess(
+      (val) => (typeof val === "string" && val.trim() === "" ? undefined : val),
+      z
+        .string()
+        .trim()
+        .max(64, { message: "SKU cannot exceed 64 characters." })
+    )
+    .optional(),
   sellingPrice: z.preprocess(
     (val) => (val === "" ? undefined : Number(val)),
     z
@@ -45,8 +68,22 @@ export const productCreateSchema = z.object({
 /**
  * @description Zod schema for validating partial updates to a product.
  * This makes all fields optional to support PATCH-like semantics in PUT requests.
+ * Stock is excluded: it can only change through recorded stock movements.
  */
-export const productUpdateSchema = productCreateSchema.partial();
+export const productUpdateSchema = productCreateSchema
+  .omit({ stock: true })
+  .partial();
+
+/**
+ * @description Zod schema for activating or deactivating one or more products.
+ */
+export const productStatusSchema = z.object({
+  productIds: z
+    .array(z.string().min(1))
+    .min(1, { message: "Select at least one product." })
+    .max(500, { message: "Too many products selected." }),
+  isActive: z.boolean(),
+});
 
 /**
  * @description Zod schema for validating category creation input.
@@ -58,3 +95,601 @@ export const categoryCreateSchema = z.object({
     z.string().min(1, { message: "Category name cannot be empty." })
   ),
 });
+
+/**
+ * @description Zod schema for validating supplier creation input.
+ */
+export const supplierCreateSchema = z.object({
+  name: z.preprocess(
+    (val) => normalizeSupplierName(val),
+    z.string().min(1, { message: "Supplier name cannot be empty." })
+  ),
+  contactPerson: z.string().trim().optional(),
+  phone: z.string().trim().optional(),
+  email: z
+    .string()
+    .trim()
+    .email({ message: "Please enter a valid email address." })
+    .optional()
+    .or(z.literal("")),
+  address: z.string().trim().optional(),
+  leadTimeDays: z
+    .preprocess(
+      (val) => (val === "" || val === null ? null : Number(val)),
+      z
+        .number()
+        .int({ message: "Lead time must be a whole number of days." })
+        .min(0, { message: "Lead time cannot be negative." })
+        .max(365, { message: "Lead time cannot exceed 365 days." })
+        .nullable()
+    )
+    .optional(),
+});
+
+/**
+ * @description Zod schema for validating supplier update input.
+ * All fields are optional to support partial updates.
+ */
+export const supplierUpdateSchema = supplierCreateSchema.partial();
+
+/**
+ * @description Zod schema for validating customer creation input.
+ */
+export const customerCreateSchema = z.object({
+  name: z.preprocess(
+    (val) => normalizeCustomerName(val),
+    z.string().min(1, { message: "Customer name cannot be empty." })
+  ),
+  phone: z.string().trim().optional(),
+  email: z
+    .string()
+    .trim()
+    .email({ message: "Please enter a valid email address." })
+    .optional()
+    .or(z.literal("")),
+  address: z.string().trim().optional(),
+});
+
+/**
+ * @description Zod schema for validating a payment received from a customer.
+ * Partial payments are allowed; the amount may not exceed the outstanding balance,
+ * which is enforced when the payment is recorded.
+ */
+export const customerPaymentSchema = z.object({
+  amount: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Amount is required." })
+      .int({ message: "Amount must be a whole number." })
+      .positive({ message: "Amount must be greater than zero." })
+  ),
+  method: z.enum(["CASH", "CARD", "TRANSFER"], {
+    errorMap: () => ({ message: "Please select a payment method." }),
+  }),
+  note: z
+    .string()
+    .trim()
+    .max(500, { message: "Note cannot exceed 500 characters." })
+    .optional(),
+});
+
+/**
+ * @description Zod schema for validating a payment made to a supplier.
+ * Partial payments are allowed; the amount may not exceed what the shop owes,
+ * which is enforced when the payment is recorded.
+ */
+export const supplierPaymentSchema = customerPaymentSchema.extend({
+  reference: z
+    .string()
+    .trim()
+    .max(100, { message: "Reference cannot exceed 100 characters." })
+    .optional(),
+});
+
+/**
+ * @description Zod schema for validating a single line of a purchase receipt.
+ */
+export const purchaseItemSchema = z.object({
+  productId: z.string().min(1, { message: "Product is required." }),
+  quantity: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Quantity is required." })
+      .int({ message: "Quantity must be a whole number." })
+      .positive({ message: "Quantity must be greater than zero." })
+  ),
+  unitCost: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Unit cost is required." })
+      .int()
+      .nonnegative({ message: "Unit cost must be a positive number or zero." })
+  ),
+});
+
+/**
+ * @description Zod schema for validating a purchase receipt.
+ * Purchases on credit must name a supplier so the payable can be tracked.
+ */
+export const purchaseCreateSchema = z
+  .object({
+    supplierId: z.string().optional(),
+    paymentStatus: z.enum(["PAID", "ON_CREDIT"], {
+      errorMap: () => ({ message: "Please select a payment status." }),
+    }),
+    reference: z
+      .string()
+      .trim()
+      .max(100, { message: "Reference cannot exceed 100 characters." })
+      .optional(),
+    note: z
+      .string()
+      .trim()
+      .max(500, { message: "Note cannot exceed 500 characters." })
+      .optional(),
+    purchaseOrderId: z.string().optional(),
+    items: z
+      .array(purchaseItemSchema)
+      .min(1, { message: "Add at least one product to receive." }),
+  })
+  .refine(
+    (data) =>
+      new Set(data.items.map((item) => item.productId)).size ===
+      data.items.length,
+    {
+      message: "Each product can only appear once per purchase.",
+      path: ["items"],
+    }
+  )
+  .refine((data) => data.paymentStatus !== "ON_CREDIT" || data.supplierId, {
+    message: "A supplier is required for purchases on credit.",
+    path: ["supplierId"],
+  });
+
+/**
+ * @description Zod schema for validating the lines of a purchase order.
+ * Lines use the same shape as purchase lines; unit costs are the expected costs.
+ */
+const purchaseOrderItemsSchema = z
+  .array(purchaseItemSchema)
+  .min(1, { message: "Add at least one product to the order." })
+  .refine(
+    (items) =>
+      new Set(items.map((item) => item.productId)).size === items.length,
+    { message: "Each product can only appear once per order." }
+  );
+
+/**
+ * @description Zod schema for validating a new (draft) purchase order.
+ */
+export const purchaseOrderCreateSchema = z.object({
+  supplierId: z.string().min(1, { message: "A supplier is required." }),
+  note: z
+    .string()
+    .trim()
+    .max(500, { message: "Note cannot exceed 500 characters." })
+    .optional(),
+  items: purchaseOrderItemsSchema,
+});
+
+/**
+ * @description Zod schema for editing a draft purchase order.
+ * When items are given they replace all existing lines.
+ */
+export const purchaseOrderUpdateSchema = purchaseOrderCreateSchema
+  .omit({ supplierId: true })
+  .partial();
+
+/**
+ * @description Zod schema for moving a purchase order to a new status.
+ * Orders become RECEIVED only through the receiving workflow.
+ */
+export const purchaseOrderStatusSchema = z.object({
+  status: z.enum(["ORDERED", "CANCELLED"], {
+    errorMap: () => ({ message: "Status must be ORDERED or CANCELLED." }),
+  }),
+});
+
+/**
+ * @description Zod schema for validating a single line of a sale.
+ * The line total is sent explicitly because the cashier may type it directly
+ * (e.g. "5 000 so'm worth of sugar"), in which case it need not equal price x quantity.
+ */
+export const saleItemSchema = z.object({
+  productId: z.string().min(1, { message: "Product is required." }),
+  quantity: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Quantity is required." })
+      .int({ message: "Quantity must be a whole number." })
+      .positive({ message: "Quantity must be greater than zero." })
+  ),
+  unitPrice: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Price is required." })
+      .int()
+      .nonnegative({ message: "Price must be a positive number or zero." })
+  ),
+  lineTotal: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Line total is required." })
+      .int()
+      .nonnegative({ message: "Line total must be a positive number or zero." })
+  ),
+});
+
+/**
+ * @description Zod schema for validating a sale completed at the point of sale.
+ * Sales on account must name the customer the total is charged to.
+ */
+export const saleCreateSchema = z
+  .object({
+    paymentType: z.enum(["CASH", "ON_ACCOUNT"]).default("CASH"),
+    customerId: z.string().optional(),
+    note: z
+      .string()
+      .trim()
+      .max(500, { message: "Note cannot exceed 500 characters." })
+      .optional(),
+    items: z
+      .array(saleItemSchema)
+      .min(1, { message: "Add at least one product to the sale." }),
+  })
+  .refine((data) => data.paymentType !== "ON_ACCOUNT" || data.customerId, {
+    message: "A customer is required for sales on account.",
+    path: ["customerId"],
+  });
+
+/**
+ * @description Zod schema for a single line being returned from an earlier sale.
+ */
+export const saleReturnItemSchema = z.object({
+  saleItemId: z.string().min(1, { message: "Sale line is required." }),
+  quantity: z.preprocess(
+    (val) => (val === "" ? undefined : Number(val)),
+    z
+      .number({ required_error: "Quantity is required." })
+      .int({ message: "Quantity must be a whole number." })
+      .positive({ message: "Quantity must be greater than zero." })
+  ),
+});
+
+/**
+ * @description Zod schema for validating a return/exchange against an earlier sale.
+ * At least one line must be returned; exchange items are optional.
+ */
+export const saleReturnSchema = z.object({
+  items: z
+    .array(saleReturnItemSchema)
+    .min(1, { message: "Select at least one item being returned." })
+    .refine(
+      (items) =>
+        new Set(items.map((item) => item.saleItemId)).size === items.length,
+      { message: "Each sale line can only be returned once per return." }
+    ),
+  exchangeItems: z.array(saleItemSchema).default([]),
+  note: z
+    .string()
+    .trim()
+    .max(500, { message: "Note cannot exceed 500 characters." })
+    .optional(),
+});
+
+/**
+ * @description Zod schema for validating a manual stock adjustment.
+ * Quantity is a signed delta; a note is mandatory when the reason is "OTHER".
+ */
+export const stockAdjustmentSchema = z
+  .object({
+    productId: z.string().min(1, { message: "Product is required." }),
+    quantity: z.preprocess(
+      (val) => (val === "" ? undefined : Number(val)),
+      z
+        .number({ required_error: "Quantity is required." })
+        .int({ message: "Quantity must be a whole number." })
+        .refine((val) => val !== 0, {
+          message: "Quantity cannot be zero.",
+        })
+    ),
+    reason: z.enum(["DAMAGE", "SHRINKAGE", "COUNT_CORRECTION", "OTHER"], {
+      errorMap: () => ({ message: "Please select a reason." }),
+    }),
+    note: z
+      .string()
+      .trim()
+      .max(500, { message: "Note cannot exceed 500 characters." })
+      .optional(),
+  })
+  .refine((data) => data.reason !== "OTHER" || Boolean(data.note), {
+    message: "Please describe the reason for this adjustment.",
+    path: ["note"],
+  });
+
+/**
+ * @description Zod schema for starting a stocktake session.
+ * Without a category the whole shop is counted.
+ */
+export const stocktakeCreateSchema = z.object({
+  categoryId: z.string().optional(),
+  note: z
+    .string()
+    .trim()
+    .max(500, { message: "Note cannot exceed 500 characters." })
+    .optional(),
+});
+
+/**
+ * @description Zod schema for saving counted quantities of a stocktake.
+ * A null quantity clears a count so the product is treated as not counted.
+ */
+export const stocktakeCountsSchema = z.object({
+  counts: z
+    .array(
+      z.object({
+        productId: z.string().min(1, { message: "Product is required." }),
+        countedQuantity: z.preprocess(
+          (val) => (val === "" || val === null ? null : Number(val)),
+          z
+            .number()
+            .int({ message: "Counted quantity must be a whole number." })
+            .nonnegative({ message: "Counted quantity cannot be negative." })
+            .nullable()
+        ),
+      })
+    )
+    .min(1, { message: "Enter at least one count." })
+    .max(500, { message: "Too many counts in one request." }),
+});
+
+/**
+ * @description Zod schema for approving or cancelling a stocktake session.
+ */
+export const stocktakeStatusSchema = z.object({
+  status: z.enum(["APPROVED", "CANCELLED"], {
+    errorMap: () => ({ message: "Status must be APPROVED or CANCELLED." }),
+  }),
+});
+
+/**
+ * @description Zod schema for validating inventory valuation query parameters.
+ * `asOf` is an optional ISO date (YYYY-MM-DD); the valuation is taken at the
+ * end of that day. Omit it for the current valuation.
+ */
+export const inventoryValuationQuerySchema = z.object({
+  asOf: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, { message: "Invalid 'asOf' date." })
+    .optional(),
+  format: z.enum(["json", "csv"]).default("json"),
+});
+
+/**
+ * @description Zod schema for validating report date range query parameters.
+ * Accepts ISO date strings (YYYY-MM-DD); both bounds are optional.
+ */
+export const dateRangeQuerySchema = z
+  .object({
+    from: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, { message: "Invalid 'from' date." })
+      .optional(),
+    to: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, { message: "Invalid 'to' date." })
+      .optional(),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: "'from' date must be before 'to' date.",
+    path: ["from"],
+  });
+
+/**
+ * Turns a blank string into null, so clearing a text field clears the value.
+ * @param {unknown} val - The submitted value.
+ */
+const blankToNull = (val) =>
+  typeof val === "string" && val.trim() === "" ? null : val;
+
+/**
+ * Optional free text that is cleared (stored as null) when left blank.
+ * @param {number} max - Maximum length.
+ * @param {string} label - Field name used in the error message.
+ */
+const optionalText = (max, label) =>
+  z.preprocess(
+    blankToNull,
+    z
+      .string()
+      .trim()
+      .max(max, { message: `${label} cannot exceed ${max} characters.` })
+      .nullable()
+  );
+
+/**
+ * @description Zod schema for validating updates to shop settings.
+ * All fields are optional to support partial updates.
+ */
+export const shopSettingsSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(1, { message: "Shop name cannot be empty." })
+      .max(100, { message: "Shop name cannot exceed 100 characters." }),
+    address: optionalText(200, "Address"),
+    phone: z.preprocess(
+      blankToNull,
+      z
+        .string()
+        .trim()
+        .regex(/^\+?[\d\s()-]{7,20}$/, {
+          message: "Please enter a valid phone number.",
+        })
+        .nullable()
+    ),
+    taxId: z.preprocess(
+      blankToNull,
+      z
+        .string()
+        .trim()
+        .regex(/^(\d{9}|\d{14})$/, {
+          message: "Tax ID must be a 9-digit STIR or a 14-digit PINFL.",
+        })
+        .nullable()
+    ),
+    costingMethod: z.enum(["LAST_PURCHASE_PRICE", "WEIGHTED_AVERAGE"], {
+      errorMap: () => ({ message: "Please select a costing method." }),
+    }),
+    currencyFormat: z.enum(["SPACE_SOM", "COMMA_SOM", "SPACE_UZS"], {
+      errorMap: () => ({ message: "Please select a currency format." }),
+    }),
+    receiptHeader: optionalText(300, "Receipt header"),
+    receiptFooter: optionalText(300, "Receipt footer"),
+    defaultUnits: z
+      .array(
+        z
+          .string()
+          .trim()
+          .min(1, { message: "Units cannot be empty." })
+          .max(30, { message: "Units cannot exceed 30 characters." })
+      )
+      .max(30, { message: "You can set up to 30 units." })
+      .transform((units) => [...new Set(units)]),
+    defaultReorderPoint: z.preprocess(
+      (val) => (val === "" ? null : val),
+      z.coerce
+        .number()
+        .int()
+        .nonnegative({ message: "Reorder point must be zero or more." })
+        .nullable()
+    ),
+  })
+  .partial();
+
+/**
+ * @description Zod schema for validating a staff invitation.
+ */
+export const staffInvitationSchema = z.object({
+  email: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .email({ message: "Please enter a valid email address." }),
+});
+
+/**
+ * @description Zod schema for validating a (simulated) subscription checkout.
+ */
+export const subscriptionCheckoutSchema = z.object({
+  plan: z.enum(["BASIC", "STANDARD", "PREMIUM"], {
+    errorMap: () => ({ message: "Please choose a plan." }),
+  }),
+  billingCycle: z.enum(["MONTHLY", "ANNUAL"], {
+    errorMap: () => ({ message: "Please choose a billing cycle." }),
+  }),
+});
+
+/**
+ * @description Zod schema for validating receipt query parameters.
+ * `html` is a printable A4 page; `text-*` and `escpos-*` are sized for 58mm
+ * or 80mm thermal paper.
+ */
+export const receiptQuerySchema = z.object({
+  format: z
+    .enum(["html", "text-58", "text-80", "escpos-58", "escpos-80"])
+    .default("html"),
+});
+
+/**
+ * @description Zod schema for previewing or committing a product import.
+ * `mapping` gives the column index for each product field; `rows` are the
+ * data rows of the file, without the header row.
+ */
+export const productImportSchema = z.object({
+  mode: z.enum(["CREATE_ONLY", "UPSERT"], {
+    errorMap: () => ({ message: "Please select an import mode." }),
+  }),
+  mapping: z
+    .record(
+      z.enum(productImportFields.map((field) => field.value)),
+      z.number().int().nonnegative()
+    )
+    .refine(
+      (mapping) =>
+        productImportFields.every(
+          (field) => !field.required || mapping[field.value] !== undefined
+        ),
+      {
+        message: `Map a column to each required field: ${productImportFields
+          .filter((field) => field.required)
+          .map((field) => field.label)
+          .join(", ")}.`,
+      }
+    ),
+  rows: z
+    .array(z.array(z.string().max(1000)))
+    .min(1, { message: "The file has no rows to import." })
+    .max(MAX_IMPORT_ROWS, {
+      message: `You can import up to ${MAX_IMPORT_ROWS} rows at a time.`,
+    }),
+  firstRowNumber: z.number().int().positive().default(2),
+});
+
+/**
+ * Splits a comma-separated query parameter into its non-empty items.
+ * @param {*} value - The raw parameter.
+ * @returns {*} The items, or the value unchanged if it is not a string.
+ */
+const commaSeparated = (value) =>
+  typeof value === "string"
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : value;
+
+/**
+ * @description Zod schema for validating product export query parameters.
+ * `ids` exports the selected products; without it every product matching
+ * the table filters is exported. `columns` defaults to all columns.
+ */
+export const productExportQuerySchema = z.object({
+  format: z
+    .enum(productExportFormats.map((format) => format.value))
+    .default("csv"),
+  columns: z
+    .preprocess(
+      commaSeparated,
+      z.array(z.enum(productExportColumns.map((column) => column.id))).min(1)
+    )
+    .optional(),
+  ids: z
+    .preprocess(
+      commaSeparated,
+      z
+        .array(z.string().min(1))
+        .min(1)
+        .max(MAX_EXPORT_SELECTED_ROWS, {
+          message: `You can export up to ${MAX_EXPORT_SELECTED_ROWS} selected products at a time.`,
+        })
+    )
+    .optional(),
+  sortBy: z
+    .enum([
+      "createdAt",
+      "name",
+      "sellingPrice",
+      "purchasePrice",
+      "stock",
+      "category",
+    ])
+    .default("createdAt"),
+  sortOrder: z.enum(["asc", "desc"]).default("desc"),
+  nameFilter: z.string().default(""),
+  categoryFilter: z.string().default(""),
+  unitFilter: z.string().default(""),
+  dateRangeFilter: z.string().default(""),
+  statusFilter: z.enum(["", "active", "inactive"]).default(""),
+});